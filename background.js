@@ -1,6 +1,7 @@
 /**
  * SSNIT Automator - Background Service Worker
- * Stores the "automation tab" ID so only the tab where automation was started runs actions.
+ * Stores the "automation tab" ID so only the tab where automation was started runs actions,
+ * and raises desktop notifications when the run needs someone at that tab.
  */
 
 // When content script or popup sets automation tab, we store it here and in storage
@@ -34,3 +35,74 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
     return false;
 });
+
+// ==================== NOTIFICATIONS ====================
+
+// Which events raise a notification - switched in the popup, stored as `notificationSettings`
+const DEFAULT_NOTIFICATION_SETTINGS = { intervention: true, loginExpired: true, phaseComplete: true };
+
+const PHASE_COMPLETE_MESSAGES = {
+    SCRAPING: ['Scraping finished', 'Review the results in the dashboard, then start capture.'],
+    CAPTURE: ['Capture finished', 'Check the capture report, then start validation.'],
+    VALIDATION: ['Validation finished', 'All queued CRs have been validated.'],
+    WAGE_EDIT: ['Wage edit finished', 'The edited CRs are going back through validation.']
+};
+
+/**
+ * Show a notification unless its kind is switched off; clicking it focuses the automation tab
+ * @param {string} kind - Key of DEFAULT_NOTIFICATION_SETTINGS
+ */
+async function notify(kind, title, message) {
+    const data = await chrome.storage.local.get(['notificationSettings']);
+    const settings = { ...DEFAULT_NOTIFICATION_SETTINGS, ...(data.notificationSettings || {}) };
+    if (!settings[kind]) return;
+
+    chrome.notifications.create(`ssnit-${kind}-${Date.now()}`, {
+        type: 'basic',
+        iconUrl: 'icon128.png',
+        title: title,
+        message: message,
+        priority: kind === 'phaseComplete' ? 0 : 2,
+        // Interventions and expired sessions stay up until someone deals with them
+        requireInteraction: kind !== 'phaseComplete'
+    });
+}
+
+chrome.storage.onChanged.addListener(async (changes, area) => {
+    if (area !== 'local') return;
+
+    if (changes.interventionRequired?.newValue === true && changes.interventionRequired.oldValue !== true) {
+        const data = await chrome.storage.local.get(['interventionMessage', 'phase']);
+        await notify('intervention', `⚠️ ${data.phase || 'Automation'} paused - intervention required`,
+            data.interventionMessage || 'Manual intervention required. Handle it in the automation tab and click Resume.');
+    }
+
+    if (changes.loginPending?.newValue === true && changes.loginPending.oldValue !== true) {
+        await notify('loginExpired', '🔒 Portal session expired', 'Log in again in the automation tab - the run carries on after login.');
+    }
+
+    // content.js stamps phaseTimings[phase].endedAt when a phase finishes
+    if (changes.phaseTimings) {
+        const before = changes.phaseTimings.oldValue || {};
+        const after = changes.phaseTimings.newValue || {};
+        const { targetPeriod } = await chrome.storage.local.get(['targetPeriod']);
+        for (const [phase, timing] of Object.entries(after)) {
+            if (!timing?.endedAt || timing.endedAt === before[phase]?.endedAt || !PHASE_COMPLETE_MESSAGES[phase]) continue;
+            const [title, message] = PHASE_COMPLETE_MESSAGES[phase];
+            await notify('phaseComplete', `✅ ${title}${targetPeriod ? ` (${targetPeriod})` : ''}`, message);
+        }
+    }
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+    if (!notificationId.startsWith('ssnit-')) return;
+    chrome.notifications.clear(notificationId);
+
+    chrome.storage.local.get(['automationTabId'], (data) => {
+        if (data.automationTabId == null) return;
+        chrome.tabs.update(data.automationTabId, { active: true }, (tab) => {
+            if (chrome.runtime.lastError || !tab) return; // Tab was closed
+            chrome.windows.update(tab.windowId, { focused: true });
+        });
+    });
+});
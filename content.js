@@ -6,6 +6,10 @@
  * - Phase 2: CAPTURE with comprehensive modal handling
  * - Phase 3: VALIDATION - submit captured CRs for processing
  * - Pause/Resume/Skip functionality
+ * - Every phase runs as a declarative state machine (PhaseEngine + PHASE_MACHINES)
+ * - Event-driven DOM waits (MutationObserver + network idle) instead of fixed sleeps
+ * - Portal selector health check that blocks phases whose pages no longer match
+ * - Page descriptors (descriptors.js) overridable from the options page
  * - Login detection and auto-resume
  * - Event-driven dashboard updates (no wasteful polling when idle)
  * 
@@ -17,7 +21,30 @@
 
 // ==================== UTILITIES ====================
 
+// Log entries outlive navigation: they are kept in `logEntries` (oldest first, LOG_ENTRIES_MAX kept).
+// Only the automation tab writes them - other portal tabs log to the console only
+const LOG_ENTRIES_MAX = 1500;
+const LOG_FLUSH_DELAY_MS = 300;
+const LOG_LEVELS = ['info', 'success', 'warn', 'error'];
+
+// Phase and ER stamped on each entry - kept current by PhaseEngine in the tab running a phase
+const logContext = { phase: null, er: null };
+
+let pendingLogEntries = [];
+let logFlushTimer = null;
+let logFlushChain = Promise.resolve();
+let logWriter = null; // Whether this tab writes `logEntries` - null until asked (again after automationTabId changes)
+
 function log(msg, type = 'info') {
+    pendingLogEntries.push({
+        at: Date.now(),
+        level: LOG_LEVELS.includes(type) ? type : 'info',
+        phase: logContext.phase,
+        er: logContext.er,
+        msg: String(msg)
+    });
+    if (!logFlushTimer) logFlushTimer = setTimeout(flushLogEntries, LOG_FLUSH_DELAY_MS);
+
     const styles = {
         info: 'color: #0066cc',
         success: 'color: #10b981; font-weight: bold',
@@ -27,7 +54,46 @@ function log(msg, type = 'info') {
     console.log(`%c[SSNIT] ${msg}`, styles[type] || styles.info);
 }
 
-function getSequence(yyyyMm) {
+/**
+ * Append queued log entries to `logEntries`
+ * Only the automation tab writes, so tabs can't overwrite each other's lines; within it,
+ * flushes run one after another so overlapping read-modify-writes can't drop lines either
+ * @returns {Promise<void>} Settles once everything queued so far is stored (or dropped, in another tab)
+ */
+function flushLogEntries() {
+    clearTimeout(logFlushTimer);
+    logFlushTimer = null;
+
+    logFlushChain = logFlushChain.then(async () => {
+        if (pendingLogEntries.length === 0) return;
+        if (logWriter === null) logWriter = await isAutomationTab();
+        const batch = pendingLogEntries;
+        pendingLogEntries = [];
+        if (!logWriter) return;
+
+        const data = await safeGet(['logEntries']);
+        if (!data) return; // Extension reloaded - nowhere to write
+        await safeSet({ logEntries: (data.logEntries || []).concat(batch).slice(-LOG_ENTRIES_MAX) });
+    });
+    return logFlushChain;
+}
+
+/**
+ * Stored log entries plus any not flushed yet, oldest first
+ */
+async function loadLogEntries() {
+    const data = await safeGet(['logEntries']);
+    return (data?.logEntries || []).concat(pendingLogEntries);
+}
+
+/**
+ * Portal labels ("JAN 2025") for the target period and the months before it
+ * @param {string} yyyyMm - Target period
+ * @param {number} lookback - Months of history to list (P1 and P2 are always included)
+ * @returns {{targetLabel: string, p1Label: string, p2Label: string, lookbackMonths: Array<{period: string, label: string}>}}
+ *          lookbackMonths is most recent first: P1, P2, P3, ...
+ */
+function getSequence(yyyyMm, lookback = 2) {
     const year = parseInt(yyyyMm.substring(0, 4));
     const month = parseInt(yyyyMm.substring(4, 6)) - 1;
     
@@ -35,11 +101,21 @@ function getSequence(yyyyMm) {
         month: 'short', 
         year: 'numeric' 
     }).toUpperCase();
+
+    const lookbackMonths = [];
+    for (let offset = 1; offset <= Math.max(lookback, 2); offset++) {
+        const d = new Date(year, month - offset);
+        lookbackMonths.push({
+            period: `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, '0')}`,
+            label: format(d)
+        });
+    }
     
     return {
         targetLabel: format(new Date(year, month)),
-        p1Label: format(new Date(year, month - 1)),
-        p2Label: format(new Date(year, month - 2))
+        p1Label: lookbackMonths[0].label,
+        p2Label: lookbackMonths[1].label,
+        lookbackMonths: lookbackMonths
     };
 }
 
@@ -99,6 +175,21 @@ async function safeSet(obj) {
     });
 }
 
+async function safeRemove(keys) {
+    return new Promise((resolve) => {
+        try {
+            if (typeof chrome === "undefined" || !chrome.runtime?.id) {
+                return resolve(false);
+            }
+            chrome.storage.local.remove(keys, () => {
+                resolve(!chrome.runtime.lastError);
+            });
+        } catch (e) {
+            resolve(false);
+        }
+    });
+}
+
 const wait = (ms) => new Promise(r => setTimeout(r, ms));
 
 // Minimum contribution threshold - employees below this require wage adjustment
@@ -133,12 +224,12 @@ function djb2Hash(str) {
  * Compute fingerprint of scraped results for change detection
  * Includes content (not just length) to detect edits
  */
-function computeScrapedFingerprint(scrapedResults) {
-    if (!scrapedResults || scrapedResults.length === 0) return 0;
+function computeScrapedFingerprint(employers) {
+    if (!employers || employers.length === 0) return 0;
 
-    const contentStr = scrapedResults.map(r => {
-        const p1 = r.p1Records?.find(p => p.type === 'NORMAL') || {};
-        return `${r.er}:${r.employerName}:${p1.lf || 0}:${p1.amt || 0}:${r.alreadyCaptured}:${r.continuityError}:${r.zeroCrError}:${r.isSelfCapture}`;
+    const contentStr = employers.map(e => {
+        const p1 = e.p1Records?.find(p => p.type === 'NORMAL') || {};
+        return `${e.er}:${e.name}:${p1.lf || 0}:${p1.amt || 0}:${e.baseline}:${e.captureStatus}:${e.continuityError}:${e.zeroCrError}:${e.isSelfCapture}:${hasOpenAnomalies(e)}`;
     }).join('|');
 
     return djb2Hash(contentStr);
@@ -213,45 +304,92 @@ function getPreviousMonthLabels(yyyymm) {
     ];
 }
 
+/**
+ * Portal month label to YYYYMM: "JAN 2025" / "SEPT 2024" / "January 2025" -> "202501"
+ * @returns {string|null} null when the text is not a month
+ */
+function parseMonthLabel(text) {
+    const match = normalizeMonthText(text).match(/^([a-z]+) (\d{4})$/);
+    if (!match) return null;
+
+    const months = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+        'august', 'september', 'october', 'november', 'december'];
+    const index = months.indexOf(match[1]);
+    return index >= 0 ? `${match[2]}${String(index + 1).padStart(2, '0')}` : null;
+}
+
+/**
+ * Move a YYYYMM period by a number of months: shiftPeriod('202501', -1) -> '202412'
+ */
+function shiftPeriod(yyyymm, delta) {
+    const d = new Date(parseInt(yyyymm.substring(0, 4)), parseInt(yyyymm.substring(4, 6)) - 1 + delta, 1);
+    return `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, '0')}`;
+}
+
 // ==================== UNIFIED EMPLOYER RECORD (Phase G Foundation) ====================
 
 /**
  * Unified Employer Record Structure
- * This is the target data model that consolidates all phase-specific arrays into a single structure.
- * Status fields allow filtering: employers.filter(e => e.captureStatus === 'pending')
+ * Every phase reads and writes the `employers` collection in storage: an object keyed by id,
+ * in scrape order. Phase queues (captureQueue, validationQueue, wageEditQueue) hold ids only.
+ * Status fields allow filtering: getEmployersByStatus(list, 'captureStatus', 'pending')
  *
  * @typedef {Object} UnifiedEmployer
  * @property {string} id - UUID generated at scrape time
  * @property {string} er - 9-digit employer number
  * @property {string} name - Employer name
  * @property {string} period - Target period (YYYYMM)
+ * @property {Object|null} hint - Imported name/expected LF/amount from the client list
+ * @property {string|null} baseline - Per-ER capture baseline (key of CAPTURE_BASELINES), null = run setting
+ * @property {Object|null} override - User-supplied capture values {lf, amt, origin: 'manual'|'edit', at}; the scraped records are left as read
  *
  * // Phase 1 - Scraping
  * @property {Array} p1Records - Previous month records [{period, type, lf, amt}]
  * @property {Array} p2Records - Month before previous
- * @property {number} scrapedAt - Timestamp when scraped
+ * @property {Object|null} carried - Backfill: {period, lf, amt} captured for P1 by this run but not on the report yet
+ * @property {Object} history - Every CR in the lookback window keyed by YYYYMM: {202501: [{period, type, lf, amt}]}
+ * @property {number} lookback - Months covered by `history` (a month with no key had no CRs)
+ * @property {Object} crMonths - CR types filed in every month on the portal, keyed by YYYYMM: {202501: ['NORMAL']}
+ * @property {number} pagesRead - Report table pages read for this ER
+ * @property {boolean} historyIncomplete - Paging stopped before the last report page (history may be partial)
+ * @property {number|null} scrapedAt - Timestamp when scraped (null for CRs picked up by force validation)
  * @property {boolean} continuityError - Missing P1/P2 data
  * @property {boolean} zeroCrError - Zero LF or amount in P1
  * @property {boolean} isSelfCapture - Globe icon detected
+ * @property {Array} anomalies - Rule hits from detectAnomalies: [{rule, message}]
+ * @property {boolean} anomaliesAccepted - User reviewed the anomalies and let the ER through to capture
  *
  * // Phase 2 - Capture
- * @property {string} captureStatus - pending|captured|failed|skipped|already_captured
- * @property {number} capturedAt - Timestamp when captured
+ * @property {Object|null} captureValues - {lf, amt, source} frozen when the ER was queued
+ * @property {Array} extraCaptures - Supplementary CRs captured after the NORMAL one: [{type, lf, amt, status, message, capturedAt}]
+ * @property {string} captureStatus - pending|captured|already_captured|error|failed|skipped|would_capture|dry_run_mismatch
+ * @property {number} capturedAt - Timestamp of the capture outcome
  * @property {string} captureMessage - Error or success message
  *
  * // Phase 3 - Validation
- * @property {string} validationStatus - pending|imported|submitted|validated|failed
- * @property {number} validatedAt - Timestamp when validated
+ * @property {string} validationStatus - pending|submitted|ctb_adjustment|error|failed|stuck|skipped
+ * @property {number} validatedAt - Timestamp of the validation outcome
+ * @property {string} validationMessage - Error or success message
  * @property {Array} ctbIssues - [{ssNumber, name, currentCtb, requiredAdjustment}]
  * @property {boolean} needsWageEdit - Requires wage adjustment
+ * @property {number} notFoundCount - Times the CR was missing from the unprocessed list
+ * @property {boolean} searchAttempted - Unprocessed list already re-read for the current lookup
  *
  * // Phase 3B - Wage Edit
- * @property {string} wageEditStatus - pending|edited|failed
+ * @property {string} wageEditStatus - pending|updated|not_found|stuck|skipped
  * @property {number} originalTotal - Total before adjustment
  * @property {number} adjustedTotal - Total after applying MIN_CTB
- * @property {number} wageEditedAt - Timestamp when edited
+ * @property {number} wageEditedAt - Timestamp of the wage edit outcome
+ * @property {string} wageEditMessage - Error or success message
  */
 
+// Capture outcomes grouped the way the dashboard and reports count them
+const CAPTURE_DONE_STATUSES = ['captured', 'already_captured'];
+const CAPTURE_FAILED_STATUSES = ['error', 'failed', 'skipped'];
+
+// Validation outcomes that count as failed (ctb_adjustment is routed to wage edit instead)
+const VALIDATION_FAILED_STATUSES = ['error', 'failed', 'stuck', 'skipped'];
+
 /**
  * Create a new unified employer record from scraped data
  * This function serves as a factory for the new data model
@@ -263,16 +401,29 @@ function createUnifiedEmployer(er, name, period, p1Records = [], p2Records = [])
         er: er,
         name: name,
         period: period,
+        hint: null,
+        baseline: null,
+        override: null,
 
         // Phase 1 - Scraping
         p1Records: p1Records,
         p2Records: p2Records,
+        carried: null,
+        history: {},
+        lookback: 0,
+        crMonths: {},
+        pagesRead: 0,
+        historyIncomplete: false,
         scrapedAt: Date.now(),
         continuityError: false,
         zeroCrError: false,
         isSelfCapture: false,
+        anomalies: [],
+        anomaliesAccepted: false,
 
         // Phase 2 - Capture
+        captureValues: null,
+        extraCaptures: [],
         captureStatus: 'pending',
         capturedAt: null,
         captureMessage: '',
@@ -280,14 +431,18 @@ function createUnifiedEmployer(er, name, period, p1Records = [], p2Records = [])
         // Phase 3 - Validation
         validationStatus: 'pending',
         validatedAt: null,
+        validationMessage: '',
         ctbIssues: [],
         needsWageEdit: false,
+        notFoundCount: 0,
+        searchAttempted: false,
 
         // Phase 3B - Wage Edit
         wageEditStatus: 'pending',
         originalTotal: 0,
         adjustedTotal: 0,
-        wageEditedAt: null
+        wageEditedAt: null,
+        wageEditMessage: ''
     };
 }
 
@@ -296,8 +451,6 @@ function createUnifiedEmployer(er, name, period, p1Records = [], p2Records = [])
  * Provides backwards compatibility during migration
  */
 function legacyToUnifiedEmployer(legacyResult, period) {
-    const p1Normal = legacyResult.p1Records?.find(r => r.type === 'NORMAL');
-
     const unified = createUnifiedEmployer(
         legacyResult.er,
         legacyResult.employerName,
@@ -308,6 +461,7 @@ function legacyToUnifiedEmployer(legacyResult, period) {
 
     // Copy legacy flags
     unified.id = legacyResult.id || generateUUID();
+    unified.hint = legacyResult.hint || null;
     unified.scrapedAt = legacyResult.scrapedAt || Date.now();
     unified.continuityError = legacyResult.continuityError || false;
     unified.zeroCrError = legacyResult.zeroCrError || false;
@@ -329,67 +483,580 @@ function getEmployersByStatus(employers, statusField, statusValue) {
     return (employers || []).filter(e => e[statusField] === statusValue);
 }
 
+/**
+ * Employers from the stored collection, in scrape order
+ */
+function getEmployerList(employers) {
+    return Object.values(employers || {});
+}
+
+/**
+ * Employers that went through scraping (excludes CRs added by force validation)
+ */
+function getScrapedEmployers(employers) {
+    return getEmployerList(employers).filter(e => e.scrapedAt);
+}
+
+/**
+ * Resolve a queue of ids to employer records, dropping ids that no longer exist
+ */
+function getEmployersByIds(employers, ids) {
+    return (ids || []).map(id => (employers || {})[id]).filter(Boolean);
+}
+
+function findEmployerByEr(employers, er) {
+    return getEmployerList(employers).find(e => e.er === er) || null;
+}
+
+// Queue and index keys of the phases that work through employer ids (scraping goes by currentER)
+const PHASE_QUEUE_KEYS = {
+    CAPTURE: ['captureQueue', 'currentCaptureIndex'],
+    VALIDATION: ['validationQueue', 'currentValidationIndex'],
+    WAGE_EDIT: ['wageEditQueue', 'currentWageEditIndex']
+};
+
+/**
+ * Employer record the phase in `data` is working on
+ * @param {Object} data - Stored state: phase, employers, currentER and the phase's queue/index keys
+ */
+function currentPhaseEmployer(data) {
+    const [queueKey, indexKey] = PHASE_QUEUE_KEYS[data?.phase] || [];
+    if (!queueKey) return findEmployerByEr(data?.employers, data?.currentER);
+    return (data.employers || {})[(data[queueKey] || [])[data[indexKey] || 0]] || null;
+}
+
+/**
+ * ER the phase in `data` is working on (while scraping, also before its record exists)
+ */
+function currentPhaseEr(data) {
+    if (!PHASE_QUEUE_KEYS[data?.phase]) return data?.currentER || null;
+    return currentPhaseEmployer(data)?.er || null;
+}
+
+// Where the LF/amount to capture comes from - chosen per run, overridable per ER
+const CAPTURE_BASELINES = {
+    p1: 'Previous month (P1)',
+    p2: 'Two months back (P2)',
+    average: 'Average of P1 and P2',
+    max: 'Higher of P1 and P2'
+};
+
+/**
+ * Work out the LF and amount to capture from the scraped NORMAL CRs
+ * A manual entry or dashboard edit is a user-supplied override and always wins ('custom').
+ * Average/max fall back to whichever month exists when only one was scraped.
+ * @param {UnifiedEmployer} employer
+ * @param {string} runBaseline - Key of CAPTURE_BASELINES used when the ER has no override
+ * @returns {{lf: number, amt: number, source: string}}
+ */
+function resolveCaptureValues(employer, runBaseline = 'p1') {
+    // Values typed in from the dashboard (manual entry or edit) replace whatever was scraped
+    if (employer.override) {
+        return { lf: employer.override.lf || 0, amt: employer.override.amt || 0, source: 'custom' };
+    }
+
+    // A backfill ER whose P1 was captured by this run (but isn't listed yet) uses what was captured
+    const p1 = employer.p1Records?.find(r => r.type === 'NORMAL') || employer.carried || undefined;
+    const p2 = employer.p2Records?.find(r => r.type === 'NORMAL');
+
+    const baseline = employer.baseline || runBaseline || 'p1';
+    const fromRecord = (record, source) => ({ lf: record?.lf || 0, amt: record?.amt || 0, source: source });
+
+    if (baseline === 'p2') return fromRecord(p2, 'p2');
+    if (baseline === 'p1' || !CAPTURE_BASELINES[baseline]) return fromRecord(p1, 'p1');
+    if (!p1 || !p2) return p1 ? fromRecord(p1, 'p1') : fromRecord(p2, 'p2');
+
+    if (baseline === 'max') {
+        return { lf: Math.max(p1.lf, p2.lf), amt: Math.max(p1.amt, p2.amt), source: 'max' };
+    }
+    return {
+        lf: Math.round((p1.lf + p2.lf) / 2),
+        amt: Math.round((p1.amt + p2.amt) * 50) / 100,
+        source: 'average'
+    };
+}
+
+/**
+ * LF and amount to capture - the values frozen when the ER was queued, otherwise resolved now
+ */
+function getCaptureValues(employer, runBaseline = 'p1') {
+    return employer.captureValues || resolveCaptureValues(employer, runBaseline);
+}
+
+function describeCaptureSource(source) {
+    return source === 'custom' ? 'User override' : (CAPTURE_BASELINES[source] || source || '');
+}
+
+/**
+ * Group the portal's CR type text: 'normal', 'supplementary', 'arrears' or 'other'
+ */
+function classifyCrType(type) {
+    const text = (type || '').toUpperCase();
+    if (text.includes('NORMAL')) return 'normal';
+    if (text.includes('SUPP')) return 'supplementary';
+    if (text.includes('ARREAR')) return 'arrears';
+    return 'other';
+}
+
+// Short dashboard tags for CR types other than NORMAL
+const CR_KIND_TAGS = { supplementary: 'SUPP', arrears: 'ARR' };
+
+/**
+ * Tags for every non-NORMAL CR type in a list of scraped records
+ */
+function renderCrTypeTags(records) {
+    const types = [...new Set((records || []).map(r => r.type).filter(type => classifyCrType(type) !== 'normal'))];
+    return types.map(type =>
+        `<span class="cr-type-tag" title="${escapeHtml(type)}">${escapeHtml(CR_KIND_TAGS[classifyCrType(type)] || type)}</span>`
+    ).join('');
+}
+
+/**
+ * Supplementary CRs of the previous month, repeated for the target period after the NORMAL CR
+ */
+function planExtraCaptures(employer) {
+    return (employer.p1Records || [])
+        .filter(r => classifyCrType(r.type) === 'supplementary' && r.lf > 0 && r.amt > 0)
+        .map(r => ({ type: r.type, lf: r.lf, amt: r.amt, status: 'pending', message: '', capturedAt: null }));
+}
+
+/**
+ * Resolve and store the capture values of every queued ER so later phases and reports
+ * see exactly what was entered, whatever the baseline setting is changed to afterwards
+ * @param {boolean} captureSupplementary - Also plan the ER's supplementary CRs (`extraCaptures`)
+ */
+function freezeCaptureValues(employers, queue, runBaseline, captureSupplementary = false) {
+    queue.forEach(id => {
+        employers[id].captureValues = resolveCaptureValues(employers[id], runBaseline);
+        employers[id].extraCaptures = captureSupplementary ? planExtraCaptures(employers[id]) : [];
+    });
+}
+
+/**
+ * The CR still to be captured for a queued ER: the NORMAL CR first, then its planned supplementary CRs
+ * @returns {{type: string, extraIndex: number, lf: number, amt: number}|null} extraIndex is -1 for the NORMAL CR
+ */
+function getPendingCapture(employer, runBaseline) {
+    if (employer.captureStatus === 'pending') {
+        const { lf, amt } = getCaptureValues(employer, runBaseline);
+        return { type: 'NORMAL', extraIndex: -1, lf, amt };
+    }
+
+    const extraIndex = (employer.extraCaptures || []).findIndex(x => x.status === 'pending');
+    if (extraIndex < 0) return null;
+    const extra = employer.extraCaptures[extraIndex];
+    return { type: extra.type, extraIndex, lf: extra.lf, amt: extra.amt };
+}
+
+/**
+ * Scrape checks passed and still waiting to be captured
+ */
+function isCaptureCandidate(employer, runBaseline = 'p1') {
+    const { lf, amt } = getCaptureValues(employer, runBaseline);
+    return employer.captureStatus === 'pending' && !!employer.scrapedAt &&
+        !employer.continuityError && !employer.zeroCrError && !employer.isSelfCapture && !hasOpenAnomalies(employer) &&
+        lf > 0 && amt > 0;
+}
+
+/**
+ * Wage adjustment found during validation and not yet attempted
+ */
+function isAwaitingWageEdit(employer) {
+    return employer.needsWageEdit && employer.wageEditStatus === 'pending';
+}
+
+/**
+ * Merge changes into one stored employer record
+ * @returns {Promise<UnifiedEmployer|null>} The updated record
+ */
+async function updateEmployer(id, changes) {
+    const data = await safeGet(['employers']);
+    const employers = data?.employers || {};
+    if (!employers[id]) return null;
+
+    employers[id] = { ...employers[id], ...changes };
+    await safeSet({ employers });
+    return employers[id];
+}
+
+/**
+ * Schema v1 -> v2: upgrade an in-flight run from the parallel-array state
+ * (scrapedResults, capturedErs, validationResults, needsWageEdit, ...) to `employers`
+ */
+async function migrateLegacyRunState() {
+    const legacyKeys = [
+        'scrapedResults', 'captureQueue', 'capturedErs', 'failedErs', 'dryRunErs', 'captureResults',
+        'validationQueue', 'validatedErs', 'validationFailedErs', 'validationResults',
+        'needsWageEdit', 'wageEditQueue', 'wageEditResults', 'targetPeriod', 'employers'
+    ];
+    const data = await safeGet(legacyKeys);
+    if (!data || data.employers || !Array.isArray(data.scrapedResults)) return;
+
+    const period = data.targetPeriod;
+    const employers = {};
+    data.scrapedResults.forEach(res => {
+        const employer = legacyToUnifiedEmployer(res, period);
+        employers[employer.id] = employer;
+    });
+
+    const idForEr = (er, name) => {
+        const existing = findEmployerByEr(employers, er);
+        if (existing) return existing.id;
+        // Force validation picked up CRs that were never scraped
+        const employer = createUnifiedEmployer(er, name || 'Unknown', period);
+        employer.scrapedAt = null;
+        employers[employer.id] = employer;
+        return employer.id;
+    };
+
+    const captureQueue = (data.captureQueue || []).map(item => idForEr(item.er, item.name));
+    Object.entries(data.captureResults || {}).forEach(([er, outcome]) => {
+        Object.assign(employers[idForEr(er)], {
+            captureStatus: outcome.result === 'success' ? 'captured' : outcome.result,
+            capturedAt: outcome.timestamp || null,
+            captureMessage: outcome.message || ''
+        });
+    });
+
+    const validationQueue = (data.validationQueue || []).map(item => {
+        const id = idForEr(item.er, item.name);
+        employers[id].notFoundCount = item.notFoundCount || 0;
+        employers[id].searchAttempted = item.searchAttempted === true;
+        return id;
+    });
+    Object.entries(data.validationResults || {}).forEach(([er, outcome]) => {
+        Object.assign(employers[idForEr(er)], {
+            validationStatus: outcome.result,
+            validatedAt: outcome.timestamp || null,
+            validationMessage: outcome.message || ''
+        });
+    });
+
+    const applyWageItem = (item) => {
+        const id = idForEr(item.er, item.name);
+        Object.assign(employers[id], {
+            needsWageEdit: true,
+            ctbIssues: item.ctbIssues || [],
+            originalTotal: item.currentTotal || 0,
+            adjustedTotal: item.adjustedTotal || 0,
+            wageEditStatus: item.editResult || 'pending',
+            wageEditedAt: item.editTimestamp || null,
+            wageEditMessage: item.editMessage || '',
+            searchAttempted: item.searchAttempted === true
+        });
+        return id;
+    };
+    (data.wageEditResults || []).forEach(applyWageItem);
+    (data.needsWageEdit || []).forEach(applyWageItem);
+    const wageEditQueue = (data.wageEditQueue || []).map(applyWageItem);
+
+    await safeSet({ employers, captureQueue, validationQueue, wageEditQueue });
+    await safeRemove([
+        'scrapedResults', 'capturedErs', 'failedErs', 'dryRunErs', 'captureResults',
+        'validatedErs', 'validationFailedErs', 'validationResults', 'needsWageEdit', 'wageEditResults'
+    ]);
+
+    log(`Migrated in-flight run to unified employer records (${Object.keys(employers).length} employers)`, 'success');
+}
+
+/**
+ * Schema v2 -> v3: fold the per-phase sub-state fields (awaitingResponse, validationState,
+ * wageEditState, ...) into the phase engine's machineState
+ */
+async function migratePhaseSubStates() {
+    const legacyKeys = ['phase', 'awaitingResponse', 'lastSubmitTime', 'validationState', 'validationSubmitTime', 'wageEditState'];
+    const data = await safeGet(legacyKeys);
+    if (!data) return;
+
+    let machineState = null;
+    if (data.phase === 'CAPTURE' && data.awaitingResponse) {
+        machineState = { ...createMachineState('CAPTURE', 'awaiting_response'), enteredAt: data.lastSubmitTime || Date.now() };
+    } else if (data.phase === 'VALIDATION') {
+        const state = {
+            force_scan: 'force_scan', imported: 'check_ctb', ctb_checked: 'submit', submitted_awaiting: 'awaiting_result'
+        }[data.validationState];
+        if (state) {
+            machineState = { ...createMachineState('VALIDATION', state), enteredAt: data.validationSubmitTime || Date.now() };
+        }
+    } else if (data.phase === 'WAGE_EDIT' && data.wageEditState === 'navigating_to_edit') {
+        machineState = createMachineState('WAGE_EDIT', 'edit_total');
+    }
+
+    // No machineState: the engine starts the current item from its phase's initial state
+    await safeSet({ machineState });
+    await safeRemove(legacyKeys.filter(key => key !== 'phase'));
+}
+
+/**
+ * Schema v3 -> v4: MANUAL/EDITED NORMAL records in p1Records become the employer's `override`
+ * (an EDITED record had already replaced the scraped P1, so there is nothing to restore)
+ */
+async function migrateCaptureOverrides() {
+    const data = await safeGet(['employers']);
+    if (!data?.employers) return;
+
+    Object.values(data.employers).forEach(employer => {
+        const marked = (employer.p1Records || []).find(r => r.type === 'NORMAL' && ['MANUAL', 'EDITED'].includes(r.period));
+        employer.override = marked
+            ? { lf: marked.lf, amt: marked.amt, origin: marked.period === 'MANUAL' ? 'manual' : 'edit', at: null }
+            : (employer.override || null);
+        if (marked) employer.p1Records = employer.p1Records.filter(r => r !== marked);
+    });
+
+    await safeSet({ employers: data.employers });
+}
+
+// ==================== STORAGE SCHEMA ====================
+
+// SCHEMA_VERSION (descriptors.js) is the shape of the run state; STATE_MIGRATIONS brings older state up to it
+
+// Keys that outlive a run - left alone when unreadable run state is archived
+const PERSISTENT_STORAGE_KEYS = [
+    'portfolios', 'runHistory', 'activePortfolioId', 'autoPostAfterValidation', 'captureDryRun',
+    'automationTabId', 'schemaVersion', 'stateQuarantine', 'auditJournal', 'anomalyThresholds',
+    'selectorHealth', 'descriptorOverrides', 'domSnapshots', 'logEntries', 'notificationSettings'
+];
+// Archived copies of unreadable run state - a copy is as large as the run it replaced
+const STATE_QUARANTINE_MAX = 3;
+const STATE_QUARANTINE_MAX_BYTES = 1024 * 1024;
+const KNOWN_PHASES = ['IDLE', 'SCRAPING', 'CAPTURE', 'VALIDATION', 'WAGE_EDIT', 'COMPLETE'];
+
+/**
+ * Upgrades keyed by the version they start from - each one moves the state up exactly one version
+ */
+const STATE_MIGRATIONS = {
+    1: migrateLegacyRunState,
+    2: migratePhaseSubStates,
+    3: migrateCaptureOverrides
+};
+
+/**
+ * Structural checks on current-version run state
+ * @returns {string[]} Problems found (empty when the phase loops can safely read the state)
+ */
+function validateRunState(state) {
+    const problems = [];
+    const isIdList = (value) => Array.isArray(value) && value.every(id => typeof id === 'string');
+
+    if (state.phase !== undefined && !KNOWN_PHASES.includes(state.phase)) {
+        problems.push(`unknown phase "${state.phase}"`);
+    }
+
+    if (state.employers !== undefined) {
+        if (!state.employers || typeof state.employers !== 'object' || Array.isArray(state.employers)) {
+            problems.push('employers is not a collection');
+        } else {
+            const broken = Object.entries(state.employers)
+                .filter(([id, emp]) => !emp || emp.id !== id || typeof emp.er !== 'string');
+            if (broken.length > 0) problems.push(`${broken.length} malformed employer record(s)`);
+        }
+    }
+
+    ['captureQueue', 'validationQueue', 'wageEditQueue'].forEach(key => {
+        if (state[key] !== undefined && !isIdList(state[key])) problems.push(`${key} is not a list of employer ids`);
+    });
+
+    if (state.erQueue !== undefined && !Array.isArray(state.erQueue)) {
+        problems.push('erQueue is not a list');
+    }
+
+    ['currentCaptureIndex', 'currentValidationIndex', 'currentWageEditIndex'].forEach(key => {
+        if (state[key] !== undefined && !(Number.isInteger(state[key]) && state[key] >= 0)) {
+            problems.push(`${key} is not a valid index`);
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Move unreadable run state aside into `stateQuarantine` and reset to IDLE
+ * Portfolios, history and settings are kept; the archived copy can be inspected from storage.
+ * Older copies are dropped once the archive passes STATE_QUARANTINE_MAX_BYTES (the newest is always kept)
+ */
+async function quarantineRunState(fromVersion, reason) {
+    const all = await safeGet(null);
+    if (!all) return;
+
+    const runKeys = Object.keys(all).filter(key => !PERSISTENT_STORAGE_KEYS.includes(key));
+    const state = {};
+    runKeys.forEach(key => { state[key] = all[key]; });
+
+    let quarantine = [
+        { archivedAt: Date.now(), fromVersion: fromVersion, reason: reason, state: state },
+        ...(all.stateQuarantine || [])
+    ].slice(0, STATE_QUARANTINE_MAX);
+
+    while (quarantine.length > 1 && JSON.stringify(quarantine).length > STATE_QUARANTINE_MAX_BYTES) {
+        quarantine = quarantine.slice(0, -1);
+    }
+
+    await safeRemove(runKeys);
+    await safeSet({ stateQuarantine: quarantine, schemaVersion: SCHEMA_VERSION, phase: 'IDLE' });
+    log(`Unreadable run state archived (${reason}) - automation reset to IDLE`, 'error');
+}
+
+/**
+ * Bring stored state up to SCHEMA_VERSION before any phase reads it
+ * Runs each registered migration in order; state that cannot be migrated or fails
+ * validation is quarantined so the phase loops start from a clean IDLE
+ */
+async function ensureStateSchema() {
+    const data = await safeGet(['schemaVersion']);
+    if (!data) return;
+
+    let version = data.schemaVersion || 1;
+    if (version > SCHEMA_VERSION) {
+        await quarantineRunState(version, `state written by a newer build (schema v${version})`);
+        return;
+    }
+
+    try {
+        while (version < SCHEMA_VERSION) {
+            const migrate = STATE_MIGRATIONS[version];
+            if (!migrate) throw new Error(`no migration from schema v${version}`);
+            await migrate();
+            version++;
+            await safeSet({ schemaVersion: version });
+            log(`Storage schema upgraded to v${version}`, 'info');
+        }
+
+        const problems = validateRunState(await safeGet(null) || {});
+        if (problems.length > 0) throw new Error(problems.join('; '));
+    } catch (e) {
+        await quarantineRunState(version, e.message);
+    }
+}
+
 // ==================== PAGE DESCRIPTORS ====================
 
 /**
- * Page descriptors define selectors and elements for each portal page
- * This abstracts away DOM specifics and makes the code more maintainable
- */
-const PAGE_DESCRIPTORS = {
-    viewCrsReport: {
-        urlPattern: '/view_crs/report',
-        table: '#mytable',
-        erColumn: 2,
-        nameColumn: 3,
-        periodColumn: 8,
-        typeColumn: 5,
-        lfColumn: 6,
-        amtColumn: 10,
-        erInput: 'input[placeholder="ER Number"], input[data-v-6d729868]',
-        searchButton: { text: 'SEARCH' }
-    },
+ * Working copy of the page descriptors: the built-ins from descriptors.js with the
+ * user's overrides (options page) merged over them by PageOps.applyDescriptorOverrides
+ */
+const PAGE_DESCRIPTORS = mergeDescriptorOverrides({});
 
-    receiveEmployer: {
-        urlPattern: '/receive/employer',
-        erInput: 'input[maxlength="9"].form-control:not(#changeER)',
-        continueButton: '#addToTable'
-    },
+// ==================== DOM WAITS ====================
 
-    receiveCapture: {
-        urlPattern: '/receive/capture',
-        periodInputs: 'input[placeholder*="YYYYMM"]',
-        mediaRadio: 'input[name="sub_media"][value="1"]',
-        modeRadio: 'input[name="sub_mod"][value="2"]',
-        lfInput: '#no_employees',
-        submitButton: '#addToTable2',
-        headerTitle: 'h4.text-info'
-    },
+/**
+ * Waiting layer: resolve as soon as the portal's DOM shows what we are waiting for,
+ * instead of sleeping for a fixed time. Every wait has its own timeout and resolves
+ * (never rejects), so callers decide what a timeout means for their step.
+ */
 
-    viewCrsUnprocessed: {
-        urlPattern: '/view_crs/unprocessed',
-        table: 'table.table',
-        erColumn: 1, // ER is typically in column index 1-2, will search dynamically
-        dataEntryLink: 'a[href*="data-entry"]',
-        editPrivateLink: 'a[href*="edit-private"]'
-    },
+const DEFAULT_WAIT_TIMEOUT_MS = 10000;
+const FORM_SETTLE_MS = 3000; // Dropdowns, modals and buttons reacting to a form action
+const NETWORK_IDLE_MS = 500; // No portal requests finishing for this long = idle
+
+// Loading overlays/spinners the portal shows while a request is running
+const BUSY_INDICATOR_SELECTOR = '.vld-overlay, .spinner-border, .fa-spin, .loading';
 
-    dataEntry: {
-        urlPattern: '/data-entry',
-        importButton: { text: 'import' },
-        submitButton: { text: 'submit', contains: 'validation' },
-        employeeTable: 'table.table-striped',
-        ctbColumn: 7, // Contribution column (0-indexed)
-        autoPostCheckbox: 'input[type="checkbox"]#checkbox2, input[type="checkbox"][name="checkboxInline"]'
+/**
+ * True for nodes inside our own dashboard - its re-renders are not portal activity
+ */
+function isDashboardNode(node) {
+    const el = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+    return !!el?.closest?.('#ssnit-automation-container');
+}
+
+/**
+ * Tracks when the portal last finished a fetch/XHR (Resource Timing is visible to content
+ * scripts, page-world fetch/XHR are not). A request still in flight has no entry yet,
+ * so the portal's loading indicators are checked too.
+ */
+const NetworkMonitor = {
+    lastActivity: Date.now(),
+    observer: null,
+
+    start() {
+        if (this.observer || typeof PerformanceObserver === 'undefined') return;
+        try {
+            this.observer = new PerformanceObserver(list => {
+                if (list.getEntries().some(e => e.initiatorType === 'fetch' || e.initiatorType === 'xmlhttprequest')) {
+                    this.lastActivity = Date.now();
+                }
+            });
+            this.observer.observe({ type: 'resource' });
+        } catch (e) {
+            this.observer = null;
+        }
     },
 
-    editPrivate: {
-        urlPattern: '/receive/edit-private',
-        totalContributionLabel: 'total contribution',
-        updateButton: { text: 'update' },
-        headerTitle: 'h3.text-info, h4.text-info'
+    /**
+     * @param {number} idleMs - Quiet period required
+     * @param {number} since - Count the quiet period from no earlier than this (e.g. a click)
+     */
+    isIdle(idleMs = NETWORK_IDLE_MS, since = 0) {
+        if (Date.now() - Math.max(this.lastActivity, since) < idleMs) return false;
+        return !Array.from(document.querySelectorAll(BUSY_INDICATOR_SELECTOR))
+            .some(el => el.offsetParent !== null && !isDashboardNode(el));
     }
 };
 
+/**
+ * Resolve with the first truthy value of `check`, re-checking whenever the portal's DOM changes
+ * @param {Function} check - () => value; truthy ends the wait
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise<*>} check()'s value, or null on timeout
+ */
+function waitForCondition(check, timeoutMs = DEFAULT_WAIT_TIMEOUT_MS) {
+    const safeCheck = () => {
+        try {
+            return check();
+        } catch (e) {
+            return null;
+        }
+    };
+
+    return new Promise(resolve => {
+        const initial = safeCheck();
+        if (initial) {
+            resolve(initial);
+            return;
+        }
+
+        let timer = null;
+        const observer = new MutationObserver(mutations => {
+            if (mutations.every(m => isDashboardNode(m.target))) return;
+            const value = safeCheck();
+            if (value) finish(value);
+        });
+        const finish = value => {
+            observer.disconnect();
+            clearTimeout(timer);
+            resolve(value);
+        };
+
+        observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+        timer = setTimeout(() => finish(safeCheck() || null), timeoutMs);
+    });
+}
+
+/**
+ * Resolve once the portal has been quiet (no requests finishing, no loading indicator)
+ * for idleMs, counted from the call - so a request the caller just triggered gets a chance
+ * to start before the page counts as idle
+ * @returns {Promise<boolean>} false on timeout
+ */
+function waitForNetworkIdle(timeoutMs = DEFAULT_WAIT_TIMEOUT_MS, idleMs = NETWORK_IDLE_MS) {
+    return new Promise(resolve => {
+        const started = Date.now();
+        const poll = () => {
+            if (NetworkMonitor.isIdle(idleMs, started)) resolve(true);
+            else if (Date.now() - started >= timeoutMs) resolve(false);
+            else setTimeout(poll, 100);
+        };
+        poll();
+    });
+}
+
+/**
+ * Text of a table's body - changes whenever the table re-renders with different rows
+ */
+function tableSnapshot(selector) {
+    return document.querySelector(selector)?.querySelector('tbody')?.innerText ?? null;
+}
+
 // ==================== PAGEOPS ABSTRACTION LAYER ====================
 
 /**
@@ -410,12 +1077,33 @@ const PageOps = {
         return null;
     },
 
+    /**
+     * Merge the user's descriptor overrides (options page) over the built-in descriptors
+     * Invalid entries are logged and the built-in value is kept
+     * @param {Object} overrides - Stored descriptorOverrides ({pageName: {key: value}})
+     */
+    applyDescriptorOverrides(overrides) {
+        const merged = mergeDescriptorOverrides(overrides);
+        Object.keys(merged).forEach(page => Object.assign(PAGE_DESCRIPTORS[page], merged[page]));
+
+        const { valid, problems } = validateDescriptorOverrides(overrides || {});
+        problems.forEach(problem => log(`Ignoring descriptor override - ${problem}`, 'warn'));
+        const count = Object.values(valid).reduce((sum, entries) => sum + Object.keys(entries).length, 0);
+        if (count > 0) log(`${count} page descriptor override(s) active`, 'info');
+    },
+
+    async loadDescriptorOverrides() {
+        const data = await safeGet(['descriptorOverrides']);
+        this.applyDescriptorOverrides(data?.descriptorOverrides);
+    },
+
     /**
      * Find a button by text content (case-insensitive, partial match supported)
      * @param {Object} matcher - { text: string, contains?: string }
+     * @param {boolean} includeDisabled - Also match disabled buttons
      * @returns {HTMLElement|null}
      */
-    findButton(matcher) {
+    findButton(matcher, includeDisabled = false) {
         if (!matcher) return null;
 
         const buttons = Array.from(document.querySelectorAll('button'));
@@ -423,7 +1111,7 @@ const PageOps = {
             const text = (btn.textContent || '').toLowerCase();
             if (matcher.text && !text.includes(matcher.text.toLowerCase())) return false;
             if (matcher.contains && !text.includes(matcher.contains.toLowerCase())) return false;
-            return !btn.disabled;
+            return includeDisabled || !btn.disabled;
         }) || null;
     },
 
@@ -577,9 +1265,9 @@ const PageOps = {
             }
         }
 
-        // Check 6: Unknown modal
+        // Check 6: Unknown modal (the data entry import dialog is a form the validation phase fills in)
         for (const container of alertContainers) {
-            if (container.offsetParent === null) continue;
+            if (container.offsetParent === null || this.isImportDialog(container)) continue;
             const message = container.querySelector('.custom-alert-message')?.innerText ||
                            container.querySelector('.custom-alert-title')?.innerText ||
                            'Unknown modal';
@@ -589,6 +1277,14 @@ const PageOps = {
         return { type: null, element: null, message: '' };
     },
 
+    /**
+     * The data entry page's "Import Contribution Transactions" dialog
+     * @param {HTMLElement} container - A .custom-alert-container
+     */
+    isImportDialog(container) {
+        return !!container?.querySelector('.custom-alert-title h3')?.textContent?.includes('Import Contribution Transactions');
+    },
+
     /**
      * Set Vue input value with proper event dispatch
      * Uses blur → wait → focus → inject → blur → wait protocol
@@ -660,6 +1356,86 @@ const PageOps = {
 
         await wait(100);
         return radio.checked;
+    },
+
+    /**
+     * Pick the largest page size a table offers ("All" / -1 wins)
+     * @param {string} selector - CSS selector for the page-size <select>
+     * @returns {boolean} true if the page size was changed (the table will re-render)
+     */
+    maximizePageSize(selector) {
+        const select = selector ? document.querySelector(selector) : null;
+        if (!select || !select.options?.length) return false;
+
+        const options = Array.from(select.options);
+        const best = options.find(o => parseInt(o.value) === -1 || /^all$/i.test(o.text.trim())) ||
+            options.reduce((max, o) => (parseInt(o.value) || 0) > (parseInt(max.value) || 0) ? o : max);
+
+        if (select.value === best.value) return false;
+        setNativeValue(select, best.value);
+        return true;
+    },
+
+    /**
+     * Find an enabled "next page" control for a paged table
+     * @param {string} selector - CSS selector for the next-page control(s)
+     * @returns {HTMLElement|null} null on the last page or when the table isn't paged
+     */
+    findNextPageButton(selector) {
+        if (!selector) return null;
+
+        return Array.from(document.querySelectorAll(selector)).find(el =>
+            !el.disabled &&
+            !el.classList.contains('disabled') &&
+            !el.closest('.disabled') &&
+            el.getAttribute('aria-disabled') !== 'true'
+        ) || null;
+    },
+
+    /**
+     * Wait for a visible element matching a selector
+     * @returns {Promise<HTMLElement|null>} null on timeout
+     */
+    waitForSelector(selector, timeoutMs = DEFAULT_WAIT_TIMEOUT_MS) {
+        return waitForCondition(() =>
+            Array.from(document.querySelectorAll(selector)).find(el => el.offsetParent !== null && !isDashboardNode(el)),
+            timeoutMs
+        );
+    },
+
+    /**
+     * Wait for any portal modal (consent, receipt, error, success...)
+     * @returns {Promise<Object|null>} detectModal() result, or null on timeout
+     */
+    waitForModal(timeoutMs = DEFAULT_WAIT_TIMEOUT_MS) {
+        return waitForCondition(() => {
+            const modal = this.detectModal();
+            return modal.type ? modal : null;
+        }, timeoutMs);
+    },
+
+    /**
+     * Wait for a table to show a given ER in its first row (search results for that ER)
+     * @returns {Promise<boolean>} false on timeout
+     */
+    async waitForTableER(tableSelector, erColumnIndex, er, timeoutMs = DEFAULT_WAIT_TIMEOUT_MS) {
+        const found = await waitForCondition(() =>
+            document.querySelector(`${tableSelector} tbody tr`)?.cells[erColumnIndex]?.innerText?.trim() === er,
+            timeoutMs
+        );
+        return !!found;
+    },
+
+    /**
+     * Wait for a table to re-render with different rows than a tableSnapshot() taken before
+     * @returns {Promise<boolean>} false on timeout
+     */
+    async waitForTableChange(tableSelector, before, timeoutMs = DEFAULT_WAIT_TIMEOUT_MS) {
+        const changed = await waitForCondition(() => {
+            const now = tableSnapshot(tableSelector);
+            return now !== null && now !== before;
+        }, timeoutMs);
+        return !!changed;
     }
 };
 
@@ -741,13 +1517,14 @@ async function selectVueOption(labelHint, targetText) {
         
         if (!targetContainer) return false;
 
+        const optionSelector = '.vs__dropdown-menu li, .vs__dropdown-option, .dropdown-menu li';
         const toggle = targetContainer.querySelector('.dropdown-toggle, .v-select');
         if (toggle) {
             toggle.click();
-            await wait(600);
+            await PageOps.waitForSelector(optionSelector, FORM_SETTLE_MS);
         }
 
-        const options = Array.from(document.querySelectorAll('.vs__dropdown-menu li, .vs__dropdown-option, .dropdown-menu li'));
+        const options = Array.from(document.querySelectorAll(optionSelector));
         const choice = options.find(opt => (opt.innerText || '').trim().toUpperCase() === targetText.toUpperCase());
         
         if (choice) {
@@ -787,15 +1564,81 @@ function isLoginPage() {
 }
 
 
+// ==================== TABLE PAGING ====================
+
+const MAX_TABLE_PAGES = 50;
+const MAX_PAGE_WAIT_TICKS = 5; // Loop ticks to wait for a table to move after clicking next
+const PAGE_TURN_TIMEOUT_MS = 8000; // Per page: how long a re-render may take before the tick gives up
+
+/**
+ * State for one walk through a paged table; the caller keeps it between loop ticks
+ * @param {string} key - What is being walked (ER, phase...) - a different key means a fresh walk
+ */
+function createTablePager(key) {
+    return { key, rows: [], pageKeys: [], sizeChecked: false, awaitingPage: false, waitTicks: 0 };
+}
+
+/**
+ * Walk a paged table: maximise the page size first, then read the visible page and click
+ * "next" until the last page has been read, waiting for each page to render. A page that
+ * is slow to render ends the tick; the next tick picks the walk up where it stopped.
+ * @param {Object} pager - From createTablePager
+ * @param {{table: string, pageSizeSelect: string, nextPageButton: string}} desc - Page descriptor
+ * @param {Function} parseRow - row => record, or null for rows to ignore
+ * @returns {Promise<{rows: Array, pages: number, complete: boolean}|null>} null while still paging
+ */
+async function walkTablePages(pager, desc, parseRow) {
+    // Fewer, bigger pages
+    if (!pager.sizeChecked) {
+        pager.sizeChecked = true;
+        const before = tableSnapshot(desc.table);
+        if (PageOps.maximizePageSize(desc.pageSizeSelect)) {
+            log(`Table page size maximised (${pager.key})`, 'info');
+            if (!await PageOps.waitForTableChange(desc.table, before, PAGE_TURN_TIMEOUT_MS)) return null;
+            await waitForNetworkIdle(PAGE_TURN_TIMEOUT_MS);
+        }
+    }
+
+    while (true) {
+        const table = document.querySelector(desc.table);
+        const rows = table ? Array.from(table.querySelectorAll('tbody tr')).map(parseRow).filter(Boolean) : [];
+
+        const pageKey = JSON.stringify(rows);
+        const isNewPage = !(pager.awaitingPage && rows.length === 0) && !pager.pageKeys.includes(pageKey);
+
+        if (isNewPage) {
+            pager.pageKeys.push(pageKey);
+            pager.rows.push(...rows);
+            pager.awaitingPage = false;
+            pager.waitTicks = 0;
+        } else if (pager.awaitingPage) {
+            // Next was clicked but the table still shows the previous page (or is loading)
+            if (++pager.waitTicks < MAX_PAGE_WAIT_TICKS) return null;
+            log(`Table did not advance past page ${pager.pageKeys.length} (${pager.key}) - results may be incomplete`, 'warn');
+            return { rows: pager.rows, pages: pager.pageKeys.length, complete: false };
+        }
+
+        const nextBtn = PageOps.findNextPageButton(desc.nextPageButton);
+        if (!nextBtn) return { rows: pager.rows, pages: pager.pageKeys.length, complete: true };
+
+        if (pager.pageKeys.length >= MAX_TABLE_PAGES) {
+            log(`Stopped paging after ${MAX_TABLE_PAGES} pages (${pager.key}) - results may be incomplete`, 'warn');
+            return { rows: pager.rows, pages: pager.pageKeys.length, complete: false };
+        }
+
+        log(`Reading table page ${pager.pageKeys.length + 1} (${pager.key})`, 'info');
+        const before = tableSnapshot(desc.table);
+        nextBtn.click();
+        pager.awaitingPage = true;
+        if (!await PageOps.waitForTableChange(desc.table, before, PAGE_TURN_TIMEOUT_MS)) return null;
+        await waitForNetworkIdle(PAGE_TURN_TIMEOUT_MS);
+    }
+}
+
+
 // ==================== GLOBAL STATE ====================
 
 let isPaused = false;
-let scrapingStarted = false;
-let extractionInProgress = false;
-let captureInProgress = false;
-let captureInterval = null;
-let stuckCounter = 0;
-const MAX_STUCK_COUNT = 5; // After 5 cycles with no progress, take action
 
 // Track which ER is currently being edited (to prevent UI refresh from overwriting)
 let currentlyEditingER = null;
@@ -806,153 +1649,467 @@ let userInteractingWithDashboard = false;
 // Store hash of last rendered data to avoid unnecessary re-renders
 let lastDataHash = null;
 
+// Which dashboard tab is showing ('run' | 'report')
+let activeDashboardTab = 'run';
 
-// ==================== PHASE 1: SCRAPING (NO RELOAD VERSION) ====================
 
-// Scraping interval reference for the continuous loop
-let scrapingInterval = null;
+// ==================== PHASE ENGINE ====================
 
 /**
- * Start the scraping phase - runs as a continuous async loop WITHOUT page reloads
- * This fixes issues #1 (progress bar), #2 (pause/login), and #11 (multi-tab sync)
+ * Every automation phase runs as a declarative state machine on one shared loop.
+ *
+ * A machine (see PHASE_MACHINES) declares:
+ *   tickMs       - Fallback loop interval; the engine also ticks as soon as the portal's DOM
+ *                  changes or the machine moves to a new state
+ *   homeUrl      - Where the phase starts an item; used when a state's page guard keeps failing
+ *   initial      - State every new work item starts in
+ *   keys         - Storage keys handed to the hooks and actions as ctx.data
+ *   item         - data => key of the current work item; a new key restarts the machine at `initial`
+ *   isComplete   - (data, machine) => true once the phase is done; onComplete(ctx) then runs once
+ *   prepare      - Optional ctx => true when it handled the tick (queue setup, skipping finished items)
+ *   interrupt    - Optional ctx => true when it handled the tick (portal modals)
+ *   stuckAfterMs - An item that makes no progress for this long is handed to onStuck(ctx)
+ *   skip         - User-initiated skip of the current item
+ *   states       - {name: {page, action, timeoutMs, onTimeout, on: {event: nextState}}}
+ *                  A state's timeout is extended (up to NETWORK_GRACE_FACTOR times) while the
+ *                  portal still has requests running, so a slow response isn't treated as stuck.
+ *
+ * Actions receive ctx ({data, machine, go}) and return an event (or nothing to stay put).
+ * Events map to the next state through the state's `on` table. Call `await ctx.go(event)`
+ * before anything that navigates away, so the new state is stored before the page unloads.
+ * The machine's position is stored as machineState, so a reload resumes where it left off.
  */
-async function runScrapingPhase(currentER) {
-    if (scrapingStarted) return;
-    scrapingStarted = true;
 
-    log(`Starting scraping loop for ER: ${currentER}`);
+// Machine definitions - each phase section registers its own
+const PHASE_MACHINES = {};
+
+const OFF_PAGE_TICKS = 3; // Ticks a state may spend away from its page before the item restarts
+const ITEM_STUCK_MS = 3 * 60 * 1000;
+const DOM_TICK_DELAY_MS = 150; // Tick this soon after a portal DOM change or a state change
+const TICK_ECHO_MS = 500; // DOM changes right after a tick are mostly its own doing
+const NETWORK_GRACE_FACTOR = 3;
 
-    // Run the scraping loop
-    runScrapingLoop();
+/**
+ * Fresh machineState for a phase
+ * @param {string} phase - Key of PHASE_MACHINES
+ * @param {string} [state] - Defaults to the machine's initial state
+ */
+function createMachineState(phase, state = null) {
+    const now = Date.now();
+    return {
+        phase: phase,
+        state: state || PHASE_MACHINES[phase].initial,
+        enteredAt: now,
+        item: null,
+        itemSince: now,
+        offPageTicks: 0,
+        pausedAt: null
+    };
 }
 
 /**
- * Main scraping loop - polls at interval and handles pause/login/extraction
+ * True when the current page matches a PAGE_DESCRIPTORS entry (or one of several)
  */
-function runScrapingLoop() {
-    if (scrapingInterval) clearInterval(scrapingInterval);
+function isOnPage(pages) {
+    const page = PageOps.detectPage();
+    return !!page && [].concat(pages).includes(page.name);
+}
+
+const PhaseEngine = {
+    phase: null,
+    timer: null,
+    dueAt: 0,
+    observer: null,
+    busy: false,
+    moved: false,
+    echoUntil: 0,
+
+    start(phase) {
+        this.stop();
+        this.phase = phase;
+        log(`Starting ${phase} engine`);
+        NetworkMonitor.start();
+
+        // Portal changes (results arriving, a modal opening) are acted on straight away
+        this.observer = new MutationObserver(mutations => {
+            if (this.busy || Date.now() < this.echoUntil) return;
+            if (mutations.every(m => isDashboardNode(m.target))) return;
+            this.schedule(DOM_TICK_DELAY_MS);
+        });
+        this.observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+        this.schedule(DOM_TICK_DELAY_MS);
+    },
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.observer) this.observer.disconnect();
+        this.observer = null;
+        this.phase = null;
+        logContext.phase = null;
+        logContext.er = null;
+    },
+
+    /**
+     * Run the next tick in delayMs, unless one is already due sooner
+     */
+    schedule(delayMs) {
+        if (!this.phase) return;
+        const dueAt = Date.now() + delayMs;
+        if (this.timer && this.dueAt <= dueAt) return;
+
+        clearTimeout(this.timer);
+        this.dueAt = dueAt;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.tick();
+        }, delayMs);
+    },
+
+    /**
+     * Move to the state mapped to `event` from the current state and store it
+     * @returns {Promise<Object>} The stored machine state
+     */
+    async transition(machine, event) {
+        const def = PHASE_MACHINES[machine.phase];
+        const next = def.states[machine.state]?.on?.[event];
+        if (!next) {
+            log(`[${machine.phase}] No transition for "${event}" from ${machine.state}`, 'error');
+            return machine;
+        }
 
-    scrapingInterval = setInterval(async () => {
-        if (extractionInProgress) return;
+        log(`[${machine.phase}] ${machine.state} → ${next} (${event})`, 'info');
+        Object.assign(machine, { state: next, enteredAt: Date.now(), offPageTicks: 0 });
+        this.moved = true;
+        await safeSet({ machineState: machine });
+        return machine;
+    },
+
+    async tick() {
+        if (this.busy || !this.phase) return;
+        this.busy = true;
+        this.moved = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        try {
+            await this.step();
+        } catch (e) {
+            log(`${this.phase} error: ${e.message}`, 'error');
+        } finally {
+            this.busy = false;
+            this.echoUntil = Date.now() + TICK_ECHO_MS;
+            // A machine that moved on acts again straight away; otherwise wait for the portal
+            if (this.phase) this.schedule(this.moved ? DOM_TICK_DELAY_MS : PHASE_MACHINES[this.phase].tickMs);
+        }
+    },
+
+    async step() {
+        const phase = this.phase;
+        const def = PHASE_MACHINES[phase];
+        const data = await safeGet(['phase', 'isPaused', 'machineState', ...def.keys]);
+        if (!data) return;
 
-        // Check pause state
-        const pauseData = await safeGet(['isPaused']);
-        if (pauseData?.isPaused) {
+        // Another tab, the popup or an earlier tick moved the run on
+        if (data.phase !== phase) {
+            this.stop();
+            return;
+        }
+        logContext.phase = phase;
+        logContext.er = currentPhaseEr(data);
+
+        let machine = data.machineState?.phase === phase && def.states[data.machineState.state]
+            ? data.machineState
+            : createMachineState(phase);
+        const now = Date.now();
+
+        // Paused time doesn't count towards timeouts or stuck detection
+        if (data.isPaused) {
             isPaused = true;
+            if (!machine.pausedAt) await safeSet({ machineState: { ...machine, pausedAt: now } });
             return;
         }
         isPaused = false;
+        if (machine.pausedAt) {
+            const pausedFor = now - machine.pausedAt;
+            machine = { ...machine, enteredAt: machine.enteredAt + pausedFor, itemSince: machine.itemSince + pausedFor, pausedAt: null };
+            await safeSet({ machineState: machine });
+        }
 
-        // Check for login page
         if (isLoginPage()) {
-            log('Login page detected - pausing scraping', 'warn');
+            log(`Login page detected - pausing ${phase}`, 'warn');
             await safeSet({ loginPending: true });
             return;
         }
 
-        await doScrapingStep();
-    }, 2000);
+        const ctx = {
+            data: data,
+            machine: machine,
+            go: async event => { ctx.machine = await this.transition(ctx.machine, event); }
+        };
+
+        if (def.isComplete(data, machine)) {
+            this.stop();
+            await def.onComplete(ctx);
+            return;
+        }
+
+        if (def.prepare && await def.prepare(ctx)) return;
+
+        // A new work item always starts from the initial state (a machine created for
+        // this item - by a phase start or a migration - adopts it where it stands)
+        const item = def.item(data);
+        if (machine.item === null) {
+            machine.item = item;
+            await safeSet({ machineState: machine });
+        } else if (item !== machine.item) {
+            machine = Object.assign(createMachineState(phase), { item: item });
+            ctx.machine = machine;
+            this.moved = true;
+            await safeSet({ machineState: machine });
+        } else if (now - machine.itemSince > def.stuckAfterMs) {
+            const message = `[${phase}] No progress on the current item for ${Math.round((now - machine.itemSince) / 1000)}s (state: ${machine.state})`;
+            log(message, 'error');
+            await recordDomSnapshot('stuck', message);
+            await def.onStuck(ctx);
+            return;
+        }
+
+        if (def.interrupt && await def.interrupt(ctx)) return;
+
+        const stateDef = def.states[machine.state];
+
+        // Page guard: a state only acts on its own page
+        if (stateDef.page && !isOnPage(stateDef.page)) {
+            machine.offPageTicks = (machine.offPageTicks || 0) + 1;
+            if (machine.offPageTicks < OFF_PAGE_TICKS) {
+                await safeSet({ machineState: machine });
+                return;
+            }
+            log(`[${phase}] Not on the ${stateDef.page} page for state ${machine.state}, restarting item...`, 'warn');
+            await safeSet({ machineState: Object.assign(createMachineState(phase), { item: item, itemSince: machine.itemSince }) });
+            window.location.href = def.homeUrl;
+            return;
+        }
+        if (machine.offPageTicks) {
+            machine.offPageTicks = 0;
+            await safeSet({ machineState: machine });
+        }
+
+        const elapsed = now - machine.enteredAt;
+        const portalBusy = !NetworkMonitor.isIdle() && elapsed < stateDef.timeoutMs * NETWORK_GRACE_FACTOR;
+        if (stateDef.timeoutMs && elapsed > stateDef.timeoutMs && !portalBusy) {
+            const message = `[${phase}] ${machine.state} timed out after ${Math.round(elapsed / 1000)}s`;
+            log(message, 'warn');
+            await recordDomSnapshot('timeout', message);
+            const event = await stateDef.onTimeout(ctx);
+            if (event) await ctx.go(event);
+            return;
+        }
+
+        const event = await stateDef.action(ctx);
+        if (event) await ctx.go(event);
+    },
+
+    /**
+     * User-initiated skip of the current item, whatever the phase
+     */
+    async skip() {
+        const data = await safeGet(['phase']);
+        const def = PHASE_MACHINES[data?.phase];
+        if (def) await def.skip();
+    }
+};
+
+
+// ==================== PHASE 1: SCRAPING (NO RELOAD VERSION) ====================
+
+// Months of CR history recorded per ER (set in the popup; P1/P2 are always read)
+const DEFAULT_LOOKBACK_MONTHS = 6;
+const MAX_LOOKBACK_MONTHS = 24;
+
+function clampLookback(months) {
+    const value = parseInt(months) || DEFAULT_LOOKBACK_MONTHS;
+    return Math.min(Math.max(value, 2), MAX_LOOKBACK_MONTHS);
 }
 
 /**
- * Single step of the scraping process
- * Handles: searching for ER, waiting for table, extracting data, advancing to next ER
+ * The NORMAL CR of every month in an ER's lookback window, most recent first
+ * @returns {Array<{period: string, record: Object|null}>} record is null for a month with no NORMAL CR
  */
-async function doScrapingStep() {
-    const state = await safeGet(['erQueue', 'currentER', 'targetPeriod', 'scrapedResults', 'originalErCount']);
-    if (!state) return;
+function getNormalHistory(employer) {
+    if (!employer.lookback) return [];
+    return getSequence(employer.period, employer.lookback).lookbackMonths.map(month => ({
+        period: month.period,
+        record: (employer.history?.[month.period] || []).find(r => r.type === 'NORMAL') || null
+    }));
+}
 
-    const erQueue = state.erQueue || [];
-    const currentER = state.currentER;
-    const scraped = state.scrapedResults || [];
-    const originalCount = state.originalErCount || erQueue.length + scraped.length;
+// Table pager for the ER being scraped (see walkTablePages)
+let reportPaging = null;
+
+/**
+ * Read one CR row of the view_crs report table
+ * @returns {{isSelfCapture, er, name, period, type, lf, amt}|null} null for filler rows ("No data", etc.)
+ */
+function parseReportRow(row) {
+    const desc = PAGE_DESCRIPTORS.viewCrsReport;
+    if (row.cells.length < 11) return null;
+
+    const cellText = index => row.cells[index]?.innerText?.trim() || '';
+    return {
+        isSelfCapture: !!row.cells[0].querySelector('i.fa-globe'),
+        er: cellText(desc.erColumn),
+        name: cellText(desc.nameColumn),
+        period: cellText(desc.periodColumn).toUpperCase(),
+        type: cellText(desc.typeColumn).toUpperCase(),
+        lf: parseInt(cellText(desc.lfColumn)) || 0,
+        amt: parseFloat(cellText(desc.amtColumn).replace(/[^\d.]/g, '')) || 0
+    };
+}
+
+/**
+ * Collect the searched ER's CRs from every page of the report table (one step per scrape tick)
+ * @returns {Promise<{rows: Array, pages: number, complete: boolean}|null>} null while still paging
+ */
+async function readAllReportPages(er) {
+    const desc = PAGE_DESCRIPTORS.viewCrsReport;
+    if (reportPaging?.key !== er) reportPaging = createTablePager(er);
+
+    const firstRow = document.querySelector(`${desc.table} tbody tr`);
+    const tableER = firstRow?.cells[desc.erColumn]?.innerText?.trim();
+    if (tableER && tableER !== er) {
+        log(`Table ER mismatch (expected ${er}, got ${tableER}), retrying...`, 'warn');
+        // Don't abort - just wait for next tick to retry
+        return null;
+    }
+
+    const result = await walkTablePages(reportPaging, desc, parseReportRow);
+    if (result) reportPaging = null;
+    return result;
+}
+
+/**
+ * Scraping runs on the report page WITHOUT page reloads: search the current ER,
+ * read every page of its CRs, then move on to the next ER in the queue
+ */
+PHASE_MACHINES.SCRAPING = {
+    tickMs: 2000,
+    homeUrl: '/contributions/view_crs/report',
+    initial: 'search',
+    keys: ['erQueue', 'currentER', 'employers', 'originalErCount'],
+    item: data => data.currentER,
+    isComplete: data => !data.currentER || (data.erQueue || []).length === 0,
+    onComplete: finishScraping,
+    prepare: prepareScrapeStep,
+    stuckAfterMs: ITEM_STUCK_MS,
+    onStuck: () => skipToNextER('No usable search results'),
+    skip: () => skipToNextER('Manually skipped by user'),
+    states: {
+        search: { page: 'viewCrsReport', action: searchCurrentER, on: { results: 'read' } },
+        read: { page: 'viewCrsReport', action: readCurrentER, on: { lost: 'search' } }
+    }
+};
+
+/**
+ * ER shown in the first row of the report table (null when the table is empty)
+ */
+function getReportTableER() {
+    const desc = PAGE_DESCRIPTORS.viewCrsReport;
+    return document.querySelector(`${desc.table} tbody tr`)?.cells[desc.erColumn]?.innerText?.trim() || null;
+}
+
+/**
+ * Runs before every scraping state: progress bar, and ERs that were already scraped
+ */
+async function prepareScrapeStep({ data }) {
+    const scraped = getScrapedEmployers(data.employers);
+    const originalCount = data.originalErCount || (data.erQueue || []).length + scraped.length;
 
     // Update progress bar dynamically
     const progressFill = document.getElementById('progress-fill');
     if (progressFill && originalCount > 0) {
-        const pct = (scraped.length / originalCount) * 100;
-        progressFill.style.width = `${pct}%`;
+        progressFill.style.width = `${(scraped.length / originalCount) * 100}%`;
         progressFill.style.background = '#10b981';
     }
 
-    // Check if scraping is complete
-    if (!currentER || erQueue.length === 0) {
-        log('Scraping Complete!', 'success');
-        if (scrapingInterval) {
-            clearInterval(scrapingInterval);
-            scrapingInterval = null;
-        }
-        await safeSet({ phase: 'IDLE' }); // Ready for capture
-        updateDashboardUI();
-        return;
-    }
-
-    // Check if ER already scraped
-    if (scraped.some(r => r.er === currentER)) {
-        log(`ER ${currentER} already scraped, moving to next...`, 'warn');
+    if (scraped.some(e => e.er === data.currentER)) {
+        log(`ER ${data.currentER} already scraped, moving to next...`, 'warn');
         await proceedToNextScrape();
-        return;
+        return true;
     }
+    return false;
+}
 
-    // Find the ER input field
-    const erField = document.querySelector('input[placeholder="ER Number"]') ||
-                    document.querySelector('input[data-v-6d729868]');
-
+/**
+ * State `search`: enter the current ER until the table shows its results
+ */
+async function searchCurrentER({ data }) {
+    const erField = document.querySelector(PAGE_DESCRIPTORS.viewCrsReport.erInput);
     if (!erField || erField.offsetParent === null) {
         // Form not ready yet
         return;
     }
 
-    // Check if we need to enter the ER or wait for results
-    const table = document.querySelector('#mytable');
-    const hasTableData = table?.querySelectorAll('tbody tr').length > 0;
-    const currentTableER = hasTableData ? table.querySelector('tbody tr')?.cells[2]?.innerText?.trim() : null;
+    if (getReportTableER() === data.currentER) return 'results';
+    if (await clearAndSearchER(erField, data.currentER)) return 'results';
+}
 
-    // If table shows wrong ER or is empty, we need to search
-    if (currentTableER !== currentER) {
-        // Clear and enter the current ER
-        await clearAndSearchER(erField, currentER);
-        return;
-    }
+/**
+ * State `read`: walk the result pages and store the ER (extractDataFromTable advances the queue)
+ */
+async function readCurrentER({ data }) {
+    // An empty table while the next page loads is not a lost search
+    const turningPage = reportPaging?.key === data.currentER && reportPaging.awaitingPage;
+    if (getReportTableER() !== data.currentER && !turningPage) return 'lost';
 
-    // Table shows correct ER - extract data
     await extractDataFromTable();
 }
 
+async function finishScraping() {
+    log('Scraping Complete!', 'success');
+    await safeSet({ phase: 'IDLE' }); // Ready for capture
+    await recordPhaseFinished('SCRAPING');
+    updateDashboardUI();
+}
+
+const SEARCH_TIMEOUT_MS = 10000;
+
 /**
  * Clear the search form and search for a new ER
+ * @returns {Promise<boolean>} true once the table shows the ER's results
  */
 async function clearAndSearchER(erField, er) {
-    extractionInProgress = true;
-
-    try {
-        // Clear the input first
-        erField.blur();
-        await wait(100);
+    // Clear the input first
+    erField.blur();
+    await wait(100);
 
-        // Clear any existing value
-        setNativeValue(erField, '');
-        await wait(200);
+    // Clear any existing value
+    setNativeValue(erField, '');
+    await wait(200);
 
-        // Enter the new ER
-        erField.focus();
-        await wait(50);
-        setNativeValue(erField, er);
-        erField.blur();
-        await wait(400);
+    // Enter the new ER
+    erField.focus();
+    await wait(50);
+    setNativeValue(erField, er);
+    erField.blur();
+    await wait(400);
 
-        // Click search button
-        const searchBtn = PageOps.findButton({ text: 'SEARCH' });
-        if (searchBtn) {
-            log(`Searching for ER: ${er}`);
-            searchBtn.click();
-            await wait(2500); // Wait for results to load
-        } else {
-            log('Search button not found', 'error');
-        }
-    } finally {
-        extractionInProgress = false;
+    // Click search button
+    const desc = PAGE_DESCRIPTORS.viewCrsReport;
+    const searchBtn = PageOps.findButton(desc.searchButton);
+    if (!searchBtn) {
+        log('Search button not found', 'error');
+        return false;
     }
+
+    log(`Searching for ER: ${er}`);
+    searchBtn.click();
+    if (!await PageOps.waitForTableER(desc.table, desc.erColumn, er, SEARCH_TIMEOUT_MS)) return false;
+
+    // The first rows can render before the rest of the result set has arrived
+    await waitForNetworkIdle(SEARCH_TIMEOUT_MS);
+    return true;
 }
 
 /**
@@ -975,18 +2132,18 @@ async function proceedToNextScrape() {
 
     const nextQueue = (state.erQueue || []).slice(1);
     const nextER = nextQueue[0] || null;
+    reportPaging = null;
 
     await safeSet({ erQueue: nextQueue, currentER: nextER });
 
     // Clear the table to prepare for next search
-    const table = document.querySelector('#mytable tbody');
+    const table = document.querySelector(`${PAGE_DESCRIPTORS.viewCrsReport.table} tbody`);
     if (table) {
         table.innerHTML = ''; // Clear table rows
     }
 
     // Clear the ER input
-    const erField = document.querySelector('input[placeholder="ER Number"]') ||
-                    document.querySelector('input[data-v-6d729868]');
+    const erField = document.querySelector(PAGE_DESCRIPTORS.viewCrsReport.erInput);
     if (erField) {
         setNativeValue(erField, '');
     }
@@ -1001,130 +2158,310 @@ async function proceedToNextScrape() {
  * Extract data from the table and save to storage
  */
 async function extractDataFromTable() {
-    if (extractionInProgress) return;
-    extractionInProgress = true;
+    const state = await safeGet([
+        'targetPeriod', 'currentER', 'employers', 'erQueue', 'erHints', 'backfillCarry', 'scrapeLookback', 'anomalyThresholds'
+    ]);
+    if (!state || !state.currentER) return;
 
-    try {
-        const state = await safeGet(['targetPeriod', 'currentER', 'scrapedResults', 'erQueue']);
-        if (!state || !state.currentER) return;
+    const currentER = state.currentER;
+    const employers = state.employers || {};
 
-        const currentER = state.currentER;
-        const existingResults = state.scrapedResults || [];
+    if (findEmployerByEr(employers, currentER)) {
+        log(`ER ${currentER} already scraped, skipping...`, 'warn');
+        await proceedToNextScrape();
+        return;
+    }
 
-        if (existingResults.some(r => r.er === currentER)) {
-            log(`ER ${currentER} already scraped, skipping...`, 'warn');
-            await proceedToNextScrape();
-            return;
-        }
+    const seq = getSequence(state.targetPeriod, clampLookback(state.scrapeLookback));
+    const periodByLabel = Object.fromEntries(seq.lookbackMonths.map(m => [m.label, m.period]));
+    // Long histories span several table pages - nothing is concluded until every page was read
+    const paged = await readAllReportPages(currentER);
+    if (!paged) return;
+
+    const data = createUnifiedEmployer(currentER, 'Unknown', state.targetPeriod);
+    data.lookback = seq.lookbackMonths.length;
+    data.pagesRead = paged.pages;
+    data.historyIncomplete = !paged.complete;
+    // Imported name/expected LF/amount from the client list (if any)
+    data.hint = (state.erHints || {})[currentER] || null;
+
+    if (paged.rows.length > 0) {
+        data.name = paged.rows[0].name || "Unknown";
+
+        paged.rows.forEach(row => {
+            if (row.isSelfCapture) {
+                data.isSelfCapture = true;
+            }
 
-        const seq = getSequence(state.targetPeriod);
-        const table = document.querySelector('#mytable');
-
-        let data = {
-            id: generateUUID(),
-            er: currentER,
-            employerName: "Unknown",
-            p1Records: [],
-            p2Records: [],
-            alreadyCaptured: false,
-            continuityError: false,
-            isSelfCapture: false,
-            zeroCrError: false,
-            scrapedAt: Date.now()
-        };
+            const { period, type } = row;
+            const record = {
+                period, type,
+                kind: classifyCrType(type),
+                lf: row.lf,
+                amt: row.amt
+            };
+
+            if (period === seq.targetLabel) data.captureStatus = 'already_captured';
+            if (period === seq.p1Label) data.p1Records.push(record);
+            if (period === seq.p2Label) data.p2Records.push(record);
+
+            const yyyymm = periodByLabel[period];
+            if (yyyymm) (data.history[yyyymm] = data.history[yyyymm] || []).push(record);
+
+            // Whole filing record (not just the lookback window) for gap analysis
+            const filedMonth = yyyymm || parseMonthLabel(period);
+            if (filedMonth) {
+                const types = data.crMonths[filedMonth] = data.crMonths[filedMonth] || [];
+                if (!types.includes(type)) types.push(type);
+            }
+        });
+    }
 
-        if (table) {
-            const rows = Array.from(table.querySelectorAll('tbody tr'));
+    // Portal shows no name when there are no CRs - fall back to the imported name
+    if (data.name === 'Unknown' && data.hint?.name) data.name = data.hint.name;
 
-            if (rows.length > 0) {
-                const tableER = rows[0].cells[2]?.innerText?.trim();
-                if (tableER && tableER !== currentER) {
-                    log(`Table ER mismatch (expected ${currentER}, got ${tableER}), retrying...`, 'warn');
-                    // Don't abort - just wait for next tick to retry
-                    return;
-                }
+    // Backfill: the previous period was captured by this run but may not be listed yet - kept
+    // apart from the scraped history, it only stands in for P1 when the capture values are worked out
+    const carried = (state.backfillCarry || {})[currentER];
+    if (!data.p1Records.some(r => r.type === 'NORMAL') && carried) {
+        data.carried = { period: seq.lookbackMonths[0].period, lf: carried.lf, amt: carried.amt };
+    }
 
-                data.employerName = rows[0].cells[3]?.innerText?.trim() || "Unknown";
+    if (data.p1Records.length === 0 && !data.carried) data.continuityError = true;
 
-                rows.forEach(row => {
-                    if (row.cells.length >= 11) {
-                        const iconCell = row.cells[0];
-                        if (iconCell.querySelector('i.fa-globe')) {
-                            data.isSelfCapture = true;
-                        }
+    const normalP1 = data.p1Records.find(r => r.type === 'NORMAL') || data.carried;
+    if (normalP1 && (normalP1.lf === 0 || normalP1.amt === 0)) data.zeroCrError = true;
 
-                        const period = row.cells[8]?.innerText?.trim().toUpperCase() || "";
-                        const type = row.cells[5]?.innerText?.trim().toUpperCase() || "";
+    data.anomalies = detectAnomalies(data, state.anomalyThresholds);
+    if (data.anomalies.length > 0) {
+        log(`Anomalies for ${data.er}: ${data.anomalies.map(a => a.message).join('; ')}`, 'warn');
+    }
 
-                        const record = {
-                            period, type,
-                            lf: parseInt(row.cells[6]?.innerText?.trim()) || 0,
-                            amt: parseFloat(row.cells[10]?.innerText?.trim().replace(/[^\d.]/g, '')) || 0
-                        };
+    employers[data.id] = data;
 
-                        if (period === seq.targetLabel) data.alreadyCaptured = true;
-                        if (period === seq.p1Label) data.p1Records.push(record);
-                        if (period === seq.p2Label) data.p2Records.push(record);
-                    }
-                });
-            }
-        }
+    log(`Extracted ${data.er}: ${data.name}`, 'success');
 
-        if (data.p1Records.length === 0) data.continuityError = true;
+    // Save results and advance to next ER
+    await safeSet({ employers });
+    await proceedToNextScrape();
+}
 
-        const normalP1 = data.p1Records.find(r => r.type === 'NORMAL');
-        if (normalP1 && (normalP1.lf === 0 || normalP1.amt === 0)) data.zeroCrError = true;
 
-        const newResults = [...existingResults, data];
+// ==================== GAP ANALYSIS ====================
 
-        log(`Extracted ${data.er}: ${data.employerName}`, 'success');
+/**
+ * Month-by-month filing timeline from the employer's first CR up to the month before the target period
+ * A month is 'normal' when a NORMAL CR was filed, 'supplementary' when only other CR types
+ * (supplementary, arrears, ...) were filed, and 'missing' when nothing was filed.
+ * @returns {{firstPeriod: string, timeline: Array<{period: string, status: string}>, missing: string[], supplementaryOnly: string[]}|null}
+ *          null when the ER has no CRs before the target period
+ */
+function analyzeContributionGaps(employer) {
+    const filed = employer.crMonths || {};
+    const firstPeriod = Object.keys(filed).filter(p => p < employer.period).sort()[0];
+    if (!firstPeriod) return null;
+
+    const timeline = [];
+    for (let period = firstPeriod; period < employer.period; period = shiftPeriod(period, 1)) {
+        const types = filed[period] || [];
+        const status = types.includes('NORMAL') ? 'normal' : (types.length > 0 ? 'supplementary' : 'missing');
+        timeline.push({ period, status });
+    }
 
-        // Save results and advance to next ER
-        await safeSet({ scrapedResults: newResults });
-        await proceedToNextScrape();
+    return {
+        firstPeriod: firstPeriod,
+        timeline: timeline,
+        missing: timeline.filter(m => m.status === 'missing').map(m => m.period),
+        supplementaryOnly: timeline.filter(m => m.status === 'supplementary').map(m => m.period)
+    };
+}
 
-    } finally {
-        extractionInProgress = false;
-    }
+function hasContributionGaps(gaps) {
+    return !!gaps && (gaps.missing.length > 0 || gaps.supplementaryOnly.length > 0);
+}
+
+/**
+ * Compact month list for review cards and reports: "2024-03, 2024-05..2024-07"
+ */
+function formatPeriodRanges(periods) {
+    const label = (p) => `${p.substring(0, 4)}-${p.substring(4, 6)}`;
+    const ranges = [];
+    periods.forEach(period => {
+        const last = ranges[ranges.length - 1];
+        if (last && shiftPeriod(last.end, 1) === period) last.end = period;
+        else ranges.push({ start: period, end: period });
+    });
+    return ranges.map(r => (r.start === r.end ? label(r.start) : `${label(r.start)}..${label(r.end)}`)).join(', ');
 }
 
+// Months drawn in a review card timeline (older months are summarised in the text)
+const GAP_TIMELINE_CELLS = 24;
 
-// ==================== PHASE 2: CAPTURE ====================
+/**
+ * Review card markup for an ER's filing timeline
+ */
+function renderGapTimeline(gaps) {
+    const shown = gaps.timeline.slice(-GAP_TIMELINE_CELLS);
+    const cells = shown.map(m =>
+        `<span class="gap-cell gap-${m.status}" title="${m.period.substring(0, 4)}-${m.period.substring(4, 6)}: ${m.status}"></span>`
+    ).join('');
+    const earlier = gaps.timeline.length - shown.length;
+
+    return `
+        <div class="gap-timeline">${earlier > 0 ? `<span class="gap-more">+${earlier}</span>` : ''}${cells}</div>
+        ${gaps.missing.length > 0 ? `<div class="gap-detail">Missing: ${formatPeriodRanges(gaps.missing)}</div>` : ''}
+        ${gaps.supplementaryOnly.length > 0 ? `<div class="gap-detail">No NORMAL CR: ${formatPeriodRanges(gaps.supplementaryOnly)}</div>` : ''}
+    `;
+}
 
-// Track submission state for retry logic
-let lastSubmitTime = 0;
-let awaitingResponse = false;
-const RESPONSE_TIMEOUT_MS = 12000; // 12 seconds to wait for modal response
+// ==================== ANOMALY RULES ====================
 
-async function handleCapturePhase() {
-    if (captureInProgress || isPaused) return;
-    captureInProgress = true;
-    
-    try {
-        // Check for login page first
-        if (isLoginPage()) {
-            log('Login page detected during capture', 'warn');
-            await safeSet({ loginPending: true });
-            captureInProgress = false;
-            return;
+// Defaults for the thresholds set in the popup (`anomalyThresholds`)
+const DEFAULT_ANOMALY_THRESHOLDS = {
+    lfChangePct: 30,        // Labour force change between P2 and P1
+    amtChangePct: 30,       // Contribution change between P2 and P1
+    maxPerEmployee: 5000    // Highest plausible average contribution per employee
+};
+
+const percentChange = (from, to) => ((to - from) / from) * 100;
+const signedPct = (pct) => `${pct > 0 ? '+' : ''}${pct.toFixed(0)}%`;
+
+/**
+ * Month-over-month checks on the scraped NORMAL CRs
+ * Each check gets { p1, p2 } (NORMAL records, either may be missing) and the thresholds,
+ * and returns a message when the rule fires
+ */
+const ANOMALY_RULES = [
+    {
+        id: 'lf_change',
+        check: ({ p1, p2 }, t) => {
+            if (!p1 || !p2?.lf) return null;
+            const pct = percentChange(p2.lf, p1.lf);
+            return Math.abs(pct) > t.lfChangePct ? `LF ${p2.lf} → ${p1.lf} (${signedPct(pct)})` : null;
+        }
+    },
+    {
+        id: 'amt_change',
+        check: ({ p1, p2 }, t) => {
+            if (!p1 || !p2?.amt) return null;
+            const pct = percentChange(p2.amt, p1.amt);
+            return Math.abs(pct) > t.amtChangePct ? `Amount ${p2.amt.toFixed(2)} → ${p1.amt.toFixed(2)} (${signedPct(pct)})` : null;
+        }
+    },
+    {
+        id: 'below_min_ctb',
+        check: ({ p1 }) => {
+            if (!p1?.lf || !p1.amt) return null;
+            const average = p1.amt / p1.lf;
+            return average < MIN_CTB ? `Average ${average.toFixed(2)} per employee is below ${MIN_CTB}` : null;
+        }
+    },
+    {
+        id: 'implausible_amount',
+        check: ({ p1 }, t) => {
+            if (!p1?.lf || !p1.amt) return null;
+            const average = p1.amt / p1.lf;
+            return average > t.maxPerEmployee ? `Average ${average.toFixed(2)} per employee is implausibly high for LF ${p1.lf}` : null;
         }
-        
-        await doCaptureStep();
-    } catch (e) {
-        log(`Capture error: ${e.message}`, 'error');
-    } finally {
-        captureInProgress = false;
     }
-}
+];
 
 /**
- * Detects visible response modals by checking for icon elements, button classes, and text
- * Priority order: Receipt > Icon-based > Button-based > Text-based > Unknown modal
- * 
- * Returns: { type: 'success'|'error'|'receipt'|'unknown'|null, element: HTMLElement|null, message: string }
+ * Run every anomaly rule against an ER's P1/P2 NORMAL CRs
+ * @param {UnifiedEmployer} employer
+ * @param {Object} [thresholds] - Overrides for DEFAULT_ANOMALY_THRESHOLDS
+ * @returns {Array<{rule: string, message: string}>}
  */
-function detectModalState() {
-    // Check 1: Receipt/Acknowledgement Modal (SUCCESS)
+function detectAnomalies(employer, thresholds) {
+    const t = { ...DEFAULT_ANOMALY_THRESHOLDS, ...(thresholds || {}) };
+    const months = {
+        p1: employer.p1Records?.find(r => r.type === 'NORMAL'),
+        p2: employer.p2Records?.find(r => r.type === 'NORMAL')
+    };
+
+    return ANOMALY_RULES
+        .map(rule => ({ rule: rule.id, message: rule.check(months, t) }))
+        .filter(hit => hit.message);
+}
+
+/**
+ * Anomalies the user has not yet reviewed - these keep the ER out of the capture queue
+ */
+function hasOpenAnomalies(employer) {
+    return (employer.anomalies || []).length > 0 && !employer.anomaliesAccepted;
+}
+
+/**
+ * Let a flagged ER through to capture (Needs Review "Accept" button)
+ */
+async function acceptAnomalies(id) {
+    const employer = await updateEmployer(id, { anomaliesAccepted: true });
+    if (employer) log(`Anomalies accepted for ${employer.er}`, 'info');
+    updateDashboardUI();
+}
+
+// ==================== PHASE 2: CAPTURE ====================
+
+const RESPONSE_TIMEOUT_MS = 12000; // 12 seconds to wait for modal response
+const FORM_STUCK_MS = 15000; // A form whose submit button stays disabled this long is given up on
+
+// Capture results recorded in dry-run mode (form filled and verified, never submitted)
+const DRY_RUN_RESULTS = ['would_capture', 'dry_run_mismatch'];
+
+/**
+ * Read the capture form back and compare it with what we intended to submit
+ * Used by dry-run mode to prove the form would be submitted with the right values
+ * @returns {{ ok: boolean, mismatches: string[], readBack: Object }}
+ */
+function verifyCaptureForm(record, period) {
+    const mismatches = [];
+
+    const headerText = document.querySelector('h4.text-info')?.innerText || '';
+    if (!headerText.includes(record.er)) {
+        mismatches.push(`header shows "${headerText.trim() || 'nothing'}"`);
+    }
+
+    const periodValues = Array.from(document.querySelectorAll('input[placeholder*="YYYYMM"]')).map(inp => inp.value);
+    if (periodValues.length === 0) mismatches.push('period inputs not found');
+    periodValues.filter(v => v !== period).forEach(v => mismatches.push(`period "${v}" != ${period}`));
+
+    const mediaRadio = document.querySelector('input[name="sub_media"][value="1"]');
+    if (!mediaRadio?.checked) mismatches.push('submission medium not Preprinted');
+
+    const modeRadio = document.querySelector('input[name="sub_mod"][value="2"]');
+    if (!modeRadio?.checked) mismatches.push('submission mode not Contribution');
+
+    const typeContainer = Array.from(document.querySelectorAll('.form-group, .m-b-5, .m-b-10'))
+        .find(c => (c.innerText || '').includes('Contribution Type'));
+    const typeValue = typeContainer?.querySelector('.vs__selected, .dropdown-toggle')?.innerText?.trim() || '';
+    if (typeValue && typeValue.toUpperCase() !== (record.type || 'NORMAL').toUpperCase()) {
+        mismatches.push(`contribution type "${typeValue}" != ${record.type}`);
+    }
+
+    const lfValue = document.querySelector(PAGE_DESCRIPTORS.receiveCapture.lfInput)?.value;
+    if (parseInt(lfValue) !== record.lf) mismatches.push(`LF "${lfValue ?? ''}" != ${record.lf}`);
+
+    const amtValue = PageOps.findInputByLabel(PAGE_DESCRIPTORS.receiveCapture.totalContributionLabel)?.value;
+    const amtParsed = parseFloat(String(amtValue ?? '').replace(/,/g, ''));
+    if (isNaN(amtParsed) || Math.abs(amtParsed - record.amt) > 0.005) {
+        mismatches.push(`amount "${amtValue ?? ''}" != ${record.amt.toFixed(2)}`);
+    }
+
+    return {
+        ok: mismatches.length === 0,
+        mismatches,
+        readBack: { header: headerText.trim(), periods: periodValues, lf: lfValue, amt: amtValue }
+    };
+}
+
+/**
+ * Detects visible response modals by checking for icon elements, button classes, and text
+ * Priority order: Receipt > Icon-based > Button-based > Text-based > Unknown modal
+ * 
+ * Returns: { type: 'success'|'error'|'receipt'|'unknown'|null, element: HTMLElement|null, message: string }
+ */
+function detectModalState() {
+    // Check 1: Receipt/Acknowledgement Modal (SUCCESS)
     // Has unique header with "SSNIT Pension System" or "ACKNOWLEDGEMENT"
     const receiptHeader = document.querySelector('.custom-alert-container-header');
     if (receiptHeader && receiptHeader.offsetParent !== null) {
@@ -1250,40 +2587,55 @@ async function handleModal(modalType, modalElement) {
 }
 
 /**
- * Advance to next ER in queue and navigate to employer page
- * Results:
- *   - 'success': Captured by automation (receipt or success modal)
+ * Record the capture outcome on the employer and navigate to the next ER
+ * Statuses:
+ *   - 'captured': Captured by automation (receipt or success modal)
  *   - 'already_captured': Was already captured before (duplicate error)
+ *   - 'would_capture' / 'dry_run_mismatch': Dry run - form verified, nothing submitted
  *   - 'error': Validation/submission error (not duplicate)
  *   - 'failed': No response detected after retry
  *   - 'skipped': Manually skipped by user
  */
-async function advanceToNextER(currentER, result, capturedList, failedList, index, errorMessage = '') {
-    // Update the capture results with the outcome
-    const captureResults = await safeGet(['captureResults', 'captureQueue']) || {};
-    const results = captureResults.captureResults || {};
-    const queue = captureResults.captureQueue || [];
-    results[currentER] = { result, timestamp: Date.now(), message: errorMessage };
-
-    // 'success' and 'already_captured' go to capturedList (job done for this ER)
-    // 'error', 'failed', 'skipped' go to failedList (needs attention)
-    if (result === 'success' || result === 'already_captured') {
-        capturedList.push(currentER);
-    } else {
-        failedList.push(currentER);
+async function advanceToNextER(employerId, status, index, message = '') {
+    const data = await safeGet(['employers', 'captureQueue', 'machineState']) || {};
+    const employers = data.employers || {};
+    const queue = data.captureQueue || [];
+    const employer = employers[employerId];
+
+    // The outcome belongs to whichever CR of this ER was pending: the NORMAL one or a supplementary one
+    const item = employer ? getPendingCapture(employer) : null;
+    if (item && item.extraIndex >= 0) {
+        Object.assign(employer.extraCaptures[item.extraIndex], { status: status, message: message, capturedAt: Date.now() });
+    } else if (employer) {
+        employer.captureStatus = status;
+        employer.capturedAt = Date.now();
+        employer.captureMessage = message;
+
+        // Supplementary CRs only follow a NORMAL CR that went through
+        if (!CAPTURE_DONE_STATUSES.includes(status) && status !== 'would_capture') {
+            (employer.extraCaptures || []).filter(x => x.status === 'pending').forEach(x => {
+                Object.assign(x, { status: 'skipped', message: 'NORMAL CR not captured' });
+            });
+        }
+    }
+
+    // Outcome of a portal submission (modal or timeout) - the submit itself was journaled when clicked
+    const awaitedResponse = data.machineState?.phase === 'CAPTURE' && data.machineState.state === 'awaiting_response';
+    if (awaitedResponse && employer) {
+        await recordAudit('capture_result', {
+            er: employer.er, period: employer.period, values: { type: item?.type || 'NORMAL' }, outcome: status, message: message
+        });
     }
 
-    const newIndex = index + 1;
+    // Stay on this ER while it still has supplementary CRs to capture
+    const newIndex = employer && getPendingCapture(employer) ? index : index + 1;
     const isComplete = newIndex >= queue.length;
 
     // Build state update
     const stateUpdate = {
-        capturedErs: capturedList,
-        failedErs: failedList,
+        employers: employers,
         currentCaptureIndex: newIndex,
         retryCount: 0,
-        captureResults: results,
-        awaitingResponse: false,
         interventionRequired: false
     };
 
@@ -1291,28 +2643,22 @@ async function advanceToNextER(currentER, result, capturedList, failedList, inde
     if (isComplete && queue.length > 0) {
         stateUpdate.phase = 'COMPLETE';
         log('Capture complete!', 'success');
-        if (captureInterval) {
-            clearInterval(captureInterval);
-            captureInterval = null;
-        }
+        PhaseEngine.stop();
     }
 
     await safeSet(stateUpdate);
+    if (stateUpdate.phase === 'COMPLETE') await recordPhaseFinished('CAPTURE');
 
-    const logType = (result === 'success' || result === 'already_captured') ? 'success' : 'error';
-    log(`ER ${currentER} marked as: ${result.toUpperCase()}${errorMessage ? ` (${errorMessage.substring(0, 50)})` : ''}`, logType);
-
-    // Reset counters
-    stuckCounter = 0;
-    awaitingResponse = false;
-    lastSubmitTime = 0;
+    const er = employer?.er || employerId;
+    const logType = (CAPTURE_DONE_STATUSES.includes(status) || status === 'would_capture') ? 'success' : 'error';
+    log(`ER ${er}${item?.extraIndex >= 0 ? ` ${item.type}` : ''} marked as: ${status.toUpperCase()}${message ? ` (${message.substring(0, 50)})` : ''}`, logType);
 
     // Navigate: if complete, just reload to show dashboard; otherwise go to employer page
     await wait(400);
     if (isComplete) {
         window.location.reload();
     } else {
-        window.location.href = "https://app.issas.ssnit.org.gh/contributions/receive/employer";
+        window.location.href = "/contributions/receive/employer";
     }
 }
 
@@ -1320,20 +2666,18 @@ async function advanceToNextER(currentER, result, capturedList, failedList, inde
  * Skip current ER and move to next (user-initiated)
  */
 async function skipCurrentER() {
-    const data = await safeGet(['captureQueue', 'currentCaptureIndex', 'capturedErs', 'failedErs']);
+    const data = await safeGet(['captureQueue', 'currentCaptureIndex', 'employers']);
     if (!data) return;
     
     const queue = data.captureQueue || [];
     const index = data.currentCaptureIndex || 0;
-    const capturedList = data.capturedErs || [];
-    const failedList = data.failedErs || [];
     
     if (index >= queue.length) return;
     
-    const currentER = queue[index].er;
-    log(`User skipping ER ${currentER}`, 'warn');
+    const employerId = queue[index];
+    log(`User skipping ER ${data.employers?.[employerId]?.er || employerId}`, 'warn');
     
-    await advanceToNextER(currentER, 'skipped', capturedList, failedList, index, 'Manually skipped by user');
+    await advanceToNextER(employerId, 'skipped', index, 'Manually skipped by user');
 }
 
 /**
@@ -1370,32 +2714,21 @@ async function addManualER() {
         return;
     }
     
-    const data = await safeGet(['scrapedResults', 'targetPeriod']);
-    const existingResults = data?.scrapedResults || [];
+    const data = await safeGet(['employers', 'targetPeriod']);
+    const employers = data?.employers || {};
     
     // Check if ER already exists
-    if (existingResults.some(r => r.er === er)) {
+    if (findEmployerByEr(employers, er)) {
         alert(`ER ${er} already exists in the queue`);
         return;
     }
     
-    // Create a manual entry record (simulating scraped data structure)
-    // Uses 'MANUAL' as period marker to identify manual entries if needed
-    const manualRecord = {
-        id: generateUUID(), // Unique identifier for this employer record
-        er: er,
-        employerName: name,
-        p1Records: [{ period: 'MANUAL', type: 'NORMAL', lf: lf, amt: amt }],
-        p2Records: [],
-        alreadyCaptured: false,
-        continuityError: false,
-        isSelfCapture: false,
-        zeroCrError: false,
-        scrapedAt: Date.now()
-    };
+    // Nothing was scraped for a manual entry - the typed values are its capture override
+    const manualRecord = createUnifiedEmployer(er, name, data?.targetPeriod);
+    manualRecord.override = { lf: lf, amt: amt, origin: 'manual', at: Date.now() };
     
-    const newResults = [...existingResults, manualRecord];
-    await safeSet({ scrapedResults: newResults });
+    employers[manualRecord.id] = manualRecord;
+    await safeSet({ employers });
     
     // Clear inputs
     erInput.value = '';
@@ -1413,41 +2746,52 @@ async function addManualER() {
  * Edit a scraped record (user-initiated)
  * Converts row to editable inputs
  */
-async function editScrapedRecord(er) {
-    const data = await safeGet(['scrapedResults']);
-    const results = data?.scrapedResults || [];
-    const recordIndex = results.findIndex(r => r.er === er);
+async function editScrapedRecord(id) {
+    const data = await safeGet(['employers', 'captureBaseline']);
+    const record = data?.employers?.[id];
     
-    if (recordIndex === -1) return;
+    if (!record) return;
     
-    const record = results[recordIndex];
-    const p1Normal = record.p1Records.find(r => r.type === 'NORMAL') || { lf: 0, amt: 0 };
+    const values = getCaptureValues(record, data.captureBaseline);
     
     // Set editing flag to prevent UI refresh from overwriting
-    currentlyEditingER = er;
+    currentlyEditingER = record.er;
     
     // Find the row and convert to edit mode
-    const row = document.querySelector(`tr[data-er="${er}"]`);
+    const row = document.querySelector(`tr[data-id="${id}"]`);
     if (!row) return;
     
     row.classList.add('row-editing');
     row.innerHTML = `
         <td><input type="text" class="edit-input edit-er" value="${record.er}" disabled></td>
-        <td><input type="text" class="edit-input edit-name" value="${record.employerName}"></td>
-        <td><input type="number" class="edit-input edit-lf" value="${p1Normal.lf}" min="0"></td>
-        <td><input type="number" class="edit-input edit-amt" value="${p1Normal.amt.toFixed(2)}" step="0.01" min="0"></td>
-        <td><span class="status-text">✏️</span></td>
+        <td><input type="text" class="edit-input edit-name" value="${escapeHtml(record.name)}"></td>
+        <td><input type="number" class="edit-input edit-lf" value="${values.lf}" min="0"></td>
+        <td><input type="number" class="edit-input edit-amt" value="${values.amt.toFixed(2)}" step="0.01" min="0"></td>
+        <td>
+            <select class="edit-input edit-baseline" title="Capture baseline for this ER">
+                <option value="">Run</option>
+                ${Object.entries(CAPTURE_BASELINES).map(([key, label]) =>
+                    `<option value="${key}" title="${label}" ${record.baseline === key ? 'selected' : ''}>${key.toUpperCase()}</option>`).join('')}
+            </select>
+        </td>
         <td class="action-cell">
-            <button class="edit-save-btn" data-er="${er}" title="Save changes">💾</button>
-            <button class="edit-cancel-btn" data-er="${er}" title="Cancel editing">✕</button>
+            <button class="edit-save-btn" data-id="${id}" title="Save changes">💾</button>
+            <button class="edit-cancel-btn" data-id="${id}" title="Cancel editing">✕</button>
         </td>
     `;
     
+    // Picking a baseline previews the values it resolves to (a typed-in override still wins on save)
+    row.querySelector('.edit-baseline').addEventListener('change', (event) => {
+        const preview = resolveCaptureValues({ ...record, baseline: event.target.value || null, override: null }, data.captureBaseline);
+        row.querySelector('.edit-lf').value = preview.lf;
+        row.querySelector('.edit-amt').value = preview.amt.toFixed(2);
+    });
+    
     // Add save listener
-    row.querySelector('.edit-save-btn').addEventListener('click', () => saveScrapedRecord(er));
+    row.querySelector('.edit-save-btn').addEventListener('click', () => saveScrapedRecord(id));
     
     // Add cancel listener
-    row.querySelector('.edit-cancel-btn').addEventListener('click', () => cancelEditRecord(er));
+    row.querySelector('.edit-cancel-btn').addEventListener('click', () => cancelEditRecord(id));
     
     // Focus the name field
     row.querySelector('.edit-name').focus();
@@ -1456,7 +2800,7 @@ async function editScrapedRecord(er) {
 /**
  * Cancel editing a record
  */
-function cancelEditRecord(er) {
+function cancelEditRecord(id) {
     currentlyEditingER = null;
     updateDashboardUI();
 }
@@ -1464,13 +2808,14 @@ function cancelEditRecord(er) {
 /**
  * Save edited scraped record
  */
-async function saveScrapedRecord(er) {
-    const row = document.querySelector(`tr[data-er="${er}"]`);
+async function saveScrapedRecord(id) {
+    const row = document.querySelector(`tr[data-id="${id}"]`);
     if (!row) return;
     
     const nameInput = row.querySelector('.edit-name');
     const lfInput = row.querySelector('.edit-lf');
     const amtInput = row.querySelector('.edit-amt');
+    const baselineSelect = row.querySelector('.edit-baseline');
     
     const newName = nameInput.value.trim();
     const newLf = parseInt(lfInput.value) || 0;
@@ -1481,39 +2826,35 @@ async function saveScrapedRecord(er) {
         return;
     }
     
-    const data = await safeGet(['scrapedResults']);
-    const results = data?.scrapedResults || [];
-    const recordIndex = results.findIndex(r => r.er === er);
+    const data = await safeGet(['employers', 'captureBaseline']);
+    const employers = data?.employers || {};
+    const record = employers[id];
     
-    if (recordIndex === -1) return;
+    if (!record) return;
     
     // Update the record
-    results[recordIndex].employerName = newName;
-    
-    // Update or create the NORMAL p1 record
-    const p1NormalIndex = results[recordIndex].p1Records.findIndex(r => r.type === 'NORMAL');
-    if (p1NormalIndex >= 0) {
-        results[recordIndex].p1Records[p1NormalIndex].lf = newLf;
-        results[recordIndex].p1Records[p1NormalIndex].amt = newAmt;
-    } else {
-        results[recordIndex].p1Records.push({ period: 'EDITED', type: 'NORMAL', lf: newLf, amt: newAmt });
+    record.name = newName;
+    record.baseline = baselineSelect.value || null;
+    
+    // Values that differ from what the baseline resolves to are a user override; the scraped
+    // records stay as read so the report can show both
+    const resolved = resolveCaptureValues({ ...record, override: null }, data.captureBaseline);
+    if (resolved.lf !== newLf || resolved.amt !== newAmt) {
+        record.override = { lf: newLf, amt: newAmt, origin: record.override?.origin || 'edit', at: Date.now() };
+    } else if (record.override?.origin !== 'manual') {
+        record.override = null; // Back to the baseline values
     }
     
     // Clear error flags if user fixed the data
     if (newLf > 0 && newAmt > 0) {
-        results[recordIndex].zeroCrError = false;
-        results[recordIndex].continuityError = false;
-    }
-    
-    // Mark as edited by setting period to 'EDITED' if it was previously something else
-    const p1Idx = results[recordIndex].p1Records.findIndex(r => r.type === 'NORMAL');
-    if (p1Idx >= 0 && results[recordIndex].p1Records[p1Idx].period !== 'MANUAL') {
-        results[recordIndex].p1Records[p1Idx].period = 'EDITED';
+        record.zeroCrError = false;
+        record.continuityError = false;
+        record.anomaliesAccepted = true; // Values were reviewed by the user
     }
     
-    await safeSet({ scrapedResults: results });
+    await safeSet({ employers });
     
-    log(`Record updated: ${er} - ${newName} (LF: ${newLf}, Amt: ${newAmt})`, 'success');
+    log(`Record updated: ${record.er} - ${newName} (LF: ${newLf}, Amt: ${newAmt})`, 'success');
     
     // Clear editing flag and refresh UI
     currentlyEditingER = null;
@@ -1523,44 +2864,55 @@ async function saveScrapedRecord(er) {
 /**
  * Delete a scraped record (user-initiated)
  */
-async function deleteScrapedRecord(er) {
-    if (!confirm(`Delete ER ${er} from the queue?`)) return;
-    
-    const data = await safeGet(['scrapedResults']);
-    const results = data?.scrapedResults || [];
-    const newResults = results.filter(r => r.er !== er);
+async function deleteScrapedRecord(id) {
+    const data = await safeGet(['employers']);
+    const employers = data?.employers || {};
+    const record = employers[id];
+    if (!record) return;
+
+    if (!confirm(`Delete ER ${record.er} from the queue?`)) return;
     
-    await safeSet({ scrapedResults: newResults });
+    delete employers[id];
+    await safeSet({ employers });
     
-    log(`Record deleted: ${er}`, 'warn');
+    log(`Record deleted: ${record.er}`, 'warn');
     updateDashboardUI();
 }
 
 // ==================== PHASE 3: REPORT GENERATION ====================
 
 /**
- * Generate a capture report (not wired to UI yet)
- * Call this after capture phase completes
+ * Generate the run report shown in the dashboard Report tab
+ * Covers scraping buckets, capture outcomes, validation results and wage edits
  */
 async function generateCaptureReport() {
     const data = await safeGet([
-        'targetPeriod', 'scrapedResults', 'captureQueue', 
-        'capturedErs', 'failedErs', 'captureResults'
+        'targetPeriod', 'employers', 'captureQueue', 'captureDryRun', 'captureBaseline', 'validationQueue', 'wageEditQueue'
     ]);
     
     if (!data) return null;
+
+    const employers = data.employers || {};
+    const scraped = getScrapedEmployers(employers);
+    const queued = getEmployersByIds(employers, data.captureQueue);
+    const countStatus = (statuses) => queued.filter(e => statuses.includes(e.captureStatus)).length;
     
     const report = {
         metadata: {
             generatedAt: new Date().toISOString(),
             targetPeriod: data.targetPeriod,
-            periodFormatted: formatPeriod(data.targetPeriod)
+            periodFormatted: formatPeriod(data.targetPeriod),
+            dryRun: data.captureDryRun === true,
+            captureBaseline: data.captureBaseline || 'p1'
         },
         summary: {
-            totalScraped: (data.scrapedResults || []).length,
-            totalQueued: (data.captureQueue || []).length,
-            captured: (data.capturedErs || []).length,
-            failed: (data.failedErs || []).length,
+            totalScraped: scraped.length,
+            totalQueued: queued.length,
+            captured: countStatus(CAPTURE_DONE_STATUSES),
+            failed: countStatus(CAPTURE_FAILED_STATUSES),
+            dryRun: countStatus(DRY_RUN_RESULTS),
+            supplementaryCaptured: queued.reduce((sum, e) =>
+                sum + (e.extraCaptures || []).filter(x => CAPTURE_DONE_STATUSES.includes(x.status)).length, 0),
             skippedDuringScrape: 0,
             successRate: 0
         },
@@ -1570,34 +2922,74 @@ async function generateCaptureReport() {
             continuityErrors: [],
             zeroValues: [],
             selfCapture: [],
+            anomalies: [],
             manualEntries: []
         },
+        gapResults: {
+            gaps: []
+        },
         captureResults: {
-            success: [],
+            captured: [],
             already_captured: [],
+            would_capture: [],
+            dry_run_mismatch: [],
             error: [],
             failed: [],
             skipped: []
+        },
+        validationResults: {
+            submitted: [],
+            ctb_adjustment: [],
+            error: [],
+            failed: [],
+            stuck: [],
+            skipped: [],
+            pending: []
+        },
+        wageEditResults: {
+            updated: [],
+            not_found: [],
+            stuck: [],
+            skipped: [],
+            pending: []
         }
     };
     
-    // Process scraped results
-    (data.scrapedResults || []).forEach(res => {
-        const p1Normal = res.p1Records.find(r => r.type === 'NORMAL');
+    // Scrape buckets - an ER is already captured at scrape time if it never entered the capture queue
+    const queuedIds = new Set(data.captureQueue || []);
+    scraped.forEach(emp => {
+        const p1Normal = emp.p1Records.find(r => r.type === 'NORMAL') || emp.carried;
         const entry = {
-            er: res.er,
-            employerName: res.employerName,
+            er: emp.er,
+            employerName: emp.name,
             lf: p1Normal?.lf || 0,
             amt: p1Normal?.amt || 0,
-            isManual: res.isManualEntry || false,
-            isEdited: res.isEdited || false
+            override: emp.override ? { lf: emp.override.lf, amt: emp.override.amt } : null,
+            isManual: emp.override?.origin === 'manual',
+            isEdited: emp.override?.origin === 'edit',
+            lookback: emp.lookback || 0,
+            monthsWithNormalCr: getNormalHistory(emp).filter(m => m.record).length,
+            pagesRead: emp.pagesRead || 0,
+            historyIncomplete: !!emp.historyIncomplete
         };
+
+        const gaps = analyzeContributionGaps(emp);
+        if (hasContributionGaps(gaps)) {
+            report.gapResults.gaps.push({
+                er: emp.er,
+                employerName: emp.name,
+                firstPeriod: gaps.firstPeriod,
+                missing: gaps.missing,
+                supplementaryOnly: gaps.supplementaryOnly
+            });
+        }
         
-        if (res.isManualEntry) report.scrapeResults.manualEntries.push(entry);
-        else if (res.alreadyCaptured) report.scrapeResults.alreadyCaptured.push(entry);
-        else if (res.continuityError) report.scrapeResults.continuityErrors.push(entry);
-        else if (res.zeroCrError) report.scrapeResults.zeroValues.push(entry);
-        else if (res.isSelfCapture) report.scrapeResults.selfCapture.push(entry);
+        if (entry.isManual) report.scrapeResults.manualEntries.push(entry);
+        else if (emp.captureStatus === 'already_captured' && !queuedIds.has(emp.id)) report.scrapeResults.alreadyCaptured.push(entry);
+        else if (emp.continuityError) report.scrapeResults.continuityErrors.push(entry);
+        else if (emp.zeroCrError) report.scrapeResults.zeroValues.push(entry);
+        else if (emp.isSelfCapture) report.scrapeResults.selfCapture.push(entry);
+        else if (hasOpenAnomalies(emp)) report.scrapeResults.anomalies.push({ ...entry, message: emp.anomalies.map(a => a.message).join('; ') });
         else report.scrapeResults.valid.push(entry);
     });
     
@@ -1605,29 +2997,83 @@ async function generateCaptureReport() {
         report.scrapeResults.alreadyCaptured.length +
         report.scrapeResults.continuityErrors.length +
         report.scrapeResults.zeroValues.length +
-        report.scrapeResults.selfCapture.length;
+        report.scrapeResults.selfCapture.length +
+        report.scrapeResults.anomalies.length;
+    
+    // Capture outcomes, in queue order
+    queued.forEach(emp => {
+        const { lf, amt, source } = getCaptureValues(emp, data.captureBaseline);
+        const bucket = report.captureResults[emp.captureStatus];
+        if (!bucket) return; // Still pending
+        bucket.push({
+            er: emp.er,
+            employerName: emp.name,
+            type: 'NORMAL',
+            lf: lf,
+            amt: amt,
+            baseline: source,
+            result: emp.captureStatus,
+            message: emp.captureMessage || '',
+            timestamp: emp.capturedAt ? new Date(emp.capturedAt).toISOString() : null
+        });
+
+        // Supplementary CRs captured after the NORMAL one
+        (emp.extraCaptures || []).forEach(extra => {
+            if (!report.captureResults[extra.status]) return;
+            report.captureResults[extra.status].push({
+                er: emp.er,
+                employerName: emp.name,
+                type: extra.type,
+                lf: extra.lf,
+                amt: extra.amt,
+                baseline: 'p1',
+                result: extra.status,
+                message: extra.message || '',
+                timestamp: extra.capturedAt ? new Date(extra.capturedAt).toISOString() : null
+            });
+        });
+    });
     
-    // Process capture results
-    const captureResults = data.captureResults || {};
-    (data.captureQueue || []).forEach(item => {
-        const result = captureResults[item.er];
+    // Validation outcomes: the queue first, then CRs routed out of it (e.g. to wage edit)
+    const validationIds = new Set(data.validationQueue || []);
+    const validationEmployers = [
+        ...getEmployersByIds(employers, data.validationQueue),
+        ...getEmployerList(employers).filter(e => !validationIds.has(e.id) && e.validationStatus !== 'pending')
+    ];
+    validationEmployers.forEach(emp => {
         const entry = {
-            er: item.er,
-            employerName: item.name,
-            lf: item.lf,
-            amt: item.amt,
-            result: result?.result || 'unknown',
-            message: result?.message || '',
-            timestamp: result?.timestamp ? new Date(result.timestamp).toISOString() : null
+            er: emp.er,
+            employerName: emp.name || 'Unknown',
+            period: emp.period || data.targetPeriod,
+            result: emp.validationStatus,
+            message: emp.validationMessage || '',
+            timestamp: emp.validatedAt ? new Date(emp.validatedAt).toISOString() : null
         };
-        
-        if (result?.result === 'success') report.captureResults.success.push(entry);
-        else if (result?.result === 'already_captured') report.captureResults.already_captured.push(entry);
-        else if (result?.result === 'error') report.captureResults.error.push(entry);
-        else if (result?.result === 'failed') report.captureResults.failed.push(entry);
-        else if (result?.result === 'skipped') report.captureResults.skipped.push(entry);
+        (report.validationResults[entry.result] || report.validationResults.failed).push(entry);
     });
-    
+
+    // Wage edits: every CR that was found to need one
+    getEmployerList(employers).filter(e => e.needsWageEdit).forEach(emp => {
+        const entry = {
+            er: emp.er,
+            employerName: emp.name,
+            period: emp.period,
+            currentTotal: emp.originalTotal || 0,
+            adjustedTotal: emp.adjustedTotal || 0,
+            affectedEmployees: (emp.ctbIssues || []).length,
+            result: emp.wageEditStatus,
+            message: emp.wageEditMessage || '',
+            timestamp: emp.wageEditedAt ? new Date(emp.wageEditedAt).toISOString() : null
+        };
+        (report.wageEditResults[entry.result] || report.wageEditResults.pending).push(entry);
+    });
+
+    report.summary.validationSubmitted = report.validationResults.submitted.length;
+    report.summary.validationFailed = report.validationResults.error.length +
+        report.validationResults.failed.length + report.validationResults.stuck.length;
+    report.summary.wageEditsDone = report.wageEditResults.updated.length;
+    report.summary.wageEditsPending = report.wageEditResults.pending.length;
+
     // Calculate success rate
     const totalProcessed = report.summary.captured + report.summary.failed;
     report.summary.successRate = totalProcessed > 0 
@@ -1651,96 +3097,355 @@ function formatPeriod(yyyymm) {
 }
 
 /**
- * Export report as JSON (can be called from console for now)
+ * Trigger a browser download for generated content
  */
-async function exportReportAsJSON() {
-    const report = await generateCaptureReport();
-    if (!report) return;
-    
-    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `ssnit-report-${report.metadata.targetPeriod}-${Date.now()}.json`;
+    a.download = filename;
     a.click();
     URL.revokeObjectURL(url);
 }
 
 /**
- * Export report as CSV (can be called from console for now)
+ * Quote a value for CSV output (doubles embedded quotes)
+ */
+function csvField(value) {
+    return `"${String(value ?? '').replace(/"/g, '""')}"`;
+}
+
+/**
+ * Escape text for safe insertion into dashboard HTML
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
+/**
+ * Export report as JSON (Report tab download button)
+ */
+async function exportReportAsJSON() {
+    const report = await generateCaptureReport();
+    if (!report) return;
+    
+    downloadFile(JSON.stringify(report, null, 2), `ssnit-report-${report.metadata.targetPeriod}-${Date.now()}.json`, 'application/json');
+}
+
+/**
+ * Export report as CSV (Report tab download button)
+ * One row per ER per stage: Filing Gaps, Capture, Validation, Wage Edit
  */
 async function exportReportAsCSV() {
     const report = await generateCaptureReport();
     if (!report) return;
     
     // Build CSV content
-    let csv = 'ER Number,Employer Name,LF,Amount,Result,Message,Timestamp\n';
-    
-    const allResults = [
-        ...report.captureResults.success,
-        ...report.captureResults.already_captured,
-        ...report.captureResults.error,
-        ...report.captureResults.failed,
-        ...report.captureResults.skipped
-    ];
+    let csv = 'Stage,ER Number,Employer Name,CR Type,LF,Amount,Baseline,Result,Message,Timestamp\n';
     
-    allResults.forEach(item => {
-        csv += `"${item.er}","${item.employerName}",${item.lf},${item.amt},"${item.result}","${item.message}","${item.timestamp || ''}"\n`;
+    report.gapResults.gaps.forEach(item => {
+        const message = `First CR ${item.firstPeriod}; missing: ${formatPeriodRanges(item.missing) || 'none'}; no NORMAL CR: ${formatPeriodRanges(item.supplementaryOnly) || 'none'}`;
+        csv += [
+            'Filing Gaps', item.er, item.employerName, '', '', '', '', 'gaps', message, ''
+        ].map(csvField).join(',') + '\n';
+    });
+
+    Object.values(report.captureResults).flat().forEach(item => {
+        csv += [
+            'Capture', item.er, item.employerName, item.type, item.lf, item.amt, describeCaptureSource(item.baseline),
+            item.result, item.message, item.timestamp || ''
+        ].map(csvField).join(',') + '\n';
+    });
+
+    Object.values(report.validationResults).flat().forEach(item => {
+        csv += [
+            'Validation', item.er, item.employerName, '', '', '', '', item.result, item.message, item.timestamp || ''
+        ].map(csvField).join(',') + '\n';
+    });
+
+    Object.values(report.wageEditResults).flat().forEach(item => {
+        const message = item.message || `${item.affectedEmployees} employee(s): ${item.currentTotal.toFixed(2)} -> ${item.adjustedTotal.toFixed(2)}`;
+        csv += [
+            'Wage Edit', item.er, item.employerName, '', '', item.adjustedTotal.toFixed(2), '', item.result, message, item.timestamp || ''
+        ].map(csvField).join(',') + '\n';
     });
     
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `ssnit-report-${report.metadata.targetPeriod}-${Date.now()}.csv`;
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadFile(csv, `ssnit-report-${report.metadata.targetPeriod}-${Date.now()}.csv`, 'text/csv');
+}
+
+// ==================== REPORT VIEWER (DASHBOARD TAB) ====================
+
+const REPORT_BUCKET_LABELS = {
+    valid: 'Valid', alreadyCaptured: 'Already Captured', continuityErrors: 'Continuity Errors',
+    zeroValues: 'Zero Values', selfCapture: 'Self Capture (Web)', anomalies: 'Anomalies', manualEntries: 'Manual Entries',
+    captured: 'Captured', already_captured: 'Duplicate (already captured)', would_capture: 'Would Capture (dry run)',
+    dry_run_mismatch: 'Dry Run Mismatch', error: 'Error', failed: 'Failed', skipped: 'Skipped',
+    submitted: 'Submitted', ctb_adjustment: 'Sent to Wage Edit', stuck: 'Stuck', pending: 'Pending',
+    updated: 'Updated', not_found: 'Not Found', gaps: 'ERs with filing gaps'
+};
+
+/**
+ * Render a group of report buckets as collapsible tables
+ * @param {string} title - Section heading
+ * @param {Object} buckets - { bucketKey: [entries] }
+ * @param {Array<[string, Function]>} columns - [header, entry => cell text]
+ */
+function renderReportSection(title, buckets, columns) {
+    const total = Object.values(buckets).reduce((sum, list) => sum + list.length, 0);
+    const groups = Object.entries(buckets).filter(([, list]) => list.length > 0).map(([key, list]) => `
+        <details class="report-bucket">
+            <summary>${escapeHtml(REPORT_BUCKET_LABELS[key] || key)} <span>(${list.length})</span></summary>
+            <table class="dash-table">
+                <thead><tr>${columns.map(([header]) => `<th>${header}</th>`).join('')}</tr></thead>
+                <tbody>${list.map(entry => `<tr>${columns.map(([, cell]) => `<td>${escapeHtml(cell(entry))}</td>`).join('')}</tr>`).join('')}</tbody>
+            </table>
+        </details>
+    `).join('');
+
+    return `
+        <div class="report-section">
+            <div class="col-header">${title} <span>(${total})</span></div>
+            ${groups || '<div class="report-empty">Nothing recorded yet</div>'}
+        </div>
+    `;
+}
+
+/**
+ * Render the full report into the Report tab
+ */
+async function renderReportView() {
+    const container = document.getElementById('report-body');
+    if (!container) return;
+
+    const report = await generateCaptureReport();
+    if (!report) return;
+
+    const s = report.summary;
+    const stats = [
+        ['Scraped', s.totalScraped], ['Queued', s.totalQueued], ['Captured', s.captured],
+        ['Failed', s.failed], ['Success', `${s.successRate}%`], ['Skipped at scrape', s.skippedDuringScrape],
+        ['Validated', s.validationSubmitted], ['Validation failed', s.validationFailed],
+        ['Wage edits', `${s.wageEditsDone} done / ${s.wageEditsPending} pending`]
+    ];
+    if (report.metadata.dryRun) stats.push(['Dry run', s.dryRun]);
+    if (s.supplementaryCaptured > 0) stats.push(['Supplementary', s.supplementaryCaptured]);
+
+    const money = (n) => (typeof n === 'number' ? n.toFixed(2) : '');
+    const shortTime = (iso) => (iso ? new Date(iso).toLocaleTimeString('en-GB') : '');
+
+    container.innerHTML = `
+        <div class="report-summary">
+            ${stats.map(([label, value]) => `<div class="report-stat"><b>${escapeHtml(value)}</b><span>${label}</span></div>`).join('')}
+        </div>
+        ${renderReportSection('🔍 Scraping', report.scrapeResults, [
+            ['ER No', e => e.er], ['Employer', e => e.employerName], ['LF', e => e.lf], ['Amt', e => money(e.amt)],
+            ['Override', e => (e.override ? `${e.override.lf} / ${money(e.override.amt)}` : '')], ['Note', e => e.message || '']
+        ])}
+        ${renderReportSection('📅 Filing Gaps', report.gapResults, [
+            ['ER No', e => e.er], ['Employer', e => e.employerName], ['First CR', e => e.firstPeriod],
+            ['Missing', e => formatPeriodRanges(e.missing)], ['No NORMAL CR', e => formatPeriodRanges(e.supplementaryOnly)]
+        ])}
+        ${renderReportSection('📥 Capture', report.captureResults, [
+            ['ER No', e => e.er], ['Employer', e => e.employerName], ['Type', e => e.type], ['LF', e => e.lf], ['Amt', e => money(e.amt)],
+            ['Baseline', e => describeCaptureSource(e.baseline)], ['Message', e => e.message], ['Time', e => shortTime(e.timestamp)]
+        ])}
+        ${renderReportSection('✅ Validation', report.validationResults, [
+            ['ER No', e => e.er], ['Employer', e => e.employerName], ['Period', e => e.period],
+            ['Message', e => e.message], ['Time', e => shortTime(e.timestamp)]
+        ])}
+        ${renderReportSection('💰 Wage Edits', report.wageEditResults, [
+            ['ER No', e => e.er], ['Employer', e => e.employerName], ['Staff', e => e.affectedEmployees],
+            ['Current', e => money(e.currentTotal)], ['Adjusted', e => money(e.adjustedTotal)], ['Message', e => e.message]
+        ])}
+        <div class="report-footer">Generated ${escapeHtml(new Date(report.metadata.generatedAt).toLocaleString('en-GB'))} · ${escapeHtml(report.metadata.periodFormatted || '')} · Baseline: ${escapeHtml(CAPTURE_BASELINES[report.metadata.captureBaseline])}</div>
+    `;
+}
+
+/**
+ * Switch the dashboard between its tabs
+ * @param {string} tab - 'run' | 'report' | 'audit' | 'logs'
+ */
+function switchDashboardTab(tab) {
+    activeDashboardTab = tab;
+
+    document.querySelectorAll('#ssnit-automation-container .dash-tab').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.tab === tab);
+    });
+    document.getElementById('dash-content').style.display = tab === 'run' ? '' : 'none';
+    document.getElementById('dash-report').style.display = tab === 'report' ? 'flex' : 'none';
+    document.getElementById('dash-audit').style.display = tab === 'audit' ? 'flex' : 'none';
+    document.getElementById('dash-logs').style.display = tab === 'logs' ? 'flex' : 'none';
+
+    if (tab === 'report') renderReportView();
+    if (tab === 'audit') renderAuditView();
+    if (tab === 'logs') renderLogView();
+}
+
+// ==================== UNPROCESSED LIST NAVIGATOR ====================
+
+// Walk in progress on the current page view; the finished index is stored as unprocessedIndex
+let unprocessedPaging = null;
+
+/**
+ * Read one row of the unprocessed list
+ * @returns {{er: string, dataEntryHref: string|null, editPrivateHref: string|null}|null}
+ */
+function parseUnprocessedRow(row) {
+    const desc = PAGE_DESCRIPTORS.viewCrsUnprocessed;
+    // ER is typically in one of the first few columns
+    const er = Array.from(row.querySelectorAll('td'))
+        .map(cell => cell.textContent?.trim())
+        .find(text => /^\d{9}$/.test(text));
+    if (!er) return null;
+
+    return {
+        er,
+        dataEntryHref: (row.querySelector(desc.dataEntryLink) || row.querySelector('a.text-success'))?.href || null,
+        editPrivateHref: row.querySelector(desc.editPrivateLink)?.href || null
+    };
 }
 
+/**
+ * Index of every CR on the unprocessed list (all pages), built once per phase.
+ * Call each tick while on the unprocessed page: it clears any search filter, walks
+ * the pages and stores {phase, builtAt, pages, complete, entries: {er: {dataEntryHref, editPrivateHref}}}.
+ * @param {string} phase - VALIDATION | WAGE_EDIT (an index built for another phase is rebuilt)
+ * @returns {Promise<Object|null>} The index, or null while it is still being built
+ */
+async function getUnprocessedIndex(phase) {
+    const stored = (await safeGet(['unprocessedIndex']))?.unprocessedIndex;
+    if (stored?.phase === phase) return stored;
+
+    const desc = PAGE_DESCRIPTORS.viewCrsUnprocessed;
+    if (unprocessedPaging?.key !== phase) {
+        unprocessedPaging = createTablePager(phase);
+
+        // A filtered list would hide CRs from the index
+        const searchInput = document.querySelector(desc.searchInput);
+        if (searchInput?.value) {
+            log('Clearing the unprocessed list search before indexing...', 'info');
+            const before = tableSnapshot(desc.table);
+            setNativeValue(searchInput, '');
+            PageOps.findButton(desc.searchButton)?.click();
+            await PageOps.waitForTableChange(desc.table, before, PAGE_TURN_TIMEOUT_MS);
+            await waitForNetworkIdle(PAGE_TURN_TIMEOUT_MS);
+            return null;
+        }
+    }
+
+    const result = await walkTablePages(unprocessedPaging, desc, parseUnprocessedRow);
+    if (!result) return null;
+    unprocessedPaging = null;
+
+    const entries = {};
+    result.rows.forEach(row => {
+        // First row wins, as with a visible-table lookup
+        if (!entries[row.er]) entries[row.er] = { dataEntryHref: row.dataEntryHref, editPrivateHref: row.editPrivateHref };
+    });
+
+    const index = { phase, builtAt: Date.now(), pages: result.pages, complete: result.complete, entries };
+    await safeSet({ unprocessedIndex: index });
+    log(`Indexed ${Object.keys(entries).length} CR(s) across ${result.pages} unprocessed page(s)`, result.complete ? 'success' : 'warn');
+    return index;
+}
+
+/**
+ * Drop the cached index so the next lookup re-reads the whole list
+ */
+async function invalidateUnprocessedIndex() {
+    unprocessedPaging = null;
+    await safeSet({ unprocessedIndex: null });
+}
+
+/**
+ * A CR left the unprocessed list (submitted for validation) - drop it from the index
+ */
+async function forgetUnprocessedEntry(er) {
+    const stored = (await safeGet(['unprocessedIndex']))?.unprocessedIndex;
+    if (!stored?.entries?.[er]) return;
+
+    delete stored.entries[er];
+    await safeSet({ unprocessedIndex: stored });
+}
+
+/**
+ * Open a CR's row action: click it when the row is on the visible page, otherwise follow the indexed link
+ * @param {'dataEntryHref'|'editPrivateHref'} action
+ * @returns {boolean} false if there is no such action for the ER
+ */
+function openUnprocessedAction(index, er, action) {
+    const desc = PAGE_DESCRIPTORS.viewCrsUnprocessed;
+    const row = PageOps.findTableRowByER(er, desc.table);
+    const link = action === 'dataEntryHref'
+        ? row?.querySelector(desc.dataEntryLink) || row?.querySelector('a.text-success')
+        : row?.querySelector(desc.editPrivateLink);
+
+    if (link) {
+        link.click();
+        return true;
+    }
+
+    const href = index.entries[er]?.[action];
+    if (!href) return false;
+    window.location.href = href;
+    return true;
+}
+
+
 // ==================== PHASE 3: VALIDATION ====================
 
-let validationInterval = null;
-let validationInProgress = false;
+/**
+ * Clear validation and wage edit outcomes before a fresh validation pass
+ */
+function resetValidationOutcomes(employers) {
+    const reset = {};
+    getEmployerList(employers).forEach(e => {
+        reset[e.id] = {
+            ...e,
+            validationStatus: 'pending', validatedAt: null, validationMessage: '',
+            ctbIssues: [], needsWageEdit: false, notFoundCount: 0, searchAttempted: false,
+            wageEditStatus: 'pending', originalTotal: 0, adjustedTotal: 0, wageEditedAt: null, wageEditMessage: ''
+        };
+    });
+    return reset;
+}
 
 /**
  * Start the validation phase
  * Submits captured CRs for SSNIT validation/processing
  */
 async function startValidationPhase() {
+    if (!await checkPhaseSelectors('VALIDATION')) return;
+
     // Ensure this tab is the automation tab (capture/validation run only here)
     await registerThisTabAsAutomationTab();
 
-    const data = await safeGet(['capturedErs', 'targetPeriod', 'scrapedResults']);
-    const captured = data?.capturedErs || [];
+    const data = await safeGet(['employers', 'captureQueue']);
+    const employers = resetValidationOutcomes(data?.employers);
+
+    // Build validation queue from captured ERs
+    const validationQueue = getEmployersByIds(employers, data?.captureQueue)
+        .filter(e => CAPTURE_DONE_STATUSES.includes(e.captureStatus))
+        .map(e => e.id);
 
-    if (captured.length === 0) {
+    if (validationQueue.length === 0) {
         alert("No captured ERs to validate. Complete capture phase first.");
         return;
     }
 
-    // Build validation queue from captured ERs
-    const scrapedMap = new Map((data.scrapedResults || []).map(r => [r.er, r]));
-    const validationQueue = captured.map(er => {
-        const scraped = scrapedMap.get(er);
-        return {
-            er: er,
-            name: scraped?.employerName || 'Unknown',
-            period: data.targetPeriod,
-            notFoundCount: 0 // Track how many times this CR wasn't found in table
-        };
-    });
-
     log(`Starting validation phase with ${validationQueue.length} CRs`, 'success');
+    await markPhaseTiming('VALIDATION', 'startedAt');
 
     await safeSet({
         phase: 'VALIDATION',
+        employers: employers,
         validationQueue: validationQueue,
         currentValidationIndex: 0,
-        validatedErs: [],
-        validationFailedErs: [],
-        validationResults: {},
-        needsWageEdit: [], // CRs that need wage adjustment before validation
-        validationState: null, // Track sub-state: null, 'imported', 'ctb_checked'
+        machineState: null,
+        unprocessedIndex: null,
         isPaused: false,
         interventionRequired: false
     });
@@ -1755,9 +3460,10 @@ async function startValidationPhase() {
  * rather than using only captured ERs
  */
 async function startForceValidationPhase() {
+    if (!await checkPhaseSelectors('VALIDATION')) return;
     await registerThisTabAsAutomationTab();
 
-    const data = await safeGet(['targetPeriod']);
+    const data = await safeGet(['targetPeriod', 'employers']);
     const period = data?.targetPeriod;
 
     if (!period) {
@@ -1766,17 +3472,16 @@ async function startForceValidationPhase() {
     }
 
     log('Starting Force Validation - will scan unprocessed table for all CRs', 'success');
+    await markPhaseTiming('VALIDATION', 'startedAt');
 
     await safeSet({
         phase: 'VALIDATION',
         forceValidationMode: true, // Flag to indicate force scan mode
+        employers: resetValidationOutcomes(data.employers),
         validationQueue: [], // Will be populated by scanning the unprocessed table
         currentValidationIndex: 0,
-        validatedErs: [],
-        validationFailedErs: [],
-        validationResults: {},
-        needsWageEdit: [],
-        validationState: 'force_scan', // Special state to trigger table scan
+        machineState: createMachineState('VALIDATION', 'force_scan'),
+        unprocessedIndex: null,
         isPaused: false,
         interventionRequired: false
     });
@@ -1785,25 +3490,6 @@ async function startForceValidationPhase() {
     window.location.href = '/contributions/view_crs/unprocessed';
 }
 
-/**
- * Run the validation automation loop
- */
-function runValidationLoop() {
-    if (validationInterval) clearInterval(validationInterval);
-    
-    validationInterval = setInterval(async () => {
-        if (isPaused || validationInProgress) return;
-        
-        validationInProgress = true;
-        try {
-            await doValidationStep();
-        } catch (e) {
-            log(`Validation error: ${e.message}`, 'error');
-        }
-        validationInProgress = false;
-    }, 2000);
-}
-
 /**
  * Get the previous month label from target period (YYYYMM)
  * Target: 202501 -> Previous: "December 2025"
@@ -1852,17 +3538,18 @@ function checkMinimumCtb() {
     }
     
     const rows = employeeTable.querySelectorAll('tbody tr');
+    const ctbColumn = PAGE_DESCRIPTORS.dataEntry.ctbColumn;
     
     rows.forEach((row, idx) => {
         const cells = row.querySelectorAll('td');
-        if (cells.length >= 8) {
+        if (cells.length > ctbColumn) {
             const surname = cells[3]?.textContent?.trim() || '';
             const firstName = cells[4]?.textContent?.trim() || '';
             const otherNames = cells[5]?.textContent?.trim() || '';
             const ssNumber = cells[1]?.textContent?.trim() || '';
             
-            // CTB is in column 7 (0-indexed), may have commas for thousands
-            const ctbText = cells[7]?.textContent?.trim() || '0';
+            // CTB column (descriptor ctbColumn), may have commas for thousands
+            const ctbText = cells[ctbColumn]?.textContent?.trim() || '0';
             const ctb = parseFloat(ctbText.replace(/,/g, '')) || 0;
             
             // Check if CTB is below minimum (but greater than 0 to exclude empty rows)
@@ -1915,12 +3602,13 @@ function calculateAdjustedTotal() {
     }
 
     const rows = employeeTable.querySelectorAll('tbody tr');
+    const ctbColumn = PAGE_DESCRIPTORS.dataEntry.ctbColumn;
 
     rows.forEach((row) => {
         const cells = row.querySelectorAll('td');
-        if (cells.length >= 8) {
-            // CTB is in column 7 (0-indexed), may have commas for thousands
-            const ctbText = cells[7]?.textContent?.trim() || '0';
+        if (cells.length > ctbColumn) {
+            // CTB column (descriptor ctbColumn), may have commas for thousands
+            const ctbText = cells[ctbColumn]?.textContent?.trim() || '0';
             const ctb = parseFloat(ctbText.replace(/,/g, '')) || 0;
 
             if (ctb > 0) {
@@ -1964,67 +3652,117 @@ async function logCtbIssue(er, period, employerName, employees) {
 }
 
 /**
- * Main validation step - multi-page flow:
- * 1. Unprocessed list → find ER → click to open
- * 2. Data entry page → click Import button
- * 3. Import modal → select previous month → click Import
- * 4. Data entry page → click Submit for Validation
- * 5. Handle consent modal (Submit for Validation confirmation)
- * 6. Handle success/error modal
- * 7. Navigate back to unprocessed list
+ * Validation - multi-page flow per CR:
+ * 1. Unprocessed list → find ER → open data entry          (find_cr)
+ * 2. Data entry page → Import → pick the previous month    (import)
+ * 3. Check imported contributions against MIN_CTB          (check_ctb)
+ * 4. Submit for Validation (consent modal handled)         (submit)
+ * 5. Success/error modal → back to the unprocessed list    (awaiting_result)
+ * Force validation first indexes the whole unprocessed list to build its queue (force_scan).
  */
-async function doValidationStep() {
-    const data = await safeGet([
-        'validationQueue', 'currentValidationIndex', 'targetPeriod',
-        'phase', 'validatedErs', 'validationFailedErs', 'validationResults',
-        'validationState', 'validationSubmitTime', 'forceValidationMode'
-    ]);
-
-    if (!data || data.phase !== 'VALIDATION') return;
+PHASE_MACHINES.VALIDATION = {
+    tickMs: 2000,
+    homeUrl: '/contributions/view_crs/unprocessed',
+    initial: 'find_cr',
+    keys: ['validationQueue', 'currentValidationIndex', 'targetPeriod', 'employers', 'forceValidationMode'],
+    item: data => {
+        const index = data.currentValidationIndex || 0;
+        return `${index}:${(data.validationQueue || [])[index] || ''}`;
+    },
+    // An empty queue is done too (its last CR went to wage edit) - unless force_scan is still filling it
+    isComplete: (data, machine) => machine.state !== 'force_scan' &&
+        (data.currentValidationIndex || 0) >= (data.validationQueue || []).length,
+    onComplete: async () => {
+        log('Validation complete!', 'success');
+        await safeSet({ phase: 'COMPLETE' });
+        await recordPhaseFinished('VALIDATION');
+        await completeBackfillPeriod();
+        updateDashboardUI();
+    },
+    prepare: prepareValidationStep,
+    interrupt: handleValidationModals,
+    stuckAfterMs: ITEM_STUCK_MS,
+    onStuck: ctx => endCurrentValidation(ctx, 'stuck', 'No progress on this CR'),
+    skip: skipCurrentValidation,
+    states: {
+        force_scan: {
+            page: 'viewCrsUnprocessed',
+            action: scanUnprocessedForValidation,
+            on: { empty: 'find_cr' }
+        },
+        find_cr: {
+            page: 'viewCrsUnprocessed',
+            action: openCrForValidation,
+            on: { opened: 'import' }
+        },
+        import: {
+            page: 'dataEntry',
+            action: importPreviousMonth,
+            timeoutMs: FORM_STUCK_MS,
+            onTimeout: ctx => endCurrentValidation(ctx, 'stuck', 'Could not complete data entry'),
+            on: { imported: 'check_ctb', ready: 'submit' }
+        },
+        check_ctb: {
+            page: 'dataEntry',
+            action: checkImportedCtb,
+            on: { ctb_ok: 'submit' }
+        },
+        submit: {
+            page: 'dataEntry',
+            action: submitForValidation,
+            timeoutMs: FORM_STUCK_MS,
+            onTimeout: ctx => endCurrentValidation(ctx, 'stuck', 'Could not complete data entry'),
+            on: { submitted: 'awaiting_result' }
+        },
+        awaiting_result: {
+            page: 'dataEntry',
+            action: ({ machine }) => {
+                log(`[VALIDATION] Waiting for modal response... (${Math.round((Date.now() - machine.enteredAt) / 1000)}s)`, 'info');
+            },
+            timeoutMs: RESPONSE_TIMEOUT_MS,
+            onTimeout: ctx => endCurrentValidation(ctx, 'failed', 'Timeout waiting for validation response')
+        }
+    }
+};
 
-    // ==================== FORCE VALIDATION SCAN MODE ====================
-    // If in force_scan mode, scan the unprocessed table and build queue from all visible CRs
-    if (data.validationState === 'force_scan' && window.location.href.includes('/view_crs/unprocessed')) {
-        log('[FORCE VALIDATION] Scanning unprocessed table for all CRs...', 'info');
+/**
+ * The employer the validation queue is on (null once the queue is done)
+ */
+function getCurrentValidation(data) {
+    return (data.employers || {})[(data.validationQueue || [])[data.currentValidationIndex || 0]] || null;
+}
 
-        const tableRows = document.querySelectorAll('table.table tbody tr');
-        const queue = [];
+/**
+ * Record an outcome for the current CR and return to the unprocessed list
+ */
+async function endCurrentValidation({ data }, status, message) {
+    const index = data.currentValidationIndex || 0;
+    const employerId = (data.validationQueue || [])[index];
+    if (employerId) await advanceValidation(employerId, status, index, message);
 
-        for (const row of tableRows) {
-            const cells = row.querySelectorAll('td');
-            // ER is typically in one of the first few columns
-            for (const cell of cells) {
-                const text = cell.textContent?.trim();
-                if (/^\d{9}$/.test(text)) { // 9-digit ER number
-                    queue.push({
-                        er: text,
-                        name: 'Unknown', // Will be determined during processing
-                        period: data.targetPeriod,
-                        notFoundCount: 0
-                    });
-                    break;
-                }
-            }
-        }
+    await wait(500);
+    window.location.href = PHASE_MACHINES.VALIDATION.homeUrl;
+}
 
-        if (queue.length === 0) {
-            log('[FORCE VALIDATION] No CRs found in unprocessed table', 'warn');
-            await safeSet({ phase: 'COMPLETE', forceValidationMode: false, validationState: null });
-            return;
-        }
+/**
+ * Runs before every validation state: CRs that already have an outcome are passed over
+ */
+async function prepareValidationStep({ data, machine }) {
+    if (machine.state === 'force_scan') return false;
 
-        log(`[FORCE VALIDATION] Found ${queue.length} CRs to validate`, 'success');
-        await safeSet({
-            validationQueue: queue,
-            currentValidationIndex: 0,
-            validationState: null,
-            forceValidationMode: true
-        });
-        return;
+    const index = data.currentValidationIndex || 0;
+    const currentItem = getCurrentValidation(data);
+    if (index < (data.validationQueue || []).length && (!currentItem || currentItem.validationStatus !== 'pending')) {
+        await safeSet({ currentValidationIndex: index + 1 });
+        return true;
     }
+    return false;
+}
 
-    // ==================== MODAL DETECTION FIRST ====================
-    // Check for modals BEFORE any other logic - modals must be handled immediately
+/**
+ * Modals are checked BEFORE any state action - they must be handled immediately
+ */
+async function handleValidationModals(ctx) {
     const modalState = PageOps.detectModal();
 
     // Handle consent modal (Submit for Validation confirmation)
@@ -2034,57 +3772,27 @@ async function doValidationStep() {
         if (handled) {
             await wait(300);
         }
-        return;
+        return true;
     }
 
+    const awaitingResult = ctx.machine.state === 'awaiting_result';
+
     // Handle success modal after validation submit
-    if (modalState.type === 'success' && data.validationState === 'submitted_awaiting') {
+    if (modalState.type === 'success' && awaitingResult) {
         log('[VALIDATION] Success modal detected - validation succeeded!', 'success');
-        const handled = await handleModal('success', modalState.element);
-        if (handled) {
-            // Mark as validated and advance
-            const queue = data.validationQueue || [];
-            const index = data.currentValidationIndex || 0;
-            const currentER = queue[index]?.er;
-
-            if (currentER) {
-                await advanceValidation(
-                    currentER, 'submitted',
-                    data.validatedErs || [],
-                    data.validationFailedErs || [],
-                    index, 'Validation successful'
-                );
-            }
-
-            // Navigate back to unprocessed list
-            await wait(500);
-            window.location.href = '/contributions/view_crs/unprocessed';
+        if (await handleModal('success', modalState.element)) {
+            await endCurrentValidation(ctx, 'submitted', 'Validation successful');
         }
-        return;
+        return true;
     }
 
     // Handle error modal after validation submit
-    if (modalState.type === 'error' && data.validationState === 'submitted_awaiting') {
+    if (modalState.type === 'error' && awaitingResult) {
         log(`[VALIDATION] Error modal detected: ${modalState.message}`, 'error');
-        const handled = await handleModal('error', modalState.element);
-        if (handled) {
-            const queue = data.validationQueue || [];
-            const index = data.currentValidationIndex || 0;
-            const currentER = queue[index]?.er;
-
-            if (currentER) {
-                await advanceValidation(
-                    currentER, 'error',
-                    data.validatedErs || [],
-                    data.validationFailedErs || [],
-                    index, modalState.message
-                );
-            }
-
-            await wait(500);
-            window.location.href = '/contributions/view_crs/unprocessed';
+        if (await handleModal('error', modalState.element)) {
+            await endCurrentValidation(ctx, 'error', modalState.message);
         }
-        return;
+        return true;
     }
 
     // Handle unknown modal - pause for intervention
@@ -2096,407 +3804,305 @@ async function doValidationStep() {
             interventionRequired: true,
             interventionMessage: `Unknown modal: ${modalState.message}. Please handle manually and click Resume.`
         });
-        return;
+        return true;
     }
 
-    // Check for submit timeout
-    if (data.validationState === 'submitted_awaiting' && data.validationSubmitTime) {
-        const elapsed = Date.now() - data.validationSubmitTime;
-        if (elapsed > RESPONSE_TIMEOUT_MS) {
-            log('[VALIDATION] Submit timeout - marking as failed', 'error');
-            const queue = data.validationQueue || [];
-            const index = data.currentValidationIndex || 0;
-            const currentER = queue[index]?.er;
-
-            if (currentER) {
-                await advanceValidation(
-                    currentER, 'failed',
-                    data.validatedErs || [],
-                    data.validationFailedErs || [],
-                    index, 'Timeout waiting for validation response'
-                );
-            }
+    return false;
+}
 
-            window.location.href = '/contributions/view_crs/unprocessed';
-            return;
+/**
+ * State `force_scan`: queue every CR on the unprocessed list
+ */
+async function scanUnprocessedForValidation(ctx) {
+    const { data } = ctx;
+    const listIndex = await getUnprocessedIndex('VALIDATION');
+    if (!listIndex) {
+        log('[FORCE VALIDATION] Scanning unprocessed list for all CRs...', 'info');
+        return;
+    }
+
+    const employers = data.employers || {};
+    const queue = [];
+    for (const er of Object.keys(listIndex.entries)) {
+        let employer = findEmployerByEr(employers, er);
+        if (!employer) {
+            // Not part of this run - track it without scrape data
+            employer = createUnifiedEmployer(er, 'Unknown', data.targetPeriod);
+            employer.scrapedAt = null;
+            employers[employer.id] = employer;
         }
+        if (!queue.includes(employer.id)) queue.push(employer.id);
+    }
 
-        // Still waiting for modal response
-        log(`[VALIDATION] Waiting for modal response... (${Math.round(elapsed/1000)}s)`, 'info');
+    if (queue.length === 0) {
+        // Leaving force_scan with the queue still empty completes the phase like any other run
+        log('[FORCE VALIDATION] No CRs found in unprocessed table', 'warn');
+        await safeSet({ forceValidationMode: false });
+        await ctx.go('empty');
         return;
     }
-    
+
+    // The new queue is a new item, so the machine moves on to find_cr
+    log(`[FORCE VALIDATION] Found ${queue.length} CRs to validate`, 'success');
+    await safeSet({
+        employers: employers,
+        validationQueue: queue,
+        currentValidationIndex: 0,
+        forceValidationMode: true
+    });
+}
+
+/**
+ * State `find_cr`: open the current CR's data entry page from the unprocessed list
+ */
+async function openCrForValidation(ctx) {
+    const { data } = ctx;
+    const listIndex = await getUnprocessedIndex('VALIDATION');
+    if (!listIndex) return;
+
+    const employers = data.employers || {};
     const queue = data.validationQueue || [];
     const index = data.currentValidationIndex || 0;
-    let validatedList = data.validatedErs || [];
-    let failedList = data.validationFailedErs || [];
-    const period = data.targetPeriod;
-    const prevMonthLabel = getPreviousMonthLabel(period);
-    
-    // Check if validation complete
-    if (queue.length === 0 || index >= queue.length) {
-        if (index >= queue.length && queue.length > 0) {
-            log('Validation complete!', 'success');
-            if (validationInterval) {
-                clearInterval(validationInterval);
-                validationInterval = null;
-            }
-            await safeSet({ phase: 'COMPLETE' });
-            updateDashboardUI();
+    const currentItem = getCurrentValidation(data);
+    if (!currentItem) return;
+    const currentER = currentItem.er;
+
+    log(`[VALIDATION] Looking for ER ${currentER} in unprocessed list...`);
+
+    if (listIndex.entries[currentER]) {
+        log(`Found ER ${currentER} in unprocessed list, opening data entry...`, 'success');
+        // Reset lookup state and notFoundCount since we found it
+        if (currentItem.notFoundCount > 0 || currentItem.searchAttempted) {
+            await updateEmployer(currentItem.id, { notFoundCount: 0, searchAttempted: false });
         }
+        await ctx.go('opened');
+        if (openUnprocessedAction(listIndex, currentER, 'dataEntryHref')) return;
+        log(`No data entry link for ${currentER}`, 'error');
         return;
     }
-    
-    const currentItem = queue[index];
-    const currentER = currentItem.er;
-    
-    // Skip if already processed
-    if (validatedList.includes(currentER) || failedList.includes(currentER)) {
-        await safeSet({ currentValidationIndex: index + 1, validationState: null });
-        stuckCounter = 0;
+
+    // Not indexed - the list may have changed since it was read, so re-read it once
+    if (!currentItem.searchAttempted) {
+        log(`[VALIDATION] ER ${currentER} not in the unprocessed index, re-reading the list...`, 'info');
+        await updateEmployer(currentItem.id, { searchAttempted: true });
+        await invalidateUnprocessedIndex();
         return;
     }
-    
-    const currentUrl = window.location.href;
-    const isUnprocessedPage = currentUrl.includes('/view_crs/unprocessed');
-    const isDataEntryPage = currentUrl.includes('/data-entry');
-    
-    // ==================== CHECK FOR IMPORT MODAL ====================
-    // Modal has header "Import Contribution Transactions"
-    const importModal = document.querySelector('.custom-alert-container');
-    const importModalHeader = importModal?.querySelector('.custom-alert-title h3');
-    const isImportModalOpen = importModal &&
-        importModalHeader?.textContent?.includes('Import Contribution Transactions') &&
-        importModal.offsetParent !== null;
-
-    if (isImportModalOpen) {
-        // Get all possible previous month formats for flexible matching
-        const prevMonthLabels = getPreviousMonthLabels(period);
-        log(`[VALIDATION] Import modal open, looking for previous month (formats: ${prevMonthLabels.slice(0, 2).join(', ')}...)...`);
-
-        // Scan the table in the modal for the previous month using normalized matching
-        const modalTable = importModal.querySelector('table tbody');
-        const modalRows = modalTable?.querySelectorAll('tr') || [];
-        let targetRow = null;
-
-        for (const row of modalRows) {
-            const periodCell = row.querySelector('td:nth-child(2)'); // Period is second column
-            if (periodCell) {
-                const cellText = periodCell.textContent?.trim() || '';
-                const normalizedCellText = normalizeMonthText(cellText);
-
-                // Check against all possible previous month formats
-                for (const label of prevMonthLabels) {
-                    const normalizedLabel = normalizeMonthText(label);
-                    if (normalizedCellText === normalizedLabel) {
-                        targetRow = row;
-                        log(`Matched period: "${cellText}" (normalized: "${normalizedCellText}")`, 'info');
-                        break;
-                    }
-                }
-                if (targetRow) break;
-            }
-        }
 
-        if (targetRow) {
-            // Check if radio is already selected
-            const radio = targetRow.querySelector('input[type="radio"][name="import_cr"]');
-            if (radio && !radio.checked) {
-                log(`Selecting period using Vue radio click...`, 'success');
-
-                // Use PageOps.clickVueRadio for proper Vue radio handling
-                const clicked = await PageOps.clickVueRadio(radio);
-                if (!clicked) {
-                    log('Vue radio click failed, trying fallback...', 'warn');
-                    // Fallback: try clicking the row itself
-                    targetRow.click();
-                }
-                await wait(400);
-            }
+    log(`ER ${currentER} not found even after re-reading the list, moving to back of queue...`, 'warn');
 
-            // Click Import button (should now be enabled)
-            const importBtn = importModal.querySelector('button.btn-custom:not(:disabled)');
-            if (importBtn && importBtn.textContent.toLowerCase().includes('import')) {
-                log(`Clicking Import button...`, 'success');
-                importBtn.click();
-                await safeSet({ validationState: 'imported' });
-                await wait(500);
-                return;
-            }
+    // Increment notFoundCount for this item
+    currentItem.notFoundCount = (currentItem.notFoundCount || 0) + 1;
+    currentItem.searchAttempted = false; // Reset for next attempt
 
-            // Import button still disabled - try more aggressive radio selection
-            const disabledImportBtn = importModal.querySelector('button.btn-custom:disabled');
-            if (disabledImportBtn && radio) {
-                log('Import button disabled, trying aggressive radio selection...', 'warn');
-
-                // Try clicking the radio wrapper div (Vue custom radios)
-                const radioWrapper = radio.closest('.radio-custom') ||
-                                     radio.closest('.radio-inline') ||
-                                     radio.closest('div.radio');
-                if (radioWrapper) {
-                    radioWrapper.click();
-                    await wait(200);
-                }
+    // Remove from current position and add to back of queue
+    const updatedQueue = [...queue];
+    updatedQueue.splice(index, 1); // Remove from current position
+    updatedQueue.push(currentItem.id); // Add to back
 
-                // Also try setting value directly with all events
-                radio.checked = true;
-                radio.dispatchEvent(new Event('change', { bubbles: true }));
-                radio.dispatchEvent(new Event('input', { bubbles: true }));
-                radio.dispatchEvent(new Event('click', { bubbles: true }));
-                radio.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
-            }
-            return;
-        } else {
-            // Previous month not found in table - pause for intervention
-            log(`Previous month not found in import table (tried: ${prevMonthLabels.join(', ')})`, 'error');
-            isPaused = true;
-            await safeSet({
-                isPaused: true,
-                interventionRequired: true,
-                interventionMessage: `Previous month not found for ER ${currentER}. Tried formats: ${prevMonthLabels.slice(0, 2).join(', ')}. Please import manually or Skip.`
-            });
-            return;
-        }
+    // Check if all remaining items have been not found multiple times (infinite loop prevention)
+    const allStuck = updatedQueue.every(id => (employers[id]?.notFoundCount || 0) >= 3);
+    if (allStuck) {
+        log('All remaining CRs not found in the unprocessed list. Pausing for intervention...', 'error');
+        isPaused = true;
+        await safeSet({
+            employers: employers,
+            validationQueue: updatedQueue,
+            isPaused: true,
+            interventionRequired: true,
+            interventionMessage: `None of the remaining ${updatedQueue.length} CRs found in the unprocessed list (all ${listIndex.pages} page(s) read). Please check manually or Skip.`
+        });
+        return;
     }
-    
-    // ==================== STATE 1: UNPROCESSED LIST PAGE ====================
-    if (isUnprocessedPage) {
-        log(`[VALIDATION] Looking for ER ${currentER} in unprocessed list...`);
 
-        // Reset validation state when on list page (but not force_scan mode)
-        if (data.validationState && data.validationState !== 'force_scan' && data.validationState !== 'searching') {
-            await safeSet({ validationState: null });
-        }
+    // Index stays the same since we removed current item, next item slides into this position
+    await safeSet({ employers: employers, validationQueue: updatedQueue });
+}
 
-        // Use optimized column-specific search (O(R) instead of O(R×C))
-        const foundRow = PageOps.findTableRowByER(currentER, 'table.table');
-
-        if (foundRow) {
-            log(`Found ER ${currentER} in table, clicking to open...`, 'success');
-
-            // Find clickable element - the cogs icon link for data-entry
-            const processLink = foundRow.querySelector('a[href*="data-entry"]');
-            const clickableElement = processLink || foundRow.querySelector('a.text-success') || foundRow;
-
-            if (clickableElement && clickableElement.click) {
-                clickableElement.click();
-                stuckCounter = 0;
-                // Reset search state and notFoundCount since we found it
-                if (currentItem.notFoundCount > 0 || currentItem.searchAttempted) {
-                    const updatedQueue = [...queue];
-                    updatedQueue[index].notFoundCount = 0;
-                    updatedQueue[index].searchAttempted = false;
-                    await safeSet({ validationQueue: updatedQueue, validationState: null });
-                }
-            }
-            return;
-        }
+/**
+ * Enabled "Submit for Validation" button on the data entry page
+ */
+function findValidationSubmitButton(disabled = false) {
+    return Array.from(document.querySelectorAll('button')).find(btn => {
+        const text = btn.textContent.toLowerCase();
+        return text.includes('submit') && text.includes('validation') && btn.disabled === disabled;
+    }) || null;
+}
 
-        // ER not found in visible table - try using portal search before giving up
-        // Look for search input on the unprocessed page
-        const searchInput = document.querySelector('input[placeholder*="ER"], input[placeholder*="Search"], input.form-control[type="text"]');
-        const searchBtn = PageOps.findButton({ text: 'search' }) ||
-                          PageOps.findButton({ text: 'filter' }) ||
-                          document.querySelector('button[type="submit"]');
-
-        // Check if we already searched for this ER
-        const alreadySearched = currentItem.searchAttempted === true;
-        const currentSearchValue = searchInput?.value?.trim() || '';
-        const isSearchedForThisER = currentSearchValue === currentER;
-
-        if (searchInput && !alreadySearched) {
-            log(`[VALIDATION] ER ${currentER} not in visible table, using search...`, 'info');
-
-            // Clear any existing search first if searching for different ER
-            if (currentSearchValue && !isSearchedForThisER) {
-                setNativeValue(searchInput, '');
-                await wait(300);
-            }
+/**
+ * State `import`: import the previous month's employee list through the import modal
+ */
+async function importPreviousMonth({ data }) {
+    const currentItem = getCurrentValidation(data);
+    if (!currentItem) return;
+    const currentER = currentItem.er;
 
-            // Enter the ER in search field
-            searchInput.focus();
-            await wait(100);
-            setNativeValue(searchInput, currentER);
-            searchInput.blur();
-            await wait(300);
+    // Modal has header "Import Contribution Transactions"
+    const importModal = document.querySelector('.custom-alert-container');
+    const isImportModalOpen = PageOps.isImportDialog(importModal) && importModal.offsetParent !== null;
 
-            // Click search button or trigger search
-            if (searchBtn) {
-                searchBtn.click();
-            } else {
-                // Try submitting via Enter key
-                searchInput.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
-                searchInput.dispatchEvent(new KeyboardEvent('keyup', { key: 'Enter', bubbles: true }));
-            }
+    if (!isImportModalOpen) {
+        // Already imported (e.g. before a reload) - straight to submit
+        if (findValidationSubmitButton()) return 'ready';
 
-            // Mark that we've attempted search for this ER
-            const updatedQueue = [...queue];
-            updatedQueue[index].searchAttempted = true;
-            await safeSet({ validationQueue: updatedQueue, validationState: 'searching' });
+        // Look for Import button to open the modal
+        const importOpenBtn = Array.from(document.querySelectorAll('button')).find(btn => {
+            const text = btn.textContent.toLowerCase();
+            return text.includes('import') && !btn.disabled;
+        });
 
-            log(`[VALIDATION] Search initiated for ${currentER}, waiting for results...`, 'info');
-            await wait(1500); // Wait for search results to load
-            return;
+        if (importOpenBtn) {
+            log(`Opening import modal for ${currentER}...`);
+            importOpenBtn.click();
+            await PageOps.waitForSelector('.custom-alert-container .custom-alert-title h3', FORM_SETTLE_MS);
+            await waitForNetworkIdle(FORM_SETTLE_MS);
         }
+        return;
+    }
 
-        // If we already searched and still not found, or no search available
-        if (alreadySearched || !searchInput) {
-            if (alreadySearched) {
-                log(`ER ${currentER} not found even after search, moving to back of queue...`, 'warn');
-            } else {
-                log(`ER ${currentER} not in visible table (no search available), moving to back of queue...`, 'warn');
+    // Get all possible previous month formats for flexible matching
+    const prevMonthLabels = getPreviousMonthLabels(data.targetPeriod);
+    log(`[VALIDATION] Import modal open, looking for previous month (formats: ${prevMonthLabels.slice(0, 2).join(', ')}...)...`);
+
+    // Scan the table in the modal for the previous month using normalized matching
+    const modalTable = importModal.querySelector('table tbody');
+    const modalRows = modalTable?.querySelectorAll('tr') || [];
+    let targetRow = null;
+
+    for (const row of modalRows) {
+        const periodCell = row.querySelector('td:nth-child(2)'); // Period is second column
+        if (periodCell) {
+            const cellText = periodCell.textContent?.trim() || '';
+            const normalizedCellText = normalizeMonthText(cellText);
+
+            // Check against all possible previous month formats
+            for (const label of prevMonthLabels) {
+                const normalizedLabel = normalizeMonthText(label);
+                if (normalizedCellText === normalizedLabel) {
+                    targetRow = row;
+                    log(`Matched period: "${cellText}" (normalized: "${normalizedCellText}")`, 'info');
+                    break;
+                }
             }
+            if (targetRow) break;
+        }
+    }
 
-            // Increment notFoundCount for this item
-            currentItem.notFoundCount = (currentItem.notFoundCount || 0) + 1;
-            currentItem.searchAttempted = false; // Reset for next attempt
-
-            // Remove from current position and add to back of queue
-            const updatedQueue = [...queue];
-            updatedQueue.splice(index, 1); // Remove from current position
-            updatedQueue.push(currentItem); // Add to back
-
-            // Check if all remaining items have been not found multiple times (infinite loop prevention)
-            const allStuck = updatedQueue.every(item => item.notFoundCount >= 3);
-            if (allStuck) {
-                log('All remaining CRs not found in table even after search. Pausing for intervention...', 'error');
-                isPaused = true;
-                await safeSet({
-                    validationQueue: updatedQueue,
-                    validationState: null,
-                    isPaused: true,
-                    interventionRequired: true,
-                    interventionMessage: `None of the remaining ${updatedQueue.length} CRs found in unprocessed table (search attempted). Please check manually or Skip.`
-                });
-                return;
-            }
+    if (!targetRow) {
+        // Previous month not found in table - pause for intervention
+        log(`Previous month not found in import table (tried: ${prevMonthLabels.join(', ')})`, 'error');
+        isPaused = true;
+        await safeSet({
+            isPaused: true,
+            interventionRequired: true,
+            interventionMessage: `Previous month not found for ER ${currentER}. Tried formats: ${prevMonthLabels.slice(0, 2).join(', ')}. Please import manually or Skip.`
+        });
+        return;
+    }
 
-            // Clear search field for next ER
-            if (searchInput && searchInput.value) {
-                setNativeValue(searchInput, '');
-                await wait(200);
-                if (searchBtn) searchBtn.click();
-            }
+    // Check if radio is already selected
+    const radio = targetRow.querySelector('input[type="radio"][name="import_cr"]');
+    if (radio && !radio.checked) {
+        log(`Selecting period using Vue radio click...`, 'success');
+
+        // Use PageOps.clickVueRadio for proper Vue radio handling
+        const clicked = await PageOps.clickVueRadio(radio);
+        if (!clicked) {
+            log('Vue radio click failed, trying fallback...', 'warn');
+            // Fallback: try clicking the row itself
+            targetRow.click();
+        }
+        await waitForCondition(() => importModal.querySelector('button.btn-custom:not(:disabled)'), FORM_SETTLE_MS);
+    }
 
-            await safeSet({ validationQueue: updatedQueue, validationState: null });
-            // Index stays the same since we removed current item, next item slides into this position
-            stuckCounter = 0;
-            return;
+    // Click Import button (should now be enabled)
+    const importBtn = importModal.querySelector('button.btn-custom:not(:disabled)');
+    if (importBtn && importBtn.textContent.toLowerCase().includes('import')) {
+        log(`Clicking Import button...`, 'success');
+        importBtn.click();
+        await waitForCondition(() => importModal.offsetParent === null, FORM_SETTLE_MS);
+        await waitForNetworkIdle(FORM_SETTLE_MS);
+        return 'imported';
+    }
+
+    // Import button still disabled - try more aggressive radio selection
+    const disabledImportBtn = importModal.querySelector('button.btn-custom:disabled');
+    if (disabledImportBtn && radio) {
+        log('Import button disabled, trying aggressive radio selection...', 'warn');
+
+        // Try clicking the radio wrapper div (Vue custom radios)
+        const radioWrapper = radio.closest('.radio-custom') ||
+                             radio.closest('.radio-inline') ||
+                             radio.closest('div.radio');
+        if (radioWrapper) {
+            radioWrapper.click();
+            await wait(200);
         }
 
-        return;
+        // Also try setting value directly with all events
+        radio.checked = true;
+        radio.dispatchEvent(new Event('change', { bubbles: true }));
+        radio.dispatchEvent(new Event('input', { bubbles: true }));
+        radio.dispatchEvent(new Event('click', { bubbles: true }));
+        radio.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
     }
-    
-    // ==================== STATE 2: DATA ENTRY PAGE ====================
-    if (isDataEntryPage) {
-        const validationState = data.validationState;
-        
-        // After import, check for minimum CTB issues before allowing submit
-        if (validationState === 'imported') {
-            const ctbIssues = checkMinimumCtb();
-
-            if (ctbIssues.length > 0) {
-                // Calculate total employee contributions and new adjusted total
-                const { currentTotal, adjustedTotal } = calculateAdjustedTotal();
-
-                // Log the CTB issues for later review
-                await logCtbIssue(currentER, period, currentItem.name, ctbIssues);
-
-                // Add to needsWageEdit queue for later processing
-                const wageEditData = await safeGet(['needsWageEdit']);
-                const needsWageEdit = wageEditData?.needsWageEdit || [];
-                needsWageEdit.push({
-                    er: currentER,
-                    name: currentItem.name,
-                    period: period,
-                    currentTotal: currentTotal,
-                    adjustedTotal: adjustedTotal,
-                    affectedEmployees: ctbIssues.length,
-                    ctbIssues: ctbIssues
-                });
-                await safeSet({ needsWageEdit: needsWageEdit });
+}
 
-                log(`CTB below minimum for ${currentER} - ${ctbIssues.length} employee(s) affected. Added to wage edit queue.`, 'warn');
-                log(`Current total: ${currentTotal.toFixed(2)}, Adjusted total needed: ${adjustedTotal.toFixed(2)}`, 'info');
+/**
+ * State `check_ctb`: CRs with contributions below MIN_CTB go to wage edit instead of being submitted
+ */
+async function checkImportedCtb({ data }) {
+    const currentItem = getCurrentValidation(data);
+    if (!currentItem) return;
+    const currentER = currentItem.er;
+    const ctbIssues = checkMinimumCtb();
 
-                // Remove from validation queue and move to next
-                const updatedQueue = [...queue];
-                updatedQueue.splice(index, 1);
-                await safeSet({
-                    validationQueue: updatedQueue,
-                    validationState: null
-                });
+    if (ctbIssues.length === 0) return 'ctb_ok';
 
-                // Navigate back to unprocessed list for next CR
-                window.location.href = '/contributions/view_crs/unprocessed';
-                return;
-            }
+    // Calculate total employee contributions and new adjusted total
+    const { currentTotal, adjustedTotal } = calculateAdjustedTotal();
 
-            // CTB check passed, update state to indicate ready for submit
-            await safeSet({ validationState: 'ctb_checked' });
-        }
-        
-        // Check if we've already imported - look for Submit button
-        const submitBtn = Array.from(document.querySelectorAll('button')).find(btn => {
-            const text = btn.textContent.toLowerCase();
-            return text.includes('submit') && text.includes('validation') && !btn.disabled;
-        });
-        
-        if (submitBtn) {
-            log(`Submitting CR ${currentER} for validation...`, 'success');
-
-            // Get user's post-after-validation preference from storage
-            const settings = await safeGet(['autoPostAfterValidation']);
-            const shouldAutoPost = settings?.autoPostAfterValidation === true;
-
-            // Handle the "Post after validation" checkbox based on user setting
-            const autoPostCheckbox = document.querySelector('input[type="checkbox"]#checkbox2, input[type="checkbox"][name="checkboxInline"]');
-            if (autoPostCheckbox) {
-                if (shouldAutoPost && !autoPostCheckbox.checked) {
-                    autoPostCheckbox.click();
-                    await wait(200);
-                } else if (!shouldAutoPost && autoPostCheckbox.checked) {
-                    // Uncheck if user doesn't want auto-post
-                    autoPostCheckbox.click();
-                    await wait(200);
-                }
-            }
+    // Log the CTB issues for later review
+    await logCtbIssue(currentER, data.targetPeriod, currentItem.name, ctbIssues);
 
-            // Set state to awaiting modal response BEFORE clicking submit
-            await safeSet({
-                validationState: 'submitted_awaiting',
-                validationSubmitTime: Date.now()
-            });
+    // Flag for the wage edit phase
+    await updateEmployer(currentItem.id, {
+        needsWageEdit: true,
+        ctbIssues: ctbIssues,
+        originalTotal: currentTotal,
+        adjustedTotal: adjustedTotal,
+        wageEditStatus: 'pending',
+        validationStatus: 'ctb_adjustment',
+        validatedAt: Date.now(),
+        validationMessage: `${ctbIssues.length} employee(s) below ${MIN_CTB}; total ${currentTotal.toFixed(2)} -> ${adjustedTotal.toFixed(2)}`
+    });
 
-            submitBtn.click();
+    log(`CTB below minimum for ${currentER} - ${ctbIssues.length} employee(s) affected. Added to wage edit queue.`, 'warn');
+    log(`Current total: ${currentTotal.toFixed(2)}, Adjusted total needed: ${adjustedTotal.toFixed(2)}`, 'info');
 
-            // Don't advance immediately - wait for modal detection on next tick
-            // The modal handler at the start of doValidationStep will handle the response
-            log('[VALIDATION] Submit clicked, waiting for modal response...', 'info');
-            return;
-        }
-        
-        // No submit button enabled - need to import first
-        // Look for Import button to open the modal
-        const importOpenBtn = Array.from(document.querySelectorAll('button')).find(btn => {
-            const text = btn.textContent.toLowerCase();
-            return text.includes('import') && !btn.disabled;
-        });
-        
-        if (importOpenBtn && !isImportModalOpen) {
-            log(`Opening import modal for ${currentER}...`);
-            importOpenBtn.click();
-            await wait(500);
-            return;
-        }
-        
-        // Check for disabled submit button (data issue after import)
-        const disabledSubmit = Array.from(document.querySelectorAll('button:disabled')).find(btn => {
-            const text = btn.textContent.toLowerCase();
-            return text.includes('submit') && text.includes('validation');
-        });
-        
-        if (disabledSubmit && validationState === 'imported') {
+    // Remove from validation queue and move to next
+    const updatedQueue = [...(data.validationQueue || [])];
+    updatedQueue.splice(data.currentValidationIndex || 0, 1);
+    await safeSet({ validationQueue: updatedQueue });
+
+    // Navigate back to unprocessed list for next CR
+    window.location.href = PHASE_MACHINES.VALIDATION.homeUrl;
+}
+
+/**
+ * State `submit`: set the post-after-validation checkbox and submit the CR for validation
+ */
+async function submitForValidation(ctx) {
+    const { data } = ctx;
+    const currentItem = getCurrentValidation(data);
+    if (!currentItem) return;
+    const currentER = currentItem.er;
+    const period = data.targetPeriod;
+    const submitBtn = findValidationSubmitButton();
+
+    if (!submitBtn) {
+        // Disabled submit after import = data issue
+        if (findValidationSubmitButton(true)) {
             log(`Submit button disabled after import for ${currentER}`, 'error');
             isPaused = true;
             await safeSet({
@@ -2504,86 +4110,90 @@ async function doValidationStep() {
                 interventionRequired: true,
                 interventionMessage: `Submit disabled for ER ${currentER} after import. Please review data or Skip.`
             });
-            return;
-        }
-        
-        // Stuck on data entry page
-        stuckCounter++;
-        if (stuckCounter >= MAX_STUCK_COUNT) {
-            log(`Stuck on data entry for ${currentER}, skipping...`, 'error');
-            await advanceValidation(currentER, 'stuck', validatedList, failedList, index, 'Could not complete data entry');
-            stuckCounter = 0;
-            window.location.href = '/contributions/view_crs/unprocessed';
         }
         return;
     }
-    
-    // ==================== UNKNOWN PAGE - NAVIGATE BACK ====================
-    stuckCounter++;
-    if (stuckCounter >= 3) {
-        log('On unknown page, navigating back to unprocessed list...', 'warn');
-        window.location.href = '/contributions/view_crs/unprocessed';
-        stuckCounter = 0;
+
+    log(`Submitting CR ${currentER} for validation...`, 'success');
+
+    // Get user's post-after-validation preference from storage
+    const settings = await safeGet(['autoPostAfterValidation']);
+    const shouldAutoPost = settings?.autoPostAfterValidation === true;
+
+    // Handle the "Post after validation" checkbox based on user setting
+    const autoPostCheckbox = document.querySelector(PAGE_DESCRIPTORS.dataEntry.autoPostCheckbox);
+    if (autoPostCheckbox) {
+        const wasChecked = autoPostCheckbox.checked;
+        if (shouldAutoPost && !autoPostCheckbox.checked) {
+            autoPostCheckbox.click();
+            await wait(200);
+        } else if (!shouldAutoPost && autoPostCheckbox.checked) {
+            // Uncheck if user doesn't want auto-post
+            autoPostCheckbox.click();
+            await wait(200);
+        }
+        await recordAudit('post_checkbox', {
+            er: currentER, period: period,
+            values: { checked: autoPostCheckbox.checked },
+            outcome: autoPostCheckbox.checked === wasChecked ? 'unchanged' : 'changed'
+        });
     }
+
+    await recordAudit('validation_submit', {
+        er: currentER, period: period,
+        values: { postAfterValidation: autoPostCheckbox ? autoPostCheckbox.checked : 'n/a' },
+        outcome: 'submitted'
+    });
+
+    // Move to awaiting_result BEFORE clicking submit - the modal interrupt handles the response
+    await ctx.go('submitted');
+    submitBtn.click();
+    log('[VALIDATION] Submit clicked, waiting for modal response...', 'info');
 }
 
 /**
- * Advance to next ER in validation queue
+ * Record the validation outcome on the employer and advance the queue
  */
-async function advanceValidation(er, result, validatedList, failedList, index, message = '') {
-    // Store result
-    const data = await safeGet(['validationResults']);
-    const results = data?.validationResults || {};
-    results[er] = {
-        result: result,
-        message: message,
-        timestamp: Date.now()
-    };
-    
-    if (result === 'submitted') {
-        validatedList.push(er);
-        await safeSet({
-            validatedErs: validatedList,
-            currentValidationIndex: index + 1,
-            validationResults: results,
-            interventionRequired: false
-        });
+async function advanceValidation(employerId, status, index, message = '') {
+    const state = await safeGet(['machineState']);
+    const employer = await updateEmployer(employerId, {
+        validationStatus: status,
+        validatedAt: Date.now(),
+        validationMessage: message
+    });
+    await safeSet({
+        currentValidationIndex: index + 1,
+        interventionRequired: false
+    });
+
+    if (state?.machineState?.phase === 'VALIDATION' && state.machineState.state === 'awaiting_result' && employer) {
+        await recordAudit('validation_result', { er: employer.er, period: employer.period, outcome: status, message: message });
+    }
+
+    const er = employer?.er || employerId;
+    if (status === 'submitted') {
+        // Submitted CRs leave the unprocessed list
+        await forgetUnprocessedEntry(er);
         log(`✓ ${er} submitted for validation`, 'success');
     } else {
-        failedList.push(er);
-        await safeSet({
-            validationFailedErs: failedList,
-            currentValidationIndex: index + 1,
-            validationResults: results,
-            interventionRequired: false
-        });
         log(`✗ ${er} validation failed: ${message}`, 'error');
     }
-    
-    stuckCounter = 0;
 }
 
 /**
  * Skip current ER in validation phase
  */
 async function skipCurrentValidation() {
-    const data = await safeGet(['validationQueue', 'currentValidationIndex', 'validatedErs', 'validationFailedErs']);
+    const data = await safeGet(['validationQueue', 'currentValidationIndex', 'employers']);
     const queue = data?.validationQueue || [];
     const index = data?.currentValidationIndex || 0;
     
     if (index >= queue.length) return;
     
-    const currentER = queue[index].er;
-    log(`Skipping validation for ${currentER}`, 'warn');
+    const employerId = queue[index];
+    log(`Skipping validation for ${data.employers?.[employerId]?.er || employerId}`, 'warn');
     
-    await advanceValidation(
-        currentER, 
-        'skipped', 
-        data.validatedErs || [], 
-        data.validationFailedErs || [], 
-        index, 
-        'Manually skipped by user'
-    );
+    await advanceValidation(employerId, 'skipped', index, 'Manually skipped by user');
     
     // Navigate back to unprocessed page for next ER
     if (!window.location.href.includes('/view_crs/unprocessed')) {
@@ -2593,31 +4203,35 @@ async function skipCurrentValidation() {
 
 // ==================== PHASE 3B: WAGE EDIT ====================
 
-let wageEditInterval = null;
-let wageEditInProgress = false;
-
 /**
  * Start the wage edit phase
  * Processes CRs that need wage adjustment before validation
  */
 async function startWageEditPhase() {
+    if (!await checkPhaseSelectors('WAGE_EDIT')) return;
     await registerThisTabAsAutomationTab();
 
-    const data = await safeGet(['needsWageEdit']);
-    const needsWageEdit = data?.needsWageEdit || [];
+    const data = await safeGet(['employers']);
+    const employers = data?.employers || {};
+    const wageEditQueue = getEmployerList(employers).filter(isAwaitingWageEdit).map(e => e.id);
 
-    if (needsWageEdit.length === 0) {
+    if (wageEditQueue.length === 0) {
         alert("No CRs need wage editing.");
         return;
     }
 
-    log(`Starting wage edit phase with ${needsWageEdit.length} CRs`, 'success');
+    wageEditQueue.forEach(id => { employers[id].searchAttempted = false; });
+
+    log(`Starting wage edit phase with ${wageEditQueue.length} CRs`, 'success');
+    await markPhaseTiming('WAGE_EDIT', 'startedAt');
 
     await safeSet({
         phase: 'WAGE_EDIT',
-        wageEditQueue: needsWageEdit,
+        employers: employers,
+        wageEditQueue: wageEditQueue,
         currentWageEditIndex: 0,
-        wageEditState: null, // Track sub-state: null, 'editing', 'updated'
+        machineState: null,
+        unprocessedIndex: null,
         isPaused: false,
         interventionRequired: false
     });
@@ -2627,583 +4241,1547 @@ async function startWageEditPhase() {
 }
 
 /**
- * Run the wage edit automation loop
+ * Wage edit - multi-page flow per CR:
+ * 1. Unprocessed list → find ER → open Edit              (find_cr)
+ * 2. Edit page (/receive/edit-private) → update Total Contribution → Update   (edit_total)
+ * 3. Return to unprocessed list for next item; edited CRs go back to validation at the end
  */
-function runWageEditLoop() {
-    if (wageEditInterval) clearInterval(wageEditInterval);
-
-    wageEditInterval = setInterval(async () => {
-        if (isPaused || wageEditInProgress) return;
-
-        wageEditInProgress = true;
-        try {
-            await doWageEditStep();
-        } catch (e) {
-            log(`Wage edit error: ${e.message}`, 'error');
+PHASE_MACHINES.WAGE_EDIT = {
+    tickMs: 2000,
+    homeUrl: '/contributions/view_crs/unprocessed',
+    initial: 'find_cr',
+    keys: ['wageEditQueue', 'currentWageEditIndex', 'employers'],
+    item: data => {
+        const index = data.currentWageEditIndex || 0;
+        return `${index}:${(data.wageEditQueue || [])[index] || ''}`;
+    },
+    isComplete: data => (data.currentWageEditIndex || 0) >= (data.wageEditQueue || []).length,
+    onComplete: finishWageEdit,
+    prepare: async ({ data }) => {
+        if (getCurrentWageEdit(data)) return false;
+        await advanceWageEdit(data.currentWageEditIndex || 0, 'skipped', 'Employer record missing');
+        return true;
+    },
+    stuckAfterMs: ITEM_STUCK_MS,
+    onStuck: ctx => endCurrentWageEdit(ctx, 'stuck', 'No progress on this CR'),
+    skip: skipCurrentWageEdit,
+    states: {
+        find_cr: {
+            page: 'viewCrsUnprocessed',
+            action: openCrForWageEdit,
+            on: { opened: 'edit_total' }
+        },
+        edit_total: {
+            page: 'editPrivate',
+            action: updateTotalContribution,
+            timeoutMs: FORM_STUCK_MS,
+            onTimeout: ctx => endCurrentWageEdit(ctx, 'stuck', 'Could not complete edit'),
+            on: { wrong_er: 'find_cr' }
         }
-        wageEditInProgress = false;
-    }, 2000);
+    }
+};
+
+function getCurrentWageEdit(data) {
+    return (data.employers || {})[(data.wageEditQueue || [])[data.currentWageEditIndex || 0]] || null;
 }
 
 /**
- * Main wage edit step - multi-page flow:
- * 1. Unprocessed list → find ER → click Edit button
- * 2. Edit page (/receive/edit-private) → update Total Contribution → click Update
- * 3. Return to unprocessed list for next item (or reprocess in validation)
+ * Record an outcome for the current CR and return to the unprocessed list
  */
-async function doWageEditStep() {
-    const data = await safeGet([
-        'wageEditQueue', 'currentWageEditIndex', 'phase',
-        'wageEditState', 'needsWageEdit'
-    ]);
+async function endCurrentWageEdit({ data }, status, message) {
+    await advanceWageEdit(data.currentWageEditIndex || 0, status, message);
+    window.location.href = PHASE_MACHINES.WAGE_EDIT.homeUrl;
+}
 
-    if (!data || data.phase !== 'WAGE_EDIT') return;
+/**
+ * Every CR has been through wage edit: send the edited ones back to validation
+ */
+async function finishWageEdit({ data }) {
+    log('Wage edit phase complete!', 'success');
+    await markPhaseTiming('WAGE_EDIT', 'endedAt');
 
+    // Move edited items back to the validation queue for a fresh attempt
     const queue = data.wageEditQueue || [];
-    const index = data.currentWageEditIndex || 0;
+    const employers = data.employers || {};
+    queue.filter(id => employers[id]).forEach(id => {
+        Object.assign(employers[id], {
+            validationStatus: 'pending', validatedAt: null, validationMessage: '',
+            notFoundCount: 0, searchAttempted: false
+        });
+    });
 
-    // Check if wage edit complete
-    if (queue.length === 0 || index >= queue.length) {
-        log('Wage edit phase complete!', 'success');
-        if (wageEditInterval) clearInterval(wageEditInterval);
+    // Get existing validation queue and add edited items
+    const valData = await safeGet(['validationQueue']);
+    const existingValQueue = valData?.validationQueue || [];
+
+    await safeSet({
+        phase: 'VALIDATION',
+        employers: employers,
+        wageEditQueue: [],
+        validationQueue: [...existingValQueue, ...queue.filter(id => !existingValQueue.includes(id))],
+        currentValidationIndex: 0,
+        machineState: null,
+        unprocessedIndex: null
+    });
+    await archiveCurrentRun('wage_edited');
 
-        // Clear needsWageEdit and move edited items back to validation queue
-        const editedItems = queue.map(item => ({
-            er: item.er,
-            name: item.name,
-            period: item.period,
-            notFoundCount: 0
-        }));
+    // Navigate to unprocessed to continue validation
+    window.location.href = PHASE_MACHINES.VALIDATION.homeUrl;
+}
 
-        // Get existing validation queue and add edited items
-        const valData = await safeGet(['validationQueue', 'capturedErs']);
-        const existingValQueue = valData?.validationQueue || [];
+/**
+ * State `find_cr`: open the current CR's edit page from the unprocessed list
+ */
+async function openCrForWageEdit(ctx) {
+    const listIndex = await getUnprocessedIndex('WAGE_EDIT');
+    if (!listIndex) return;
 
-        await safeSet({
-            phase: 'VALIDATION',
-            needsWageEdit: [],
-            wageEditQueue: [],
-            validationQueue: [...existingValQueue, ...editedItems],
-            currentValidationIndex: 0,
-            validationState: null
-        });
+    const currentItem = getCurrentWageEdit(ctx.data);
+    const currentER = currentItem.er;
 
-        // Navigate to unprocessed to continue validation
-        window.location.href = '/contributions/view_crs/unprocessed';
+    log(`[WAGE EDIT] Looking for ER ${currentER} to edit...`);
+
+    if (listIndex.entries[currentER]?.editPrivateHref) {
+        log(`Found ER ${currentER}, opening Edit...`, 'success');
+        // Reset lookup state
+        if (currentItem.searchAttempted) {
+            await updateEmployer(currentItem.id, { searchAttempted: false });
+        }
+        await ctx.go('opened');
+        openUnprocessedAction(listIndex, currentER, 'editPrivateHref');
+        return;
+    }
+    if (listIndex.entries[currentER]) log(`Edit button not found for ${currentER}`, 'error');
+
+    // Not indexed (or no edit link) - the list may have changed since it was read, so re-read it once
+    if (!currentItem.searchAttempted) {
+        log(`[WAGE EDIT] ER ${currentER} not in the unprocessed index, re-reading the list...`, 'info');
+        await updateEmployer(currentItem.id, { searchAttempted: true });
+        await invalidateUnprocessedIndex();
         return;
     }
 
-    const currentItem = queue[index];
+    log(`ER ${currentER} not found even after re-reading the list, skipping...`, 'error');
+    await advanceWageEdit(ctx.data.currentWageEditIndex || 0, 'not_found', `CR not found in unprocessed list (${listIndex.pages} page(s) read)`);
+}
+
+/**
+ * State `edit_total`: set Total Contribution to the adjusted total and click Update
+ */
+async function updateTotalContribution(ctx) {
+    const currentItem = getCurrentWageEdit(ctx.data);
     const currentER = currentItem.er;
     const adjustedTotal = currentItem.adjustedTotal;
+    const desc = PAGE_DESCRIPTORS.editPrivate;
 
-    const currentUrl = window.location.href;
-    const isUnprocessedPage = currentUrl.includes('/view_crs/unprocessed');
-    const isEditPrivatePage = currentUrl.includes('/receive/edit-private');
+    log(`[WAGE EDIT] On edit page, updating Total Contribution to ${adjustedTotal.toFixed(2)}...`);
 
-    // ==================== STATE 1: UNPROCESSED LIST PAGE ====================
-    if (isUnprocessedPage) {
-        log(`[WAGE EDIT] Looking for ER ${currentER} to edit...`);
+    // Verify we're editing the correct ER by checking the header
+    const headerTitle = document.querySelector(desc.headerTitle);
+    const headerText = headerTitle ? headerTitle.innerText : '';
 
-        // Use optimized column-specific search (O(R) instead of O(R×C))
-        const foundRow = PageOps.findTableRowByER(currentER, 'table.table');
+    if (headerText && !headerText.includes(currentER)) {
+        log(`Wrong ER on edit page. Expected ${currentER}, navigating back...`, 'warn');
+        await ctx.go('wrong_er');
+        window.location.href = PHASE_MACHINES.WAGE_EDIT.homeUrl;
+        return;
+    }
 
-        if (foundRow) {
-            log(`Found ER ${currentER}, clicking Edit button...`, 'success');
+    // Find the Total Contribution input field using PageOps
+    const amtInput = PageOps.findInputByLabel(desc.totalContributionLabel);
+    if (!amtInput) {
+        log('Total Contribution input not found', 'error');
+        return;
+    }
 
-            // Find the edit button (pencil icon linking to edit-private)
-            const editLink = foundRow.querySelector('a[href*="edit-private"]');
+    // Update the value using Vue-compatible method via PageOps
+    await PageOps.setVueInput(amtInput, adjustedTotal.toFixed(2));
+    log(`Set Total Contribution to ${adjustedTotal.toFixed(2)}`, 'success');
 
-            if (editLink) {
-                editLink.click();
-                // Reset search state
-                if (currentItem.searchAttempted) {
-                    const updatedQueue = [...queue];
-                    updatedQueue[index].searchAttempted = false;
-                    await safeSet({ wageEditQueue: updatedQueue });
-                }
-                await safeSet({ wageEditState: 'navigating_to_edit' });
-                stuckCounter = 0;
-                return;
-            } else {
-                log(`Edit button not found for ${currentER}`, 'error');
-            }
+    const updateBtn = PageOps.findButton(desc.updateButton);
+    if (!updateBtn) {
+        log('Update button not found or disabled', 'error');
+        return;
+    }
+
+    log(`Clicking Update button...`, 'success');
+    await recordAudit('wage_total_update', {
+        er: currentER, period: currentItem.period,
+        values: { from: (currentItem.originalTotal || 0).toFixed(2), to: adjustedTotal.toFixed(2) },
+        outcome: 'submitted'
+    });
+    updateBtn.click();
+    await waitForNetworkIdle(FORM_SETTLE_MS);
+
+    // Mark as updated, then back to the unprocessed list for the next item
+    await endCurrentWageEdit(ctx, 'updated', `Total adjusted to ${adjustedTotal.toFixed(2)}`);
+}
+
+/**
+ * Advance to next item in wage edit queue
+ */
+async function advanceWageEdit(index, result, message = '') {
+    const data = await safeGet(['wageEditQueue']);
+    const queue = data?.wageEditQueue || [];
+
+    if (index < queue.length) {
+        await updateEmployer(queue[index], {
+            wageEditStatus: result,
+            wageEditMessage: message,
+            wageEditedAt: Date.now()
+        });
+    }
+
+    await safeSet({ currentWageEditIndex: index + 1 });
+
+    log(`Wage edit ${result} for item ${index + 1}: ${message}`, result === 'updated' ? 'success' : 'warn');
+}
+
+/**
+ * Skip current item in wage edit phase
+ */
+async function skipCurrentWageEdit() {
+    const data = await safeGet(['wageEditQueue', 'currentWageEditIndex']);
+    const index = data?.currentWageEditIndex || 0;
+
+    log(`Skipping wage edit for item ${index + 1}`, 'warn');
+    await advanceWageEdit(index, 'skipped', 'Manually skipped by user');
+
+    if (!window.location.href.includes('/view_crs/unprocessed')) {
+        window.location.href = '/contributions/view_crs/unprocessed';
+    }
+}
+
+/**
+ * Capture walks the queue through the employer page and the capture form.
+ * Portal response modals are handled whatever state the machine is in.
+ */
+PHASE_MACHINES.CAPTURE = {
+    tickMs: 2500,
+    homeUrl: '/contributions/receive/employer',
+    initial: 'enter_employer',
+    keys: [
+        'captureQueue', 'currentCaptureIndex', 'targetPeriod', 'employers',
+        'retryCount', 'captureDryRun', 'captureBaseline', 'captureSupplementary'
+    ],
+    // A supplementary CR of the same ER is a new item
+    item: data => {
+        const capture = getCurrentCapture(data);
+        return `${data.currentCaptureIndex || 0}:${capture?.type || ''}:${capture?.extraIndex ?? ''}`;
+    },
+    isComplete: data => (data.captureQueue || []).length > 0 && (data.currentCaptureIndex || 0) >= data.captureQueue.length,
+    onComplete: async () => {
+        log('Capture complete!', 'success');
+        await safeSet({ phase: 'COMPLETE' });
+        await recordPhaseFinished('CAPTURE');
+        updateDashboardUI();
+    },
+    prepare: prepareCaptureStep,
+    interrupt: handleCaptureModals,
+    stuckAfterMs: ITEM_STUCK_MS,
+    onStuck: ctx => failCurrentCapture(ctx, 'No progress on this ER'),
+    skip: skipCurrentER,
+    states: {
+        enter_employer: {
+            page: 'receiveEmployer',
+            action: enterCaptureEmployer,
+            on: { continued: 'fill_form' }
+        },
+        fill_form: {
+            page: 'receiveCapture',
+            action: fillCaptureForm,
+            timeoutMs: FORM_STUCK_MS,
+            onTimeout: ctx => failCurrentCapture(ctx, 'Submit button stayed disabled'),
+            on: { submitted: 'awaiting_response', wrong_employer: 'enter_employer' }
+        },
+        awaiting_response: {
+            page: 'receiveCapture',
+            action: ({ machine }) => {
+                const elapsed = Date.now() - machine.enteredAt;
+                log(`Waiting for response... (${Math.round(elapsed / 1000)}s / ${RESPONSE_TIMEOUT_MS / 1000}s)`, 'info');
+            },
+            timeoutMs: RESPONSE_TIMEOUT_MS,
+            onTimeout: captureResponseTimedOut,
+            on: { retry: 'fill_form' }
         }
+    }
+};
+
+/**
+ * The CR the capture queue is on: {id, er, name, type, extraIndex, lf, amt}, or null
+ */
+function getCurrentCapture(data) {
+    const employer = (data.employers || {})[(data.captureQueue || [])[data.currentCaptureIndex || 0]];
+    const pendingCapture = employer ? getPendingCapture(employer, data.captureBaseline) : null;
+    return pendingCapture ? { id: employer.id, er: employer.er, name: employer.name, ...pendingCapture } : null;
+}
+
+/**
+ * Checked between form actions - the user may pause while a step is mid-way
+ */
+async function pausedMidAction() {
+    const pauseData = await safeGet(['isPaused']);
+    if (pauseData?.isPaused) {
+        isPaused = true;
+        log('Pause detected mid-operation, stopping...', 'warn');
+        return true;
+    }
+    return false;
+}
 
-        // ER not found in visible table - try using portal search
-        const searchInput = document.querySelector('input[placeholder*="ER"], input[placeholder*="Search"], input.form-control[type="text"]');
-        const searchBtn = PageOps.findButton({ text: 'search' }) ||
-                          PageOps.findButton({ text: 'filter' }) ||
-                          document.querySelector('button[type="submit"]');
+/**
+ * Runs before every capture state: queue population and already-finished items
+ */
+async function prepareCaptureStep({ data }) {
+    const employers = data.employers || {};
+    const queue = data.captureQueue || [];
+    const index = data.currentCaptureIndex || 0;
 
-        const alreadySearched = currentItem.searchAttempted === true;
+    // Queue population
+    if (queue.length === 0) {
+        if (Object.keys(employers).length === 0) return true;
+        log('Populating capture queue...');
 
-        if (searchInput && !alreadySearched) {
-            log(`[WAGE EDIT] ER ${currentER} not in visible table, using search...`, 'info');
+        const newQueue = getEmployerList(employers)
+            .filter(e => isCaptureCandidate(e, data.captureBaseline))
+            .map(e => e.id);
 
-            // Clear and search for this ER
-            searchInput.focus();
-            await wait(100);
-            setNativeValue(searchInput, currentER);
-            searchInput.blur();
+        if (newQueue.length > 0) {
+            freezeCaptureValues(employers, newQueue, data.captureBaseline, data.captureSupplementary === true);
+            await safeSet({
+                employers: employers,
+                captureQueue: newQueue,
+                currentCaptureIndex: 0
+            });
             await wait(300);
+            window.location.reload();
+        }
+        return true;
+    }
 
-            if (searchBtn) {
-                searchBtn.click();
-            } else {
-                searchInput.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
-            }
+    // Skip if already processed (or the record disappeared)
+    if (!getCurrentCapture(data)) {
+        await safeSet({ currentCaptureIndex: index + 1, retryCount: 0 });
+        return true;
+    }
+    return false;
+}
 
-            // Mark search attempted
-            const updatedQueue = [...queue];
-            updatedQueue[index].searchAttempted = true;
-            await safeSet({ wageEditQueue: updatedQueue, wageEditState: 'searching' });
+/**
+ * Response modals: receipt, success, error, unknown
+ * Priority: Receipt > Icon > Button > Text > Unknown
+ * Does NOT check button spinner state (unreliable - can spin forever)
+ */
+async function handleCaptureModals({ data }) {
+    const currentRecord = getCurrentCapture(data);
+    const index = data.currentCaptureIndex || 0;
+    const modalState = detectModalState();
 
-            await wait(1500);
-            return;
+    // Handle receipt modal (SUCCESS - acknowledgement letter)
+    if (modalState.type === 'receipt') {
+        const handled = await handleModal('receipt', modalState.element);
+        if (handled) {
+            await advanceToNextER(currentRecord.id, 'captured', index, 'Acknowledgement received');
+            return true;
         }
+    }
 
-        // Search attempted but still not found, or no search available
-        stuckCounter++;
-        if (stuckCounter >= MAX_STUCK_COUNT) {
-            const reason = alreadySearched ? 'not found even after search' : 'not found (no search available)';
-            log(`ER ${currentER} ${reason}, skipping...`, 'error');
-
-            // Clear search if needed
-            if (searchInput && searchInput.value) {
-                setNativeValue(searchInput, '');
-                await wait(200);
-                if (searchBtn) searchBtn.click();
-            }
+    // Handle success modal (green checkmark or "Data Successfully Saved")
+    if (modalState.type === 'success') {
+        const handled = await handleModal('success', modalState.element);
+        if (handled) {
+            await advanceToNextER(currentRecord.id, 'captured', index, 'Data saved successfully');
+            return true;
+        }
+    }
+
+    // Handle error modal (X icon or "Errors Occured")
+    if (modalState.type === 'error') {
+        const handled = await handleModal('error', modalState.element);
+        if (handled) {
+            // Check if it's a duplicate error ("already exists" = was captured before, not by us)
+            const errorText = (modalState.message || '').toLowerCase();
+            const isDuplicate = errorText.includes('already exists') || errorText.includes('duplicate');
 
-            await advanceWageEdit(index, 'not_found', `CR not found in unprocessed list`);
-            stuckCounter = 0;
+            if (isDuplicate) {
+                // Already captured = job done for this ER
+                await advanceToNextER(currentRecord.id, 'already_captured', index, modalState.message);
+            } else {
+                // Other validation error = needs attention
+                await advanceToNextER(currentRecord.id, 'error', index, modalState.message);
+            }
+            return true;
         }
+    }
+
+    // Handle unknown modal - PAUSE and prompt user for intervention
+    if (modalState.type === 'unknown') {
+        log(`Unknown modal detected: ${modalState.message}`, 'error');
+        isPaused = true;
+        await safeSet({
+            isPaused: true,
+            interventionRequired: true,
+            interventionMessage: `Unknown modal: ${modalState.message}. Please review and click Skip or Resume.`
+        });
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * State `enter_employer`: enter the ER on the employer page and continue to the capture form
+ */
+async function enterCaptureEmployer(ctx) {
+    const currentRecord = getCurrentCapture(ctx.data);
+    const desc = PAGE_DESCRIPTORS.receiveEmployer;
+    const erInput = document.querySelector(desc.erInput);
+    const continueBtn = document.querySelector(desc.continueButton);
+
+    if (!erInput || !continueBtn || erInput.offsetParent === null) return;
+
+    log(`[STATE 1] Employer page: entering ER ${currentRecord.er}`);
+
+    // Check pause before each action
+    if (await pausedMidAction()) return;
+
+    erInput.blur();
+    await wait(100);
+    erInput.focus();
+    await wait(50);
+    setNativeValue(erInput, currentRecord.er);
+    erInput.blur();
+    await wait(400);
+
+    // Check pause before clicking continue
+    if (await pausedMidAction()) return;
+
+    continueBtn.disabled = false;
+    continueBtn.classList.remove('disabled', 'btn-grey');
+
+    if (erInput.value === currentRecord.er) {
+        await ctx.go('continued');
+        continueBtn.click();
+    }
+}
+
+/**
+ * State `fill_form`: fill the capture form and submit it (dry run: verify and stop short)
+ */
+async function fillCaptureForm(ctx) {
+    const { data } = ctx;
+    const currentRecord = getCurrentCapture(data);
+    const index = data.currentCaptureIndex || 0;
+
+    // Check if showing wrong employer - redirect to employer page instead of using changeER
+    const headerTitle = document.querySelector('h4.text-info');
+    const headerText = headerTitle ? headerTitle.innerText : '';
+
+    if (headerText && !headerText.includes(currentRecord.er)) {
+        log(`Wrong employer displayed, navigating to employer page...`, 'warn');
+        await ctx.go('wrong_employer');
+        window.location.href = PHASE_MACHINES.CAPTURE.homeUrl;
         return;
     }
 
-    // ==================== STATE 2: EDIT PRIVATE PAGE ====================
-    if (isEditPrivatePage) {
-        log(`[WAGE EDIT] On edit page, updating Total Contribution to ${adjustedTotal.toFixed(2)}...`);
+    // Fill the form - check pause between each field
+    log(`[STATE 2] Filling form for ${currentRecord.er}...`);
 
-        // Verify we're editing the correct ER by checking the header
-        const headerTitle = document.querySelector('h3.text-info, h4.text-info');
-        const headerText = headerTitle ? headerTitle.innerText : '';
+    // Check pause before starting form fill
+    if (await pausedMidAction()) return;
 
-        if (headerText && !headerText.includes(currentER)) {
-            log(`Wrong ER on edit page. Expected ${currentER}, navigating back...`, 'warn');
-            window.location.href = '/contributions/view_crs/unprocessed';
-            return;
+    // Period inputs
+    const periodInputs = document.querySelectorAll('input[placeholder*="YYYYMM"]');
+    periodInputs.forEach(inp => {
+        if (inp.value !== data.targetPeriod) setNativeValue(inp, data.targetPeriod);
+    });
+    await wait(200);
+
+    if (await pausedMidAction()) return;
+
+    // Submission Medium: Preprinted
+    const mediaRadio = document.querySelector('input[name="sub_media"][value="1"]');
+    if (mediaRadio && !mediaRadio.checked) {
+        mediaRadio.click();
+        await wait(200);
+    }
+
+    if (await pausedMidAction()) return;
+
+    // Submission Mode: Contribution
+    const modeRadio = document.querySelector('input[name="sub_mod"][value="2"]');
+    if (modeRadio && !modeRadio.checked) {
+        modeRadio.click();
+        await wait(400);
+    }
+
+    if (await pausedMidAction()) return;
+
+    // Dropdowns
+    await selectVueOption('Contribution Type', currentRecord.type);
+    await wait(300);
+
+    if (await pausedMidAction()) return;
+
+    await selectVueOption('Staff Category', 'ALL');
+    await wait(300);
+
+    if (await pausedMidAction()) return;
+
+    // Number of Employees
+    const lfInput = document.querySelector(PAGE_DESCRIPTORS.receiveCapture.lfInput);
+    if (lfInput) {
+        lfInput.focus();
+        await wait(50);
+        setNativeValue(lfInput, currentRecord.lf.toString());
+        lfInput.blur();
+        await wait(200);
+    }
+
+    if (await pausedMidAction()) return;
+
+    // Total Contribution Amount - use PageOps for finding and setting
+    const amtInput = PageOps.findInputByLabel(PAGE_DESCRIPTORS.receiveCapture.totalContributionLabel);
+    if (amtInput) {
+        await PageOps.setVueInput(amtInput, currentRecord.amt.toFixed(2));
+    }
+
+    // The portal enables Submit once its own form validation has run
+    await waitForCondition(() => document.querySelector(PAGE_DESCRIPTORS.receiveCapture.submitButton)?.disabled === false, FORM_SETTLE_MS);
+
+    // Final pause check before submit
+    if (await pausedMidAction()) return;
+
+    // Dry run: verify what the form now holds and stop short of submitting
+    if (data.captureDryRun) {
+        const check = verifyCaptureForm(currentRecord, data.targetPeriod);
+        if (check.ok) {
+            log(`[DRY RUN] ${currentRecord.er} verified - would capture ${currentRecord.type} LF ${currentRecord.lf}, Amt ${currentRecord.amt.toFixed(2)}`, 'success');
+            await advanceToNextER(currentRecord.id, 'would_capture', index,
+                `Would capture ${data.targetPeriod} ${currentRecord.type}: LF ${currentRecord.lf}, Amt ${currentRecord.amt.toFixed(2)}`);
+        } else {
+            log(`[DRY RUN] ${currentRecord.er} read-back mismatch: ${check.mismatches.join('; ')}`, 'warn');
+            await advanceToNextER(currentRecord.id, 'dry_run_mismatch', index,
+                `Form mismatch: ${check.mismatches.join('; ')}`);
         }
+        return;
+    }
 
-        // Find the Total Contribution input field using PageOps
-        const amtInput = PageOps.findInputByLabel('total contribution');
+    // Submit
+    const submitBtn = document.querySelector(PAGE_DESCRIPTORS.receiveCapture.submitButton);
+    if (submitBtn && !submitBtn.disabled) {
+        log(`[STATE 3] Submitting ${currentRecord.er} (${currentRecord.type})...`, 'success');
+
+        // The response timeout runs from here
+        await ctx.go('submitted');
+        await recordAudit('capture_submit', {
+            er: currentRecord.er, period: data.targetPeriod,
+            values: { type: currentRecord.type, lf: currentRecord.lf, amt: currentRecord.amt.toFixed(2) },
+            outcome: 'submitted'
+        });
 
-        if (amtInput) {
-            // Update the value using Vue-compatible method via PageOps
-            await PageOps.setVueInput(amtInput, adjustedTotal.toFixed(2));
+        submitBtn.click();
+        return;
+    }
 
-            log(`Set Total Contribution to ${adjustedTotal.toFixed(2)}`, 'success');
+    // Button disabled - try to trigger validation (the state times out if it never enables)
+    log(`Submit button disabled for ${currentRecord.er}`, 'warn');
+    if (lfInput) {
+        lfInput.focus();
+        lfInput.dispatchEvent(new KeyboardEvent('keydown', { key: 'Tab', bubbles: true }));
+    }
+}
 
-            // Find and click the Update button
-            const updateBtn = Array.from(document.querySelectorAll('button')).find(btn => {
-                const text = btn.textContent.toLowerCase();
-                return text.includes('update') && !btn.disabled;
-            });
+/**
+ * No response modal after a submit: retry the submit once, then give up on the CR
+ */
+async function captureResponseTimedOut(ctx) {
+    const retries = ctx.data.retryCount || 0;
+
+    if (retries < 1) {
+        // First timeout: retry submit once
+        log('Retrying submit...', 'warn');
+        await safeSet({ retryCount: retries + 1 });
+        return 'retry';
+    }
 
-            if (updateBtn) {
-                log(`Clicking Update button...`, 'success');
-                updateBtn.click();
-                await wait(500);
+    // Second timeout: mark as failed and move on
+    log('Response unreadable after retry, marking as FAILED', 'error');
+    await failCurrentCapture(ctx);
+}
 
-                // Mark as updated and advance to next
-                await advanceWageEdit(index, 'updated', `Total adjusted to ${adjustedTotal.toFixed(2)}`);
+async function failCurrentCapture({ data }, message = '') {
+    const currentRecord = getCurrentCapture(data);
+    if (currentRecord) await advanceToNextER(currentRecord.id, 'failed', data.currentCaptureIndex || 0, message);
+}
 
-                // Navigate back to unprocessed list
-                window.location.href = '/contributions/view_crs/unprocessed';
-                return;
+
+// ==================== RUN HISTORY ARCHIVE ====================
+
+// Retention limits - history lives in chrome.storage.local (10MB quota shared with run state)
+const HISTORY_MAX_RUNS = 60;
+const HISTORY_MAX_AGE_DAYS = 400;
+const HISTORY_MAX_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Record when a phase started or ended for the run archive
+ * @param {string} phase - SCRAPING | CAPTURE | VALIDATION | WAGE_EDIT
+ * @param {string} edge - 'startedAt' | 'endedAt'
+ */
+async function markPhaseTiming(phase, edge) {
+    const data = await safeGet(['phaseTimings']);
+    const timings = data?.phaseTimings || {};
+    timings[phase] = { ...(timings[phase] || {}), [edge]: Date.now() };
+    await safeSet({ phaseTimings: timings });
+}
+
+/**
+ * Bookkeeping shared by every phase completion: timings, portfolio summary, history archive
+ */
+async function recordPhaseFinished(phase) {
+    await markPhaseTiming(phase, 'endedAt');
+    await updatePortfolioLastRun(phase.toLowerCase());
+    await archiveCurrentRun(`${phase.toLowerCase()}_complete`);
+}
+
+/**
+ * Build the archive record for the current run/period
+ * Per-ER outcome of every phase plus the run summary and timings
+ */
+async function buildRunArchive(status) {
+    const data = await safeGet([
+        'runId', 'startTime', 'targetPeriod', 'activePortfolioId', 'portfolios', 'phaseTimings',
+        'captureDryRun', 'captureBaseline', 'backfillPeriods', 'employers', 'captureQueue'
+    ]);
+    const scraped = getScrapedEmployers(data?.employers);
+    if (!data?.targetPeriod || scraped.length === 0) return null;
+
+    const report = await generateCaptureReport();
+    const queued = new Set(data.captureQueue || []);
+
+    const ers = scraped.map(emp => {
+        const { lf, amt, source } = getCaptureValues(emp, data.captureBaseline);
+        let scrape = 'valid';
+        if (emp.captureStatus === 'already_captured' && !queued.has(emp.id)) scrape = 'already_captured';
+        else if (emp.continuityError) scrape = 'continuity_error';
+        else if (emp.zeroCrError) scrape = 'zero_values';
+        else if (emp.isSelfCapture) scrape = 'self_capture';
+        else if (hasOpenAnomalies(emp)) scrape = 'anomaly';
+
+        return {
+            er: emp.er,
+            employerName: emp.name,
+            scrape: scrape,
+            lf: lf,
+            amt: amt,
+            baseline: source,
+            capture: queued.has(emp.id) && emp.captureStatus !== 'pending' ? emp.captureStatus : null,
+            captureMessage: emp.captureMessage || '',
+            capturedAt: emp.capturedAt || null,
+            validation: emp.validationStatus !== 'pending' ? emp.validationStatus : null,
+            validationMessage: emp.validationMessage || '',
+            validatedAt: emp.validatedAt || null,
+            wageEdit: emp.needsWageEdit ? emp.wageEditStatus : null,
+            wageEditTotal: emp.needsWageEdit ? emp.adjustedTotal : null
+        };
+    });
+
+    const runId = data.runId || `run-${data.startTime || Date.now()}`;
+    return {
+        id: `${runId}-${data.targetPeriod}`,
+        runId: runId,
+        period: data.targetPeriod,
+        status: status,
+        portfolioId: data.activePortfolioId || null,
+        portfolioName: (data.portfolios || {})[data.activePortfolioId]?.name || null,
+        backfill: (data.backfillPeriods || []).length > 1 ? data.backfillPeriods : null,
+        dryRun: data.captureDryRun === true,
+        captureBaseline: data.captureBaseline || 'p1',
+        startedAt: data.startTime || null,
+        archivedAt: Date.now(),
+        timings: data.phaseTimings || {},
+        summary: report?.summary || {},
+        ers: ers
+    };
+}
+
+/**
+ * Drop runs beyond the retention limits (count, age, serialized size)
+ * History is kept newest-first, so trimming always removes from the end
+ */
+function applyHistoryRetention(history) {
+    const cutoff = Date.now() - HISTORY_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    let kept = history.filter(run => (run.archivedAt || 0) >= cutoff).slice(0, HISTORY_MAX_RUNS);
+
+    while (kept.length > 1 && JSON.stringify(kept).length > HISTORY_MAX_BYTES) {
+        kept = kept.slice(0, -1);
+    }
+
+    return kept;
+}
+
+/**
+ * Archive (or update) the current run in `runHistory`
+ * Upserts by run + period, so later phases of the same run refresh its entry
+ */
+async function archiveCurrentRun(status) {
+    const record = await buildRunArchive(status);
+    if (!record) return;
+
+    const data = await safeGet(['runHistory']);
+    const history = (data?.runHistory || []).filter(run => run.id !== record.id);
+    history.unshift(record);
+
+    const kept = applyHistoryRetention(history);
+    if (kept.length < history.length) {
+        log(`Run history trimmed to ${kept.length} run(s)`, 'info');
+    }
+
+    await safeSet({ runHistory: kept });
+    log(`Run archived: ${record.period} (${status})`, 'info');
+}
+
+// ==================== AUDIT JOURNAL ====================
+
+// Every action that changes data on the portal, plus the outcome the portal reported back
+const AUDIT_ACTION_LABELS = {
+    capture_submit: 'Capture submitted',
+    capture_result: 'Capture result',
+    post_checkbox: 'Post-after-validation checkbox',
+    validation_submit: 'Validation submitted',
+    validation_result: 'Validation result',
+    wage_total_update: 'Wage total updated'
+};
+
+// Rows shown in the dashboard tab - the export always contains the full journal
+const AUDIT_VIEW_LIMIT = 200;
+
+// Retention - the journal shares the storage quota with the run state. At AUDIT_JOURNAL_MAX entries
+// the oldest AUDIT_EXPORT_BATCH are downloaded as a file first, then dropped from storage.
+const AUDIT_JOURNAL_MAX = 3000;
+const AUDIT_EXPORT_BATCH = 1000;
+
+let auditWriteChain = Promise.resolve();
+
+/**
+ * Append one entry to the audit journal (`auditJournal`, oldest first)
+ * Entries are never edited by the automation; a submit and its outcome are separate entries.
+ * Writes are queued one after another so concurrent entries can't overwrite each other or share
+ * a sequence number (only the automation tab acts on the portal, so it is the only writer).
+ * @param {string} action - Key of AUDIT_ACTION_LABELS
+ * @param {Object} details - { er, period, values, outcome, message }
+ * @returns {Promise<void>} Settles once the entry is stored
+ */
+function recordAudit(action, details) {
+    const timestamp = Date.now();
+    const url = window.location.href;
+
+    auditWriteChain = auditWriteChain.then(async () => {
+        const data = await safeGet(['auditJournal', 'runId']);
+        if (!data) return; // Extension reloaded - nowhere to write
+        let journal = data.auditJournal || [];
+
+        journal.push({
+            // Numbering continues across exported-and-trimmed entries
+            seq: (journal[journal.length - 1]?.seq || 0) + 1,
+            timestamp: timestamp,
+            action: action,
+            runId: data.runId || null,
+            er: details.er,
+            period: details.period || null,
+            values: details.values || {},
+            url: url,
+            outcome: details.outcome,
+            message: details.message || ''
+        });
+
+        if (journal.length > AUDIT_JOURNAL_MAX) journal = exportOldestAuditEntries(journal);
+        await safeSet({ auditJournal: journal });
+    }).catch(e => log(`Audit entry could not be stored: ${e.message}`, 'error'));
+
+    return auditWriteChain;
+}
+
+/**
+ * Download the oldest AUDIT_EXPORT_BATCH entries as a file and return the rest
+ */
+function exportOldestAuditEntries(journal) {
+    const exported = journal.slice(0, AUDIT_EXPORT_BATCH);
+    const first = exported[0].seq;
+    const last = exported[exported.length - 1].seq;
+
+    downloadFile(JSON.stringify(exported, null, 2), `ssnit-audit-${first}-${last}.json`, 'application/json');
+    log(`🧾 Audit journal full: entries ${first}-${last} exported to ssnit-audit-${first}-${last}.json and removed from storage`, 'warn');
+    return journal.slice(AUDIT_EXPORT_BATCH);
+}
+
+function formatAuditValues(values) {
+    return Object.entries(values || {}).map(([key, value]) => `${key}=${value}`).join(', ');
+}
+
+/**
+ * Render the most recent journal entries into the Audit tab
+ */
+async function renderAuditView() {
+    const container = document.getElementById('audit-body');
+    if (!container) return;
+
+    const data = await safeGet(['auditJournal']);
+    const journal = data?.auditJournal || [];
+    const recent = journal.slice(-AUDIT_VIEW_LIMIT).reverse();
+
+    container.innerHTML = recent.length === 0
+        ? '<div class="report-empty">No portal actions recorded yet</div>'
+        : `
+            <table class="dash-table">
+                <thead><tr><th>Time</th><th>Action</th><th>ER No</th><th>Period</th><th>Values</th><th>Outcome</th></tr></thead>
+                <tbody>${recent.map(entry => `
+                    <tr title="${escapeHtml(entry.url)}">
+                        <td>${escapeHtml(new Date(entry.timestamp).toLocaleString('en-GB'))}</td>
+                        <td>${escapeHtml(AUDIT_ACTION_LABELS[entry.action] || entry.action)}</td>
+                        <td>${escapeHtml(entry.er)}</td>
+                        <td>${escapeHtml(entry.period)}</td>
+                        <td>${escapeHtml(formatAuditValues(entry.values))}</td>
+                        <td title="${escapeHtml(entry.message)}">${escapeHtml(entry.outcome)}</td>
+                    </tr>
+                `).join('')}</tbody>
+            </table>
+            <div class="report-footer">${journal.length} entr${journal.length === 1 ? 'y' : 'ies'} in journal${journal.length > AUDIT_VIEW_LIMIT ? ` · showing latest ${AUDIT_VIEW_LIMIT}` : ''}${journal[0].seq > 1 ? ` · entries 1-${journal[0].seq - 1} were exported to files` : ''}</div>
+        `;
+}
+
+async function exportAuditAsJSON() {
+    const data = await safeGet(['auditJournal']);
+    downloadFile(JSON.stringify(data?.auditJournal || [], null, 2), `ssnit-audit-${Date.now()}.json`, 'application/json');
+}
+
+async function exportAuditAsCSV() {
+    const data = await safeGet(['auditJournal']);
+    let csv = 'Seq,Timestamp,Action,Run ID,ER Number,Period,Values,Outcome,Message,Page URL\n';
+    (data?.auditJournal || []).forEach(entry => {
+        csv += [
+            entry.seq, new Date(entry.timestamp).toISOString(), entry.action, entry.runId, entry.er, entry.period,
+            formatAuditValues(entry.values), entry.outcome, entry.message, entry.url
+        ].map(csvField).join(',') + '\n';
+    });
+    downloadFile(csv, `ssnit-audit-${Date.now()}.csv`, 'text/csv');
+}
+
+// ==================== LOG VIEWER (DASHBOARD TAB) ====================
+
+// Rows shown in the Logs tab - exports contain every entry that matches the filters
+const LOG_VIEW_LIMIT = 300;
+
+/**
+ * Current values of the Logs tab filters
+ * @returns {{level: string, phase: string, er: string, search: string}}
+ */
+function readLogFilters() {
+    const value = id => (document.getElementById(id)?.value || '').trim();
+    return { level: value('log-level'), phase: value('log-phase'), er: value('log-er'), search: value('log-search') };
+}
+
+/**
+ * Entries matching the filters: level and phase exactly, ER by prefix, search anywhere in the message (case-insensitive)
+ */
+function filterLogEntries(entries, filters = {}) {
+    const search = (filters.search || '').toLowerCase();
+    return entries.filter(entry =>
+        (!filters.level || entry.level === filters.level) &&
+        (!filters.phase || (filters.phase === 'none' ? !entry.phase : entry.phase === filters.phase)) &&
+        (!filters.er || (entry.er || '').startsWith(filters.er)) &&
+        (!search || entry.msg.toLowerCase().includes(search))
+    );
+}
+
+function formatLogLine(entry) {
+    return `${new Date(entry.at).toISOString()} ${entry.level.toUpperCase().padEnd(7)} ${entry.phase || '-'} ${entry.er || '-'} ${entry.msg}`;
+}
+
+/**
+ * Render the newest matching entries into the Logs tab
+ */
+async function renderLogView() {
+    const container = document.getElementById('logs-body');
+    if (!container) return;
+
+    const entries = await loadLogEntries();
+    const matching = filterLogEntries(entries, readLogFilters());
+    const recent = matching.slice(-LOG_VIEW_LIMIT).reverse();
+
+    container.innerHTML = recent.length === 0
+        ? `<div class="report-empty">${entries.length === 0 ? 'Nothing logged yet' : 'No log entries match the filters'}</div>`
+        : `
+            <table class="dash-table log-table">
+                <thead><tr><th>Time</th><th>Level</th><th>Phase</th><th>ER No</th><th>Message</th></tr></thead>
+                <tbody>${recent.map(entry => `
+                    <tr class="log-${escapeHtml(entry.level)}">
+                        <td>${escapeHtml(new Date(entry.at).toLocaleTimeString('en-GB'))}</td>
+                        <td>${escapeHtml(entry.level)}</td>
+                        <td>${escapeHtml(entry.phase || '')}</td>
+                        <td>${escapeHtml(entry.er || '')}</td>
+                        <td class="log-message">${escapeHtml(entry.msg)}</td>
+                    </tr>
+                `).join('')}</tbody>
+            </table>
+            <div class="report-footer">${matching.length} of ${entries.length} entries${matching.length > LOG_VIEW_LIMIT ? ` · showing latest ${LOG_VIEW_LIMIT}` : ''} · kept: last ${LOG_ENTRIES_MAX}</div>
+        `;
+}
+
+async function exportLogsAsJSON() {
+    const entries = filterLogEntries(await loadLogEntries(), readLogFilters());
+    downloadFile(JSON.stringify(entries, null, 2), `ssnit-logs-${Date.now()}.json`, 'application/json');
+}
+
+async function exportLogsAsText() {
+    const entries = filterLogEntries(await loadLogEntries(), readLogFilters());
+    downloadFile(entries.map(formatLogLine).join('\n') + '\n', `ssnit-logs-${Date.now()}.txt`, 'text/plain');
+}
+
+async function clearLogs() {
+    if (!confirm('Delete all stored log entries?')) return;
+    pendingLogEntries = [];
+    await safeSet({ logEntries: [] });
+    renderLogView();
+}
+
+// ==================== DOM SNAPSHOTS ====================
+
+/*
+ * On an intervention, a stuck item or a state timeout the page is saved - sanitized - together with
+ * the run state and the recent log lines. A downloaded snapshot loads straight into the offline
+ * harness (loadSnapshotPage in test/harness.js), so a field failure can be replayed and kept as a fixture.
+ */
+const DOM_SNAPSHOT_FORMAT = 'ssnit-dom-snapshot';
+const DOM_SNAPSHOTS_MAX = 5;
+const DOM_SNAPSHOT_MAX_HTML = 300000; // characters - snapshots share the storage quota with the run state
+const DOM_SNAPSHOT_REPEAT_MS = 60000; // the same failure on the same item is only recorded once per minute
+const DOM_SNAPSHOT_LOG_LINES = 200;
+
+// Run state saved with a snapshot (the employers collection is cut down to the current item)
+const SNAPSHOT_STATE_KEYS = [
+    'schemaVersion', 'phase', 'machineState', 'targetPeriod', 'isPaused', 'interventionRequired',
+    'interventionMessage', 'currentER', 'erQueue', 'captureQueue', 'currentCaptureIndex',
+    'validationQueue', 'currentValidationIndex', 'wageEditQueue', 'currentWageEditIndex',
+    'unprocessedIndex', 'captureDryRun', 'captureBaseline', 'autoPostAfterValidation', 'descriptorOverrides'
+];
+
+// Personal identifiers masked in snapshot pages - ER numbers and names stay so the page still replays
+const SNAPSHOT_MASKS = [
+    { pattern: /\b([A-Z])\d{12}\b/g, replacement: '$1000000000000' },            // SSNIT numbers
+    { pattern: /\bGHA-\d{9}-\d\b/g, replacement: 'GHA-000000000-0' },            // Ghana Card (NIA) numbers
+    { pattern: /[\w.+-]+@[\w-]+(\.[\w-]+)+/g, replacement: 'masked@example.invalid' },
+    { pattern: /(^|[^\d])0[235]\d{8}(?!\d)/g, replacement: '$10200000000' }     // phone numbers
+];
+
+// Page furniture that is dropped from snapshots: our own UI and anything that could run
+const SNAPSHOT_DROP_SELECTOR = '#ssnit-automation-container, #ssnit-selector-check, script, noscript, iframe, object, embed';
+
+let lastDomSnapshot = { key: null, at: 0 };
+
+function maskPersonalData(text) {
+    return SNAPSHOT_MASKS.reduce((masked, mask) => masked.replace(mask.pattern, mask.replacement), text);
+}
+
+/**
+ * Sanitized copy of the page markup: current form values written into the markup, our own UI,
+ * scripts, event handlers, hidden/password values and CSRF tokens removed, personal identifiers masked
+ * @returns {string} A complete HTML document
+ */
+function sanitizePageHtml(root = document.documentElement) {
+    const clone = root.cloneNode(true);
+
+    // Typed values and ticks only live on the elements - copy them while both trees still line up
+    const fields = root.querySelectorAll('input, textarea, select');
+    const copies = clone.querySelectorAll('input, textarea, select');
+    fields.forEach((field, i) => {
+        const copy = copies[i];
+        if (!copy) return;
+        if (field.type === 'password' || field.type === 'hidden') {
+            copy.removeAttribute('value');
+        } else if (field.type === 'checkbox' || field.type === 'radio') {
+            copy.toggleAttribute('checked', field.checked);
+        } else if (field.tagName === 'SELECT') {
+            Array.from(copy.options).forEach((option, j) => option.toggleAttribute('selected', !!field.options[j]?.selected));
+        } else if (field.tagName === 'TEXTAREA') {
+            copy.textContent = field.value;
+        } else {
+            copy.setAttribute('value', field.value);
+        }
+    });
+
+    clone.querySelectorAll(SNAPSHOT_DROP_SELECTOR).forEach(el => el.remove());
+    clone.querySelectorAll('meta[name*="csrf" i], meta[name*="token" i]').forEach(el => el.setAttribute('content', ''));
+
+    clone.querySelectorAll('*').forEach(el => {
+        Array.from(el.attributes).forEach(attr => {
+            if (attr.name.startsWith('on') || /^\s*javascript:/i.test(attr.value)) {
+                el.removeAttribute(attr.name);
             } else {
-                log('Update button not found or disabled', 'error');
-                stuckCounter++;
+                const masked = maskPersonalData(attr.value);
+                if (masked !== attr.value) el.setAttribute(attr.name, masked);
             }
-        } else {
-            log('Total Contribution input not found', 'error');
-            stuckCounter++;
+        });
+    });
+
+    const walker = document.createTreeWalker(clone, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        node.nodeValue = maskPersonalData(node.nodeValue);
+    }
+
+    return `<!DOCTYPE html>\n${clone.outerHTML}`;
+}
+
+/**
+ * Run state for a snapshot - SNAPSHOT_STATE_KEYS plus the employer record being worked on
+ */
+async function collectSnapshotState() {
+    const data = await safeGet([...SNAPSHOT_STATE_KEYS, 'employers']) || {};
+    const { employers, ...state } = data;
+    const item = currentPhaseEmployer(data);
+
+    state.employers = item ? { [item.id]: item } : {};
+    return state;
+}
+
+/**
+ * Save a snapshot of the page as it is now to `domSnapshots` (newest first, DOM_SNAPSHOTS_MAX kept)
+ * Never throws - a failed snapshot must not take the phase loop down with it
+ * @param {string} reason - intervention | stuck | timeout | manual
+ * @param {string} message - What went wrong (the intervention message or the engine's log line)
+ * @returns {Promise<Object|null>} The snapshot, or null when it was a repeat or could not be saved
+ */
+async function recordDomSnapshot(reason, message = '') {
+    try {
+        const state = await collectSnapshotState();
+        const machine = state.machineState || {};
+        const key = [reason, location.pathname, state.phase, machine.state, machine.item].join('|');
+        if (reason !== 'manual' && key === lastDomSnapshot.key && Date.now() - lastDomSnapshot.at < DOM_SNAPSHOT_REPEAT_MS) {
+            return null;
         }
+        lastDomSnapshot = { key: key, at: Date.now() };
+
+        const html = sanitizePageHtml();
+        const snapshot = {
+            format: DOM_SNAPSHOT_FORMAT,
+            version: 1,
+            id: `snap-${Date.now()}`,
+            reason: reason,
+            message: message,
+            capturedAt: Date.now(),
+            url: window.location.href,
+            page: PageOps.detectPage()?.name || (isLoginPage() ? 'login' : null),
+            phase: state.phase || null,
+            state: state,
+            logs: (await loadLogEntries()).slice(-DOM_SNAPSHOT_LOG_LINES),
+            html: html.slice(0, DOM_SNAPSHOT_MAX_HTML),
+            htmlTruncated: html.length > DOM_SNAPSHOT_MAX_HTML
+        };
 
-        if (stuckCounter >= MAX_STUCK_COUNT) {
-            log(`Stuck on edit page for ${currentER}, skipping...`, 'error');
-            await advanceWageEdit(index, 'stuck', 'Could not complete edit');
-            stuckCounter = 0;
-            window.location.href = '/contributions/view_crs/unprocessed';
+        const data = await safeGet(['domSnapshots']);
+        const kept = [snapshot, ...(data?.domSnapshots || [])].slice(0, DOM_SNAPSHOTS_MAX);
+        if (!await safeSet({ domSnapshots: kept })) {
+            // Most likely the storage quota - one snapshot is better than none
+            await safeSet({ domSnapshots: [snapshot] });
+        }
+        log(`📸 Page snapshot saved (${reason}) - download it from the dashboard or Run History`, 'info');
+        return snapshot;
+    } catch (e) {
+        log(`Could not save a page snapshot: ${e.message}`, 'warn');
+        return null;
+    }
+}
+
+function snapshotFilename(snapshot) {
+    return `ssnit-snapshot-${snapshot.reason}-${snapshot.page || 'page'}-${snapshot.capturedAt}.json`;
+}
+
+/**
+ * Dashboard button: snapshot the page as it stands and download it
+ */
+async function downloadDomSnapshot() {
+    const snapshot = await recordDomSnapshot('manual', document.getElementById('intervention-message')?.textContent || '');
+    if (snapshot) downloadFile(JSON.stringify(snapshot, null, 2), snapshotFilename(snapshot), 'application/json');
+}
+
+// ==================== PORTFOLIO LAST RUN ====================
+
+/**
+ * Headline counts for the current period, shared by portfolio summaries and backfill snapshots
+ */
+function summarizeEmployers(employers, captureQueue) {
+    const scraped = getScrapedEmployers(employers);
+    const queuedIds = new Set(captureQueue || []);
+    const queued = getEmployersByIds(employers, captureQueue);
+    const all = getEmployerList(employers);
+    const atScrape = scraped.filter(e => !queuedIds.has(e.id));
+
+    return {
+        scraped: scraped.length,
+        alreadyCaptured: atScrape.filter(e => e.captureStatus === 'already_captured').length,
+        needsReview: atScrape.filter(e => e.captureStatus !== 'already_captured' && (e.continuityError || e.zeroCrError || e.isSelfCapture)).length,
+        captured: queued.filter(e => CAPTURE_DONE_STATUSES.includes(e.captureStatus)).length,
+        failed: queued.filter(e => CAPTURE_FAILED_STATUSES.includes(e.captureStatus)).length,
+        validated: all.filter(e => e.validationStatus === 'submitted').length,
+        validationFailed: all.filter(e => VALIDATION_FAILED_STATUSES.includes(e.validationStatus)).length
+    };
+}
+
+/**
+ * Record a summary of the current run on the portfolio it was started from
+ * Called whenever a phase finishes so the popup can show "last run" per portfolio
+ * @param {string} stage - 'scraping' | 'capture' | 'validation'
+ */
+async function updatePortfolioLastRun(stage) {
+    const data = await safeGet(['activePortfolioId', 'portfolios', 'targetPeriod', 'employers', 'captureQueue']);
+    const portfolios = data?.portfolios || {};
+    const portfolio = portfolios[data?.activePortfolioId];
+    if (!portfolio) return;
+
+    portfolio.lastRun = {
+        period: data.targetPeriod,
+        stage: stage,
+        finishedAt: Date.now(),
+        ...summarizeEmployers(data.employers, data.captureQueue)
+    };
+
+    await safeSet({ portfolios });
+    log(`Portfolio "${portfolio.name}" last run updated (${stage})`, 'info');
+}
+
+// ==================== BACKFILL (MULTI-PERIOD RUNS) ====================
+
+/**
+ * Summarize the current period's outcomes so they survive the reset for the next period
+ */
+function buildPeriodSnapshot(data) {
+    const counts = summarizeEmployers(data.employers, data.captureQueue);
+    const queued = new Set(data.captureQueue || []);
+
+    return {
+        period: data.targetPeriod,
+        completedAt: Date.now(),
+        scraped: counts.scraped,
+        queued: queued.size,
+        captured: counts.captured,
+        failed: counts.failed,
+        validated: counts.validated,
+        validationFailed: counts.validationFailed,
+        pendingWageEdits: getEmployerList(data.employers).filter(isAwaitingWageEdit).length,
+        // Per-ER outcome for this period
+        ers: getScrapedEmployers(data.employers).map(emp => ({
+            er: emp.er,
+            employerName: emp.name,
+            alreadyCaptured: emp.captureStatus === 'already_captured' && !queued.has(emp.id),
+            continuityError: emp.continuityError,
+            capture: queued.has(emp.id) && emp.captureStatus !== 'pending' ? emp.captureStatus : null,
+            validation: emp.validationStatus !== 'pending' ? emp.validationStatus : null
+        }))
+    };
+}
+
+/**
+ * Validation finished for the current period: keep its results (the last period of the range
+ * included) and go straight on to the next period unless CRs still wait for wage edits
+ */
+async function completeBackfillPeriod() {
+    const data = await safeGet([
+        'targetPeriod', 'backfillPeriods', 'backfillIndex', 'periodResults', 'employers', 'captureQueue'
+    ]);
+    const periods = data?.backfillPeriods || [];
+    if (periods.length < 2) return;
+
+    await safeSet({ periodResults: { ...(data.periodResults || {}), [data.targetPeriod]: buildPeriodSnapshot(data) } });
+
+    const index = data.backfillIndex || 0;
+    if (index + 1 >= periods.length) {
+        log(`Backfill complete: ${periods.length} periods processed (${periods[0]} - ${periods[periods.length - 1]})`, 'success');
+        return;
+    }
+
+    const pendingWageEdits = getEmployerList(data.employers).filter(isAwaitingWageEdit).length;
+    if (pendingWageEdits > 0) {
+        log(`Backfill: ${pendingWageEdits} CR(s) need wage edits for ${data.targetPeriod} - run wage edit, or Continue Backfill to move on`, 'warn');
+        return;
+    }
+
+    await advanceBackfillPeriod({ automatic: true });
+}
+
+/**
+ * Archive the finished period and restart the pipeline for the next period in the range
+ * Each period's P1 is the period just processed, so ERs captured here carry their
+ * LF/amount forward in case the portal has not listed the new CR yet.
+ * @param {Object} options
+ * @param {boolean} options.automatic - Called when validation finished (no confirmation asked)
+ */
+async function advanceBackfillPeriod({ automatic = false } = {}) {
+    if (automatic) {
+        // Nobody is at the tab to dismiss an alert - flag it for the user (and the notification) instead
+        const { broken } = await getBlockedSelectors('SCRAPING');
+        if (broken.length) {
+            log(`Backfill stopped: scraping is blocked by selectors that no longer match (${broken.join(', ')})`, 'error');
+            await safeSet({
+                interventionRequired: true,
+                interventionMessage: `Backfill stopped before the next period: scraping selectors no longer match (${broken.join(', ')}). Fix them, re-run the portal check, then click Continue Backfill.`
+            });
+            return;
         }
+    } else if (!await checkPhaseSelectors('SCRAPING')) {
+        return;
+    }
+
+    const data = await safeGet([
+        'targetPeriod', 'backfillPeriods', 'backfillIndex', 'backfillErs', 'periodResults',
+        'employers', 'captureQueue'
+    ]);
+
+    const periods = data?.backfillPeriods || [];
+    const index = data?.backfillIndex || 0;
+    if (index + 1 >= periods.length) return;
+
+    const nextPeriod = periods[index + 1];
+    const pendingWageEdits = getEmployerList(data.employers).filter(isAwaitingWageEdit).length;
+    const question = pendingWageEdits > 0
+        ? `${pendingWageEdits} CR(s) still need wage edits for ${data.targetPeriod}. Continue to ${nextPeriod} anyway?`
+        : `Continue backfill with period ${nextPeriod}?`;
+    if (!automatic && !confirm(question)) return;
+
+    const periodResults = data.periodResults || {};
+    periodResults[data.targetPeriod] = buildPeriodSnapshot(data);
+    await archiveCurrentRun('period_complete');
+
+    const backfillCarry = {};
+    getEmployersByIds(data.employers, data.captureQueue)
+        .filter(e => CAPTURE_DONE_STATUSES.includes(e.captureStatus))
+        .forEach(e => { backfillCarry[e.er] = getCaptureValues(e); });
+
+    const ers = data.backfillErs || [];
+    log(`Backfill: ${data.targetPeriod} done, starting ${nextPeriod} (${index + 2}/${periods.length})`, 'success');
+
+    await safeSet({
+        phase: 'SCRAPING',
+        phaseTimings: { SCRAPING: { startedAt: Date.now() } },
+        targetPeriod: nextPeriod,
+        backfillIndex: index + 1,
+        backfillCarry: backfillCarry,
+        periodResults: periodResults,
+        erQueue: [...ers],
+        currentER: ers[0] || null,
+        originalErCount: ers.length,
+        totalERs: ers.length,
+        employers: {},
+        captureQueue: [],
+        currentCaptureIndex: 0,
+        retryCount: 0,
+        validationQueue: [],
+        currentValidationIndex: 0,
+        wageEditQueue: [],
+        machineState: null,
+        isPaused: false,
+        interventionRequired: false
+    });
+
+    await wait(200);
+    window.location.href = '/contributions/view_crs/report';
+}
+
+/**
+ * Render the per-period strip (done / current / upcoming) for backfill runs
+ */
+function renderBackfillSummary(data) {
+    const container = document.getElementById('backfill-summary');
+    if (!container) return;
+
+    const periods = data.backfillPeriods || [];
+    if (periods.length < 2) {
+        container.style.display = 'none';
         return;
     }
 
-    // ==================== UNKNOWN PAGE - NAVIGATE BACK ====================
-    stuckCounter++;
-    if (stuckCounter >= 3) {
-        log('On unknown page, navigating back to unprocessed list...', 'warn');
-        window.location.href = '/contributions/view_crs/unprocessed';
-        stuckCounter = 0;
+    const index = data.backfillIndex || 0;
+    const results = data.periodResults || {};
+
+    container.style.display = 'flex';
+    container.innerHTML = periods.map((p, i) => {
+        const res = results[p];
+        let cls = 'backfill-chip';
+        let title = 'Upcoming';
+        if (res) {
+            cls += res.failed > 0 ? ' chip-warn' : ' chip-done';
+            title = `${res.captured} captured, ${res.failed} failed, ${res.validated} validated`;
+        } else if (i === index) {
+            cls += ' chip-active';
+            title = 'Current period';
+        }
+        return `<span class="${cls}" title="${title}">${p}</span>`;
+    }).join('');
+
+    const nextBtn = document.getElementById('next-period-btn');
+    if (nextBtn) {
+        const hasNext = index + 1 < periods.length;
+        nextBtn.style.display = hasNext && data.phase === 'COMPLETE' ? 'block' : 'none';
+        if (hasNext) nextBtn.textContent = `⏭ Continue Backfill: ${periods[index + 1]} (${index + 2}/${periods.length})`;
+    }
+}
+
+
+// ==================== SELECTOR HEALTH CHECK ====================
+
+/**
+ * Portal compatibility diagnostics, started from the popup while no phase is running.
+ * The check opens each known page in turn (the content script picks it up again after
+ * every navigation) and tests every PAGE_DESCRIPTORS entry against the live DOM.
+ * The result is kept in `selectorHealth`; a phase whose pages have broken selectors, or
+ * pages the check could not open ('unverified'), refuses to start until a later check passes.
+ */
+
+// Check order - the employer page opens the capture form, the unprocessed list supplies
+// the links to a data entry and an edit page
+const SELECTOR_CHECK_PAGES = ['viewCrsReport', 'receiveEmployer', 'receiveCapture', 'viewCrsUnprocessed', 'dataEntry', 'editPrivate'];
+
+// Only rendered in some page states (a table with rows or several pages, the auto-post
+// option) - missing is a warning, not a failure
+const OPTIONAL_DESCRIPTOR_KEYS = ['pageSizeSelect', 'nextPageButton', 'dataEntryLink', 'editPrivateLink', 'autoPostCheckbox'];
+
+const SELECTOR_CHECK_TIMEOUT_MS = 10000;
+
+const SELECTOR_CHECK_SKIP_NOTES = {
+    dataEntry: 'No CR on the unprocessed list to open',
+    editPrivate: 'No CR on the unprocessed list to open'
+};
+
+/**
+ * Where the check opens a page (null when it can't be opened directly)
+ * @param {Object} links - Hrefs picked up from the unprocessed list
+ */
+function getSelectorCheckUrl(pageName, links) {
+    return {
+        viewCrsReport: PHASE_MACHINES.SCRAPING.homeUrl,
+        receiveEmployer: PHASE_MACHINES.CAPTURE.homeUrl,
+        viewCrsUnprocessed: PHASE_MACHINES.VALIDATION.homeUrl,
+        dataEntry: links?.dataEntry,
+        editPrivate: links?.editPrivate
+    }[pageName] || null;
+}
+
+/**
+ * An ER the run already knows (scraped employers, the queue, imported hints) - the capture
+ * form only opens for a real employer
+ * @returns {Promise<string|null>}
+ */
+async function pickSelectorCheckEr() {
+    const data = await safeGet(['employers', 'erQueue', 'erHints']);
+    const known = [
+        ...Object.values(data?.employers || {}).map(employer => employer.er),
+        ...(data?.erQueue || []),
+        ...Object.keys(data?.erHints || {})
+    ];
+    return known.find(er => /^\d{9}$/.test(er || '')) || null;
+}
+
+/**
+ * The capture form has no URL of its own: enter a known ER on the employer page (checked
+ * just before it) and continue, as capture does. Nothing is filled in or submitted.
+ * @returns {Promise<Object>} The page result - 'unverified' when the form could not be opened
+ */
+async function checkCaptureForm(health) {
+    if (isOnPage('receiveCapture')) return checkPageSelectors('receiveCapture');
+
+    const unverified = note => ({ status: 'unverified', missing: [], optionalMissing: [], note, checkedAt: Date.now() });
+    if (!health.er) return unverified('No ER from a run to open it with - check again after scraping');
+    if (health.visiting === 'receiveCapture') return unverified(`Continuing with ER ${health.er} did not open it`);
+
+    const desc = PAGE_DESCRIPTORS.receiveEmployer;
+    const erInput = document.querySelector(desc.erInput);
+    const continueBtn = document.querySelector(desc.continueButton);
+    if (!isOnPage('receiveEmployer') || !erInput || !continueBtn) return unverified('The employer page could not open it');
+
+    // The portal may load the form as a new page - the check then resumes there
+    health.visiting = 'receiveCapture';
+    await safeSet({ selectorHealth: health });
+
+    setNativeValue(erInput, health.er);
+    erInput.blur();
+    await wait(400);
+    continueBtn.disabled = false;
+    continueBtn.classList.remove('disabled', 'btn-grey');
+    continueBtn.click();
+
+    if (!await waitForCondition(() => isOnPage('receiveCapture'), SELECTOR_CHECK_TIMEOUT_MS)) {
+        return unverified(`Continuing with ER ${health.er} did not open it`);
     }
+    return checkPageSelectors('receiveCapture');
 }
 
 /**
- * Advance to next item in wage edit queue
+ * DOM lookups a page descriptor declares: CSS selectors, button matchers and input labels
+ * (column indexes and the URL pattern are skipped)
+ * @returns {Array<{key: string, find: Function}>}
  */
-async function advanceWageEdit(index, result, message = '') {
-    const data = await safeGet(['wageEditQueue']);
-    const queue = data?.wageEditQueue || [];
-
-    if (index < queue.length) {
-        queue[index].editResult = result;
-        queue[index].editMessage = message;
-        queue[index].editTimestamp = Date.now();
-    }
-
-    await safeSet({
-        wageEditQueue: queue,
-        currentWageEditIndex: index + 1,
-        wageEditState: null
+function getDescriptorProbes(desc) {
+    return Object.entries(desc).flatMap(([key, value]) => {
+        if (key === 'urlPattern' || typeof value === 'number') return [];
+        if (typeof value === 'object') return [{ key, find: () => PageOps.findButton(value, true) }];
+        if (!isSelectorKey(key)) return [{ key, find: () => PageOps.findInputByLabel(value) }];
+        return [{ key, find: () => document.querySelector(value) }];
     });
-
-    log(`Wage edit ${result} for item ${index + 1}: ${message}`, result === 'updated' ? 'success' : 'warn');
-    stuckCounter = 0;
 }
 
 /**
- * Skip current item in wage edit phase
+ * Test every descriptor entry of the page we are on
+ * @returns {Promise<{status: string, missing: string[], optionalMissing: string[], checkedAt: number}>}
  */
-async function skipCurrentWageEdit() {
-    const data = await safeGet(['wageEditQueue', 'currentWageEditIndex']);
-    const index = data?.currentWageEditIndex || 0;
+async function checkPageSelectors(pageName) {
+    const probes = getDescriptorProbes(PAGE_DESCRIPTORS[pageName]);
+    const required = probes.filter(p => !OPTIONAL_DESCRIPTOR_KEYS.includes(p.key));
 
-    log(`Skipping wage edit for item ${index + 1}`, 'warn');
-    await advanceWageEdit(index, 'skipped', 'Manually skipped by user');
+    // Let the page render before judging it
+    await waitForCondition(() => required.every(p => p.find()), SELECTOR_CHECK_TIMEOUT_MS);
+    await waitForNetworkIdle(SELECTOR_CHECK_TIMEOUT_MS);
 
-    if (!window.location.href.includes('/view_crs/unprocessed')) {
-        window.location.href = '/contributions/view_crs/unprocessed';
-    }
+    const missing = probes.filter(p => !p.find()).map(p => p.key);
+    const requiredMissing = missing.filter(key => !OPTIONAL_DESCRIPTOR_KEYS.includes(key));
+    return {
+        status: requiredMissing.length > 0 ? 'broken' : (missing.length > 0 ? 'warn' : 'ok'),
+        missing: requiredMissing,
+        optionalMissing: missing.filter(key => OPTIONAL_DESCRIPTOR_KEYS.includes(key)),
+        checkedAt: Date.now()
+    };
 }
 
-async function doCaptureStep() {
-    const data = await safeGet([
-        'captureQueue', 'currentCaptureIndex', 'targetPeriod', 
-        'phase', 'capturedErs', 'failedErs', 'retryCount', 'scrapedResults',
-        'awaitingResponse', 'lastSubmitTime'
-    ]);
-    
-    if (!data || data.phase !== 'CAPTURE') return;
-
-    let queue = data.captureQueue || [];
-    const index = data.currentCaptureIndex || 0;
-    let capturedList = data.capturedErs || [];
-    let failedList = data.failedErs || [];
-    let retries = data.retryCount || 0;
-    
-    // Restore awaiting state from storage
-    awaitingResponse = data.awaitingResponse || false;
-    lastSubmitTime = data.lastSubmitTime || 0;
+/**
+ * Phases that act on a broken page, from the pages their machine states declare
+ * @returns {Object} {PHASE: ['page.key', ...]}
+ */
+function getBlockedPhases(pages) {
+    const blocked = {};
+    Object.entries(PHASE_MACHINES).forEach(([phase, def]) => {
+        const phasePages = [...new Set(Object.values(def.states).flatMap(st => [].concat(st.page || [])))];
+        const broken = phasePages
+            .filter(page => ['broken', 'unverified'].includes(pages[page]?.status))
+            .flatMap(page => pages[page].missing.length > 0
+                ? pages[page].missing.map(key => `${page}.${key}`)
+                : [pages[page].status === 'unverified' ? `${page} (not verified)` : page]);
+        if (broken.length > 0) blocked[phase] = broken;
+    });
+    return blocked;
+}
 
-    // Queue population
-    if (queue.length === 0 && data.scrapedResults && data.scrapedResults.length > 0) {
-        log('Populating capture queue...');
-        
-        const newQueue = data.scrapedResults
-            .filter(res => !res.alreadyCaptured && !res.continuityError && !res.zeroCrError && !res.isSelfCapture)
-            .map(res => {
-                const p1Normal = res.p1Records.find(r => r.type === 'NORMAL');
-                return { er: res.er, name: res.employerName, lf: p1Normal?.lf || 0, amt: p1Normal?.amt || 0 };
-            })
-            .filter(item => item.lf > 0 && item.amt > 0);
-        
-        if (newQueue.length > 0) {
-            await safeSet({ 
-                captureQueue: newQueue, 
-                currentCaptureIndex: 0, 
-                capturedErs: [], 
-                failedErs: [],
-                captureResults: {} 
-            });
-            await wait(300);
-            window.location.reload();
-            return;
-        }
-        return;
-    }
+/**
+ * Selectors that keep a phase from starting, from the last selector check
+ * @returns {Promise<{health: Object|undefined, broken: string[]}>}
+ */
+async function getBlockedSelectors(phase) {
+    const health = (await safeGet(['selectorHealth']))?.selectorHealth;
+    return { health, broken: health?.blockedPhases?.[phase] || [] };
+}
 
-    // If queue is empty or we've processed all items, nothing to do
-    // (Completion is handled in advanceToNextER)
-    if (queue.length === 0 || index >= queue.length) {
-        return;
-    }
+/**
+ * Refuse to start a phase whose pages failed the last selector check
+ * @returns {Promise<boolean>} true when the phase may start
+ */
+async function checkPhaseSelectors(phase) {
+    const { health, broken } = await getBlockedSelectors(phase);
+    if (!broken.length) return true;
 
-    const currentRecord = queue[index];
-    
-    // Skip if already processed
-    if (capturedList.includes(currentRecord.er) || failedList.includes(currentRecord.er)) {
-        await safeSet({ currentCaptureIndex: index + 1, retryCount: 0, awaitingResponse: false });
-        stuckCounter = 0;
-        return;
-    }
+    alert(`Cannot start ${phase}: the portal check of ${new Date(health.checkedAt).toLocaleString('en-GB')} found selectors that no longer match or pages it could not open:\n\n${broken.join('\n')}\n\nOverride them on the options page (or update the extension), then run "Check portal selectors" from the popup again.`);
+    return false;
+}
 
-    // ==================== MODAL DETECTION (Improved) ====================
-    // Checks for response modals: receipt, success, error, unknown
-    // Priority: Receipt > Icon > Button > Text > Unknown
-    // Does NOT check button spinner state (unreliable - can spin forever)
-    
-    const modalState = detectModalState();
-    
-    // Handle receipt modal (SUCCESS - acknowledgement letter)
-    if (modalState.type === 'receipt') {
-        const handled = await handleModal('receipt', modalState.element);
-        if (handled) {
-            await advanceToNextER(currentRecord.er, 'success', capturedList, failedList, index, 'Acknowledgement received');
-            return;
-        }
-    }
-    
-    // Handle success modal (green checkmark or "Data Successfully Saved")
-    if (modalState.type === 'success') {
-        const handled = await handleModal('success', modalState.element);
-        if (handled) {
-            await advanceToNextER(currentRecord.er, 'success', capturedList, failedList, index, 'Data saved successfully');
-            return;
-        }
-    }
-    
-    // Handle error modal (X icon or "Errors Occured")
-    if (modalState.type === 'error') {
-        const handled = await handleModal('error', modalState.element);
-        if (handled) {
-            // Check if it's a duplicate error ("already exists" = was captured before, not by us)
-            const errorText = (modalState.message || '').toLowerCase();
-            const isDuplicate = errorText.includes('already exists') || errorText.includes('duplicate');
-            
-            if (isDuplicate) {
-                // Already captured = job done for this ER, goes to capturedList
-                await advanceToNextER(currentRecord.er, 'already_captured', capturedList, failedList, index, modalState.message);
-            } else {
-                // Other validation error = goes to failedList
-                await advanceToNextER(currentRecord.er, 'error', capturedList, failedList, index, modalState.message);
-            }
-            return;
-        }
-    }
-    
-    // Handle unknown modal - PAUSE and prompt user for intervention
-    if (modalState.type === 'unknown') {
-        log(`Unknown modal detected: ${modalState.message}`, 'error');
-        isPaused = true;
-        await safeSet({ 
-            isPaused: true, 
-            interventionRequired: true,
-            interventionMessage: `Unknown modal: ${modalState.message}. Please review and click Skip or Resume.`
-        });
-        return;
+/**
+ * Run the selector check from wherever it stands: check the page we are on, then open the next
+ * @param {Object} health - Stored selectorHealth with running: true
+ */
+async function continueSelectorCheck(health) {
+    if (!health.queue) {
+        log('Portal selector check started', 'info');
+        health = { ...health, queue: [...SELECTOR_CHECK_PAGES], pages: {}, links: {}, visiting: null, er: await pickSelectorCheckEr() };
     }
-    
-    // ==================== RESPONSE TIMEOUT HANDLING ====================
-    
-    // If we submitted and are waiting for response, check for timeout
-    if (awaitingResponse && lastSubmitTime > 0) {
-        const elapsed = Date.now() - lastSubmitTime;
-        
-        if (elapsed > RESPONSE_TIMEOUT_MS) {
-            log(`Response timeout after ${Math.round(elapsed/1000)}s`, 'warn');
-            
-            if (retries < 1) {
-                // First timeout: retry submit once
-                log('Retrying submit...', 'warn');
-                await safeSet({ retryCount: retries + 1, awaitingResponse: false, lastSubmitTime: 0 });
-                stuckCounter = 0;
-                // Will fall through to form filling/submit logic below
-            } else {
-                // Second timeout: mark as failed and move on
-                log('Response unreadable after retry, marking as FAILED', 'error');
-                await advanceToNextER(currentRecord.er, 'failed', capturedList, failedList, index);
+    showSelectorCheckIndicator(health);
+
+    while (health.queue.length > 0) {
+        const pageName = health.queue[0];
+        const url = getSelectorCheckUrl(pageName, health.links);
+
+        if (pageName === 'receiveCapture') {
+            health.pages[pageName] = await checkCaptureForm(health);
+        } else if (!url) {
+            health.pages[pageName] = { status: 'skipped', missing: [], optionalMissing: [], note: SELECTOR_CHECK_SKIP_NOTES[pageName], checkedAt: Date.now() };
+        } else if (!isOnPage(pageName)) {
+            if (health.visiting !== pageName) {
+                health.visiting = pageName;
+                await safeSet({ selectorHealth: health });
+                window.location.href = url;
                 return;
             }
+            // Opened it, but the portal put us somewhere else (its URL scheme changed)
+            health.pages[pageName] = {
+                status: 'broken', missing: [], optionalMissing: [],
+                note: `Opening ${url} landed on ${window.location.pathname}`, checkedAt: Date.now()
+            };
         } else {
-            // Still waiting for response, don't do anything else
-            log(`Waiting for response... (${Math.round(elapsed/1000)}s / ${RESPONSE_TIMEOUT_MS/1000}s)`, 'info');
-            return;
-        }
-    }
-
-    // ==================== PAGE DETECTION & FORM FILLING ====================
-    
-    // Helper to check if we should continue (checks pause state from storage)
-    async function checkPauseState() {
-        const pauseData = await safeGet(['isPaused']);
-        if (pauseData?.isPaused) {
-            isPaused = true;
-            log('Pause detected mid-operation, stopping...', 'warn');
-            return false;
-        }
-        return true;
-    }
-    
-    const currentUrl = window.location.href;
-    const isEmployerPage = currentUrl.includes('/receive/employer') && !currentUrl.includes('/capture');
-    const isCapturePage = currentUrl.includes('/receive/capture');
-
-    // STATE 1: Employer page - enter ER and continue
-    if (isEmployerPage) {
-        const initialErInput = document.querySelector('input[maxlength="9"].form-control:not(#changeER)');
-        const initialContinueBtn = document.getElementById('addToTable');
-        
-        if (initialErInput && initialContinueBtn && initialErInput.offsetParent !== null) {
-            log(`[STATE 1] Employer page: entering ER ${currentRecord.er}`);
-            
-            // Check pause before each action
-            if (!await checkPauseState()) return;
-            
-            initialErInput.blur();
-            await wait(100);
-            initialErInput.focus();
-            await wait(50);
-            setNativeValue(initialErInput, currentRecord.er);
-            initialErInput.blur();
-            await wait(400);
-            
-            // Check pause before clicking continue
-            if (!await checkPauseState()) return;
-            
-            initialContinueBtn.disabled = false;
-            initialContinueBtn.classList.remove('disabled', 'btn-grey');
-            
-            if (initialErInput.value === currentRecord.er) {
-                initialContinueBtn.click();
-                stuckCounter = 0;
+            health.pages[pageName] = await checkPageSelectors(pageName);
+            if (pageName === 'viewCrsUnprocessed') {
+                const desc = PAGE_DESCRIPTORS.viewCrsUnprocessed;
+                health.links = {
+                    dataEntry: document.querySelector(desc.dataEntryLink)?.href || null,
+                    editPrivate: document.querySelector(desc.editPrivateLink)?.href || null
+                };
             }
-            return;
         }
-    }
-
-    // STATE 2: Capture form page - fill and submit
-    if (isCapturePage) {
-        // Check if showing wrong employer - redirect to employer page instead of using changeER
-        const headerTitle = document.querySelector('h4.text-info');
-        const headerText = headerTitle ? headerTitle.innerText : '';
-        
-        if (headerText && !headerText.includes(currentRecord.er)) {
-            log(`Wrong employer displayed, navigating to employer page...`, 'warn');
-            window.location.href = "https://app.issas.ssnit.org.gh/contributions/receive/employer";
-            return;
-        }
-
-        // Fill the form - check pause between each field
-        log(`[STATE 2] Filling form for ${currentRecord.er}...`);
-
-        // Check pause before starting form fill
-        if (!await checkPauseState()) return;
-
-        // Period inputs
-        const periodInputs = document.querySelectorAll('input[placeholder*="YYYYMM"]');
-        periodInputs.forEach(inp => {
-            if (inp.value !== data.targetPeriod) setNativeValue(inp, data.targetPeriod);
-        });
-        await wait(200);
-        
-        if (!await checkPauseState()) return;
 
-        // Submission Medium: Preprinted
-        const mediaRadio = document.querySelector('input[name="sub_media"][value="1"]');
-        if (mediaRadio && !mediaRadio.checked) {
-            mediaRadio.click();
-            await wait(200);
-        }
-        
-        if (!await checkPauseState()) return;
-        
-        // Submission Mode: Contribution
-        const modeRadio = document.querySelector('input[name="sub_mod"][value="2"]');
-        if (modeRadio && !modeRadio.checked) {
-            modeRadio.click();
-            await wait(400);
-        }
-        
-        if (!await checkPauseState()) return;
+        const result = health.pages[pageName];
+        log(`Selector check ${pageName}: ${result.status}${result.missing.length ? ` (missing: ${result.missing.join(', ')})` : ''}${result.note ? ` - ${result.note}` : ''}`,
+            ['broken', 'unverified'].includes(result.status) ? 'error' : (result.status === 'ok' ? 'success' : 'warn'));
 
-        // Dropdowns
-        await selectVueOption('Contribution Type', 'NORMAL');
-        await wait(300);
-        
-        if (!await checkPauseState()) return;
-        
-        await selectVueOption('Staff Category', 'ALL');
-        await wait(300);
-        
-        if (!await checkPauseState()) return;
-
-        // Number of Employees
-        let lfInput = document.getElementById('no_employees');
-        if (lfInput) {
-            lfInput.focus();
-            await wait(50);
-            setNativeValue(lfInput, currentRecord.lf.toString());
-            lfInput.blur();
-            await wait(200);
-        }
-        
-        if (!await checkPauseState()) return;
-        
-        // Total Contribution Amount - use PageOps for finding and setting
-        const amtInput = PageOps.findInputByLabel('total contribution');
-        if (amtInput) {
-            await PageOps.setVueInput(amtInput, currentRecord.amt.toFixed(2));
-        }
+        health.queue.shift();
+        health.visiting = null;
+        await safeSet({ selectorHealth: health });
+        showSelectorCheckIndicator(health);
+    }
 
-        await wait(600);
-        
-        // Final pause check before submit
-        if (!await checkPauseState()) return;
+    const finished = { running: false, checkedAt: Date.now(), pages: health.pages, blockedPhases: getBlockedPhases(health.pages) };
+    await safeSet({ selectorHealth: finished });
+    log(`Portal selector check finished - ${Object.keys(finished.blockedPhases).length} phase(s) blocked`,
+        Object.keys(finished.blockedPhases).length > 0 ? 'error' : 'success');
+    showSelectorCheckIndicator(finished);
+}
 
-        // Submit
-        const submitBtn = document.getElementById('addToTable2');
-        if (submitBtn && !submitBtn.disabled) {
-            log(`[STATE 3] Submitting ${currentRecord.er}...`, 'success');
-            
-            // Track submission time for timeout handling
-            lastSubmitTime = Date.now();
-            awaitingResponse = true;
-            await safeSet({ lastSubmitTime, awaitingResponse: true });
-            
-            submitBtn.click();
-            stuckCounter = 0;
-            return;
-        } else {
-            // Button disabled - increment stuck counter
-            stuckCounter++;
-            log(`Submit button disabled (stuck: ${stuckCounter}/${MAX_STUCK_COUNT})`, 'warn');
-            
-            if (stuckCounter >= MAX_STUCK_COUNT) {
-                log('Max stuck count reached, marking as FAILED', 'error');
-                await advanceToNextER(currentRecord.er, 'failed', capturedList, failedList, index);
-                return;
-            }
-            
-            // Try to trigger validation
-            if (lfInput) {
-                lfInput.focus();
-                lfInput.dispatchEvent(new KeyboardEvent('keydown', { key: 'Tab', bubbles: true }));
-            }
-        }
+/**
+ * Small floating status box for the check (the dashboard only exists while a phase runs)
+ */
+function showSelectorCheckIndicator(health) {
+    let box = document.getElementById('ssnit-selector-check');
+    if (!box) {
+        box = document.createElement('div');
+        box.id = 'ssnit-selector-check';
+        box.style.cssText = 'position:fixed;bottom:20px;right:20px;max-width:360px;background:#eff6ff;padding:10px 15px;border-radius:8px;z-index:999999;font-family:sans-serif;font-size:12px;box-shadow:0 2px 10px rgba(0,0,0,0.2);';
+        document.body.appendChild(box);
     }
-    
-    // STATE 5: Unknown page - navigate to employer page
-    if (!isEmployerPage && !isCapturePage) {
-        stuckCounter++;
-        log(`Unknown page state (stuck: ${stuckCounter}/${MAX_STUCK_COUNT})`, 'warn');
-        
-        if (stuckCounter >= MAX_STUCK_COUNT) {
-            log('Navigating to employer page...', 'warn');
-            stuckCounter = 0;
-            window.location.href = "https://app.issas.ssnit.org.gh/contributions/receive/employer";
-        }
+
+    if (health.running) {
+        const done = Object.keys(health.pages || {}).length;
+        box.innerHTML = `🩺 <b>SSNIT Automator</b>: Checking portal selectors (${done}/${SELECTOR_CHECK_PAGES.length})...`;
+        return;
     }
+
+    const broken = Object.entries(health.pages).filter(([, r]) => ['broken', 'unverified'].includes(r.status));
+    const rows = Object.entries(health.pages).map(([page, r]) => {
+        const icon = { ok: '✅', warn: '⚠️', broken: '❌', unverified: '❔', skipped: '⏭️' }[r.status];
+        const detail = r.missing.length ? r.missing.join(', ') : (r.note || (r.optionalMissing.length ? `optional: ${r.optionalMissing.join(', ')}` : ''));
+        return `<div>${icon} ${page}${detail ? ` <span style="color:#64748b;">- ${escapeHtml(detail)}</span>` : ''}</div>`;
+    }).join('');
+
+    box.style.background = broken.length > 0 ? '#fee2e2' : '#dcfce7';
+    box.innerHTML = `
+        <div style="display:flex;gap:8px;margin-bottom:6px;">
+            <b style="flex:1;">🩺 Portal check: ${broken.length > 0 ? `${broken.length} page(s) broken or not verified` : 'all selectors found'}</b>
+            <span id="ssnit-selector-check-close" style="cursor:pointer;">✖</span>
+        </div>
+        ${rows}
+    `;
+    document.getElementById('ssnit-selector-check-close').addEventListener('click', () => box.remove());
 }
 
 
@@ -3241,11 +5819,19 @@ function createDashboard() {
             <div class="progress-bar-container">
                 <div class="progress-fill" id="progress-fill" style="width: 0%"></div>
             </div>
+            <div class="backfill-summary" id="backfill-summary" style="display: none;"></div>
+            <div class="dash-tabs">
+                <button class="dash-tab active" data-tab="run">📋 Run</button>
+                <button class="dash-tab" data-tab="report">📊 Report</button>
+                <button class="dash-tab" data-tab="audit">🧾 Audit</button>
+                <button class="dash-tab" data-tab="logs">📜 Logs</button>
+            </div>
             <div id="login-warning" style="display: none; background: #fef3c7; color: #92400e; padding: 10px; text-align: center; font-weight: bold;">
                 ⚠️ Session expired - Please log in to continue
             </div>
             <div id="intervention-warning" style="display: none; background: #fee2e2; color: #991b1b; padding: 10px; text-align: center; font-weight: bold;">
                 ⚠️ <span id="intervention-message">Manual intervention required</span>
+                <button id="intervention-snapshot" title="Save this page (sanitized) with the run state and recent log, for reproducing the problem offline" style="margin-left: 8px; padding: 2px 8px; border: 1px solid #991b1b; border-radius: 4px; background: #fff; color: #991b1b; cursor: pointer;">📸 Snapshot</button>
             </div>
             <div class="dash-content" id="dash-content">
                 <div class="dash-col">
@@ -3264,6 +5850,42 @@ function createDashboard() {
                     <div class="scroll-wrapper" id="review-list"></div>
                 </div>
             </div>
+            <div class="dash-report" id="dash-report" style="display: none;">
+                <div class="report-toolbar">
+                    <button class="report-btn" id="report-refresh">🔄 Refresh</button>
+                    <button class="report-btn" id="report-download-json">⬇ JSON</button>
+                    <button class="report-btn" id="report-download-csv">⬇ CSV</button>
+                </div>
+                <div class="scroll-wrapper" id="report-body"></div>
+            </div>
+            <div class="dash-report" id="dash-audit" style="display: none;">
+                <div class="report-toolbar">
+                    <button class="report-btn" id="audit-refresh">🔄 Refresh</button>
+                    <button class="report-btn" id="audit-download-json">⬇ JSON</button>
+                    <button class="report-btn" id="audit-download-csv">⬇ CSV</button>
+                </div>
+                <div class="scroll-wrapper" id="audit-body"></div>
+            </div>
+            <div class="dash-report" id="dash-logs" style="display: none;">
+                <div class="report-toolbar log-filters">
+                    <select id="log-level" title="Level">
+                        <option value="">All levels</option>
+                        ${LOG_LEVELS.map(level => `<option value="${level}">${level}</option>`).join('')}
+                    </select>
+                    <select id="log-phase" title="Phase">
+                        <option value="">All phases</option>
+                        ${KNOWN_PHASES.filter(phase => PHASE_MACHINES[phase]).map(phase => `<option value="${phase}">${phase}</option>`).join('')}
+                        <option value="none">No phase</option>
+                    </select>
+                    <input type="text" id="log-er" placeholder="ER No" size="10">
+                    <input type="search" id="log-search" placeholder="Search messages">
+                    <span class="log-filters-spacer"></span>
+                    <button class="report-btn" id="logs-download-txt">⬇ TXT</button>
+                    <button class="report-btn" id="logs-download-json">⬇ JSON</button>
+                    <button class="report-btn" id="logs-clear">🗑 Clear</button>
+                </div>
+                <div class="scroll-wrapper" id="logs-body"></div>
+            </div>
             <div id="manual-input-section" class="manual-input-panel">
                 <div class="manual-input-header">
                     <span>➕ Add ER Manually</span>
@@ -3277,6 +5899,22 @@ function createDashboard() {
                     <button id="add-manual-er-btn" class="manual-add-btn">Add</button>
                 </div>
             </div>
+            <div id="capture-options" class="capture-options">
+                <label>
+                    <span>Baseline</span>
+                    <select id="capture-baseline-select" class="baseline-select">
+                        ${Object.entries(CAPTURE_BASELINES).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+                    </select>
+                </label>
+                <label>
+                    <input type="checkbox" id="supplementary-checkbox">
+                    <span>Also capture supplementary CRs (repeated from the previous month)</span>
+                </label>
+                <label>
+                    <input type="checkbox" id="dry-run-checkbox">
+                    <span>Dry run - fill and verify every form, but don't submit</span>
+                </label>
+            </div>
             <button class="main-proceed-btn" id="start-capture-btn">🚀 Start Capture Phase</button>
             <div id="validation-options" style="display: none; padding: 8px 15px; background: #f0f9ff; border-top: 1px solid #bae6fd;">
                 <label style="display: flex; align-items: center; gap: 8px; font-size: 12px; color: #0369a1; cursor: pointer;">
@@ -3287,6 +5925,7 @@ function createDashboard() {
             <button class="main-proceed-btn validation-btn" id="start-validation-btn" style="display: none;">✅ Start Validation Phase</button>
             <button class="force-validate-btn" id="force-validate-btn" style="display: none;">🔄 Force Validate All Unprocessed</button>
             <button class="main-proceed-btn wage-edit-btn" id="start-wage-edit-btn" style="display: none; background: #f59e0b;">💰 Process Wage Edits (<span id="wage-edit-count">0</span>)</button>
+            <button class="main-proceed-btn backfill-btn" id="next-period-btn" style="display: none;">⏭ Continue Backfill</button>
             <div class="capture-footer" id="capture-footer" style="display: none;">
                 <span id="capture-status">Initializing...</span>
             </div>
@@ -3294,6 +5933,7 @@ function createDashboard() {
     `;
     
     document.body.appendChild(container);
+    activeDashboardTab = 'run';
     
     // Event listeners
     document.getElementById('dash-minimize').addEventListener('click', () => {
@@ -3310,33 +5950,22 @@ function createDashboard() {
     
     document.getElementById('dash-pause').addEventListener('click', togglePause);
     
-    // Skip button - skip current ER and move to next (works in CAPTURE, VALIDATION, and WAGE_EDIT phases)
+    // Skip button - skip the current item and move to next (every phase run by the engine)
     document.getElementById('dash-skip').addEventListener('click', async () => {
         const data = await safeGet(['phase']);
-        const phase = data?.phase;
-
-        if (phase === 'CAPTURE') {
-            if (confirm("Skip current ER and move to next?")) {
-                await skipCurrentER();
-            }
-        } else if (phase === 'VALIDATION') {
-            if (confirm("Skip current CR validation and move to next?")) {
-                await skipCurrentValidation();
-            }
-        } else if (phase === 'WAGE_EDIT') {
-            if (confirm("Skip current wage edit and move to next?")) {
-                await skipCurrentWageEdit();
-            }
-        } else {
-            alert('Skip is only available during capture, validation, or wage edit phases');
+        if (!PHASE_MACHINES[data?.phase]) {
+            alert('Skip is only available while a phase is running');
+            return;
+        }
+        if (confirm(`Skip the current ${data.phase === 'SCRAPING' ? 'ER' : 'CR'} and move to next?`)) {
+            await PhaseEngine.skip();
         }
     });
     
     document.getElementById('dash-stop').addEventListener('click', async () => {
         if (confirm("Stop automation?")) {
-            if (captureInterval) clearInterval(captureInterval);
-            if (validationInterval) clearInterval(validationInterval);
-            if (wageEditInterval) clearInterval(wageEditInterval);
+            await archiveCurrentRun('stopped');
+            PhaseEngine.stop();
             isPaused = false;
             await safeSet({
                 phase: 'IDLE',
@@ -3344,7 +5973,6 @@ function createDashboard() {
                 captureQueue: [],
                 validationQueue: [],
                 wageEditQueue: [],
-                needsWageEdit: [],
                 interventionRequired: false,
                 automationTabId: null
             });
@@ -3353,6 +5981,16 @@ function createDashboard() {
     });
     
     document.getElementById('start-capture-btn').addEventListener('click', startCapturePhase);
+
+    // Capture baseline: saved as soon as it changes so the queue preview shows the resolved values
+    const baselineSelect = document.getElementById('capture-baseline-select');
+    safeGet(['captureBaseline']).then(data => {
+        if (data?.captureBaseline) baselineSelect.value = data.captureBaseline;
+    });
+    baselineSelect.addEventListener('change', async () => {
+        await safeSet({ captureBaseline: baselineSelect.value });
+        updateDashboardUI();
+    });
     
     // Start Validation - save checkbox state before starting
     document.getElementById('start-validation-btn').addEventListener('click', async () => {
@@ -3365,6 +6003,27 @@ function createDashboard() {
     // Start Wage Edit phase
     document.getElementById('start-wage-edit-btn').addEventListener('click', startWageEditPhase);
 
+    // Dashboard tabs and report actions
+    container.querySelectorAll('.dash-tab').forEach(btn => {
+        btn.addEventListener('click', () => switchDashboardTab(btn.dataset.tab));
+    });
+    document.getElementById('intervention-snapshot').addEventListener('click', downloadDomSnapshot);
+    document.getElementById('report-refresh').addEventListener('click', renderReportView);
+    document.getElementById('report-download-json').addEventListener('click', exportReportAsJSON);
+    document.getElementById('report-download-csv').addEventListener('click', exportReportAsCSV);
+    document.getElementById('audit-refresh').addEventListener('click', renderAuditView);
+    document.getElementById('audit-download-json').addEventListener('click', exportAuditAsJSON);
+    document.getElementById('audit-download-csv').addEventListener('click', exportAuditAsCSV);
+    ['log-level', 'log-phase', 'log-er', 'log-search'].forEach(id => {
+        document.getElementById(id).addEventListener('input', renderLogView);
+    });
+    document.getElementById('logs-download-txt').addEventListener('click', exportLogsAsText);
+    document.getElementById('logs-download-json').addEventListener('click', exportLogsAsJSON);
+    document.getElementById('logs-clear').addEventListener('click', clearLogs);
+
+    // Backfill: move on to the next period in the range
+    document.getElementById('next-period-btn').addEventListener('click', () => advanceBackfillPeriod());
+
     // Force Validate All - validates all CRs in unprocessed table (not just captured ones)
     document.getElementById('force-validate-btn').addEventListener('click', async () => {
         if (confirm('This will validate ALL CRs currently in the unprocessed table, not just those captured by this automation. Continue?')) {
@@ -3438,12 +6097,11 @@ function setupDashboardUpdates() {
             
             // Keys that should trigger UI update
             const uiKeys = [
-                'phase', 'scrapedResults', 'captureQueue', 'validationQueue',
+                'phase', 'employers', 'captureQueue', 'validationQueue',
                 'currentCaptureIndex', 'currentValidationIndex',
-                'isPaused', 'capturedErs', 'failedErs', 'validatedErs',
-                'interventionRequired', 'interventionMessage', 'loginPending',
-                'captureResults', 'targetPeriod',
-                'needsWageEdit', 'wageEditQueue', 'currentWageEditIndex'
+                'isPaused', 'interventionRequired', 'interventionMessage', 'loginPending',
+                'targetPeriod', 'wageEditQueue', 'currentWageEditIndex',
+                'backfillIndex', 'periodResults'
             ];
             
             // Update if any relevant key changed
@@ -3526,14 +6184,18 @@ async function togglePause() {
 }
 
 async function startCapturePhase() {
+    if (!await checkPhaseSelectors('CAPTURE')) return;
+
     // Ensure this tab is the automation tab (capture runs only in this tab)
     await registerThisTabAsAutomationTab();
 
-    const data = await safeGet(['scrapedResults', 'targetPeriod']);
-    const scraped = data?.scrapedResults || [];
+    const data = await safeGet(['employers', 'targetPeriod']);
+    const employers = data?.employers || {};
+    const scraped = getScrapedEmployers(employers);
+    const baseline = document.getElementById('capture-baseline-select')?.value || 'p1';
     
-    const valid = scraped.filter(s => 
-        !s.alreadyCaptured && !s.continuityError && !s.zeroCrError && !s.isSelfCapture
+    const valid = scraped.filter(e => 
+        e.captureStatus === 'pending' && !e.continuityError && !e.zeroCrError && !e.isSelfCapture
     );
     
     if (valid.length === 0) {
@@ -3541,31 +6203,35 @@ async function startCapturePhase() {
         return;
     }
 
-    const queue = valid.map(s => {
-        const p1 = s.p1Records.find(r => r.type === 'NORMAL');
-        return { er: s.er, name: s.employerName, lf: p1?.lf || 0, amt: p1?.amt || 0 };
-    }).filter(item => item.lf > 0 && item.amt > 0);
+    const queue = valid.filter(e => isCaptureCandidate(e, baseline)).map(e => e.id);
 
     if (queue.length === 0) {
         alert("No valid data to capture.");
         return;
     }
+    const captureSupplementary = document.getElementById('supplementary-checkbox')?.checked === true;
+    freezeCaptureValues(employers, queue, baseline, captureSupplementary);
 
-    log(`Starting capture with ${queue.length} employers`, 'success');
+    const dryRun = document.getElementById('dry-run-checkbox')?.checked === true;
+    log(`Starting capture${dryRun ? ' (DRY RUN)' : ''} with ${queue.length} employers (baseline: ${CAPTURE_BASELINES[baseline]})`, 'success');
+    await markPhaseTiming('CAPTURE', 'startedAt');
     
     await safeSet({
         phase: 'CAPTURE',
+        employers: employers,
+        captureBaseline: baseline,
+        captureSupplementary: captureSupplementary,
         captureQueue: queue,
         currentCaptureIndex: 0,
-        capturedErs: [],
-        failedErs: [],
+        captureDryRun: dryRun,
         retryCount: 0,
+        machineState: null,
         isPaused: false
     });
     
     isPaused = false;
     await wait(200);
-    window.location.href = "https://app.issas.ssnit.org.gh/contributions/receive/employer";
+    window.location.href = "/contributions/receive/employer";
 }
 
 async function updateDashboardUI() {
@@ -3576,43 +6242,55 @@ async function updateDashboardUI() {
 
     const data = await safeGet([
         'erQueue', 'originalErCount', // For scraping progress
-        'phase', 'targetPeriod', 'scrapedResults',
-        'captureQueue', 'currentCaptureIndex',
-        'capturedErs', 'failedErs', 'isPaused', 'loginPending',
-        'captureResults', 'interventionRequired', 'interventionMessage',
-        'validationQueue', 'currentValidationIndex', 'validatedErs', 'validationFailedErs', 'validationResults',
-        'needsWageEdit', 'wageEditQueue', 'currentWageEditIndex'
+        'phase', 'targetPeriod', 'employers',
+        'captureQueue', 'currentCaptureIndex', 'captureDryRun', 'isPaused', 'loginPending',
+        'interventionRequired', 'interventionMessage',
+        'validationQueue', 'currentValidationIndex',
+        'wageEditQueue', 'currentWageEditIndex',
+        'backfillPeriods', 'backfillIndex', 'periodResults', 'captureBaseline'
     ]);
 
     if (!data) return;
 
     const phase = data.phase || 'IDLE';
     const period = data.targetPeriod || '--';
-    const scraped = data.scrapedResults || [];
-    const captureQueue = data.captureQueue || [];
+    const employers = data.employers || {};
+    const scraped = getScrapedEmployers(employers);
+    const captureQueue = getEmployersByIds(employers, data.captureQueue);
     const captureIdx = data.currentCaptureIndex || 0;
-    const captured = data.capturedErs || [];
-    const failed = data.failedErs || [];
-    const needsWageEdit = data.needsWageEdit || [];
-    const wageEditQueue = data.wageEditQueue || [];
+    const captured = captureQueue.filter(e => CAPTURE_DONE_STATUSES.includes(e.captureStatus));
+    const failed = captureQueue.filter(e => CAPTURE_FAILED_STATUSES.includes(e.captureStatus));
+    const dryRun = captureQueue.filter(e => DRY_RUN_RESULTS.includes(e.captureStatus));
+    const validationQueue = getEmployersByIds(employers, data.validationQueue);
+    const validated = validationQueue.filter(e => e.validationStatus === 'submitted');
+    const validationFailed = validationQueue.filter(e => VALIDATION_FAILED_STATUSES.includes(e.validationStatus));
+    const needsWageEdit = getEmployerList(employers).filter(isAwaitingWageEdit);
+    const wageEditQueue = getEmployersByIds(employers, data.wageEditQueue);
 
     // Content-aware hash to detect if data actually changed - skip re-render if same
     // Uses fingerprint for scraped data to detect edits (not just length changes)
     const scrapedFP = computeScrapedFingerprint(scraped);
     const dataHash = JSON.stringify({
         phase, period,
+        baseline: data.captureBaseline,
         scrapedFP, // Fingerprint includes content, detects edits
         scrapedLen: scraped.length,
         captureLen: captureQueue.length,
         captureIdx,
         capturedLen: captured.length,
         failedLen: failed.length,
+        dryRunLen: dryRun.length,
+        extrasDone: captureQueue.reduce((sum, e) => sum + (e.extraCaptures || []).filter(x => x.status !== 'pending').length, 0),
         paused: data.isPaused,
         intervention: data.interventionRequired,
+        validationLen: validationQueue.length,
         validationIdx: data.currentValidationIndex,
-        validatedLen: (data.validatedErs || []).length,
+        validatedLen: validated.length,
+        validationFailedLen: validationFailed.length,
         needsWageEditLen: needsWageEdit.length,
-        wageEditIdx: data.currentWageEditIndex
+        wageEditIdx: data.currentWageEditIndex,
+        backfillIdx: data.backfillIndex,
+        backfillDone: Object.keys(data.periodResults || {}).length
     });
 
     if (dataHash === lastDataHash) {
@@ -3623,7 +6301,15 @@ async function updateDashboardUI() {
     // Update pause state from storage
     if (data.isPaused !== undefined) isPaused = data.isPaused;
 
-    document.getElementById('dash-period').textContent = period;
+    const backfillPeriods = data.backfillPeriods || [];
+    // Keep the report current while it's open (only re-rendered when state actually changed)
+    if (activeDashboardTab === 'report') renderReportView();
+    if (activeDashboardTab === 'audit') renderAuditView();
+
+    document.getElementById('dash-period').textContent = backfillPeriods.length > 1
+        ? `${period} (${(data.backfillIndex || 0) + 1}/${backfillPeriods.length})`
+        : period;
+    renderBackfillSummary({ ...data, phase });
     
     // Phase display - show INTERVENTION if needed
     const phaseDisplay = data.interventionRequired ? 'INTERVENTION' : (isPaused ? 'PAUSED' : phase);
@@ -3654,6 +6340,7 @@ async function updateDashboardUI() {
     const tableBody = document.getElementById('dash-table-body');
     const reviewList = document.getElementById('review-list');
     const startBtn = document.getElementById('start-capture-btn');
+    const captureOptions = document.getElementById('capture-options');
     const captureFooter = document.getElementById('capture-footer');
     const progressFill = document.getElementById('progress-fill');
     
@@ -3665,6 +6352,7 @@ async function updateDashboardUI() {
     // Scraping phase display
     if (phase === 'SCRAPING' || (phase !== 'CAPTURE' && phase !== 'COMPLETE' && scraped.length > 0 && captureQueue.length === 0)) {
         if (startBtn) startBtn.style.display = 'block';
+        if (captureOptions) captureOptions.style.display = 'block';
         if (captureFooter) captureFooter.style.display = 'none';
         
         let validCount = 0;
@@ -3672,11 +6360,12 @@ async function updateDashboardUI() {
         
         scraped.forEach(res => {
             const p1Normal = res.p1Records.find(r => r.type === 'NORMAL');
+            const values = getCaptureValues(res, data.captureBaseline);
             let status = '⏳';
             let statusClass = '';
             let statusTitle = 'Ready for capture';
             
-            if (res.alreadyCaptured) { 
+            if (res.captureStatus === 'already_captured') { 
                 status = '✅ Done'; 
                 statusClass = 'row-done'; 
                 statusTitle = 'Already captured in target period';
@@ -3699,38 +6388,75 @@ async function updateDashboardUI() {
                 statusTitle = 'Self-captured via web portal';
                 reviewItems.push({ ...res, reason: 'Self-captured' }); 
             }
+            else if (hasOpenAnomalies(res)) {
+                status = '🚩 Check';
+                statusClass = 'row-warning';
+                statusTitle = res.anomalies.map(a => a.message).join(' | ');
+                reviewItems.push({ ...res, reason: res.anomalies.map(a => a.message).join('<br>'), canAccept: true });
+            }
             else { 
                 validCount++; 
-                // Check if manually entered or edited based on p1 period marker
-                if (p1Normal?.period === 'MANUAL') {
+                if (res.override?.origin === 'manual') {
                     status = '📝 Manual';
                     statusTitle = 'Manually entered';
-                } else if (p1Normal?.period === 'EDITED') {
+                } else if (res.override) {
                     status = '✏️ Edited';
-                    statusTitle = 'Data was edited';
+                    statusTitle = `Values overridden - scraped P1: ${p1Normal ? `${p1Normal.lf} / ${p1Normal.amt.toFixed(2)}` : 'none'}`;
+                }
+            }
+
+            // Filing gaps are listed for backfill planning, whatever the capture status
+            const gaps = analyzeContributionGaps(res);
+            if (hasContributionGaps(gaps)) {
+                const existing = reviewItems.find(item => item.id === res.id);
+                if (existing) {
+                    existing.gaps = gaps;
+                } else {
+                    reviewItems.push({
+                        ...res,
+                        reason: `Filing gaps: ${gaps.missing.length} missing, ${gaps.supplementaryOnly.length} without NORMAL CR`,
+                        gaps: gaps
+                    });
                 }
             }
             
+            if (values.source !== 'custom' && values.source !== 'p1') {
+                statusTitle += ` | Baseline: ${describeCaptureSource(values.source)}`;
+            }
+
+            const history = getNormalHistory(res);
+            if (history.length > 0) {
+                statusTitle += ` | History: NORMAL CR in ${history.filter(m => m.record).length}/${history.length} months`;
+            }
+            if (res.historyIncomplete) {
+                statusTitle += ` | ⚠️ Only ${res.pagesRead} report page(s) read - history may be incomplete`;
+            }
+
+            // Imported expectations are shown alongside the values to capture
+            if (res.hint && (res.hint.lf != null || res.hint.amt != null)) {
+                statusTitle += ` | Expected (import): LF ${res.hint.lf ?? '-'}, Amt ${res.hint.amt != null ? res.hint.amt.toFixed(2) : '-'}`;
+            }
+
             const tr = document.createElement('tr');
             tr.className = statusClass;
-            tr.setAttribute('data-id', res.id || res.er); // Use UUID as primary identity
-            tr.setAttribute('data-er', res.er); // Keep ER for backwards compatibility
+            tr.setAttribute('data-id', res.id); // Use UUID as primary identity
+            tr.setAttribute('data-er', res.er);
             tr.innerHTML = `
                 <td class="er-cell">${res.er}</td>
-                <td class="name-cell" title="${res.employerName}">${res.employerName}</td>
-                <td class="num-cell">${p1Normal?.lf || '-'}</td>
-                <td class="num-cell">${p1Normal?.amt?.toFixed(2) || '-'}</td>
+                <td class="name-cell" title="${res.name}">${res.name}${renderCrTypeTags(res.p1Records)}</td>
+                <td class="num-cell">${values.lf || '-'}</td>
+                <td class="num-cell">${values.amt ? values.amt.toFixed(2) : '-'}</td>
                 <td><span class="status-text" title="${statusTitle}">${status}</span></td>
                 <td class="action-cell">
-                    <button class="row-edit-btn" data-er="${res.er}" title="Edit this record">✏️</button>
-                    <button class="row-delete-btn" data-er="${res.er}" title="Delete this record">🗑️</button>
+                    <button class="row-edit-btn" data-id="${res.id}" title="Edit this record">✏️</button>
+                    <button class="row-delete-btn" data-id="${res.id}" title="Delete this record">🗑️</button>
                 </td>
             `;
             tableBody.appendChild(tr);
 
             // Add event listeners for edit and delete buttons
-            tr.querySelector('.row-edit-btn').addEventListener('click', () => editScrapedRecord(res.er));
-            tr.querySelector('.row-delete-btn').addEventListener('click', () => deleteScrapedRecord(res.er));
+            tr.querySelector('.row-edit-btn').addEventListener('click', () => editScrapedRecord(res.id));
+            tr.querySelector('.row-delete-btn').addEventListener('click', () => deleteScrapedRecord(res.id));
         });
         
         document.getElementById('queue-count').textContent = `(${validCount} valid)`;
@@ -3744,9 +6470,14 @@ async function updateDashboardUI() {
                 <span class="badge ${item.isSelfCapture ? 'badge-globe' : 'badge-review'}">
                     ${item.isSelfCapture ? '🌐 WEB' : '⚠️ REVIEW'}
                 </span>
-                <div class="emp-name">${item.er} - ${item.employerName}</div>
+                <div class="emp-name">${item.er} - ${item.name}</div>
                 <div style="font-size: 10px; color: #666;">${item.reason}</div>
+                ${item.gaps ? renderGapTimeline(item.gaps) : ''}
+                ${item.canAccept ? '<button class="review-accept-btn" title="Values checked - allow this ER to be captured">✔ Accept</button>' : ''}
             `;
+            if (item.canAccept) {
+                card.querySelector('.review-accept-btn').addEventListener('click', () => acceptAnomalies(item.id));
+            }
             reviewList.appendChild(card);
         });
         
@@ -3775,10 +6506,11 @@ async function updateDashboardUI() {
     // Capture phase display
     else if (phase === 'CAPTURE' || (phase === 'COMPLETE' && !data.validationQueue?.length)) {
         if (startBtn) startBtn.style.display = 'none';
+        if (captureOptions) captureOptions.style.display = 'none';
         if (captureFooter) captureFooter.style.display = 'block';
         
         const total = captureQueue.length;
-        const done = captured.length + failed.length;
+        const done = captured.length + failed.length + dryRun.length;
         const pct = total > 0 ? (done / total) * 100 : 0;
 
         // Show validation button and options when capture is complete
@@ -3804,9 +6536,6 @@ async function updateDashboardUI() {
             document.getElementById('wage-edit-count').textContent = needsWageEdit.length;
         }
         
-        // Get capture results for detailed status
-        const captureResults = data.captureResults || {};
-        
         if (progressFill) {
             progressFill.style.width = `${pct}%`;
             progressFill.style.background = failed.length > 0 ? '#f59e0b' : '#10b981';
@@ -3815,9 +6544,16 @@ async function updateDashboardUI() {
         const statusEl = document.getElementById('capture-status');
         if (statusEl) {
             const pauseText = isPaused ? ' [PAUSED]' : '';
-            statusEl.textContent = phase === 'COMPLETE'
-                ? `✅ Capture Done! ${captured.length} captured, ${failed.length} failed`
-                : `Processing ${captureIdx + 1}/${total}...${pauseText} (${captured.length} done, ${failed.length} failed)`;
+            if (data.captureDryRun) {
+                const mismatches = dryRun.filter(e => e.captureStatus === 'dry_run_mismatch').length;
+                statusEl.textContent = phase === 'COMPLETE'
+                    ? `🧪 Dry Run Done! ${dryRun.length - mismatches} would capture, ${mismatches} mismatched, ${failed.length} failed`
+                    : `🧪 [DRY RUN] Verifying ${captureIdx + 1}/${total}...${pauseText} (${dryRun.length} verified)`;
+            } else {
+                statusEl.textContent = phase === 'COMPLETE'
+                    ? `✅ Capture Done! ${captured.length} captured, ${failed.length} failed`
+                    : `Processing ${captureIdx + 1}/${total}...${pauseText} (${captured.length} done, ${failed.length} failed)`;
+            }
         }
         
         document.getElementById('queue-count').textContent = `(${total})`;
@@ -3825,39 +6561,54 @@ async function updateDashboardUI() {
         
         captureQueue.forEach((item, idx) => {
             const tr = document.createElement('tr');
-            const result = captureResults[item.er];
+            const result = item.captureStatus;
+            const { lf, amt } = getCaptureValues(item);
             
-            // Determine row class and status based on result
-            // Result types: success, already_captured, error, failed, skipped
+            // Determine row class and status from the capture status
             let status = '⏳';
             let statusTitle = 'Pending';
             
-            if (captured.includes(item.er)) {
+            if (CAPTURE_DONE_STATUSES.includes(result)) {
                 tr.className = 'row-done';
-                if (result?.result === 'already_captured') {
+                if (result === 'already_captured') {
                     status = '🔁'; // Already captured before (duplicate)
-                    statusTitle = `Already captured: ${result.message || 'duplicate'}`;
+                    statusTitle = `Already captured: ${item.captureMessage || 'duplicate'}`;
                 } else {
                     status = '✅';
-                    statusTitle = result?.message || 'Successfully captured';
+                    statusTitle = item.captureMessage || 'Successfully captured';
                 }
-            } else if (failed.includes(item.er)) {
+            } else if (CAPTURE_FAILED_STATUSES.includes(result)) {
                 tr.className = 'row-failed';
-                if (result?.result === 'error') {
+                if (result === 'error') {
                     status = '⚠️';
-                    statusTitle = `Error: ${result.message || 'Submission error'}`;
-                } else if (result?.result === 'failed') {
+                    statusTitle = `Error: ${item.captureMessage || 'Submission error'}`;
+                } else if (result === 'failed') {
                     status = '❌';
                     statusTitle = 'Failed - no response after retry';
-                } else if (result?.result === 'skipped') {
+                } else {
                     status = '⏭️';
                     statusTitle = 'Skipped by user';
                     tr.className = 'row-skipped';
+                }
+            } else if (DRY_RUN_RESULTS.includes(result)) {
+                if (result === 'would_capture') {
+                    tr.className = 'row-done';
+                    status = '🧪';
                 } else {
-                    status = '❌';
-                    statusTitle = 'Failed';
+                    tr.className = 'row-warning';
+                    status = '⚠️';
                 }
-            } else if (idx === captureIdx) {
+                statusTitle = item.captureMessage || 'Dry run';
+            }
+
+            // Supplementary CRs follow the NORMAL one on the same row
+            const extras = item.extraCaptures || [];
+            if (extras.length > 0) {
+                statusTitle += extras.map(x => ` | ${x.type}: ${x.status}${x.message ? ` (${x.message})` : ''}`).join('');
+                if (extras.some(x => x.status === 'pending')) status += ' +' + extras.filter(x => x.status === 'pending').length;
+            }
+
+            if (idx === captureIdx && getPendingCapture(item)) {
                 tr.className = 'row-active';
                 if (data.interventionRequired) {
                     status = '🛑';
@@ -3870,9 +6621,9 @@ async function updateDashboardUI() {
             
             tr.innerHTML = `
                 <td class="er-cell">${item.er}</td>
-                <td class="name-cell" title="${item.name}">${item.name}</td>
-                <td class="num-cell">${item.lf}</td>
-                <td class="num-cell">${item.amt.toFixed(2)}</td>
+                <td class="name-cell" title="${item.name}">${item.name}${renderCrTypeTags(extras)}</td>
+                <td class="num-cell">${lf}</td>
+                <td class="num-cell">${amt.toFixed(2)}</td>
                 <td><span class="status-text" title="${statusTitle}">${status}</span></td>
                 <td class="action-cell"></td>
             `;
@@ -3883,6 +6634,7 @@ async function updateDashboardUI() {
     // Validation phase display
     else if (phase === 'VALIDATION' || (phase === 'COMPLETE' && data.validationQueue?.length > 0)) {
         if (startBtn) startBtn.style.display = 'none';
+        if (captureOptions) captureOptions.style.display = 'none';
         const validationBtn = document.getElementById('start-validation-btn');
         const validationOptions = document.getElementById('validation-options');
         const wageEditBtn = document.getElementById('start-wage-edit-btn');
@@ -3896,11 +6648,7 @@ async function updateDashboardUI() {
             document.getElementById('wage-edit-count').textContent = needsWageEdit.length;
         }
         
-        const validationQueue = data.validationQueue || [];
         const validationIdx = data.currentValidationIndex || 0;
-        const validated = data.validatedErs || [];
-        const validationFailed = data.validationFailedErs || [];
-        const validationResults = data.validationResults || {};
         
         const total = validationQueue.length;
         const done = validated.length + validationFailed.length;
@@ -3932,31 +6680,28 @@ async function updateDashboardUI() {
         
         validationQueue.forEach((item, idx) => {
             const tr = document.createElement('tr');
-            const result = validationResults[item.er];
+            const result = item.validationStatus;
             
             let status = '⏳';
             let statusTitle = 'Pending validation';
             
-            if (validated.includes(item.er)) {
+            if (result === 'submitted') {
                 tr.className = 'row-done';
                 status = '✅';
-                statusTitle = result?.message || 'Submitted for validation';
-            } else if (validationFailed.includes(item.er)) {
+                statusTitle = item.validationMessage || 'Submitted for validation';
+            } else if (result === 'ctb_adjustment') {
+                status = '💰';
+                statusTitle = `CTB below minimum: ${item.validationMessage || 'Needs wage adjustment'}`;
+                tr.className = 'row-warning';
+            } else if (VALIDATION_FAILED_STATUSES.includes(result)) {
                 tr.className = 'row-failed';
-                if (result?.result === 'skipped') {
+                if (result === 'skipped') {
                     status = '⏭️';
                     statusTitle = 'Skipped by user';
                     tr.className = 'row-skipped';
-                } else if (result?.result === 'not_found') {
-                    status = '🔍';
-                    statusTitle = 'CR not found in unprocessed list';
-                } else if (result?.result === 'ctb_adjustment') {
-                    status = '💰';
-                    statusTitle = `CTB below minimum: ${result?.message || 'Needs wage adjustment'}`;
-                    tr.className = 'row-warning';
                 } else {
                     status = '❌';
-                    statusTitle = result?.message || 'Validation failed';
+                    statusTitle = item.validationMessage || 'Validation failed';
                 }
             } else if (idx === validationIdx) {
                 tr.className = 'row-active';
@@ -3978,6 +6723,7 @@ async function updateDashboardUI() {
     // Wage Edit phase display
     else if (phase === 'WAGE_EDIT') {
         if (startBtn) startBtn.style.display = 'none';
+        if (captureOptions) captureOptions.style.display = 'none';
         const validationBtn = document.getElementById('start-validation-btn');
         const validationOptions = document.getElementById('validation-options');
         const wageEditBtn = document.getElementById('start-wage-edit-btn');
@@ -4017,18 +6763,18 @@ async function updateDashboardUI() {
             let status = '⏳';
             let statusTitle = 'Pending edit';
 
-            if (item.editResult === 'updated') {
+            if (item.wageEditStatus === 'updated') {
                 tr.className = 'row-done';
                 status = '✅';
-                statusTitle = item.editMessage || 'Total updated';
-            } else if (item.editResult === 'skipped') {
+                statusTitle = item.wageEditMessage || 'Total updated';
+            } else if (item.wageEditStatus === 'skipped') {
                 tr.className = 'row-skipped';
                 status = '⏭️';
                 statusTitle = 'Skipped by user';
-            } else if (item.editResult === 'not_found' || item.editResult === 'stuck') {
+            } else if (item.wageEditStatus === 'not_found' || item.wageEditStatus === 'stuck') {
                 tr.className = 'row-failed';
                 status = '❌';
-                statusTitle = item.editMessage || 'Edit failed';
+                statusTitle = item.wageEditMessage || 'Edit failed';
             } else if (idx === wageEditIdx) {
                 tr.className = 'row-active';
                 status = isPaused ? '⏸' : '🔄';
@@ -4038,7 +6784,7 @@ async function updateDashboardUI() {
             tr.innerHTML = `
                 <td class="er-cell">${item.er}</td>
                 <td class="name-cell" title="${item.name}">${item.name}</td>
-                <td class="num-cell">${item.currentTotal?.toFixed(2) || '--'}</td>
+                <td class="num-cell">${item.originalTotal?.toFixed(2) || '--'}</td>
                 <td class="num-cell">${item.adjustedTotal?.toFixed(2) || '--'}</td>
                 <td><span class="status-text" title="${statusTitle}">${status}</span></td>
                 <td class="action-cell"></td>
@@ -4052,7 +6798,11 @@ async function updateDashboardUI() {
 // ==================== MAIN ENTRY POINT ====================
 
 async function runAutomation() {
-    const state = await safeGet(['phase', 'currentER', 'captureQueue', 'currentCaptureIndex', 'validationQueue', 'wageEditQueue', 'isPaused', 'loginPending']);
+    // State saved by an older build is upgraded (or quarantined) before any phase reads it
+    await ensureStateSchema();
+    await PageOps.loadDescriptorOverrides();
+
+    const state = await safeGet(['phase', 'currentER', 'captureQueue', 'currentCaptureIndex', 'validationQueue', 'wageEditQueue', 'isPaused', 'loginPending', 'selectorHealth']);
     if (!state) return;
 
     const phase = state.phase || 'IDLE';
@@ -4069,10 +6819,16 @@ async function runAutomation() {
     
     log(`Initializing - Phase: ${phase}, Paused: ${isPaused}`);
 
+    const checkingSelectors = state.selectorHealth?.running && !PHASE_MACHINES[phase];
+
     // Check for login page
     if (isLoginPage()) {
         log('On login page');
-        if (state.loginPending || (phase && phase !== 'IDLE')) {
+        // The selector check re-opens the page it was on once the user is back in
+        if (checkingSelectors && state.selectorHealth.visiting) {
+            await safeSet({ selectorHealth: { ...state.selectorHealth, visiting: null } });
+        }
+        if (state.loginPending || checkingSelectors || (phase && phase !== 'IDLE')) {
             // Show minimal UI indicator that automation is waiting
             const indicator = document.createElement('div');
             indicator.style.cssText = 'position:fixed;bottom:20px;right:20px;background:#fef3c7;padding:10px 15px;border-radius:8px;z-index:999999;font-family:sans-serif;box-shadow:0 2px 10px rgba(0,0,0,0.2);';
@@ -4090,11 +6846,11 @@ async function runAutomation() {
         // Navigate to the appropriate page to resume the phase
         if (phase === 'SCRAPING' && state.currentER) {
             log('Navigating to scraping page to resume...', 'info');
-            window.location.href = 'https://app.issas.ssnit.org.gh/contributions/view_crs/report';
+            window.location.href = '/contributions/view_crs/report';
             return;
         } else if (phase === 'CAPTURE') {
             log('Navigating to capture page to resume...', 'info');
-            window.location.href = 'https://app.issas.ssnit.org.gh/contributions/receive/employer';
+            window.location.href = '/contributions/receive/employer';
             return;
         } else if (phase === 'VALIDATION') {
             log('Navigating to validation page to resume...', 'info');
@@ -4107,28 +6863,48 @@ async function runAutomation() {
         }
     }
 
+    // Portal selector check started from the popup (only while no phase is running)
+    if (checkingSelectors) {
+        if (await isAutomationTab()) await continueSelectorCheck(state.selectorHealth);
+        return;
+    }
+
     // Create dashboard for active phases
     if (phase && phase !== 'IDLE') {
         createDashboard();
     }
 
-    // Run appropriate phase
-    if (phase === 'SCRAPING' && state.currentER && !isPaused) {
-        await runScrapingPhase(state.currentER);
-    }
-    else if (phase === 'CAPTURE' && !isPaused) {
-        captureInterval = setInterval(handleCapturePhase, 2500);
-        await wait(500);
-        await handleCapturePhase();
-    }
-    else if (phase === 'VALIDATION' && !isPaused) {
-        runValidationLoop();
-    }
-    else if (phase === 'WAGE_EDIT' && !isPaused) {
-        runWageEditLoop();
+    // Run the phase's state machine (it idles while paused and picks up on resume)
+    if (PHASE_MACHINES[phase]) {
+        PhaseEngine.start(phase);
     }
 }
 
+// Overrides saved on the options page apply straight away (scraping never reloads the page);
+// an intervention raised in the tab running the phase snapshots the page it was raised on
+if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area !== 'local') return;
+        if (changes.descriptorOverrides) {
+            PageOps.applyDescriptorOverrides(changes.descriptorOverrides.newValue);
+        }
+        if (changes.interventionRequired?.newValue === true && PhaseEngine.phase) {
+            recordDomSnapshot('intervention', changes.interventionMessage?.newValue || '');
+        }
+        // A new automation tab takes over writing the log
+        if (changes.automationTabId) {
+            logWriter = null;
+        }
+        // Lines written by the automation tab show up in an open Logs tab
+        if (changes.logEntries && activeDashboardTab === 'logs') {
+            renderLogView();
+        }
+    });
+}
+
+// Lines still queued when the page goes away (navigation, reload) are written out first
+window.addEventListener('pagehide', flushLogEntries);
+
 // Start
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', runAutomation);
@@ -0,0 +1,170 @@
+/**
+ * SSNIT Automator - Page Descriptors
+ * Built-in selectors for each portal page, shared by content.js (which merges the user's
+ * overrides over them - see PageOps.applyDescriptorOverrides), the popup and the options page,
+ * plus the constants content.js and the popup must agree on (portal origin, run state schema).
+ */
+
+// Portal the extension drives. `npm run build -- --portal=<origin>` rewrites this line and the
+// manifest's host permissions in dist/, e.g. to run against the mock portal (mock-portal/)
+const PORTAL_ORIGIN = 'https://app.issas.ssnit.org.gh';
+
+/**
+ * Shape of the run state in chrome.storage.local - a run the popup starts is written in it,
+ * older state is upgraded by content.js (STATE_MIGRATIONS)
+ * 1 - parallel arrays (scrapedResults, capturedErs, validationResults, ...); state saved without schemaVersion
+ * 2 - `employers` collection with id queues
+ * 3 - phase sub-state fields (validationState, wageEditState, awaitingResponse, ...) replaced by machineState
+ * 4 - user-supplied capture values kept in `override` instead of MANUAL/EDITED records in p1Records
+ */
+const SCHEMA_VERSION = 4;
+
+// DataTables / bootstrap-vue style paging controls shared by the portal's list pages
+const PAGINATION_SELECTORS = {
+    pageSizeSelect: '.dataTables_length select, select[name$="_length"], select.page-size, .per-page select',
+    nextPageButton: '.paginate_button.next, .pagination .next a, .pagination .page-item a[aria-label="Go to next page"], .pagination .page-item button[aria-label="Go to next page"]'
+};
+
+/**
+ * Page descriptors define selectors and elements for each portal page
+ * This abstracts away DOM specifics and makes the code more maintainable
+ *
+ * Value types: CSS selector strings, `*Label` input label texts, `urlPattern`,
+ * column indexes (numbers) and button matchers ({ text, contains? })
+ */
+const DEFAULT_PAGE_DESCRIPTORS = {
+    viewCrsReport: {
+        urlPattern: '/view_crs/report',
+        table: '#mytable',
+        erColumn: 2,
+        nameColumn: 3,
+        periodColumn: 8,
+        typeColumn: 5,
+        lfColumn: 6,
+        amtColumn: 10,
+        erInput: 'input[placeholder="ER Number"], input[data-v-6d729868]',
+        searchButton: { text: 'SEARCH' },
+        ...PAGINATION_SELECTORS
+    },
+
+    receiveEmployer: {
+        urlPattern: '/receive/employer',
+        erInput: 'input[maxlength="9"].form-control:not(#changeER)',
+        continueButton: '#addToTable'
+    },
+
+    receiveCapture: {
+        urlPattern: '/receive/capture',
+        periodInputs: 'input[placeholder*="YYYYMM"]',
+        mediaRadio: 'input[name="sub_media"][value="1"]',
+        modeRadio: 'input[name="sub_mod"][value="2"]',
+        lfInput: '#no_employees',
+        totalContributionLabel: 'total contribution',
+        submitButton: '#addToTable2',
+        headerTitle: 'h4.text-info'
+    },
+
+    viewCrsUnprocessed: {
+        urlPattern: '/view_crs/unprocessed',
+        table: 'table.table',
+        erColumn: 1, // ER is typically in column index 1-2, will search dynamically
+        dataEntryLink: 'a[href*="data-entry"]',
+        editPrivateLink: 'a[href*="edit-private"]',
+        searchInput: 'input[placeholder*="ER"], input[placeholder*="Search"], input.form-control[type="text"]',
+        searchButton: { text: 'search' },
+        ...PAGINATION_SELECTORS
+    },
+
+    dataEntry: {
+        urlPattern: '/data-entry',
+        importButton: { text: 'import' },
+        submitButton: { text: 'submit', contains: 'validation' },
+        employeeTable: 'table.table-striped',
+        ctbColumn: 7, // Contribution column (0-indexed)
+        autoPostCheckbox: 'input[type="checkbox"]#checkbox2, input[type="checkbox"][name="checkboxInline"]'
+    },
+
+    editPrivate: {
+        urlPattern: '/receive/edit-private',
+        totalContributionLabel: 'total contribution',
+        updateButton: { text: 'update' },
+        headerTitle: 'h3.text-info, h4.text-info'
+    }
+};
+
+const DESCRIPTOR_OVERRIDES_FORMAT = 'ssnit-descriptor-overrides';
+
+/**
+ * True for descriptor keys whose string value is a CSS selector
+ */
+function isSelectorKey(key) {
+    return key !== 'urlPattern' && !key.endsWith('Label');
+}
+
+/**
+ * Check user overrides against the built-in descriptors: known pages and keys only,
+ * same value type as the default, parseable CSS selectors
+ * @param {Object} overrides - {pageName: {key: value}}
+ * @returns {{valid: Object, problems: string[]}} valid holds the usable entries only
+ */
+function validateDescriptorOverrides(overrides) {
+    const valid = {};
+    const problems = [];
+
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return { valid, problems: ['overrides must be an object of pages'] };
+    }
+
+    Object.entries(overrides).forEach(([page, entries]) => {
+        const defaults = DEFAULT_PAGE_DESCRIPTORS[page];
+        if (!defaults) {
+            problems.push(`unknown page "${page}"`);
+            return;
+        }
+        if (!entries || typeof entries !== 'object') {
+            problems.push(`${page}: overrides must be an object`);
+            return;
+        }
+
+        Object.entries(entries).forEach(([key, value]) => {
+            const fallback = defaults[key];
+            const where = `${page}.${key}`;
+
+            if (fallback === undefined) {
+                problems.push(`${where}: unknown key`);
+            } else if (typeof fallback === 'number') {
+                if (!Number.isInteger(value) || value < 0) problems.push(`${where}: must be a column index (0 or more)`);
+                else (valid[page] = valid[page] || {})[key] = value;
+            } else if (typeof fallback === 'object') {
+                if (!value || typeof value.text !== 'string' || !value.text.trim()) problems.push(`${where}: button matcher needs a "text"`);
+                else (valid[page] = valid[page] || {})[key] = { text: value.text, ...(value.contains ? { contains: String(value.contains) } : {}) };
+            } else if (typeof value !== 'string' || !value.trim()) {
+                problems.push(`${where}: must be a non-empty string`);
+            } else {
+                if (isSelectorKey(key)) {
+                    try {
+                        document.createDocumentFragment().querySelector(value);
+                    } catch (e) {
+                        problems.push(`${where}: invalid CSS selector`);
+                        return;
+                    }
+                }
+                (valid[page] = valid[page] || {})[key] = value;
+            }
+        });
+    });
+
+    return { valid, problems };
+}
+
+/**
+ * Built-in descriptors with the valid overrides merged over them (a fresh copy)
+ */
+function mergeDescriptorOverrides(overrides) {
+    const { valid } = validateDescriptorOverrides(overrides || {});
+    const merged = {};
+    Object.entries(DEFAULT_PAGE_DESCRIPTORS).forEach(([page, defaults]) => {
+        merged[page] = { ...JSON.parse(JSON.stringify(defaults)), ...(valid[page] || {}) };
+    });
+    return merged;
+}
@@ -0,0 +1,223 @@
+/**
+ * SSNIT Automator - Run History page
+ * Lists runs archived by content.js (archiveCurrentRun) with per-ER drill-down and export,
+ * and the page snapshots it saves when a run needs help (recordDomSnapshot).
+ */
+
+// Mirrors HISTORY_MAX_RUNS / HISTORY_MAX_AGE_DAYS in content.js, which applies the limits
+const RETENTION_RUNS = 60;
+const RETENTION_DAYS = 400;
+
+let selectedRunId = null;
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
+function csvField(value) {
+    return `"${String(value ?? '').replace(/"/g, '""')}"`;
+}
+
+function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+function formatDuration(ms) {
+    if (!ms || ms < 0) return '--';
+    const minutes = Math.round(ms / 60000);
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+function formatDateTime(ts) {
+    return ts ? new Date(ts).toLocaleString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' }) : '--';
+}
+
+function outcomeTag(result) {
+    if (!result) return '<span class="tag">—</span>';
+    const ok = ['captured', 'success', 'already_captured', 'submitted', 'updated', 'valid', 'would_capture'];
+    const warn = ['pending', 'skipped', 'ctb_adjustment', 'continuity_error', 'zero_values', 'self_capture', 'anomaly', 'dry_run_mismatch'];
+    const cls = ok.includes(result) ? 'tag-ok' : (warn.includes(result) ? 'tag-warn' : 'tag-bad');
+    return `<span class="tag ${cls}">${escapeHtml(result.replace(/_/g, ' '))}</span>`;
+}
+
+async function loadHistory() {
+    const data = await chrome.storage.local.get(['runHistory']);
+    return data.runHistory || [];
+}
+
+/**
+ * Total wall-clock time from the first phase start to the last phase end
+ */
+function runDuration(run) {
+    const timings = Object.values(run.timings || {});
+    const starts = timings.map(t => t.startedAt).filter(Boolean);
+    const ends = timings.map(t => t.endedAt).filter(Boolean);
+    if (starts.length === 0 || ends.length === 0) return null;
+    return Math.max(...ends) - Math.min(...starts);
+}
+
+async function renderRuns() {
+    const history = await loadHistory();
+    const body = document.getElementById('runs-body');
+
+    document.getElementById('runs-empty').style.display = history.length === 0 ? 'block' : 'none';
+    document.getElementById('retention-info').textContent = `${history.length} run(s) kept · retention: last ${RETENTION_RUNS} runs, up to ${RETENTION_DAYS} days`;
+
+    body.innerHTML = history.map(run => {
+        const s = run.summary || {};
+        return `
+            <tr class="run-row ${run.id === selectedRunId ? 'selected' : ''}" data-id="${escapeHtml(run.id)}">
+                <td>${formatDateTime(run.archivedAt)}</td>
+                <td class="mono">${escapeHtml(run.period)}${run.dryRun ? ' <span class="tag">dry run</span>' : ''}</td>
+                <td>${escapeHtml(run.portfolioName || '—')}</td>
+                <td>${outcomeTag(run.status)}</td>
+                <td class="num">${run.ers.length}</td>
+                <td class="num">${s.captured ?? 0}</td>
+                <td class="num">${s.failed ?? 0}</td>
+                <td class="num">${s.validationSubmitted ?? 0}</td>
+                <td class="num">${formatDuration(runDuration(run))}</td>
+            </tr>
+        `;
+    }).join('');
+
+    body.querySelectorAll('.run-row').forEach(row => {
+        row.addEventListener('click', () => {
+            selectedRunId = row.dataset.id;
+            renderRuns();
+            renderRunDetail();
+        });
+    });
+}
+
+async function renderRunDetail() {
+    const history = await loadHistory();
+    const run = history.find(r => r.id === selectedRunId);
+    const panel = document.getElementById('run-detail');
+
+    if (!run) {
+        panel.style.display = 'none';
+        return;
+    }
+
+    panel.style.display = 'block';
+    document.getElementById('detail-title').textContent =
+        `${run.period} · ${run.portfolioName || 'Unsaved list'} · ${run.ers.length} ER(s)`;
+
+    document.getElementById('detail-timings').textContent = ['SCRAPING', 'CAPTURE', 'VALIDATION', 'WAGE_EDIT']
+        .filter(phase => run.timings?.[phase])
+        .map(phase => {
+            const t = run.timings[phase];
+            return `${phase}: ${formatDateTime(t.startedAt)} → ${t.endedAt ? formatDateTime(t.endedAt) : 'unfinished'}`;
+        }).join('  |  ') || 'No timings recorded';
+
+    document.getElementById('detail-body').innerHTML = run.ers.map(e => `
+        <tr>
+            <td class="mono">${escapeHtml(e.er)}</td>
+            <td>${escapeHtml(e.employerName)}</td>
+            <td>${outcomeTag(e.scrape)}</td>
+            <td class="num">${e.lf ?? ''}</td>
+            <td class="num">${typeof e.amt === 'number' ? e.amt.toFixed(2) : ''}</td>
+            <td>${escapeHtml(e.baseline ? e.baseline.toUpperCase() : '')}</td>
+            <td title="${escapeHtml(e.captureMessage)}">${outcomeTag(e.capture)}</td>
+            <td title="${escapeHtml(e.validationMessage)}">${outcomeTag(e.validation)}</td>
+            <td>${outcomeTag(e.wageEdit)}</td>
+        </tr>
+    `).join('');
+}
+
+async function loadSnapshots() {
+    const data = await chrome.storage.local.get(['domSnapshots']);
+    return data.domSnapshots || [];
+}
+
+async function renderSnapshots() {
+    const snapshots = await loadSnapshots();
+    const body = document.getElementById('snapshots-body');
+
+    document.getElementById('snapshots-empty').style.display = snapshots.length === 0 ? 'block' : 'none';
+    body.innerHTML = snapshots.map(snapshot => `
+        <tr>
+            <td>${formatDateTime(snapshot.capturedAt)}</td>
+            <td><span class="tag ${snapshot.reason === 'manual' ? '' : 'tag-warn'}">${escapeHtml(snapshot.reason)}</span></td>
+            <td>${escapeHtml(snapshot.phase || '—')}</td>
+            <td title="${escapeHtml(snapshot.url)}">${escapeHtml(snapshot.page || new URL(snapshot.url).pathname)}${snapshot.htmlTruncated ? ' <span class="tag">truncated</span>' : ''}</td>
+            <td class="snapshot-message" title="${escapeHtml(snapshot.message)}">${escapeHtml(snapshot.message)}</td>
+            <td>
+                <button class="btn snapshot-download" data-id="${escapeHtml(snapshot.id)}">⬇ JSON</button>
+                <button class="btn btn-danger snapshot-delete" data-id="${escapeHtml(snapshot.id)}">Delete</button>
+            </td>
+        </tr>
+    `).join('');
+
+    body.querySelectorAll('.snapshot-download').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const snapshot = snapshots.find(s => s.id === btn.dataset.id);
+            downloadFile(JSON.stringify(snapshot, null, 2),
+                `ssnit-snapshot-${snapshot.reason}-${snapshot.page || 'page'}-${snapshot.capturedAt}.json`, 'application/json');
+        });
+    });
+    body.querySelectorAll('.snapshot-delete').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            await chrome.storage.local.set({ domSnapshots: snapshots.filter(s => s.id !== btn.dataset.id) });
+            renderSnapshots();
+        });
+    });
+}
+
+document.getElementById('export-all').addEventListener('click', async () => {
+    const history = await loadHistory();
+    downloadFile(JSON.stringify(history, null, 2), `ssnit-history-${Date.now()}.json`, 'application/json');
+});
+
+document.getElementById('clear-history').addEventListener('click', async () => {
+    if (!confirm('Delete all archived runs? Export first if you need to keep them.')) return;
+    await chrome.storage.local.set({ runHistory: [] });
+    selectedRunId = null;
+    renderRuns();
+    renderRunDetail();
+});
+
+document.getElementById('detail-export-json').addEventListener('click', async () => {
+    const run = (await loadHistory()).find(r => r.id === selectedRunId);
+    if (run) downloadFile(JSON.stringify(run, null, 2), `ssnit-run-${run.period}-${run.runId}.json`, 'application/json');
+});
+
+document.getElementById('detail-export-csv').addEventListener('click', async () => {
+    const run = (await loadHistory()).find(r => r.id === selectedRunId);
+    if (!run) return;
+
+    let csv = 'ER Number,Employer Name,Scrape,LF,Amount,Baseline,Capture,Capture Message,Validation,Validation Message,Wage Edit,Wage Edit Total\n';
+    run.ers.forEach(e => {
+        csv += [
+            e.er, e.employerName, e.scrape, e.lf, e.amt, e.baseline, e.capture, e.captureMessage,
+            e.validation, e.validationMessage, e.wageEdit, e.wageEditTotal
+        ].map(csvField).join(',') + '\n';
+    });
+    downloadFile(csv, `ssnit-run-${run.period}-${run.runId}.csv`, 'text/csv');
+});
+
+document.getElementById('detail-delete').addEventListener('click', async () => {
+    if (!confirm('Delete this run from history?')) return;
+    const history = (await loadHistory()).filter(r => r.id !== selectedRunId);
+    await chrome.storage.local.set({ runHistory: history });
+    selectedRunId = null;
+    renderRuns();
+    renderRunDetail();
+});
+
+document.getElementById('clear-snapshots').addEventListener('click', async () => {
+    if (!confirm('Delete all page snapshots?')) return;
+    await chrome.storage.local.set({ domSnapshots: [] });
+    renderSnapshots();
+});
+
+renderRuns();
+renderSnapshots();
@@ -0,0 +1,310 @@
+/**
+ * SSNIT Automator - Spreadsheet Importer (popup)
+ *
+ * Reads client lists from CSV or XLSX files without external libraries:
+ * - CSV: quote-aware parser with delimiter detection (comma, semicolon, tab)
+ * - XLSX: minimal ZIP reader + DecompressionStream('deflate-raw') + DOMParser
+ *
+ * Output is always a 2D array of strings (rows × cells) so the popup can offer
+ * a single column-mapping step regardless of the source format.
+ */
+
+// ==================== CSV ====================
+
+/**
+ * Detect the delimiter from the first non-empty line
+ * Picks whichever of comma, semicolon or tab occurs most outside quotes
+ */
+function detectCsvDelimiter(text) {
+    const firstLine = text.split(/\r?\n/).find(l => l.trim().length > 0) || '';
+    const counts = { ',': 0, ';': 0, '\t': 0 };
+    let inQuotes = false;
+
+    for (const ch of firstLine) {
+        if (ch === '"') inQuotes = !inQuotes;
+        else if (!inQuotes && ch in counts) counts[ch]++;
+    }
+
+    const [best, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    return count > 0 ? best : ',';
+}
+
+/**
+ * Parse CSV text into rows of trimmed cell strings
+ * Handles quoted cells, escaped quotes ("") and CRLF line endings
+ */
+function parseCsv(text) {
+    const source = (text || '').replace(/^\uFEFF/, ''); // Strip BOM from Excel exports
+    const delimiter = detectCsvDelimiter(source);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+
+        if (inQuotes) {
+            if (ch === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                cell += ch;
+            }
+            continue;
+        }
+
+        if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(cell.trim());
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell.trim());
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+
+    if (cell.length > 0 || row.length > 0) {
+        row.push(cell.trim());
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(c => c.length > 0));
+}
+
+// ==================== XLSX ====================
+
+/**
+ * Read the entries of a ZIP archive (XLSX files are ZIP containers)
+ * Returns Map of path -> { method, compressedSize, offset }
+ */
+function readZipDirectory(buffer) {
+    const view = new DataView(buffer);
+    const entries = new Map();
+
+    // End of central directory record is in the last 64KB + 22 bytes
+    let eocd = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) throw new Error('Not a valid XLSX file (ZIP directory missing)');
+
+    const entryCount = view.getUint16(eocd + 10, true);
+    let ptr = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+
+    for (let n = 0; n < entryCount; n++) {
+        if (view.getUint32(ptr, true) !== 0x02014b50) break;
+
+        const method = view.getUint16(ptr + 10, true);
+        const compressedSize = view.getUint32(ptr + 20, true);
+        const nameLen = view.getUint16(ptr + 28, true);
+        const extraLen = view.getUint16(ptr + 30, true);
+        const commentLen = view.getUint16(ptr + 32, true);
+        const localOffset = view.getUint32(ptr + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, ptr + 46, nameLen));
+
+        // Data starts after the local file header, whose name/extra lengths can differ
+        const localNameLen = view.getUint16(localOffset + 26, true);
+        const localExtraLen = view.getUint16(localOffset + 28, true);
+        const offset = localOffset + 30 + localNameLen + localExtraLen;
+
+        entries.set(name, { method, compressedSize, offset });
+        ptr += 46 + nameLen + extraLen + commentLen;
+    }
+
+    return entries;
+}
+
+/**
+ * Extract a single ZIP entry as text (stored or deflated)
+ */
+async function readZipText(buffer, entries, path) {
+    const entry = entries.get(path);
+    if (!entry) return null;
+
+    const raw = new Uint8Array(buffer, entry.offset, entry.compressedSize);
+
+    if (entry.method === 0) {
+        return new TextDecoder().decode(raw);
+    }
+    if (entry.method !== 8) {
+        throw new Error(`Unsupported compression in ${path}`);
+    }
+
+    const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return await new Response(stream).text();
+}
+
+/**
+ * Convert a cell reference column ("A", "AB") to a 0-based index
+ */
+function columnLettersToIndex(letters) {
+    let index = 0;
+    for (const ch of letters.toUpperCase()) {
+        index = index * 26 + (ch.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+/**
+ * Resolve the path of the first worksheet via workbook.xml and its rels
+ * Falls back to the conventional xl/worksheets/sheet1.xml
+ */
+async function findFirstSheetPath(buffer, entries) {
+    const fallback = 'xl/worksheets/sheet1.xml';
+
+    const workbookXml = await readZipText(buffer, entries, 'xl/workbook.xml');
+    const relsXml = await readZipText(buffer, entries, 'xl/_rels/workbook.xml.rels');
+    if (!workbookXml || !relsXml) return fallback;
+
+    const parser = new DOMParser();
+    const firstSheet = parser.parseFromString(workbookXml, 'application/xml').getElementsByTagName('sheet')[0];
+    const relId = firstSheet?.getAttribute('r:id');
+    if (!relId) return fallback;
+
+    const rels = Array.from(parser.parseFromString(relsXml, 'application/xml').getElementsByTagName('Relationship'));
+    const target = rels.find(r => r.getAttribute('Id') === relId)?.getAttribute('Target');
+    if (!target) return fallback;
+
+    return target.startsWith('/') ? target.substring(1) : `xl/${target}`;
+}
+
+/**
+ * Parse the first worksheet of an XLSX file into rows of cell strings
+ */
+async function parseXlsx(buffer) {
+    const entries = readZipDirectory(buffer);
+    const parser = new DOMParser();
+
+    // Shared strings table (most text cells reference it by index)
+    const sharedStrings = [];
+    const sharedXml = await readZipText(buffer, entries, 'xl/sharedStrings.xml');
+    if (sharedXml) {
+        const doc = parser.parseFromString(sharedXml, 'application/xml');
+        for (const si of Array.from(doc.getElementsByTagName('si'))) {
+            // Rich text splits a string into several <t> runs
+            sharedStrings.push(Array.from(si.getElementsByTagName('t')).map(t => t.textContent).join(''));
+        }
+    }
+
+    const sheetPath = await findFirstSheetPath(buffer, entries);
+    const sheetXml = await readZipText(buffer, entries, sheetPath);
+    if (!sheetXml) throw new Error('No worksheet found in XLSX file');
+
+    const sheet = parser.parseFromString(sheetXml, 'application/xml');
+    const rows = [];
+
+    for (const rowEl of Array.from(sheet.getElementsByTagName('row'))) {
+        const row = [];
+
+        for (const cellEl of Array.from(rowEl.getElementsByTagName('c'))) {
+            const ref = cellEl.getAttribute('r') || '';
+            const colMatch = ref.match(/^[A-Z]+/i);
+            const col = colMatch ? columnLettersToIndex(colMatch[0]) : row.length;
+            const type = cellEl.getAttribute('t');
+            let value = '';
+
+            if (type === 's') {
+                value = sharedStrings[parseInt(cellEl.getElementsByTagName('v')[0]?.textContent)] || '';
+            } else if (type === 'inlineStr') {
+                value = Array.from(cellEl.getElementsByTagName('t')).map(t => t.textContent).join('');
+            } else {
+                value = cellEl.getElementsByTagName('v')[0]?.textContent || '';
+            }
+
+            while (row.length < col) row.push('');
+            row[col] = String(value).trim();
+        }
+
+        if (row.some(c => c.length > 0)) rows.push(row);
+    }
+
+    return rows;
+}
+
+// ==================== FILE ENTRY POINT & MAPPING ====================
+
+/**
+ * Read a File chosen in the popup and return rows of cell strings
+ */
+async function readSpreadsheetFile(file) {
+    const name = (file.name || '').toLowerCase();
+
+    if (name.endsWith('.xlsx')) {
+        return parseXlsx(await file.arrayBuffer());
+    }
+    if (name.endsWith('.csv') || name.endsWith('.txt')) {
+        return parseCsv(await file.text());
+    }
+
+    throw new Error('Unsupported file type. Use .csv or .xlsx');
+}
+
+/**
+ * Guess which columns hold ER, name, LF and amount from header labels
+ * Falls back to the first column that looks like 9-digit ER numbers
+ * @returns {{ er: number, name: number, lf: number, amt: number, hasHeader: boolean }}
+ */
+function guessColumnMapping(rows) {
+    const header = (rows[0] || []).map(h => h.toLowerCase());
+    const findHeader = (patterns, taken = []) => header.findIndex((h, i) => !taken.includes(i) && patterns.some(p => p.test(h)));
+
+    const mapping = {
+        er: findHeader([/\ber\b/, /employer\s*(no|number|reg)/, /registration/]),
+        name: findHeader([/name/, /employer$/]),
+        lf: findHeader([/\blf\b/, /labou?r\s*force/, /employees/, /staff/])
+    };
+    // "Total Employees" is the LF column, not the amount
+    mapping.amt = findHeader([/amount/, /\bamt\b/, /contribution/, /total/], [mapping.er, mapping.lf]);
+
+    // Don't let the name column claim the ER column ("Employer Number" vs "Employer Name")
+    if (mapping.name === mapping.er) mapping.name = header.findIndex((h, i) => i !== mapping.er && /name/.test(h));
+
+    mapping.hasHeader = mapping.er >= 0 || !(rows[0] || []).some(c => /^\d{9}$/.test(c));
+
+    if (mapping.er < 0) {
+        const sample = rows.slice(mapping.hasHeader ? 1 : 0, 20);
+        const width = Math.max(0, ...sample.map(r => r.length));
+        for (let col = 0; col < width; col++) {
+            if (sample.some(r => /^\d{9}$/.test(r[col] || ''))) {
+                mapping.er = col;
+                break;
+            }
+        }
+    }
+
+    return mapping;
+}
+
+/**
+ * Apply a column mapping to parsed rows
+ * LF/amount are optional hints - blank or non-numeric cells become null
+ * @returns {Array<{er: string, name: string|null, lf: number|null, amt: number|null}>}
+ */
+function extractImportRows(rows, mapping) {
+    const body = mapping.hasHeader ? rows.slice(1) : rows;
+    const toNumber = (text) => {
+        const n = parseFloat(String(text || '').replace(/[^\d.-]/g, ''));
+        return isNaN(n) ? null : n;
+    };
+
+    return body.map(row => ({
+        // Excel can store ER numbers as floats ("201304729.0")
+        er: String(row[mapping.er] || '').trim().replace(/\.0+$/, ''),
+        name: mapping.name >= 0 ? (row[mapping.name] || '').trim() || null : null,
+        lf: mapping.lf >= 0 ? toNumber(row[mapping.lf]) : null,
+        amt: mapping.amt >= 0 ? toNumber(row[mapping.amt]) : null
+    })).filter(item => item.er.length > 0);
+}
@@ -0,0 +1,586 @@
+/**
+ * Mock iSSAS portal - page behaviour
+ * Renders each page from the mock server's JSON API with the markup the extension's page
+ * descriptors (descriptors.js) expect, and shows the portal's modals: receipt, duplicate/other
+ * errors, Submit for Validation consent and success. Requests show the portal's loading overlay.
+ */
+
+const app = document.getElementById('app');
+const PAGE = app.dataset.page;
+const CR_ID = app.dataset.id;
+
+// Employer chosen on the employer page, read by the capture page (the portal keeps it in its store)
+const CAPTURE_ER_KEY = 'mockCaptureER';
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
+function money(value) {
+    return Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * JSON request with the loading overlay shown while it runs
+ * @returns {Promise<{ok: boolean, status: number, data: Object}>}
+ */
+async function api(method, url, body) {
+    const overlay = document.createElement('div');
+    overlay.className = 'vld-overlay';
+    overlay.innerHTML = '<div class="vld-icon">Loading...</div>';
+    app.appendChild(overlay);
+
+    try {
+        const res = await fetch(url, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { ok: res.ok, status: res.status, data: await res.json() };
+    } catch (e) {
+        return { ok: false, status: 0, data: { message: e.message } };
+    } finally {
+        overlay.remove();
+    }
+}
+
+// ==================== MODALS ====================
+
+const MODAL_ICONS = {
+    error: '<div class="icon error animateErrorIcon"><span class="x-mark"></span></div>',
+    success: '<div class="icon success animate"><span class="line tip"></span><span class="line long"></span></div>',
+    unknown: ''
+};
+
+/**
+ * Show a portal modal; every footer button closes it
+ * @param {string} kind - receipt | error | success | unknown | consent
+ * @param {Object} options - {title, message, onConfirm} (onConfirm: consent "Yes")
+ * @returns {HTMLElement} The overlay holding the modal
+ */
+function showModal(kind, { title = '', message = '', onConfirm = null } = {}) {
+    const overlay = document.createElement('div');
+    overlay.className = 'mock-overlay';
+
+    if (kind === 'consent') {
+        overlay.innerHTML = `
+            <div class="custom-alert">
+                <div class="icon warning pulseWarning"><span class="body"></span><span class="dot"></span></div>
+                <div class="custom-alert-title">Submit for Validation</div>
+                <div class="custom-alert-message">${escapeHtml(message)}</div>
+                <div class="custom-alert-footer">
+                    <button type="button" class="btn btn-default" data-action="no">No</button>
+                    <button type="button" class="btn btn-success" data-action="yes">Yes</button>
+                </div>
+            </div>`;
+    } else if (kind === 'receipt') {
+        overlay.innerHTML = `
+            <div class="custom-alert-container">
+                <div class="custom-alert-container-header">${escapeHtml(title)}</div>
+                <div class="custom-alert-message">${escapeHtml(message)}</div>
+                <div class="custom-alert-footer">
+                    <button type="button" class="btn btn-primary">Print</button>
+                    <button type="button" class="btn btn-grey">Cancel</button>
+                </div>
+            </div>`;
+    } else {
+        const button = { error: 'btn-error', success: 'btn-success' }[kind] || 'btn-primary';
+        overlay.innerHTML = `
+            <div class="custom-alert-container">
+                ${MODAL_ICONS[kind] || ''}
+                <div class="custom-alert-title">${escapeHtml(title || { error: 'Errors Occured', success: 'Success' }[kind] || 'Notice')}</div>
+                <div class="custom-alert-message">${escapeHtml(message)}</div>
+                <div class="custom-alert-footer">
+                    <button type="button" class="btn ${button}">${kind === 'error' ? 'OK' : 'Close'}</button>
+                </div>
+            </div>`;
+    }
+
+    overlay.querySelectorAll('.custom-alert-footer button').forEach(button => {
+        button.addEventListener('click', () => {
+            overlay.remove();
+            if (button.dataset.action === 'yes' && onConfirm) onConfirm();
+        });
+    });
+
+    document.body.appendChild(overlay);
+    return overlay;
+}
+
+// ==================== PAGED TABLE ====================
+
+/**
+ * DataTables-style client paging: page-size select, info line and Previous / numbers / Next
+ * @param {Object} options - {root, lengthName, sizes, columns, renderRow, emptyText}
+ */
+function createPagedTable({ root, lengthName, sizes, columns, renderRow, emptyText }) {
+    const lengthSelect = root.querySelector(`select[name="${lengthName}"]`);
+    lengthSelect.innerHTML = sizes.map(size => `<option value="${size}">${size === -1 ? 'All' : size}</option>`).join('');
+
+    const tbody = root.querySelector('tbody');
+    const info = root.querySelector('.dataTables_info');
+    const pager = root.querySelector('.dataTables_paginate');
+    let rows = [];
+    let pageIndex = 0;
+
+    const pageSize = () => {
+        const size = parseInt(lengthSelect.value, 10);
+        return size === -1 ? Math.max(rows.length, 1) : size;
+    };
+
+    function render() {
+        const pageCount = Math.max(1, Math.ceil(rows.length / pageSize()));
+        pageIndex = Math.min(pageIndex, pageCount - 1);
+        const start = pageIndex * pageSize();
+        const visible = rows.slice(start, start + pageSize());
+
+        tbody.innerHTML = visible.length > 0
+            ? visible.map((row, i) => renderRow(row, start + i)).join('')
+            : `<tr class="odd"><td colspan="${columns}" class="dataTables_empty">${escapeHtml(emptyText)}</td></tr>`;
+
+        info.textContent = rows.length > 0
+            ? `Showing ${start + 1} to ${start + visible.length} of ${rows.length} entries`
+            : 'Showing 0 to 0 of 0 entries';
+
+        const numbers = Array.from({ length: pageCount }, (_, i) =>
+            `<a class="paginate_button ${i === pageIndex ? 'current' : ''}" data-page="${i}">${i + 1}</a>`).join('');
+        pager.innerHTML = `
+            <a class="paginate_button previous ${pageIndex === 0 ? 'disabled' : ''}" data-page="${pageIndex - 1}">Previous</a>
+            <span>${numbers}</span>
+            <a class="paginate_button next ${pageIndex >= pageCount - 1 ? 'disabled' : ''}" data-page="${pageIndex + 1}">Next</a>`;
+    }
+
+    lengthSelect.addEventListener('change', () => {
+        pageIndex = 0;
+        render();
+    });
+    pager.addEventListener('click', event => {
+        const button = event.target.closest('.paginate_button');
+        if (!button || button.classList.contains('disabled')) return;
+        pageIndex = parseInt(button.dataset.page, 10);
+        render();
+    });
+
+    render();
+    return {
+        setRows(next) {
+            rows = next;
+            pageIndex = 0;
+            render();
+        }
+    };
+}
+
+// ==================== PAGES ====================
+
+function renderLogin() {
+    app.innerHTML = `
+        <div class="login card">
+            <h3>SSNIT Pension System</h3>
+            <input type="email" id="email" class="form-control" placeholder="Email" value="officer@ssnit.test">
+            <input type="password" id="password" class="form-control" placeholder="Password" value="mock">
+            <button type="button" class="btn btn-primary">LOG IN</button>
+        </div>`;
+
+    app.querySelector('button').addEventListener('click', async () => {
+        await api('POST', '/api/login', {});
+        const next = new URLSearchParams(location.search).get('next');
+        location.href = next && next.startsWith('/contributions/') ? next : '/contributions/view_crs/report';
+    });
+}
+
+function renderReport() {
+    app.innerHTML = `
+        <div class="card">
+            <h4 class="card-title">Contribution Reports</h4>
+            <div class="row">
+                <div class="form-group">
+                    <label>ER Number</label>
+                    <input type="text" class="form-control" placeholder="ER Number" maxlength="9" data-v-6d729868>
+                </div>
+                <button type="button" class="btn btn-primary">SEARCH</button>
+            </div>
+            <div class="dataTables_length"><label>Show <select name="mytable_length"></select> entries</label></div>
+            <table id="mytable" class="table table-bordered">
+                <thead>
+                    <tr><th></th><th>#</th><th>ER Number</th><th>Employer Name</th><th>CR No.</th><th>Type</th><th>No. of Employees</th><th>Status</th><th>Period</th><th>Date Received</th><th>Amount</th></tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <div class="dataTables_info"></div>
+            <div class="dataTables_paginate paging_simple_numbers"></div>
+        </div>`;
+
+    const table = createPagedTable({
+        root: app,
+        lengthName: 'mytable_length',
+        sizes: [10, 25],
+        columns: 11,
+        emptyText: 'No data available in table',
+        renderRow: (row, i) => `
+            <tr>
+                <td>${row.selfCapture ? '<i class="fa fa-globe" title="Submitted online by the employer"></i>' : ''}</td>
+                <td>${i + 1}</td><td>${escapeHtml(row.er)}</td><td>${escapeHtml(row.name)}</td><td>${escapeHtml(row.crNo)}</td>
+                <td>${escapeHtml(row.type)}</td><td>${row.lf}</td><td>${escapeHtml(row.status)}</td><td>${escapeHtml(row.periodLabel)}</td>
+                <td>${escapeHtml(row.received)}</td><td>${money(row.amt)}</td>
+            </tr>`
+    });
+
+    const erInput = app.querySelector('input[placeholder="ER Number"]');
+    const search = async () => {
+        table.setRows([]);
+        const { data } = await api('GET', `/api/crs?er=${encodeURIComponent(erInput.value.trim())}`);
+        table.setRows(data.rows || []);
+    };
+    app.querySelector('button.btn-primary').addEventListener('click', search);
+    erInput.addEventListener('keydown', event => {
+        if (event.key === 'Enter') search();
+    });
+}
+
+function renderEmployer() {
+    app.innerHTML = `
+        <div class="card">
+            <h4 class="card-title">Receive Contribution Report</h4>
+            <div class="form-group">
+                <label>Employer Number</label>
+                <input type="text" class="form-control" maxlength="9" placeholder="Enter ER Number">
+            </div>
+            <button type="button" id="addToTable" class="btn btn-grey disabled" disabled>Continue</button>
+        </div>`;
+
+    const erInput = app.querySelector('input');
+    const continueBtn = app.querySelector('#addToTable');
+
+    erInput.addEventListener('input', () => {
+        const valid = /^\d{9}$/.test(erInput.value.trim());
+        continueBtn.disabled = !valid;
+        continueBtn.classList.toggle('disabled', !valid);
+        continueBtn.classList.toggle('btn-grey', !valid);
+        continueBtn.classList.toggle('btn-success', valid);
+    });
+
+    continueBtn.addEventListener('click', async () => {
+        const er = erInput.value.trim();
+        const { ok, data } = await api('GET', `/api/employers/${encodeURIComponent(er)}`);
+        if (!ok) {
+            showModal('error', { message: data.message });
+            return;
+        }
+        sessionStorage.setItem(CAPTURE_ER_KEY, JSON.stringify(data));
+        location.href = '/contributions/receive/capture';
+    });
+}
+
+/**
+ * vue-select look-alike: the toggle opens the option list, picking an option closes it
+ */
+function wireVueSelect(container, onChange) {
+    const selected = container.querySelector('.vs__selected');
+    const menu = container.querySelector('.vs__dropdown-menu');
+
+    container.querySelector('.dropdown-toggle').addEventListener('click', () => {
+        menu.style.display = menu.style.display === 'block' ? 'none' : 'block';
+    });
+    menu.addEventListener('click', event => {
+        const option = event.target.closest('.vs__dropdown-option');
+        if (!option) return;
+        selected.textContent = option.textContent.trim();
+        menu.style.display = 'none';
+        onChange();
+    });
+}
+
+function vueSelectMarkup(label, options) {
+    return `
+        <div class="form-group m-b-10">
+            <label>${escapeHtml(label)}</label>
+            <div class="v-select dropdown">
+                <div class="dropdown-toggle"><span class="vs__selected"></span><span class="vs__open-indicator">&#9662;</span></div>
+                <ul class="vs__dropdown-menu" style="display: none;">
+                    ${options.map(option => `<li class="vs__dropdown-option">${escapeHtml(option)}</li>`).join('')}
+                </ul>
+            </div>
+        </div>`;
+}
+
+function renderCapture() {
+    const employer = JSON.parse(sessionStorage.getItem(CAPTURE_ER_KEY) || 'null');
+    if (!employer) {
+        location.href = '/contributions/receive/employer';
+        return;
+    }
+
+    app.innerHTML = `
+        <div class="card">
+            <h4 class="text-info">${escapeHtml(employer.er)} - ${escapeHtml(employer.name)}</h4>
+            <input type="text" id="changeER" class="form-control" maxlength="9" style="display: none;">
+            <div class="row">
+                <div class="form-group"><label>Period From</label><input type="text" class="form-control" placeholder="YYYYMM" maxlength="6"></div>
+                <div class="form-group"><label>Period To</label><input type="text" class="form-control" placeholder="YYYYMM" maxlength="6"></div>
+            </div>
+            <div class="form-group">
+                <label>Submission Medium</label>
+                <label class="radio-inline"><input type="radio" name="sub_media" value="1"> Preprinted</label>
+                <label class="radio-inline"><input type="radio" name="sub_media" value="2"> Electronic</label>
+            </div>
+            <div class="form-group">
+                <label>Submission Mode</label>
+                <label class="radio-inline"><input type="radio" name="sub_mod" value="1"> Arrears</label>
+                <label class="radio-inline"><input type="radio" name="sub_mod" value="2"> Contribution</label>
+            </div>
+            ${vueSelectMarkup('Contribution Type', ['NORMAL', 'SUPPLEMENTARY', 'ARREARS'])}
+            ${vueSelectMarkup('Staff Category', ['ALL', 'PERMANENT', 'CASUAL'])}
+            <div class="form-group">
+                <label for="no_employees">Number of Employees</label>
+                <input type="number" id="no_employees" class="form-control">
+            </div>
+            <div class="form-group">
+                <label>Total Contribution</label>
+                <input type="text" class="form-control total-contribution">
+            </div>
+            <button type="button" id="addToTable2" class="btn btn-success" disabled>Submit</button>
+        </div>`;
+
+    const periodInputs = Array.from(app.querySelectorAll('input[placeholder="YYYYMM"]'));
+    const lfInput = app.querySelector('#no_employees');
+    const amtInput = app.querySelector('.total-contribution');
+    const submitBtn = app.querySelector('#addToTable2');
+    const selects = Array.from(app.querySelectorAll('.v-select'));
+    const selectedText = index => selects[index].querySelector('.vs__selected').textContent.trim();
+    const checkedValue = name => app.querySelector(`input[name="${name}"]:checked`)?.value || null;
+
+    // The portal runs its form validation on every change and only then enables Submit
+    const validate = () => {
+        const valid = periodInputs.every(input => /^\d{6}$/.test(input.value)) &&
+            checkedValue('sub_media') && checkedValue('sub_mod') &&
+            selectedText(0) && selectedText(1) &&
+            parseInt(lfInput.value, 10) > 0 &&
+            parseFloat(amtInput.value.replace(/,/g, '')) > 0;
+        submitBtn.disabled = !valid;
+    };
+
+    app.addEventListener('input', validate);
+    app.addEventListener('change', validate);
+    selects.forEach(select => wireVueSelect(select, validate));
+
+    const resetForm = () => {
+        app.querySelectorAll('input[type="text"], input[type="number"]').forEach(input => { input.value = ''; });
+        app.querySelectorAll('input[type="radio"]').forEach(radio => { radio.checked = false; });
+        app.querySelectorAll('.vs__selected').forEach(selected => { selected.textContent = ''; });
+        validate();
+    };
+
+    submitBtn.addEventListener('click', async () => {
+        submitBtn.disabled = true;
+        const { data } = await api('POST', '/api/capture', {
+            er: employer.er,
+            periodFrom: periodInputs[0].value,
+            periodTo: periodInputs[1].value,
+            media: checkedValue('sub_media'),
+            mode: checkedValue('sub_mod'),
+            type: selectedText(0),
+            staffCategory: selectedText(1),
+            lf: lfInput.value,
+            amt: amtInput.value
+        });
+
+        if (!data.modal) return;
+        if (data.modal === 'receipt') resetForm();
+        else validate();
+        showModal(data.modal, { title: data.title, message: data.message });
+    });
+}
+
+function renderUnprocessed() {
+    app.innerHTML = `
+        <div class="card">
+            <h4 class="card-title">Unprocessed Contribution Reports</h4>
+            <div class="row">
+                <input type="text" class="form-control" placeholder="Search ER Number">
+                <button type="button" class="btn btn-primary">Search</button>
+            </div>
+            <div class="dataTables_length"><label>Show <select name="unprocessed_length"></select> entries</label></div>
+            <table class="table table-hover">
+                <thead>
+                    <tr><th>#</th><th>ER Number</th><th>Employer Name</th><th>Period</th><th>Type</th><th>Amount</th><th>Actions</th></tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <div class="dataTables_info"></div>
+            <div class="dataTables_paginate paging_simple_numbers"></div>
+        </div>`;
+
+    const table = createPagedTable({
+        root: app,
+        lengthName: 'unprocessed_length',
+        sizes: [10, 25, 100],
+        columns: 7,
+        emptyText: 'No unprocessed contribution reports',
+        renderRow: (row, i) => `
+            <tr>
+                <td>${i + 1}</td><td>${escapeHtml(row.er)}</td><td>${escapeHtml(row.name)}</td><td>${escapeHtml(row.period)}</td>
+                <td>${escapeHtml(row.type)}</td><td>${money(row.amt)}</td>
+                <td>
+                    <a class="text-success" href="/contributions/data-entry/${row.id}">Data Entry</a>
+                    <a class="text-info" href="/contributions/receive/edit-private/${row.id}">Edit</a>
+                </td>
+            </tr>`
+    });
+
+    const searchInput = app.querySelector('input[placeholder="Search ER Number"]');
+    let allRows = [];
+    const applySearch = () => {
+        const er = searchInput.value.trim();
+        table.setRows(er ? allRows.filter(row => row.er.includes(er)) : allRows);
+    };
+
+    app.querySelector('button.btn-primary').addEventListener('click', applySearch);
+    api('GET', '/api/unprocessed').then(({ data }) => {
+        allRows = data.rows || [];
+        applySearch();
+    });
+}
+
+function renderDataEntry() {
+    let cr = null;
+    let importable = [];
+
+    const render = () => {
+        const employees = cr.employees || [];
+        app.innerHTML = `
+            <div class="card">
+                <h4 class="text-info">${escapeHtml(cr.er)} - ${escapeHtml(cr.name)} (${escapeHtml(cr.periodLabel)})</h4>
+                <div class="toolbar">
+                    <button type="button" class="btn btn-info import-open">Import</button>
+                    <button type="button" class="btn btn-success submit-validation" ${employees.length === 0 ? 'disabled' : ''}>Submit for Validation</button>
+                    <label class="checkbox-inline"><input type="checkbox" id="checkbox2" name="checkboxInline"> Post after validation</label>
+                </div>
+                <table class="table table-striped">
+                    <thead>
+                        <tr><th>No.</th><th>SS Number</th><th>NIA Number</th><th>Surname</th><th>First Name</th><th>Other Name(s)</th><th>Option Code</th><th>Contribution(GHS)</th><th>Hazardous</th><th>Staff ID</th></tr>
+                    </thead>
+                    <tbody>
+                        ${employees.length > 0 ? employees.map((e, i) => `
+                            <tr>
+                                <td>${i + 1}</td><td>${escapeHtml(e.ssnit)}</td><td>${escapeHtml(e.nia)}</td><td>${escapeHtml(e.surname)}</td>
+                                <td>${escapeHtml(e.firstName)}</td><td>${escapeHtml(e.otherNames)}</td><td>1</td><td>${money(e.contribution)}</td>
+                                <td>NO</td><td>${escapeHtml(e.staffId)}</td>
+                            </tr>`).join('') : '<tr><td colspan="10">No contribution transactions - import or add employees</td></tr>'}
+                    </tbody>
+                </table>
+            </div>`;
+
+        app.querySelector('.import-open').addEventListener('click', openImportDialog);
+        app.querySelector('.submit-validation').addEventListener('click', () => {
+            const autoPost = app.querySelector('#checkbox2').checked;
+            showModal('consent', {
+                message: `Submit the ${cr.periodLabel} contribution report of ${cr.er} for validation?`,
+                onConfirm: async () => {
+                    const { data } = await api('POST', `/api/cr/${CR_ID}/validate`, { autoPost });
+                    showModal(data.modal, { message: data.message });
+                }
+            });
+        });
+    };
+
+    const openImportDialog = () => {
+        const overlay = document.createElement('div');
+        overlay.className = 'mock-overlay';
+        overlay.innerHTML = `
+            <div class="custom-alert-container">
+                <div class="custom-alert-title"><h3>Import Contribution Transactions</h3></div>
+                <table class="table">
+                    <thead><tr><th></th><th>Period</th><th>No. of Employees</th></tr></thead>
+                    <tbody>
+                        ${importable.map(source => `
+                            <tr>
+                                <td><label class="radio-custom"><input type="radio" name="import_cr" value="${escapeHtml(source.crNo)}"></label></td>
+                                <td>${escapeHtml(source.periodLabel)}</td><td>${source.lf}</td>
+                            </tr>`).join('') || '<tr><td colspan="3">No previous contribution reports</td></tr>'}
+                    </tbody>
+                </table>
+                <div class="custom-alert-footer">
+                    <button type="button" class="btn btn-default import-cancel">Cancel</button>
+                    <button type="button" class="btn btn-custom import-confirm" disabled>Import</button>
+                </div>
+            </div>`;
+
+        const confirmBtn = overlay.querySelector('.import-confirm');
+        overlay.addEventListener('change', () => {
+            confirmBtn.disabled = !overlay.querySelector('input[name="import_cr"]:checked');
+        });
+        overlay.querySelector('.import-cancel').addEventListener('click', () => overlay.remove());
+        confirmBtn.addEventListener('click', async () => {
+            const crNo = overlay.querySelector('input[name="import_cr"]:checked')?.value;
+            const { ok, data } = await api('POST', `/api/cr/${CR_ID}/import`, { crNo });
+            overlay.remove();
+            if (!ok) {
+                showModal('error', { message: data.message });
+                return;
+            }
+            cr = data.cr;
+            render();
+        });
+
+        document.body.appendChild(overlay);
+    };
+
+    api('GET', `/api/cr/${CR_ID}`).then(({ ok, data }) => {
+        if (!ok) {
+            app.innerHTML = `<div class="card"><h4>${escapeHtml(data.message)}</h4></div>`;
+            return;
+        }
+        cr = data.cr;
+        importable = data.importable;
+        render();
+    });
+}
+
+function renderEditPrivate() {
+    api('GET', `/api/cr/${CR_ID}`).then(({ ok, data }) => {
+        if (!ok) {
+            app.innerHTML = `<div class="card"><h4>${escapeHtml(data.message)}</h4></div>`;
+            return;
+        }
+        const { cr } = data;
+        app.innerHTML = `
+            <div class="card">
+                <h3 class="text-info">Edit CR - ${escapeHtml(cr.er)} ${escapeHtml(cr.name)}</h3>
+                <div class="form-group">
+                    <label>Number of Employees</label>
+                    <input type="number" class="form-control lf" value="${cr.lf}">
+                </div>
+                <div class="form-group">
+                    <label>Total Contribution</label>
+                    <input type="text" class="form-control amt" value="${Number(cr.amt).toFixed(2)}">
+                </div>
+                <button type="button" class="btn btn-primary">Update</button>
+                <div class="update-status"></div>
+            </div>`;
+
+        app.querySelector('button').addEventListener('click', async () => {
+            const { ok: saved, data: result } = await api('POST', `/api/cr/${CR_ID}/update`, {
+                lf: app.querySelector('.lf').value,
+                amt: app.querySelector('.amt').value
+            });
+            const status = app.querySelector('.update-status');
+            status.className = `update-status alert ${saved ? 'alert-success' : 'alert-danger'}`;
+            status.textContent = result.message;
+        });
+    });
+}
+
+const PAGE_RENDERERS = {
+    login: renderLogin,
+    report: renderReport,
+    employer: renderEmployer,
+    capture: renderCapture,
+    unprocessed: renderUnprocessed,
+    dataEntry: renderDataEntry,
+    editPrivate: renderEditPrivate
+};
+
+PAGE_RENDERERS[PAGE]();
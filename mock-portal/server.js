@@ -0,0 +1,476 @@
+#!/usr/bin/env node
+/**
+ * SSNIT Automator - Mock iSSAS portal
+ * A local stand-in for app.issas.ssnit.org.gh for end-to-end runs of the extension:
+ * the pages it drives, backed by the employers in seed.json (held in memory), the portal's
+ * response modals and failures that can be switched on at start-up or while running.
+ *
+ *   node mock-portal/server.js [--port 8787] [--seed <file>] [--fail <name>[:<count>|:always]]...
+ *
+ * Point a build at it with `npm run build:mock` and load dist/ as an unpacked extension.
+ *
+ * Control endpoints:
+ *   GET  /__mock/state  CRs and pending failures
+ *   POST /__mock/fail   {"name": "capture-error", "count": 2}  (count -1 = always)
+ *   POST /__mock/reset  Reload the seed, clear failures
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_SEED = path.join(__dirname, 'seed.json');
+const CLIENT_SCRIPT = path.join(__dirname, 'public', 'portal.js');
+
+// A capture that "never answers" is released after this long so sockets don't pile up
+const HANG_MS = 5 * 60 * 1000;
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/**
+ * Injectable failures - each fires for the next <count> matching requests
+ * (latency is a delay in ms applied to every API response instead)
+ */
+const FAILURES = {
+    'latency': 'Delay every API response by <count> ms',
+    'search-empty': 'CR report search returns no rows',
+    'capture-error': 'Capture is rejected with a validation error modal',
+    'capture-duplicate': 'Capture is rejected as already existing',
+    'capture-timeout': 'Capture never answers (no modal appears)',
+    'capture-unknown': 'Capture answers with a modal the extension does not recognise',
+    'validation-error': 'Submit for validation is rejected',
+    'session-expired': 'Page loads redirect to the login page'
+};
+
+// Portal pages: path -> page rendered by public/portal.js
+const PAGE_ROUTES = [
+    { pattern: /^\/login$/, page: 'login', title: 'Login' },
+    { pattern: /^\/contributions\/view_crs\/report$/, page: 'report', title: 'View CRs - Report' },
+    { pattern: /^\/contributions\/receive\/employer$/, page: 'employer', title: 'Receive CR - Employer' },
+    { pattern: /^\/contributions\/receive\/capture$/, page: 'capture', title: 'Receive CR - Capture' },
+    { pattern: /^\/contributions\/view_crs\/unprocessed$/, page: 'unprocessed', title: 'View CRs - Unprocessed' },
+    { pattern: /^\/contributions\/data-entry\/(\d+)$/, page: 'dataEntry', title: 'Data Entry' },
+    { pattern: /^\/contributions\/receive\/edit-private\/(\d+)$/, page: 'editPrivate', title: 'Edit Contribution Report' }
+];
+
+let options = null;
+let state = null;
+
+// ==================== HELPERS ====================
+
+function periodLabel(period) {
+    return `${MONTHS[parseInt(period.slice(4), 10) - 1]} ${period.slice(0, 4)}`;
+}
+
+function nextPeriod(period) {
+    const year = parseInt(period.slice(0, 4), 10);
+    const month = parseInt(period.slice(4), 10);
+    return month === 12 ? `${year + 1}01` : `${year}${String(month + 1).padStart(2, '0')}`;
+}
+
+/**
+ * dd/mm/yyyy, the portal's "Date Received" format: mid-month after the period for seeded CRs
+ */
+function receivedDate(period, date = null) {
+    const d = date || new Date(Date.UTC(parseInt(period.slice(0, 4), 10), parseInt(period.slice(4), 10), 14));
+    return `${String(d.getUTCDate()).padStart(2, '0')}/${String(d.getUTCMonth() + 1).padStart(2, '0')}/${d.getUTCFullYear()}`;
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
+/**
+ * @param {string} spec - name, name:count or name:always
+ * @returns {{name: string, count: number}}
+ */
+function parseFailure(spec) {
+    const [name, count] = String(spec).split(':');
+    if (!FAILURES[name]) {
+        throw new Error(`Unknown failure "${name}". Known: ${Object.keys(FAILURES).join(', ')}`);
+    }
+    if (count === 'always') return { name, count: -1 };
+    const parsed = count === undefined ? 1 : parseInt(count, 10);
+    if (!Number.isInteger(parsed)) throw new Error(`Bad count in "${spec}"`);
+    return { name, count: parsed };
+}
+
+/**
+ * Use up one occurrence of a failure
+ * @returns {boolean} true if the failure fires for this request
+ */
+function takeFailure(name) {
+    const remaining = state.failures[name];
+    if (!remaining) return false;
+    if (remaining > 0) {
+        state.failures[name] = remaining - 1;
+        if (state.failures[name] === 0) delete state.failures[name];
+    }
+    console.log(`[mock] failure fired: ${name}`);
+    return true;
+}
+
+// ==================== STATE ====================
+
+/**
+ * Fresh in-memory portal: employers and their CRs from the seed file
+ * @param {Object} seed - Parsed seed.json
+ * @param {Object} failures - {name: count} active from the start
+ */
+function createState(seed, failures = {}) {
+    const next = { employers: {}, crs: [], nextCrId: 1001, nextCrNo: 88000, failures: { ...failures }, sessionExpired: false };
+
+    const addCr = (er, record) => {
+        next.crs.push({
+            id: next.nextCrId++,
+            crNo: `CR00${next.nextCrNo++}`,
+            er,
+            period: record.period,
+            type: record.type || 'NORMAL',
+            lf: record.lf,
+            amt: record.amt,
+            status: record.status || 'PROCESSED',
+            selfCapture: !!record.selfCapture,
+            hiddenFromReport: !!record.hiddenFromReport,
+            received: receivedDate(record.period),
+            employees: record.status === 'UNPROCESSED' ? [] : null
+        });
+    };
+
+    (seed.employers || []).forEach(employer => {
+        next.employers[employer.er] = { er: employer.er, name: employer.name, employees: employer.employees || [] };
+
+        const history = [...(employer.history || [])];
+        const monthly = employer.monthlyHistory;
+        if (monthly) {
+            for (let period = monthly.from; period <= monthly.to; period = nextPeriod(period)) {
+                history.push({ period, type: monthly.type, lf: monthly.lf, amt: monthly.amt });
+            }
+        }
+        history.forEach(record => addCr(employer.er, record));
+    });
+
+    return next;
+}
+
+function loadSeed(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function findCr(id) {
+    return state.crs.find(cr => cr.id === parseInt(id, 10)) || null;
+}
+
+function employerName(er) {
+    return state.employers[er]?.name || '';
+}
+
+/**
+ * CR as the report and unprocessed tables show it
+ */
+function crRow(cr) {
+    return {
+        id: cr.id, crNo: cr.crNo, er: cr.er, name: employerName(cr.er),
+        type: cr.type, lf: cr.lf, amt: cr.amt, status: cr.status,
+        period: cr.period, periodLabel: periodLabel(cr.period),
+        received: cr.received, selfCapture: cr.selfCapture
+    };
+}
+
+// ==================== API ====================
+
+/**
+ * Submit a CR from the capture form
+ * @returns {Object|null} Modal for the client to show, null for no answer at all
+ */
+function captureCr(body) {
+    const er = String(body.er || '');
+    const employer = state.employers[er];
+    const period = String(body.periodFrom || '');
+    const type = String(body.type || '').toUpperCase();
+    const lf = parseInt(body.lf, 10);
+    const amt = parseFloat(String(body.amt || '').replace(/,/g, ''));
+
+    if (takeFailure('capture-timeout')) return null;
+    if (takeFailure('capture-unknown')) {
+        return { modal: 'unknown', title: 'Notice', message: 'Your request has been queued for supervisor review' };
+    }
+    if (takeFailure('capture-error')) {
+        return { modal: 'error', message: 'Number of employees does not match the employer register' };
+    }
+
+    const problems = [];
+    if (!employer) problems.push(`Employer ${er} not found`);
+    if (!/^\d{6}$/.test(period) || body.periodTo !== period) problems.push('Invalid period');
+    if (!['NORMAL', 'SUPPLEMENTARY', 'ARREARS'].includes(type)) problems.push('Select a contribution type');
+    if (!(lf > 0)) problems.push('Number of employees is required');
+    if (!(amt > 0)) problems.push('Total contribution is required');
+    if (problems.length > 0) return { modal: 'error', message: problems.join('. ') };
+
+    const duplicate = type === 'NORMAL' && state.crs.some(cr => cr.er === er && cr.period === period && cr.type === 'NORMAL');
+    if (duplicate || takeFailure('capture-duplicate')) {
+        return { modal: 'error', message: `A contribution report for ${periodLabel(period)} already exists for this employer` };
+    }
+
+    const cr = {
+        id: state.nextCrId++, crNo: `CR00${state.nextCrNo++}`, er, period, type, lf, amt,
+        status: 'UNPROCESSED', selfCapture: false, hiddenFromReport: false,
+        received: receivedDate(period, new Date()), employees: []
+    };
+    state.crs.push(cr);
+    console.log(`[mock] captured ${cr.crNo}: ${er} ${periodLabel(period)} ${type} LF ${lf} amount ${amt.toFixed(2)}`);
+
+    return {
+        modal: 'receipt',
+        title: 'SSNIT PENSION SYSTEM - ACKNOWLEDGEMENT LETTER',
+        message: `Contribution report ${cr.crNo} for ${er} (${periodLabel(period)}) has been received.`
+    };
+}
+
+/**
+ * Data entry: CRs of the same employer the employee list can be imported from
+ */
+function importableCrs(cr) {
+    return state.crs
+        .filter(other => other.er === cr.er && other.id !== cr.id && other.period < cr.period && other.status === 'PROCESSED' && !other.hiddenFromReport)
+        .sort((a, b) => b.period.localeCompare(a.period))
+        .map(other => ({ crNo: other.crNo, periodLabel: periodLabel(other.period), lf: other.lf }));
+}
+
+function validateCr(cr, body) {
+    if (takeFailure('validation-error')) {
+        return { modal: 'error', message: 'Validation failed: SSNIT number C059102150013 is not registered to this employer' };
+    }
+    if (!cr.employees || cr.employees.length === 0) {
+        return { modal: 'error', message: 'Import or enter the contribution transactions before validation' };
+    }
+
+    cr.status = body.autoPost ? 'POSTED' : 'VALIDATED';
+    console.log(`[mock] ${cr.crNo} ${cr.er} ${cr.status.toLowerCase()}`);
+    return { modal: 'success', message: 'Data Successfully Saved' };
+}
+
+/**
+ * @returns {{status: number, body: Object}|null} null when the request gets no answer
+ */
+function handleApi(method, pathname, query, body) {
+    let match;
+
+    if (method === 'GET' && pathname === '/api/crs') {
+        const er = String(query.get('er') || '').trim();
+        if (takeFailure('search-empty')) return { status: 200, body: { rows: [] } };
+        const rows = state.crs
+            .filter(cr => cr.er === er && !cr.hiddenFromReport)
+            .sort((a, b) => b.period.localeCompare(a.period) || a.id - b.id)
+            .map(crRow);
+        return { status: 200, body: { rows } };
+    }
+
+    if (method === 'GET' && (match = pathname.match(/^\/api\/employers\/(\d+)$/))) {
+        const employer = state.employers[match[1]];
+        return employer
+            ? { status: 200, body: { er: employer.er, name: employer.name } }
+            : { status: 404, body: { message: `Employer ${match[1]} not found` } };
+    }
+
+    if (method === 'POST' && pathname === '/api/capture') {
+        const modal = captureCr(body);
+        return modal ? { status: 200, body: modal } : null;
+    }
+
+    if (method === 'GET' && pathname === '/api/unprocessed') {
+        const rows = state.crs.filter(cr => cr.status === 'UNPROCESSED').sort((a, b) => a.id - b.id).map(crRow);
+        return { status: 200, body: { rows } };
+    }
+
+    if ((match = pathname.match(/^\/api\/cr\/(\d+)(?:\/(import|validate|update))?$/))) {
+        const cr = findCr(match[1]);
+        if (!cr) return { status: 404, body: { message: `CR ${match[1]} not found` } };
+        const action = match[2];
+
+        if (method === 'GET' && !action) {
+            return { status: 200, body: { cr: { ...crRow(cr), employees: cr.employees || [] }, importable: importableCrs(cr) } };
+        }
+        if (method === 'POST' && action === 'import') {
+            const source = state.crs.find(other => other.crNo === body.crNo && other.er === cr.er);
+            if (!source) return { status: 400, body: { message: 'Select a contribution report to import' } };
+            // Mock: every CR of an employer lists the employer's current staff
+            cr.employees = state.employers[cr.er].employees.map(employee => ({ ...employee }));
+            return { status: 200, body: { cr: { ...crRow(cr), employees: cr.employees } } };
+        }
+        if (method === 'POST' && action === 'validate') {
+            return { status: 200, body: validateCr(cr, body) };
+        }
+        if (method === 'POST' && action === 'update') {
+            const amt = parseFloat(String(body.amt || '').replace(/,/g, ''));
+            const lf = parseInt(body.lf, 10);
+            if (!(amt > 0)) return { status: 400, body: { message: 'Total contribution is required' } };
+            cr.amt = amt;
+            if (lf > 0) cr.lf = lf;
+            console.log(`[mock] ${cr.crNo} ${cr.er} total updated to ${amt.toFixed(2)}`);
+            return { status: 200, body: { message: 'Contribution report updated' } };
+        }
+    }
+
+    if (method === 'POST' && pathname === '/api/login') {
+        state.sessionExpired = false;
+        return { status: 200, body: { ok: true } };
+    }
+
+    return { status: 404, body: { message: `No API route for ${method} ${pathname}` } };
+}
+
+// ==================== HTTP ====================
+
+function send(res, status, body, type = 'application/json') {
+    res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+    res.end(type === 'application/json' ? JSON.stringify(body) : body);
+}
+
+function readBody(req) {
+    return new Promise(resolve => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(raw ? JSON.parse(raw) : {});
+            } catch (e) {
+                resolve({});
+            }
+        });
+    });
+}
+
+function renderPage(route, params) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>iSSAS | ${escapeHtml(route.title)} (mock)</title>
+    <link rel="stylesheet" href="/mock-assets/portal.css">
+</head>
+<body>
+    <div class="mock-banner">Mock iSSAS portal - not connected to SSNIT</div>
+    <div id="app" data-page="${route.page}" data-id="${escapeHtml(params[0] || '')}"></div>
+    <script src="/mock-assets/portal.js"></script>
+</body>
+</html>`;
+}
+
+async function handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const { pathname } = url;
+    const method = req.method;
+
+    if (pathname === '/' || pathname === '/contributions') {
+        res.writeHead(302, { Location: '/contributions/view_crs/report' });
+        res.end();
+        return;
+    }
+
+    if (pathname === '/mock-assets/portal.js' || pathname === '/mock-assets/portal.css') {
+        const file = pathname.endsWith('.js') ? CLIENT_SCRIPT : CLIENT_SCRIPT.replace(/\.js$/, '.css');
+        send(res, 200, fs.readFileSync(file, 'utf8'), pathname.endsWith('.js') ? 'text/javascript' : 'text/css');
+        return;
+    }
+
+    if (pathname.startsWith('/__mock/')) {
+        const body = method === 'POST' ? await readBody(req) : {};
+        if (pathname === '/__mock/state') {
+            send(res, 200, { failures: state.failures, sessionExpired: state.sessionExpired, crs: state.crs.map(crRow) });
+        } else if (pathname === '/__mock/fail' && method === 'POST') {
+            try {
+                const { name, count } = parseFailure(`${body.name}:${body.count === -1 ? 'always' : (body.count ?? 1)}`);
+                state.failures[name] = count;
+                send(res, 200, { failures: state.failures });
+            } catch (e) {
+                send(res, 400, { message: e.message });
+            }
+        } else if (pathname === '/__mock/reset' && method === 'POST') {
+            state = createState(loadSeed(options.seed));
+            send(res, 200, { ok: true });
+        } else {
+            send(res, 404, { message: 'Unknown mock control' });
+        }
+        return;
+    }
+
+    if (pathname.startsWith('/api/')) {
+        const body = method === 'POST' ? await readBody(req) : {};
+        const result = handleApi(method, pathname, url.searchParams, body);
+        const delay = state.failures.latency > 0 ? state.failures.latency : 0;
+
+        if (!result) {
+            // No answer: the page waits on a response that never comes
+            setTimeout(() => send(res, 504, { message: 'Gateway timeout' }), HANG_MS);
+            return;
+        }
+        setTimeout(() => send(res, result.status, result.body), delay);
+        return;
+    }
+
+    const route = PAGE_ROUTES.find(r => r.pattern.test(pathname));
+    if (!route) {
+        send(res, 404, '<h1>404 - Page not found</h1>', 'text/html');
+        return;
+    }
+
+    // An expired session sends every page to the login screen until the user logs in again
+    if (route.page !== 'login' && (state.sessionExpired || takeFailure('session-expired'))) {
+        state.sessionExpired = true;
+        res.writeHead(302, { Location: `/login?next=${encodeURIComponent(pathname)}` });
+        res.end();
+        return;
+    }
+
+    send(res, 200, renderPage(route, pathname.match(route.pattern).slice(1)), 'text/html');
+}
+
+// ==================== CLI ====================
+
+function parseArgs(argv) {
+    const parsed = { port: DEFAULT_PORT, seed: DEFAULT_SEED, failures: {} };
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inline] = argv[i].split('=');
+        const value = () => inline ?? argv[++i];
+        if (flag === '--port') parsed.port = parseInt(value(), 10);
+        else if (flag === '--seed') parsed.seed = path.resolve(value());
+        else if (flag === '--fail') {
+            const { name, count } = parseFailure(value());
+            parsed.failures[name] = count;
+        } else if (flag === '--help') parsed.help = true;
+        else throw new Error(`Unknown option ${argv[i]}`);
+    }
+    return parsed;
+}
+
+function printHelp() {
+    console.log('Usage: node mock-portal/server.js [--port 8787] [--seed <file>] [--fail <name>[:<count>|:always]]...\n');
+    console.log('Failures:');
+    Object.entries(FAILURES).forEach(([name, description]) => console.log(`  ${name.padEnd(18)} ${description}`));
+}
+
+try {
+    options = parseArgs(process.argv.slice(2));
+} catch (e) {
+    console.error(e.message);
+    process.exit(1);
+}
+if (options.help) {
+    printHelp();
+    process.exit(0);
+}
+
+state = createState(loadSeed(options.seed), options.failures);
+http.createServer((req, res) => {
+    handleRequest(req, res).catch(e => {
+        console.error(e);
+        send(res, 500, { message: e.message });
+    });
+}).listen(options.port, () => {
+    console.log(`Mock iSSAS portal on http://localhost:${options.port} (${Object.keys(state.employers).length} employers, ${state.crs.length} CRs)`);
+    if (Object.keys(state.failures).length > 0) console.log(`Failures armed: ${JSON.stringify(state.failures)}`);
+});
@@ -0,0 +1,145 @@
+/**
+ * SSNIT Automator - Options page
+ * Edits `descriptorOverrides`: per-page values merged over DEFAULT_PAGE_DESCRIPTORS
+ * (descriptors.js) by content.js. Open portal tabs pick up saved changes immediately.
+ */
+
+let overrides = {};
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
+function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+function showStatus(message, ok) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.className = `status ${ok ? 'status-ok' : 'status-bad'}`;
+}
+
+function displayValue(value) {
+    if (value && typeof value === 'object') return value.contains ? `${value.text} (+ "${value.contains}")` : value.text;
+    return String(value ?? '');
+}
+
+/**
+ * What a field edits: button matchers are edited by their text, everything else as-is
+ */
+function editValue(value) {
+    return value && typeof value === 'object' ? value.text : (value ?? '');
+}
+
+function render() {
+    document.getElementById('pages').innerHTML = Object.entries(DEFAULT_PAGE_DESCRIPTORS).map(([page, defaults]) => `
+        <div class="card">
+            <h3>${escapeHtml(page)}<span class="hint">${escapeHtml(defaults.urlPattern)}</span></h3>
+            <table>
+                <thead><tr><th>Key</th><th>Built-in</th><th>Override</th></tr></thead>
+                <tbody>
+                    ${Object.entries(defaults).map(([key, value]) => {
+                        const current = overrides[page]?.[key];
+                        return `
+                            <tr class="${current !== undefined ? 'overridden' : ''}">
+                                <td class="key">${escapeHtml(key)}</td>
+                                <td class="default">${escapeHtml(displayValue(value))}</td>
+                                <td><input data-page="${escapeHtml(page)}" data-key="${escapeHtml(key)}"
+                                    type="${typeof value === 'number' ? 'number' : 'text'}" min="0"
+                                    placeholder="${escapeHtml(editValue(value))}"
+                                    value="${current !== undefined ? escapeHtml(editValue(current)) : ''}"></td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+    `).join('');
+}
+
+/**
+ * Overrides as typed into the form (not yet validated)
+ */
+function collectOverrides() {
+    const collected = {};
+    document.querySelectorAll('#pages input').forEach(input => {
+        const raw = input.value.trim();
+        if (!raw) return;
+
+        const { page, key } = input.dataset;
+        const fallback = DEFAULT_PAGE_DESCRIPTORS[page][key];
+        let value = raw;
+        if (typeof fallback === 'number') value = Number(raw);
+        else if (typeof fallback === 'object') value = { ...fallback, text: raw };
+
+        (collected[page] = collected[page] || {})[key] = value;
+    });
+    return collected;
+}
+
+async function storeOverrides(valid) {
+    await chrome.storage.local.set({ descriptorOverrides: valid });
+    overrides = valid;
+    render();
+}
+
+document.getElementById('save').addEventListener('click', async () => {
+    const { valid, problems } = validateDescriptorOverrides(collectOverrides());
+    if (problems.length > 0) {
+        showStatus(`Not saved:\n${problems.join('\n')}`, false);
+        return;
+    }
+    await storeOverrides(valid);
+    showStatus('Saved. Open portal tabs use the new values straight away - run "Check portal selectors" from the popup to confirm them.', true);
+});
+
+document.getElementById('export').addEventListener('click', () => {
+    const file = { format: DESCRIPTOR_OVERRIDES_FORMAT, version: 1, exportedAt: new Date().toISOString(), overrides: overrides };
+    downloadFile(JSON.stringify(file, null, 2), `ssnit-descriptor-overrides-${Date.now()}.json`, 'application/json');
+});
+
+document.getElementById('import').addEventListener('click', () => document.getElementById('import-file').click());
+
+document.getElementById('import-file').addEventListener('change', async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (e) {
+        showStatus(`Could not read ${file.name}: ${e.message}`, false);
+        return;
+    }
+
+    // Exported files are wrapped; a bare {page: {key: value}} object is accepted too
+    const imported = data?.format === DESCRIPTOR_OVERRIDES_FORMAT ? data.overrides : data;
+    const { valid, problems } = validateDescriptorOverrides(imported);
+    if (problems.length > 0 && !confirm(`${problems.length} entr(ies) in ${file.name} can't be used:\n\n${problems.join('\n')}\n\nImport the rest?`)) {
+        return;
+    }
+
+    await storeOverrides(valid);
+    showStatus(`Imported ${file.name}${problems.length ? ` (${problems.length} entr(ies) skipped)` : ''}.`, true);
+});
+
+document.getElementById('reset').addEventListener('click', async () => {
+    if (!confirm('Remove every override and go back to the built-in selectors?')) return;
+    await storeOverrides({});
+    showStatus('All overrides removed.', true);
+});
+
+chrome.storage.local.get(['descriptorOverrides']).then(data => {
+    overrides = data.descriptorOverrides || {};
+    render();
+});
@@ -1,13 +1,22 @@
-document.getElementById('go').addEventListener('click', async () => {
-    const period = document.getElementById('period').value.trim();
-    const rawInput = document.getElementById('ers').value;
+// Hints (employer name, expected LF/amount) keyed by ER, collected from imported files
+let importedHints = {};
+// Rows parsed from the last chosen file, waiting for the user to confirm the column mapping
+let importedRows = [];
 
-    const lines = rawInput.split(/[\n,\s]+/).map(e => e.trim()).filter(e => e.length > 0);
-    
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
+/**
+ * Split raw ER tokens into valid (9-digit, de-duplicated) and invalid entries
+ */
+function partitionErs(items) {
     const validErs = [];
     const invalidErs = [];
 
-    lines.forEach(item => {
+    items.forEach(item => {
         if (/^\d{9}$/.test(item)) {
             if (!validErs.includes(item)) validErs.push(item);
         } else if (item.length > 0) {
@@ -15,6 +24,353 @@ document.getElementById('go').addEventListener('click', async () => {
         }
     });
 
+    return { validErs, invalidErs };
+}
+
+/**
+ * Validate a YYYYMM string (format and sane year/month ranges)
+ */
+function isValidPeriod(period) {
+    if (!/^\d{6}$/.test(period)) return false;
+    const year = parseInt(period.substring(0, 4));
+    const month = parseInt(period.substring(4, 6));
+    return month >= 1 && month <= 12 && year >= 2000 && year <= 2100;
+}
+
+/**
+ * Expand a YYYYMM range into every period in between (inclusive)
+ * expandPeriodRange('202511', '202602') -> ['202511', '202512', '202601', '202602']
+ */
+function expandPeriodRange(start, end) {
+    const periods = [];
+    let year = parseInt(start.substring(0, 4));
+    let month = parseInt(start.substring(4, 6));
+    const endKey = parseInt(end);
+
+    while (year * 100 + month <= endKey) {
+        periods.push(`${year}${String(month).padStart(2, '0')}`);
+        month++;
+        if (month > 12) {
+            month = 1;
+            year++;
+        }
+    }
+
+    return periods;
+}
+
+// Longest backfill allowed in one run (keeps a forgotten end month from queueing years of work)
+const MAX_BACKFILL_PERIODS = 24;
+
+/**
+ * Fill the mapping dropdowns with the columns of the parsed file
+ */
+function renderMappingOptions(rows, mapping) {
+    const header = rows[0] || [];
+    const width = Math.max(0, ...rows.slice(0, 20).map(r => r.length));
+
+    ['er', 'name', 'lf', 'amt'].forEach(field => {
+        const select = document.getElementById(`map-${field}`);
+        const options = field === 'er' ? [] : ['<option value="-1">(none)</option>'];
+        for (let col = 0; col < width; col++) {
+            const label = mapping.hasHeader && header[col] ? header[col] : `Column ${col + 1}`;
+            options.push(`<option value="${col}">${escapeHtml(label)}</option>`);
+        }
+        select.innerHTML = options.join('');
+        select.value = String(mapping[field] >= 0 ? mapping[field] : (field === 'er' ? 0 : -1));
+    });
+
+    document.getElementById('map-has-header').checked = mapping.hasHeader;
+}
+
+function readMappingFromForm() {
+    return {
+        er: parseInt(document.getElementById('map-er').value),
+        name: parseInt(document.getElementById('map-name').value),
+        lf: parseInt(document.getElementById('map-lf').value),
+        amt: parseInt(document.getElementById('map-amt').value),
+        hasHeader: document.getElementById('map-has-header').checked
+    };
+}
+
+function updateImportSummary() {
+    const items = extractImportRows(importedRows, readMappingFromForm());
+    const { validErs, invalidErs } = partitionErs(items.map(i => i.er));
+    document.getElementById('import-summary').textContent =
+        `${validErs.length} valid ER(s), ${invalidErs.length} invalid, ${items.length - validErs.length - invalidErs.length} duplicate(s)`;
+}
+
+document.getElementById('import-file').addEventListener('change', async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+        importedRows = await readSpreadsheetFile(file);
+    } catch (e) {
+        alert(`Could not read ${file.name}: ${e.message}`);
+        return;
+    }
+
+    if (importedRows.length === 0) {
+        alert(`${file.name} has no rows.`);
+        return;
+    }
+
+    renderMappingOptions(importedRows, guessColumnMapping(importedRows));
+    document.getElementById('mapping-panel').classList.add('visible');
+    updateImportSummary();
+});
+
+['map-er', 'map-name', 'map-lf', 'map-amt', 'map-has-header'].forEach(id => {
+    document.getElementById(id).addEventListener('change', updateImportSummary);
+});
+
+document.getElementById('apply-import').addEventListener('click', () => {
+    const items = extractImportRows(importedRows, readMappingFromForm());
+    const textarea = document.getElementById('ers');
+    const existing = textarea.value.split(/[\n,\s]+/).map(e => e.trim()).filter(e => e.length > 0);
+
+    // Merge with anything already pasted; partitionErs drops duplicates across both
+    const { validErs } = partitionErs([...existing, ...items.map(i => i.er)]);
+    textarea.value = validErs.join('\n');
+
+    // First row of an ER within the file; the latest import replaces hints from earlier ones
+    // (re-importing a corrected file must not keep the stale values)
+    const fileHints = {};
+    items.forEach(item => {
+        if (!/^\d{9}$/.test(item.er) || fileHints[item.er]) return;
+        if (item.name || item.lf != null || item.amt != null) {
+            fileHints[item.er] = { name: item.name, lf: item.lf, amt: item.amt };
+        }
+    });
+    Object.assign(importedHints, fileHints);
+
+    document.getElementById('mapping-panel').classList.remove('visible');
+    document.getElementById('import-file').value = '';
+    importedRows = [];
+});
+
+// ==================== PORTFOLIOS ====================
+
+/**
+ * Named ER lists persisted in chrome.storage.local under `portfolios`
+ * Shape: { [id]: { id, name, ers, hints, createdAt, updatedAt, lastRun } }
+ * lastRun is written by content.js when a run started from the portfolio finishes a phase.
+ */
+async function loadPortfolios() {
+    const data = await chrome.storage.local.get(['portfolios']);
+    return data.portfolios || {};
+}
+
+function readErsFromTextarea() {
+    const lines = document.getElementById('ers').value.split(/[\n,\s]+/).map(e => e.trim()).filter(e => e.length > 0);
+    return partitionErs(lines).validErs;
+}
+
+function describeLastRun(lastRun) {
+    if (!lastRun) return 'No runs yet';
+    const when = new Date(lastRun.finishedAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+    const parts = [`${lastRun.scraped} scraped`, `${lastRun.captured} captured`];
+    if (lastRun.failed > 0) parts.push(`${lastRun.failed} failed`);
+    if (lastRun.validated > 0) parts.push(`${lastRun.validated} validated`);
+    return `Last run ${lastRun.period} (${when}, ${lastRun.stage}): ${parts.join(' · ')}`;
+}
+
+async function renderPortfolioSelect(selectedId = '') {
+    const portfolios = await loadPortfolios();
+    const select = document.getElementById('portfolio-select');
+    const sorted = Object.values(portfolios).sort((a, b) => a.name.localeCompare(b.name));
+
+    select.innerHTML = '<option value="">— Unsaved list —</option>' + sorted
+        .map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)} (${p.ers.length})</option>`)
+        .join('');
+    select.value = portfolios[selectedId] ? selectedId : '';
+
+    const lastRunEl = document.getElementById('portfolio-last-run');
+    const selected = portfolios[select.value];
+    lastRunEl.textContent = selected ? describeLastRun(selected.lastRun) : 'Select a portfolio to load its ER list';
+}
+
+document.getElementById('portfolio-select').addEventListener('change', async (event) => {
+    const portfolios = await loadPortfolios();
+    const portfolio = portfolios[event.target.value];
+
+    if (portfolio) {
+        document.getElementById('ers').value = portfolio.ers.join('\n');
+        importedHints = { ...(portfolio.hints || {}) };
+    }
+    await renderPortfolioSelect(event.target.value);
+});
+
+document.getElementById('portfolio-new').addEventListener('click', async () => {
+    const ers = readErsFromTextarea();
+    if (ers.length === 0) {
+        alert('Enter or import ER numbers first.');
+        return;
+    }
+
+    const name = (prompt('Portfolio name (e.g. "Accra - Mensah")') || '').trim();
+    if (!name) return;
+
+    const portfolios = await loadPortfolios();
+    if (Object.values(portfolios).some(p => p.name.toLowerCase() === name.toLowerCase())) {
+        alert(`A portfolio named "${name}" already exists.`);
+        return;
+    }
+
+    const id = `pf-${Date.now().toString(36)}`;
+    const hints = {};
+    ers.forEach(er => { if (importedHints[er]) hints[er] = importedHints[er]; });
+    portfolios[id] = { id, name, ers, hints, createdAt: Date.now(), updatedAt: Date.now(), lastRun: null };
+
+    await chrome.storage.local.set({ portfolios });
+    await renderPortfolioSelect(id);
+});
+
+document.getElementById('portfolio-save').addEventListener('click', async () => {
+    const id = document.getElementById('portfolio-select').value;
+    if (!id) {
+        document.getElementById('portfolio-new').click();
+        return;
+    }
+
+    const ers = readErsFromTextarea();
+    if (ers.length === 0) {
+        alert('Portfolio must contain at least one valid ER number.');
+        return;
+    }
+
+    const portfolios = await loadPortfolios();
+    const portfolio = portfolios[id];
+    const added = ers.filter(er => !portfolio.ers.includes(er)).length;
+    const removed = portfolio.ers.filter(er => !ers.includes(er)).length;
+    if (!confirm(`Update "${portfolio.name}": ${added} added, ${removed} removed?`)) return;
+
+    const hints = {};
+    ers.forEach(er => {
+        const hint = importedHints[er] || portfolio.hints?.[er];
+        if (hint) hints[er] = hint;
+    });
+    portfolios[id] = { ...portfolio, ers, hints, updatedAt: Date.now() };
+
+    await chrome.storage.local.set({ portfolios });
+    await renderPortfolioSelect(id);
+});
+
+document.getElementById('portfolio-rename').addEventListener('click', async () => {
+    const id = document.getElementById('portfolio-select').value;
+    const portfolios = await loadPortfolios();
+    if (!portfolios[id]) return;
+
+    const name = (prompt('New portfolio name', portfolios[id].name) || '').trim();
+    if (!name || name === portfolios[id].name) return;
+
+    portfolios[id] = { ...portfolios[id], name, updatedAt: Date.now() };
+    await chrome.storage.local.set({ portfolios });
+    await renderPortfolioSelect(id);
+});
+
+document.getElementById('portfolio-delete').addEventListener('click', async () => {
+    const id = document.getElementById('portfolio-select').value;
+    const portfolios = await loadPortfolios();
+    if (!portfolios[id]) return;
+    if (!confirm(`Delete portfolio "${portfolios[id].name}"? The ER list in the box below is kept.`)) return;
+
+    delete portfolios[id];
+    await chrome.storage.local.set({ portfolios });
+    await renderPortfolioSelect('');
+});
+
+chrome.storage.local.get(['activePortfolioId']).then(data => renderPortfolioSelect(data.activePortfolioId || ''));
+
+// Mirrors DEFAULT_ANOMALY_THRESHOLDS in content.js
+const DEFAULT_ANOMALY_THRESHOLDS = { lfChangePct: 30, amtChangePct: 30, maxPerEmployee: 5000 };
+const THRESHOLD_INPUTS = { lfChangePct: 'threshold-lf', amtChangePct: 'threshold-amt', maxPerEmployee: 'threshold-max' };
+
+chrome.storage.local.get(['anomalyThresholds']).then(data => {
+    const thresholds = { ...DEFAULT_ANOMALY_THRESHOLDS, ...(data.anomalyThresholds || {}) };
+    Object.entries(THRESHOLD_INPUTS).forEach(([key, id]) => {
+        const input = document.getElementById(id);
+        input.value = thresholds[key];
+        input.addEventListener('change', saveAnomalyThresholds);
+    });
+});
+
+/**
+ * Store the thresholds as soon as they are edited - content.js applies them when scraping
+ */
+async function saveAnomalyThresholds() {
+    const thresholds = {};
+    Object.entries(THRESHOLD_INPUTS).forEach(([key, id]) => {
+        const value = parseFloat(document.getElementById(id).value);
+        thresholds[key] = value > 0 ? value : DEFAULT_ANOMALY_THRESHOLDS[key];
+    });
+    await chrome.storage.local.set({ anomalyThresholds: thresholds });
+}
+
+// Mirrors DEFAULT_NOTIFICATION_SETTINGS in background.js, which raises the notifications
+const DEFAULT_NOTIFICATION_SETTINGS = { intervention: true, loginExpired: true, phaseComplete: true };
+const NOTIFICATION_INPUTS = { intervention: 'notify-intervention', loginExpired: 'notify-login', phaseComplete: 'notify-phase' };
+
+chrome.storage.local.get(['notificationSettings']).then(data => {
+    const settings = { ...DEFAULT_NOTIFICATION_SETTINGS, ...(data.notificationSettings || {}) };
+    Object.entries(NOTIFICATION_INPUTS).forEach(([key, id]) => {
+        const input = document.getElementById(id);
+        input.checked = settings[key];
+        input.addEventListener('change', saveNotificationSettings);
+    });
+});
+
+async function saveNotificationSettings() {
+    const settings = {};
+    Object.entries(NOTIFICATION_INPUTS).forEach(([key, id]) => {
+        settings[key] = document.getElementById(id).checked;
+    });
+    await chrome.storage.local.set({ notificationSettings: settings });
+}
+
+// Lookback window defaults to the one used by the last run
+chrome.storage.local.get(['scrapeLookback']).then(data => {
+    if (data.scrapeLookback) document.getElementById('lookback').value = String(data.scrapeLookback);
+});
+
+// Run state that content.js could not read is archived in `stateQuarantine` (see quarantineRunState)
+chrome.storage.local.get(['stateQuarantine']).then(data => {
+    const latest = (data.stateQuarantine || [])[0];
+    if (!latest) return;
+    const notice = document.getElementById('state-notice');
+    notice.textContent = `⚠️ Unreadable run state was archived on ${new Date(latest.archivedAt).toLocaleString('en-GB')} (${latest.reason})`;
+    notice.style.display = 'block';
+});
+
+// Last portal selector check (run by content.js continueSelectorCheck)
+chrome.storage.local.get(['selectorHealth']).then(data => {
+    const health = data.selectorHealth;
+    const hint = document.getElementById('selector-health');
+    if (!health) {
+        hint.textContent = 'Portal selectors not checked yet';
+    } else if (health.running) {
+        hint.textContent = 'Portal selector check in progress...';
+    } else {
+        const blocked = Object.keys(health.blockedPhases || {});
+        hint.textContent = blocked.length > 0
+            ? `❌ Broken or unverified pages block: ${blocked.join(', ')}`
+            : `✅ Selectors OK (checked ${new Date(health.checkedAt).toLocaleString('en-GB')})`;
+        if (blocked.length > 0) hint.style.color = '#b91c1c';
+    }
+});
+
+// ==================== START RUN ====================
+
+document.getElementById('go').addEventListener('click', async () => {
+    const period = document.getElementById('period').value.trim();
+    const periodEnd = document.getElementById('period-end').value.trim();
+    const rawInput = document.getElementById('ers').value;
+
+    const lines = rawInput.split(/[\n,\s]+/).map(e => e.trim()).filter(e => e.length > 0);
+
+    const { validErs, invalidErs } = partitionErs(lines);
+
     if (invalidErs.length > 0) {
         const proceed = confirm(`Found ${invalidErs.length} invalid ER(s):\n[${invalidErs.slice(0, 5).join(', ')}${invalidErs.length > 5 ? '...' : ''}]\n\nProceed with ${validErs.length} valid number(s)?`);
         if (!proceed) return;
@@ -30,35 +386,110 @@ document.getElementById('go').addEventListener('click', async () => {
         return;
     }
 
-    const year = parseInt(period.substring(0, 4));
-    const month = parseInt(period.substring(4, 6));
-    if (month < 1 || month > 12 || year < 2000 || year > 2100) {
+    if (!isValidPeriod(period)) {
         alert("Invalid period values.");
         return;
     }
 
+    // Optional end month turns the run into a backfill over every period in the range
+    let backfillPeriods = null;
+    if (periodEnd.length > 0) {
+        if (!isValidPeriod(periodEnd) || parseInt(periodEnd) < parseInt(period)) {
+            alert("End period must be a valid YYYYMM on or after the target period.");
+            return;
+        }
+        backfillPeriods = expandPeriodRange(period, periodEnd);
+        if (backfillPeriods.length > MAX_BACKFILL_PERIODS) {
+            alert(`Backfill range is limited to ${MAX_BACKFILL_PERIODS} periods.`);
+            return;
+        }
+        if (backfillPeriods.length === 1) backfillPeriods = null;
+    }
+
+    // Only keep hints for ERs that are actually queued
+    const erHints = {};
+    validErs.forEach(er => {
+        if (importedHints[er]) erHints[er] = importedHints[er];
+    });
+
+    // Runs started from a portfolio report their outcome back to it (see content.js updatePortfolioLastRun)
+    const activePortfolioId = document.getElementById('portfolio-select').value || null;
+    const scrapeLookback = parseInt(document.getElementById('lookback').value) || 2;
+
+    // Phases whose portal pages failed the last selector check don't start
+    const { selectorHealth } = await chrome.storage.local.get(['selectorHealth']);
+    const brokenSelectors = selectorHealth?.blockedPhases?.SCRAPING;
+    if (brokenSelectors?.length) {
+        alert(`Cannot start scraping: the last portal check found selectors that no longer match:\n\n${brokenSelectors.join('\n')}\n\nOverride them on the options page (or update the extension), then run the check again.`);
+        return;
+    }
+
     chrome.tabs.query({active: true, currentWindow: true}, async (tabs) => {
         const tab = tabs[0];
         if (!tab) return;
 
         // Store automation tab ID so only this tab runs scraping/capture/validation
         await chrome.storage.local.set({
+            schemaVersion: SCHEMA_VERSION,
             phase: 'SCRAPING',
             targetPeriod: period,
             erQueue: validErs,
+            erHints: erHints,
             currentER: validErs[0],
-            scrapedResults: [],
+            employers: {},
             captureQueue: [],
             currentCaptureIndex: 0,
-            capturedErs: [],
-            failedErs: [],
+            validationQueue: [],
+            wageEditQueue: [],
             retryCount: 0,
+            machineState: null,
+            runId: `run-${Date.now().toString(36)}`,
             startTime: Date.now(),
+            phaseTimings: { SCRAPING: { startedAt: Date.now() } },
             totalERs: validErs.length,
             originalErCount: validErs.length, // For progress bar calculation
+            scrapeLookback: scrapeLookback,
+            backfillPeriods: backfillPeriods, // null for a single-period run
+            backfillIndex: 0,
+            backfillErs: backfillPeriods ? validErs : [],
+            backfillCarry: {},
+            periodResults: {},
+            activePortfolioId: activePortfolioId,
             automationTabId: tab.id
         });
 
-        chrome.tabs.update(tab.id, { url: "https://app.issas.ssnit.org.gh/contributions/view_crs/report" });
+        chrome.tabs.update(tab.id, { url: `${PORTAL_ORIGIN}/contributions/view_crs/report` });
     });
 });
+
+document.getElementById('check-selectors').addEventListener('click', async (event) => {
+    event.preventDefault();
+    const { phase } = await chrome.storage.local.get(['phase']);
+    if (phase && !['IDLE', 'COMPLETE'].includes(phase)) {
+        alert(`Automation is running (${phase}). Stop it before checking the portal.`);
+        return;
+    }
+
+    chrome.tabs.query({active: true, currentWindow: true}, async (tabs) => {
+        const tab = tabs[0];
+        if (!tab) return;
+
+        // The check walks the portal pages in this tab, starting from the CR report
+        await chrome.storage.local.set({
+            selectorHealth: { running: true, startedAt: Date.now() },
+            automationTabId: tab.id
+        });
+        chrome.tabs.update(tab.id, { url: `${PORTAL_ORIGIN}/contributions/view_crs/report` });
+        window.close();
+    });
+});
+
+document.getElementById('open-options').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+});
+
+document.getElementById('open-history').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+});
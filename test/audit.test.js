@@ -0,0 +1,52 @@
+/**
+ * Audit journal: serialized appends and export-then-trim retention
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPortalPage } = require('./harness');
+
+test('entries recorded at the same time are all kept, in order', async () => {
+    const page = loadPortalPage('receive-capture', { storage: { runId: 'run-1' } });
+    try {
+        await page.run(`Promise.all([
+            recordAudit('capture_submit', { er: '201304729', period: '202503', outcome: 'submitted' }),
+            recordAudit('capture_result', { er: '201304729', period: '202503', outcome: 'captured' }),
+            recordAudit('capture_submit', { er: '201405830', period: '202503', outcome: 'submitted' })
+        ])`);
+
+        const journal = page.get('auditJournal');
+        assert.deepStrictEqual(journal.map(entry => [entry.seq, entry.action, entry.er]), [
+            [1, 'capture_submit', '201304729'],
+            [2, 'capture_result', '201304729'],
+            [3, 'capture_submit', '201405830']
+        ]);
+        assert.strictEqual(journal[0].runId, 'run-1');
+    } finally {
+        page.close();
+    }
+});
+
+test('a full journal exports its oldest entries before dropping them', async () => {
+    const max = 3000;
+    const batch = 1000;
+    const full = Array.from({ length: max }, (_, i) => ({ seq: i + 1, action: 'capture_submit', er: '201304729', outcome: 'submitted' }));
+    const page = loadPortalPage('receive-capture', { storage: { auditJournal: full } });
+    try {
+        assert.deepStrictEqual([page.run('AUDIT_JOURNAL_MAX'), page.run('AUDIT_EXPORT_BATCH')], [max, batch]);
+        const downloads = [];
+        page.window.downloadFile = (content, filename) => downloads.push({ filename, entries: JSON.parse(content) });
+
+        await page.run(`recordAudit('capture_result', { er: '201304729', period: '202503', outcome: 'captured' })`);
+
+        assert.strictEqual(downloads.length, 1);
+        assert.strictEqual(downloads[0].filename, `ssnit-audit-1-${batch}.json`);
+        assert.deepStrictEqual(downloads[0].entries.map(entry => entry.seq), full.slice(0, batch).map(entry => entry.seq));
+
+        const journal = page.get('auditJournal');
+        assert.strictEqual(journal.length, max + 1 - batch);
+        assert.strictEqual(journal[0].seq, batch + 1);
+        assert.strictEqual(journal[journal.length - 1].seq, max + 1);
+    } finally {
+        page.close();
+    }
+});
@@ -0,0 +1,97 @@
+/**
+ * Capture: the employer page and the response modals
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPortalPage, makeEmployer } = require('./harness');
+
+function captureState(page, er) {
+    const employer = makeEmployer(page, { er });
+    // Capture values are frozen when the phase starts
+    const employers = JSON.parse(page.run(`(() => {
+        const employers = ${JSON.stringify({ [employer.id]: employer })};
+        freezeCaptureValues(employers, ${JSON.stringify([employer.id])}, 'p1');
+        return JSON.stringify(employers);
+    })()`));
+    return {
+        phase: 'CAPTURE',
+        targetPeriod: '202503',
+        employers,
+        captureQueue: [employer.id, 'second'],
+        currentCaptureIndex: 0
+    };
+}
+
+test('enter_employer types the ER and continues to the capture form', async () => {
+    const page = loadPortalPage('receive-employer');
+    try {
+        await page.set(captureState(page, '201304729'));
+        const machine = await page.step('CAPTURE');
+
+        assert.strictEqual(machine.state, 'fill_form');
+        assert.strictEqual(page.document.querySelector('input[placeholder="Enter ER Number"]').value, '201304729');
+    } finally {
+        page.close();
+    }
+});
+
+for (const [modal, status] of [['receipt', 'captured'], ['success', 'captured'], ['error', 'already_captured']]) {
+    test(`${modal} modal records the ER as ${status}`, async () => {
+        const page = loadPortalPage('receive-capture');
+        try {
+            const state = captureState(page, '201304729');
+            await page.set(state);
+            page.showModal(modal);
+
+            assert.strictEqual(await page.run(`(async () => handleCaptureModals({ data: await safeGet(null) }))()`), true);
+            assert.strictEqual(page.get('employers')[state.captureQueue[0]].captureStatus, status);
+            assert.strictEqual(page.get('currentCaptureIndex'), 1);
+        } finally {
+            page.close();
+        }
+    });
+}
+
+test('an unknown modal pauses for the user', async () => {
+    const page = loadPortalPage('receive-capture');
+    try {
+        await page.set(captureState(page, '201304729'));
+        page.showModal('unknown');
+
+        await page.run(`(async () => handleCaptureModals({ data: await safeGet(null) }))()`);
+        assert.strictEqual(page.get('isPaused'), true);
+        assert.strictEqual(page.get('interventionRequired'), true);
+        assert.match(page.get('interventionMessage'), /Scheduled maintenance/);
+    } finally {
+        page.close();
+    }
+});
+
+test('an edited row keeps the scraped P1 and stores the override separately', async () => {
+    const page = loadPortalPage('receive-employer');
+    try {
+        const employer = makeEmployer(page, { er: '201304729' });
+        await page.set({ phase: 'IDLE', targetPeriod: '202503', employers: { [employer.id]: employer } });
+        await page.run('createDashboard()');
+        await page.run('updateDashboardUI()');
+
+        await page.run(`editScrapedRecord(${JSON.stringify(employer.id)})`);
+        page.document.querySelector('.edit-lf').value = '14';
+        page.document.querySelector('.edit-amt').value = '5000';
+        await page.run(`saveScrapedRecord(${JSON.stringify(employer.id)})`);
+
+        const saved = page.get('employers')[employer.id];
+        assert.deepStrictEqual(saved.p1Records.map(r => [r.period, r.lf, r.amt]), [['FEB 2025', 12, 4560]]);
+        assert.strictEqual(saved.override.origin, 'edit');
+        assert.deepStrictEqual({ ...page.run(`resolveCaptureValues(${JSON.stringify(saved)})`) }, { lf: 14, amt: 5000, source: 'custom' });
+
+        // Typing the scraped values back drops the override
+        await page.run(`editScrapedRecord(${JSON.stringify(employer.id)})`);
+        page.document.querySelector('.edit-lf').value = '12';
+        page.document.querySelector('.edit-amt').value = '4560';
+        await page.run(`saveScrapedRecord(${JSON.stringify(employer.id)})`);
+        assert.strictEqual(page.get('employers')[employer.id].override, null);
+    } finally {
+        page.close();
+    }
+});
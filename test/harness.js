@@ -0,0 +1,341 @@
+/**
+ * SSNIT Automator - Offline test harness
+ * Runs descriptors.js + content.js inside jsdom against HTML fixtures of the portal pages
+ * (test/fixtures), with chrome.storage / chrome.runtime replaced by in-memory stubs.
+ * background.js runs against the same stubs (loadBackground).
+ *
+ * The fixtures are hand-built from the markup content.js relies on; when the portal changes,
+ * save the new page over the fixture and the selector test shows what broke.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+const PORTAL_ORIGIN = 'https://app.issas.ssnit.org.gh';
+
+// Where each page fixture lives on the portal - content.js detects pages by URL
+const FIXTURE_URLS = {
+    'view-crs-report': '/contributions/view_crs/report',
+    'receive-employer': '/contributions/receive/employer',
+    'receive-capture': '/contributions/receive/capture',
+    'view-crs-unprocessed': '/contributions/view_crs/unprocessed',
+    'data-entry': '/contributions/data-entry/1001',
+    'edit-private': '/contributions/receive/edit-private/1001',
+    'login': '/login'
+};
+
+// Fixture for every PAGE_DESCRIPTORS entry
+const PAGE_FIXTURES = {
+    viewCrsReport: 'view-crs-report',
+    receiveEmployer: 'receive-employer',
+    receiveCapture: 'receive-capture',
+    viewCrsUnprocessed: 'view-crs-unprocessed',
+    dataEntry: 'data-entry',
+    editPrivate: 'edit-private'
+};
+
+const clone = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, `${name}.html`), 'utf8');
+}
+
+/**
+ * In-memory chrome.storage.local / chrome.runtime, callback and promise styles
+ * @param {Object} initial - Starting storage contents
+ */
+function createChromeStub(initial = {}) {
+    const store = clone(initial);
+    const listeners = [];
+    const messages = [];
+
+    const pick = keys => {
+        if (keys === null || keys === undefined) return clone(store);
+        const result = {};
+        const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+        const list = typeof keys === 'string' ? [keys] : (Array.isArray(keys) ? keys : Object.keys(keys));
+        list.forEach(key => {
+            if (key in store) result[key] = clone(store[key]);
+            else if (key in defaults) result[key] = clone(defaults[key]);
+        });
+        return result;
+    };
+
+    const notify = changes => {
+        if (Object.keys(changes).length > 0) listeners.forEach(fn => fn(changes, 'local'));
+    };
+
+    const respond = (result, callback) => {
+        if (callback) {
+            setTimeout(() => callback(result), 0);
+            return undefined;
+        }
+        return Promise.resolve(result);
+    };
+
+    const local = {
+        get: (keys, callback) => respond(pick(keys), callback),
+        set: (items, callback) => {
+            const changes = {};
+            Object.entries(clone(items)).forEach(([key, value]) => {
+                changes[key] = { oldValue: store[key], newValue: clone(value) };
+                store[key] = value;
+            });
+            notify(changes);
+            return respond(undefined, callback);
+        },
+        remove: (keys, callback) => {
+            const changes = {};
+            [].concat(keys).forEach(key => {
+                if (key in store) changes[key] = { oldValue: store[key] };
+                delete store[key];
+            });
+            notify(changes);
+            return respond(undefined, callback);
+        }
+    };
+
+    const chrome = {
+        storage: { local, onChanged: { addListener: fn => listeners.push(fn) } },
+        runtime: {
+            id: 'test-extension',
+            lastError: null,
+            // Background replies: this tab is always the automation tab
+            sendMessage: (message, callback) => {
+                messages.push(message);
+                const reply = {
+                    isAutomationTab: { isAutomationTab: true },
+                    registerAutomationTab: { ok: true, tabId: 1 },
+                    getMyTabId: { tabId: 1 }
+                }[message?.type];
+                return respond(reply, callback);
+            },
+            onMessage: { addListener: () => {} },
+            getURL: file => `chrome-extension://test-extension/${file}`
+        }
+    };
+
+    return { chrome, store, messages };
+}
+
+/**
+ * jsdom has no layout: give elements the innerText/offsetParent behaviour content.js expects
+ */
+function installLayoutShims(window) {
+    const proto = window.HTMLElement.prototype;
+
+    Object.defineProperty(proto, 'innerText', {
+        configurable: true,
+        get() {
+            return (this.textContent || '').replace(/[ \t\r\n]+/g, ' ').trim();
+        },
+        set(value) {
+            this.textContent = value;
+        }
+    });
+
+    // Hidden (display: none / [hidden]) elements and their descendants have no offsetParent
+    Object.defineProperty(proto, 'offsetParent', {
+        configurable: true,
+        get() {
+            for (let el = this; el; el = el.parentElement) {
+                if (el.hidden || window.getComputedStyle(el).display === 'none') return null;
+            }
+            return this.parentElement || null;
+        }
+    });
+}
+
+/**
+ * Load a fixture page with content.js running in it
+ * @param {string} fixture - Name in test/fixtures (without .html)
+ * @param {Object} options
+ * @param {Object} options.storage - Initial chrome.storage.local contents
+ * @param {boolean} options.autoStart - Let content.js run runAutomation on DOMContentLoaded
+ * @returns {Object} Page handle: window, document, storage, logs, alerts, run(), step(), showModal(), close()
+ */
+function loadPortalPage(fixture, options = {}) {
+    return openPage(readFixture(fixture), PORTAL_ORIGIN + (FIXTURE_URLS[fixture] || '/'), options);
+}
+
+/**
+ * Load a page snapshot saved in the field (dashboard 📸 button / Run History download) with
+ * content.js running in it and the run state it was taken with
+ * @param {Object|string} snapshot - The snapshot, or the path of its JSON file
+ * @param {Object} options - As loadPortalPage; options.storage is applied over the snapshot's state
+ * @returns {Object} Page handle, as loadPortalPage
+ */
+function loadSnapshotPage(snapshot, { storage = {}, ...options } = {}) {
+    const bundle = typeof snapshot === 'string' ? JSON.parse(fs.readFileSync(snapshot, 'utf8')) : snapshot;
+    if (bundle?.format !== 'ssnit-dom-snapshot') throw new Error('Not a page snapshot (format should be ssnit-dom-snapshot)');
+    return openPage(bundle.html, bundle.url, { ...options, storage: { ...clone(bundle.state), ...storage } });
+}
+
+function openPage(html, url, { storage = {}, autoStart = false } = {}) {
+    const logs = [];
+    const alerts = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('log', (...args) => logs.push(args.map(String).join(' ').replace(/^%c/, '')));
+    // Navigation and reload are not implemented in jsdom - content.js assigning location.href is expected
+
+    const dom = new JSDOM(html, {
+        url: url,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const { window } = dom;
+    const stub = createChromeStub(storage);
+
+    window.chrome = stub.chrome;
+    window.alert = message => alerts.push(String(message));
+    window.confirm = () => true;
+    installLayoutShims(window);
+
+    // content.js starts itself on DOMContentLoaded; hold that back unless asked for
+    if (!autoStart) {
+        window.document.addEventListener('DOMContentLoaded', event => event.stopImmediatePropagation(), true);
+    }
+
+    // Classic scripts, as Chrome injects them: top-level const/let are shared between files
+    const context = dom.getInternalVMContext();
+    const runScript = (source, filename) => new vm.Script(source, { filename }).runInContext(context);
+    ['descriptors.js', 'content.js'].forEach(file => {
+        runScript(fs.readFileSync(path.join(ROOT, file), 'utf8'), path.join(ROOT, file));
+    });
+
+    const page = {
+        window,
+        document: window.document,
+        storage: stub.store,
+        messages: stub.messages,
+        logs,
+        alerts,
+
+        /** Evaluate an expression in the content script's global scope */
+        run: source => runScript(source, 'test-expression'),
+
+        /** Current storage value(s), copied */
+        get: key => clone(stub.store[key]),
+
+        /** Write storage the way content.js would see it */
+        set: items => stub.chrome.storage.local.set(items),
+
+        /**
+         * Run PhaseEngine ticks for a phase, as the engine's timer would
+         * @returns {Promise<Object>} machineState after the last tick
+         */
+        async step(phase, times = 1) {
+            const engine = page.run('PhaseEngine');
+            for (let i = 0; i < times; i++) {
+                engine.phase = phase;
+                await engine.step();
+            }
+            engine.stop();
+            return clone(stub.store.machineState);
+        },
+
+        /** Append a modal fixture (modal-<type>.html) to the page */
+        showModal(type) {
+            const holder = window.document.createElement('div');
+            holder.innerHTML = readFixture(`modal-${type}`);
+            window.document.body.appendChild(holder);
+            return holder.firstElementChild;
+        },
+
+        close() {
+            page.run('PhaseEngine').stop();
+            window.close();
+        }
+    };
+
+    return page;
+}
+
+/**
+ * Load background.js with the storage stub plus recording chrome.notifications / tabs / windows
+ * @param {Object} options
+ * @param {Object} options.storage - Initial chrome.storage.local contents
+ * @returns {Object} Handle: chrome, storage, notifications (created), focused (tab/window updates), set(), settle()
+ */
+function loadBackground({ storage = {} } = {}) {
+    const stub = createChromeStub(storage);
+    const notifications = [];
+    const focused = [];
+    const clickListeners = [];
+
+    Object.assign(stub.chrome, {
+        notifications: {
+            create: (id, options) => notifications.push({ id, ...options }),
+            clear: () => {},
+            onClicked: { addListener: fn => clickListeners.push(fn) }
+        },
+        tabs: {
+            update: (tabId, props, callback) => {
+                focused.push({ tabId, ...props });
+                setTimeout(() => callback?.({ id: tabId, windowId: 7 }), 0);
+            }
+        },
+        windows: {
+            update: (windowId, props) => focused.push({ windowId, ...props })
+        }
+    });
+
+    const context = vm.createContext({ chrome: stub.chrome, console, setTimeout });
+    const file = path.join(ROOT, 'background.js');
+    new vm.Script(fs.readFileSync(file, 'utf8'), { filename: file }).runInContext(context);
+
+    return {
+        chrome: stub.chrome,
+        storage: stub.store,
+        notifications,
+        focused,
+
+        set: items => stub.chrome.storage.local.set(items),
+
+        click: id => clickListeners.forEach(fn => fn(id)),
+
+        /** Let the async storage listeners run */
+        settle: () => new Promise(resolve => setTimeout(resolve, 20))
+    };
+}
+
+/**
+ * Employer record as scraping leaves it: a NORMAL P1 CR ready to capture
+ */
+function makeEmployer(page, { er, name = 'TEST EMPLOYER', period = '202503', lf = 12, amt = 4560 } = {}) {
+    const record = page.run(`createUnifiedEmployer(${JSON.stringify(er)}, ${JSON.stringify(name)}, ${JSON.stringify(period)},
+        [{ period: 'FEB 2025', type: 'NORMAL', kind: 'normal', lf: ${lf}, amt: ${amt} }])`);
+    return clone(record);
+}
+
+/**
+ * Run state with the validation phase at the start of a queue of fresh employers
+ * @param {string[]} ers - ER numbers, in queue order
+ */
+function makeValidationState(page, ers) {
+    const employers = ers.map(er => makeEmployer(page, { er }));
+    return {
+        phase: 'VALIDATION',
+        targetPeriod: '202503',
+        employers: Object.fromEntries(employers.map(employer => [employer.id, employer])),
+        validationQueue: employers.map(employer => employer.id),
+        currentValidationIndex: 0
+    };
+}
+
+module.exports = {
+    FIXTURE_URLS,
+    PAGE_FIXTURES,
+    createChromeStub,
+    loadBackground,
+    loadPortalPage,
+    loadSnapshotPage,
+    makeEmployer,
+    makeValidationState,
+    readFixture
+};
@@ -0,0 +1,92 @@
+/**
+ * Persistent log: entries stamped with the phase and ER, the capped buffer and the dashboard Logs tab
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPortalPage, makeValidationState } = require('./harness');
+
+test('log entries carry the running phase and the ER being worked on', async () => {
+    const page = loadPortalPage('view-crs-unprocessed');
+    try {
+        await page.set(makeValidationState(page, ['201304729']));
+        await page.step('VALIDATION');
+        await page.run('flushLogEntries()');
+
+        const entries = page.get('logEntries');
+        const transition = entries.find(entry => entry.msg.startsWith('[VALIDATION] find_cr →'));
+        assert.ok(transition, 'the state transition is logged');
+        assert.strictEqual(transition.level, 'info');
+        assert.strictEqual(transition.phase, 'VALIDATION');
+        assert.strictEqual(transition.er, '201304729');
+        assert.strictEqual(typeof transition.at, 'number');
+    } finally {
+        page.close();
+    }
+});
+
+test('the buffer keeps only the newest entries', async () => {
+    const max = 1500;
+    const old = Array.from({ length: max }, (_, i) => ({ at: i, level: 'info', phase: null, er: null, msg: `old ${i}` }));
+    const page = loadPortalPage('view-crs-report', { storage: { logEntries: old } });
+    try {
+        assert.strictEqual(page.run('LOG_ENTRIES_MAX'), max);
+        page.run(`log('first new line', 'warn'); log('second new line', 'error')`);
+        await page.run('flushLogEntries()');
+
+        const entries = page.get('logEntries');
+        assert.strictEqual(entries.length, max);
+        assert.strictEqual(entries[0].msg, 'old 2');
+        assert.deepStrictEqual(entries.slice(-2).map(entry => entry.level), ['warn', 'error']);
+    } finally {
+        page.close();
+    }
+});
+
+test('only the automation tab writes the stored log', async () => {
+    const stored = [{ at: 1, level: 'info', phase: 'CAPTURE', er: null, msg: 'from the automation tab' }];
+    const page = loadPortalPage('view-crs-report', { storage: { logEntries: stored } });
+    try {
+        await page.run('flushLogEntries()');
+        page.window.isAutomationTab = async () => false;
+        await page.set({ automationTabId: 2 });
+        page.run(`log('from another portal tab')`);
+        await page.run('flushLogEntries()');
+
+        const messages = page.get('logEntries').map(entry => entry.msg);
+        assert.ok(messages.includes('from the automation tab'));
+        assert.ok(!messages.includes('from another portal tab'));
+        assert.strictEqual(page.run('pendingLogEntries.length'), 0);
+    } finally {
+        page.close();
+    }
+});
+
+test('the Logs tab filters by level, phase, ER and text', async () => {
+    const entries = [
+        { at: 1, level: 'info', phase: 'CAPTURE', er: '201304729', msg: 'Filling capture form' },
+        { at: 2, level: 'error', phase: 'CAPTURE', er: '201405830', msg: 'Submit failed' },
+        { at: 3, level: 'warn', phase: 'VALIDATION', er: '201405830', msg: 'Submit disabled after import' },
+        { at: 4, level: 'info', phase: null, er: null, msg: 'Dashboard opened' }
+    ];
+    const page = loadPortalPage('view-crs-report', { storage: { logEntries: entries, phase: 'CAPTURE' } });
+    try {
+        const filter = filters => Array.from(page.run(`filterLogEntries(${JSON.stringify(entries)}, ${JSON.stringify(filters)})`), entry => entry.at);
+        assert.deepStrictEqual(filter({ level: 'error' }), [2]);
+        assert.deepStrictEqual(filter({ phase: 'CAPTURE' }), [1, 2]);
+        assert.deepStrictEqual(filter({ phase: 'none' }), [4]);
+        assert.deepStrictEqual(filter({ er: '2014' }), [2, 3]);
+        assert.deepStrictEqual(filter({ search: 'SUBMIT', phase: 'VALIDATION' }), [3]);
+
+        page.run('createDashboard(); switchDashboardTab("logs")');
+        const doc = page.document;
+        doc.getElementById('log-er').value = '201405830';
+        await page.run('renderLogView()');
+
+        const rows = Array.from(doc.querySelectorAll('#logs-body tbody tr'));
+        assert.deepStrictEqual(rows.map(row => row.querySelector('.log-message').textContent), ['Submit disabled after import', 'Submit failed']);
+        assert.strictEqual(rows[1].className, 'log-error');
+        assert.strictEqual(doc.getElementById('dash-logs').style.display, 'flex');
+    } finally {
+        page.close();
+    }
+});
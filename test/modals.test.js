@@ -0,0 +1,68 @@
+/**
+ * Response modals: both detectors classify every modal fixture the same way
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPortalPage } = require('./harness');
+
+// Capture has no consent step - its detector falls back to the modal's Yes (.btn-success) button
+const EXPECTED = {
+    consent: { detectModal: 'consent', detectModalState: 'success' },
+    receipt: { detectModal: 'receipt', detectModalState: 'receipt' },
+    error: { detectModal: 'error', detectModalState: 'error' },
+    success: { detectModal: 'success', detectModalState: 'success' },
+    unknown: { detectModal: 'unknown', detectModalState: 'unknown' }
+};
+
+for (const [modal, expected] of Object.entries(EXPECTED)) {
+    test(`${modal} modal is classified`, () => {
+        const page = loadPortalPage('data-entry');
+        try {
+            page.showModal(modal);
+            assert.strictEqual(page.run('PageOps.detectModal().type'), expected.detectModal);
+            assert.strictEqual(page.run('detectModalState().type'), expected.detectModalState);
+        } finally {
+            page.close();
+        }
+    });
+}
+
+test('the error modal carries the portal message', () => {
+    const page = loadPortalPage('receive-capture');
+    try {
+        page.showModal('error');
+        assert.match(page.run('PageOps.detectModal().message'), /already exists/);
+    } finally {
+        page.close();
+    }
+});
+
+test('no modal on the page', () => {
+    const page = loadPortalPage('receive-capture');
+    try {
+        assert.strictEqual(page.run('PageOps.detectModal().type'), null);
+        assert.strictEqual(page.run('detectModalState().type'), null);
+    } finally {
+        page.close();
+    }
+});
+
+test('a hidden modal is ignored', () => {
+    const page = loadPortalPage('receive-capture');
+    try {
+        page.showModal('error').style.display = 'none';
+        assert.strictEqual(page.run('PageOps.detectModal().type'), null);
+    } finally {
+        page.close();
+    }
+});
+
+test('the open import dialog is not mistaken for an unknown modal', () => {
+    const page = loadPortalPage('data-entry');
+    try {
+        page.document.querySelector('.custom-alert-container').style.display = '';
+        assert.strictEqual(page.run('PageOps.detectModal().type'), null);
+    } finally {
+        page.close();
+    }
+});
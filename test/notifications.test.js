@@ -0,0 +1,50 @@
+/**
+ * Desktop notifications raised by background.js from run state changes
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBackground } = require('./harness');
+
+test('an intervention raises a notification that stays up until dealt with', async () => {
+    const bg = loadBackground({ storage: { phase: 'CAPTURE' } });
+    await bg.set({ isPaused: true, interventionRequired: true, interventionMessage: 'Unknown modal: Scheduled maintenance' });
+    await bg.settle();
+
+    assert.strictEqual(bg.notifications.length, 1);
+    assert.match(bg.notifications[0].title, /CAPTURE paused/);
+    assert.strictEqual(bg.notifications[0].message, 'Unknown modal: Scheduled maintenance');
+    assert.strictEqual(bg.notifications[0].requireInteraction, true);
+
+    // Still set on the next write - not a new intervention
+    await bg.set({ interventionRequired: true });
+    await bg.settle();
+    assert.strictEqual(bg.notifications.length, 1);
+});
+
+test('an expired session and a finished phase are notified once each', async () => {
+    const bg = loadBackground({ storage: { targetPeriod: '202503', phaseTimings: { SCRAPING: { startedAt: 1 } } } });
+    await bg.set({ loginPending: true });
+    await bg.set({ phaseTimings: { SCRAPING: { startedAt: 1, endedAt: 2 } } });
+    await bg.set({ phaseTimings: { SCRAPING: { startedAt: 1, endedAt: 2 }, CAPTURE: { startedAt: 3 } } });
+    await bg.settle();
+
+    assert.deepStrictEqual(bg.notifications.map(n => n.title), ['🔒 Portal session expired', '✅ Scraping finished (202503)']);
+});
+
+test('switched-off events are not notified', async () => {
+    const bg = loadBackground({ storage: { notificationSettings: { intervention: false, loginExpired: true, phaseComplete: false } } });
+    await bg.set({ interventionRequired: true, interventionMessage: 'Submit disabled' });
+    await bg.set({ phaseTimings: { VALIDATION: { startedAt: 1, endedAt: 2 } } });
+    await bg.set({ loginPending: true });
+    await bg.settle();
+
+    assert.deepStrictEqual(bg.notifications.map(n => n.title), ['🔒 Portal session expired']);
+});
+
+test('clicking a notification focuses the automation tab and its window', async () => {
+    const bg = loadBackground({ storage: { automationTabId: 42 } });
+    bg.click('ssnit-intervention-1');
+    await bg.settle();
+
+    assert.deepStrictEqual(bg.focused, [{ tabId: 42, active: true }, { windowId: 7, focused: true }]);
+});
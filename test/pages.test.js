@@ -0,0 +1,82 @@
+/**
+ * Every page fixture is recognised by URL and satisfies every descriptor selector
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { PAGE_FIXTURES, loadPortalPage } = require('./harness');
+
+for (const [pageName, fixture] of Object.entries(PAGE_FIXTURES)) {
+    test(`${fixture}: detected as ${pageName} with every selector resolving`, async () => {
+        const page = loadPortalPage(fixture);
+        try {
+            assert.strictEqual(page.run('PageOps.detectPage()?.name'), pageName);
+
+            const result = await page.run(`checkPageSelectors(${JSON.stringify(pageName)})`);
+            assert.deepStrictEqual([...result.missing], [], `missing on ${fixture}: ${result.missing.join(', ')}`);
+            assert.notStrictEqual(result.status, 'broken');
+        } finally {
+            page.close();
+        }
+    });
+}
+
+test('login fixture is detected as the login page', () => {
+    const page = loadPortalPage('login');
+    try {
+        assert.strictEqual(page.run('isLoginPage()'), true);
+        assert.strictEqual(page.run('PageOps.detectPage()'), null);
+    } finally {
+        page.close();
+    }
+});
+
+test('a login page during a phase pauses it with loginPending', async () => {
+    const page = loadPortalPage('login', { storage: { phase: 'SCRAPING', erQueue: ['201304729'], currentER: '201304729', employers: {} } });
+    try {
+        await page.step('SCRAPING');
+        assert.strictEqual(page.get('loginPending'), true);
+    } finally {
+        page.close();
+    }
+});
+
+test('a descriptor override is merged over the built-in selectors', async () => {
+    const page = loadPortalPage('view-crs-report', { storage: { descriptorOverrides: { viewCrsReport: { erColumn: 3, table: 'table.table-bordered' } } } });
+    try {
+        await page.run('PageOps.loadDescriptorOverrides()');
+        assert.strictEqual(page.run('PAGE_DESCRIPTORS.viewCrsReport.erColumn'), 3);
+        assert.strictEqual(page.run('PAGE_DESCRIPTORS.viewCrsReport.table'), 'table.table-bordered');
+        assert.strictEqual(page.run('PAGE_DESCRIPTORS.viewCrsReport.amtColumn'), 10);
+    } finally {
+        page.close();
+    }
+});
+
+test('the selector check opens the capture form with an ER from the run', async () => {
+    const page = loadPortalPage('receive-capture');
+    try {
+        // Resumed on the form the employer page continued to
+        const health = { running: true, queue: ['receiveCapture'], pages: {}, links: {}, visiting: 'receiveCapture', er: '201304729' };
+        await page.set({ selectorHealth: health });
+        await page.run(`continueSelectorCheck(${JSON.stringify(health)})`);
+
+        const result = page.get('selectorHealth');
+        assert.strictEqual(result.pages.receiveCapture.status, 'ok');
+        assert.deepStrictEqual(result.blockedPhases, {});
+    } finally {
+        page.close();
+    }
+});
+
+test('without a known ER the capture form is unverified and blocks capture', async () => {
+    const page = loadPortalPage('receive-employer');
+    try {
+        await page.run('continueSelectorCheck({ running: true, queue: ["receiveCapture"], pages: {}, links: {}, visiting: null, er: null })');
+
+        const result = page.get('selectorHealth');
+        assert.strictEqual(result.pages.receiveCapture.status, 'unverified');
+        assert.deepStrictEqual(result.blockedPhases, { CAPTURE: ['receiveCapture (not verified)'] });
+    } finally {
+        page.close();
+    }
+});
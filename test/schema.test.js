@@ -0,0 +1,26 @@
+/**
+ * Storage schema: unreadable run state is archived aside
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPortalPage } = require('./harness');
+
+test('quarantined copies are dropped oldest-first once the archive is too large', async () => {
+    const bulky = 'x'.repeat(400 * 1024);
+    const older = [2, 1].map(n => ({ archivedAt: n, fromVersion: 3, reason: `old ${n}`, state: { phase: 'CAPTURE', notes: bulky } }));
+    const page = loadPortalPage('receive-employer', {
+        storage: { schemaVersion: 99, phase: 'CAPTURE', notes: bulky, stateQuarantine: older, portfolios: { p: {} } }
+    });
+    try {
+        await page.run('ensureStateSchema()');
+
+        const quarantine = page.get('stateQuarantine');
+        assert.deepStrictEqual(quarantine.map(q => q.reason), ['state written by a newer build (schema v99)', 'old 2']);
+        assert.strictEqual(quarantine[0].state.notes, bulky);
+        assert.strictEqual(page.get('phase'), 'IDLE');
+        assert.strictEqual(page.get('notes'), undefined);
+        assert.deepStrictEqual(page.get('portfolios'), { p: {} });
+    } finally {
+        page.close();
+    }
+});
@@ -0,0 +1,116 @@
+/**
+ * Scraping on the CR report page
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPortalPage } = require('./harness');
+
+const SCRAPE_STATE = {
+    phase: 'SCRAPING',
+    targetPeriod: '202503',
+    currentER: '201304729',
+    erQueue: ['201304729', '201405830'],
+    employers: {},
+    scrapeLookback: 2
+};
+
+test('the report table becomes an employer record and the queue moves on', async () => {
+    const page = loadPortalPage('view-crs-report', { storage: SCRAPE_STATE });
+    try {
+        await page.run('extractDataFromTable()');
+
+        const employers = Object.values(page.get('employers'));
+        assert.strictEqual(employers.length, 1);
+        const [employer] = employers;
+        assert.strictEqual(employer.er, '201304729');
+        assert.deepStrictEqual(employer.p1Records.map(r => [r.period, r.type, r.lf, r.amt]), [['FEB 2025', 'NORMAL', 12, 4560]]);
+        assert.deepStrictEqual(employer.p2Records.map(r => [r.period, r.lf, r.amt]), [['JAN 2025', 12, 4500]]);
+        assert.strictEqual(employer.captureStatus, 'pending');
+        assert.strictEqual(employer.continuityError, false);
+
+        assert.strictEqual(page.get('currentER'), '201405830');
+        assert.deepStrictEqual(page.get('erQueue'), ['201405830']);
+    } finally {
+        page.close();
+    }
+});
+
+test('search moves to read once the table shows the current ER', async () => {
+    const page = loadPortalPage('view-crs-report', { storage: SCRAPE_STATE });
+    try {
+        const machine = await page.step('SCRAPING');
+        assert.strictEqual(machine.phase, 'SCRAPING');
+        assert.strictEqual(machine.state, 'read');
+    } finally {
+        page.close();
+    }
+});
+
+test('a target-period CR marks the employer as already captured', async () => {
+    const page = loadPortalPage('view-crs-report', { storage: { ...SCRAPE_STATE, targetPeriod: '202502' } });
+    try {
+        await page.run('extractDataFromTable()');
+        const [employer] = Object.values(page.get('employers'));
+        assert.strictEqual(employer.captureStatus, 'already_captured');
+    } finally {
+        page.close();
+    }
+});
+
+test('a backfill ER carries the P1 captured by this run without adding it to the scraped history', async () => {
+    const page = loadPortalPage('view-crs-report', {
+        storage: { ...SCRAPE_STATE, targetPeriod: '202504', backfillCarry: { 201304729: { lf: 13, amt: 4700, source: 'p1' } } }
+    });
+    try {
+        await page.run('extractDataFromTable()');
+        const [employer] = Object.values(page.get('employers'));
+
+        assert.deepStrictEqual(employer.p1Records, []);
+        assert.deepStrictEqual(employer.carried, { period: '202503', lf: 13, amt: 4700 });
+        assert.strictEqual(employer.continuityError, false);
+        assert.deepStrictEqual({ ...page.run(`resolveCaptureValues(${JSON.stringify(employer)})`) }, { lf: 13, amt: 4700, source: 'p1' });
+    } finally {
+        page.close();
+    }
+});
+
+test('a finished backfill period is kept and the next one starts without a prompt', async () => {
+    const backfill = { backfillPeriods: ['202503', '202504'], backfillErs: ['201304729'], employers: {}, captureQueue: [] };
+    const page = loadPortalPage('view-crs-unprocessed', { storage: { ...backfill, phase: 'COMPLETE', targetPeriod: '202503', backfillIndex: 0 } });
+    try {
+        page.window.confirm = () => { throw new Error('asked for confirmation'); };
+        await page.run('completeBackfillPeriod()');
+
+        assert.strictEqual(page.get('phase'), 'SCRAPING');
+        assert.strictEqual(page.get('targetPeriod'), '202504');
+        assert.strictEqual(page.get('backfillIndex'), 1);
+        assert.deepStrictEqual(Object.keys(page.get('periodResults')), ['202503']);
+
+        // The last period of the range gets its results too
+        await page.set({ phase: 'COMPLETE' });
+        await page.run('completeBackfillPeriod()');
+        assert.deepStrictEqual(Object.keys(page.get('periodResults')).sort(), ['202503', '202504']);
+        assert.strictEqual(page.get('targetPeriod'), '202504');
+    } finally {
+        page.close();
+    }
+});
+
+test('an unattended backfill blocked by broken selectors asks for the user instead of alerting', async () => {
+    const backfill = { backfillPeriods: ['202503', '202504'], backfillErs: ['201304729'], employers: {}, captureQueue: [] };
+    const selectorHealth = { running: false, checkedAt: Date.now(), pages: {}, blockedPhases: { SCRAPING: ['viewCrsReport.table'] } };
+    const page = loadPortalPage('view-crs-unprocessed', {
+        storage: { ...backfill, phase: 'COMPLETE', targetPeriod: '202503', backfillIndex: 0, selectorHealth }
+    });
+    try {
+        page.window.alert = () => { throw new Error('alerted'); };
+        await page.run('completeBackfillPeriod()');
+
+        assert.strictEqual(page.get('phase'), 'COMPLETE');
+        assert.strictEqual(page.get('targetPeriod'), '202503');
+        assert.strictEqual(page.get('interventionRequired'), true);
+        assert.match(page.get('interventionMessage'), /viewCrsReport\.table/);
+    } finally {
+        page.close();
+    }
+});
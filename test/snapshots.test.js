@@ -0,0 +1,96 @@
+/**
+ * Page snapshots: what a snapshot keeps and leaves out, and replaying one in the harness
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPortalPage, loadSnapshotPage, makeEmployer, makeValidationState } = require('./harness');
+
+async function waitFor(check, attempts = 50) {
+    for (let i = 0; i < attempts; i++) {
+        const value = check();
+        if (value) return value;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return null;
+}
+
+test('a snapshot keeps the page and run state but drops our UI, scripts and personal identifiers', async () => {
+    const page = loadPortalPage('data-entry');
+    try {
+        const state = makeValidationState(page, ['201304729', '201405830']);
+        await page.set(state);
+        const doc = page.document;
+        doc.getElementById('checkbox2').checked = true;
+        doc.body.insertAdjacentHTML('beforeend', `
+            <div id="ssnit-automation-container">dashboard</div>
+            <script>window.portalBoot = true;</script>
+            <input type="hidden" name="_token" value="secret-token">
+            <a href="javascript:void(0)" onclick="track()">Help: helpdesk@ssnit.org.gh</a>`);
+        page.run(`log('Opening CR for 201304729', 'info')`);
+
+        const snapshot = await page.run(`recordDomSnapshot('intervention', 'Submit disabled for ER 201304729')`);
+
+        assert.strictEqual(page.get('domSnapshots')[0].id, snapshot.id);
+        assert.strictEqual(snapshot.page, 'dataEntry');
+        assert.strictEqual(snapshot.phase, 'VALIDATION');
+        assert.deepStrictEqual(Object.keys(snapshot.state.employers), [state.validationQueue[0]]);
+        assert.ok(snapshot.logs.some(line => line.msg === 'Opening CR for 201304729'));
+
+        const html = snapshot.html;
+        assert.match(html, /201304729 - ACME TRADING LTD/);
+        assert.match(html, /C000000000000/);
+        assert.doesNotMatch(html, /C018203410012|helpdesk@ssnit|secret-token|portalBoot|ssnit-automation-container/);
+        assert.doesNotMatch(html, /onclick|javascript:/);
+        assert.match(html, /id="checkbox2"[^>]*checked/);
+    } finally {
+        page.close();
+    }
+});
+
+test('a snapshot replays in the harness as the page it was taken on', async () => {
+    const original = loadPortalPage('data-entry');
+    let snapshot;
+    try {
+        await original.set(makeValidationState(original, ['201304729']));
+        snapshot = await original.run(`recordDomSnapshot('stuck', 'No progress')`);
+    } finally {
+        original.close();
+    }
+
+    const page = loadSnapshotPage(JSON.parse(JSON.stringify(snapshot)));
+    try {
+        assert.strictEqual(page.window.location.pathname, '/contributions/data-entry/1001');
+        assert.strictEqual(page.run('PageOps.detectPage()?.name'), 'dataEntry');
+        assert.strictEqual(page.get('phase'), 'VALIDATION');
+        assert.strictEqual(page.run('checkMinimumCtb()').length, 2);
+    } finally {
+        page.close();
+    }
+});
+
+test('an intervention raised by the running phase is snapshotted once', async () => {
+    const page = loadPortalPage('receive-capture');
+    try {
+        const employer = makeEmployer(page, { er: '201304729' });
+        await page.set({
+            phase: 'CAPTURE',
+            employers: { [employer.id]: employer },
+            captureQueue: [employer.id],
+            currentCaptureIndex: 0
+        });
+        page.showModal('unknown');
+        page.run(`PhaseEngine.phase = 'CAPTURE'`);
+
+        await page.run(`(async () => handleCaptureModals({ data: await safeGet(null) }))()`);
+        const snapshots = await waitFor(() => page.get('domSnapshots'));
+
+        assert.strictEqual(snapshots.length, 1);
+        assert.strictEqual(snapshots[0].reason, 'intervention');
+        assert.match(snapshots[0].message, /Scheduled maintenance/);
+        assert.match(snapshots[0].html, /Scheduled maintenance/);
+
+        assert.strictEqual(await page.run(`recordDomSnapshot('intervention', 'again')`), null);
+    } finally {
+        page.close();
+    }
+});
@@ -0,0 +1,101 @@
+/**
+ * Validation: the unprocessed list and the data-entry page
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPortalPage, makeValidationState } = require('./harness');
+
+test('find_cr indexes the unprocessed list and opens the queued CR', async () => {
+    const page = loadPortalPage('view-crs-unprocessed');
+    try {
+        await page.set(makeValidationState(page, ['201304729']));
+        const machine = await page.step('VALIDATION');
+
+        assert.strictEqual(machine.state, 'import');
+        const index = page.get('unprocessedIndex');
+        assert.strictEqual(index.phase, 'VALIDATION');
+        assert.deepStrictEqual(Object.keys(index.entries).sort(), ['201304729', '201405830']);
+        assert.match(index.entries['201304729'].dataEntryHref, /\/data-entry\/1001$/);
+    } finally {
+        page.close();
+    }
+});
+
+test('an ER missing from the list is re-read before it is requeued', async () => {
+    const page = loadPortalPage('view-crs-unprocessed');
+    try {
+        const state = makeValidationState(page, ['209999999']);
+        await page.set(state);
+        const machine = await page.step('VALIDATION');
+
+        assert.strictEqual(machine.state, 'find_cr');
+        assert.strictEqual(page.get('unprocessedIndex'), null);
+        assert.strictEqual(page.get('employers')[state.validationQueue[0]].searchAttempted, true);
+    } finally {
+        page.close();
+    }
+});
+
+test('contributions below the minimum are reported by the CTB check', () => {
+    const page = loadPortalPage('data-entry');
+    try {
+        const issues = page.run('checkMinimumCtb()');
+        assert.strictEqual(issues.length, 2);
+        assert.deepStrictEqual(Array.from(issues, issue => issue.currentCtb), [67.5, 56.7]);
+    } finally {
+        page.close();
+    }
+});
+
+test('the validation phase completes when its last CR goes to wage edit', async () => {
+    const page = loadPortalPage('data-entry');
+    try {
+        const state = makeValidationState(page, ['201405830']);
+        const [id] = state.validationQueue;
+        const now = Date.now();
+        await page.set({
+            ...state,
+            machineState: { phase: 'VALIDATION', state: 'check_ctb', enteredAt: now, item: `0:${id}`, itemSince: now, offPageTicks: 0, pausedAt: null }
+        });
+
+        await page.step('VALIDATION');
+        assert.deepStrictEqual(page.get('validationQueue'), []);
+        assert.strictEqual(page.get('employers')[id].needsWageEdit, true);
+
+        page.run('createDashboard()'); // onComplete refreshes it
+        await page.step('VALIDATION');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.strictEqual(page.get('phase'), 'COMPLETE');
+        assert.ok(!page.logs.some(line => /Cannot read properties/.test(line)));
+    } finally {
+        page.close();
+    }
+});
+
+test('force validation over an empty unprocessed list finishes the phase through onComplete', async () => {
+    const page = loadPortalPage('view-crs-unprocessed');
+    try {
+        const now = Date.now();
+        await page.set({
+            phase: 'VALIDATION',
+            targetPeriod: '202503',
+            employers: {},
+            validationQueue: [],
+            currentValidationIndex: 0,
+            forceValidationMode: true,
+            unprocessedIndex: { phase: 'VALIDATION', entries: {} },
+            machineState: { phase: 'VALIDATION', state: 'force_scan', enteredAt: now, item: '0:', itemSince: now, offPageTicks: 0, pausedAt: null }
+        });
+
+        page.run('createDashboard()'); // onComplete refreshes it
+        await page.step('VALIDATION', 2);
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        assert.strictEqual(page.get('phase'), 'COMPLETE');
+        assert.strictEqual(page.get('forceValidationMode'), false);
+        assert.notStrictEqual(page.get('machineState').state, 'force_scan');
+        assert.strictEqual(typeof page.get('phaseTimings').VALIDATION.endedAt, 'number');
+    } finally {
+        page.close();
+    }
+});
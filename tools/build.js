@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * SSNIT Automator - Build
+ * Copies the extension into dist/ for loading unpacked. With --portal=<origin> the build is
+ * pointed at another portal (e.g. the mock portal): PORTAL_ORIGIN in descriptors.js and the
+ * manifest's host permissions / content script matches are rewritten to that origin.
+ *
+ *   node tools/build.js [--portal=http://localhost:8787] [--out=dist]
+ *
+ * --out must be empty, missing or a previous build - it is deleted and rewritten
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const LIVE_ORIGIN = 'https://app.issas.ssnit.org.gh';
+
+const EXTENSION_FILES = [
+    'manifest.json', 'background.js', 'descriptors.js', 'content.js', 'style.css', 'importer.js',
+    'popup.html', 'popup.js', 'history.html', 'history.js', 'options.html', 'options.js', 'icon128.png'
+];
+
+function parseArgs(argv) {
+    const parsed = { out: path.join(ROOT, 'dist'), portal: null };
+    argv.forEach(arg => {
+        const [flag, value] = arg.split(/=(.*)/s);
+        if (flag === '--portal' && value) parsed.portal = value;
+        else if (flag === '--out' && value) parsed.out = path.resolve(value);
+        else throw new Error(`Unknown option ${arg}`);
+    });
+    return parsed;
+}
+
+/**
+ * Origin and match pattern for a --portal value (match patterns ignore the port)
+ * @returns {{origin: string, match: string}}
+ */
+function resolvePortal(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        throw new Error(`--portal must be an origin like http://localhost:8787 (got "${value}")`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error('--portal must be http or https');
+    return { origin: url.origin, match: `${url.protocol}//${url.hostname}/*` };
+}
+
+function pointAtPortal(out, portal) {
+    const manifestPath = path.join(out, 'manifest.json');
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    manifest.name = `${manifest.name} (${portal.origin})`;
+    manifest.host_permissions = [portal.match];
+    manifest.content_scripts.forEach(script => { script.matches = [portal.match]; });
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+
+    const descriptorsPath = path.join(out, 'descriptors.js');
+    const source = fs.readFileSync(descriptorsPath, 'utf8');
+    const originLine = `const PORTAL_ORIGIN = '${LIVE_ORIGIN}';`;
+    if (!source.includes(originLine)) throw new Error(`descriptors.js no longer contains: ${originLine}`);
+    fs.writeFileSync(descriptorsPath, source.replace(originLine, `const PORTAL_ORIGIN = '${portal.origin}';`));
+}
+
+/**
+ * The build wipes --out first: refuse the repository itself (or a directory holding it) and
+ * any existing directory that isn't empty or a previous build
+ */
+function checkOutDir(out) {
+    const fromOut = path.relative(out, ROOT);
+    if (!fromOut || (!fromOut.startsWith('..') && !path.isAbsolute(fromOut))) {
+        throw new Error(`Refusing to build into ${out}: it contains the extension sources`);
+    }
+    if (!fs.existsSync(out)) return;
+    if (!fs.statSync(out).isDirectory()) throw new Error(`Refusing to build into ${out}: not a directory`);
+
+    const unknown = fs.readdirSync(out).filter(entry => !EXTENSION_FILES.includes(entry));
+    if (unknown.length > 0) {
+        throw new Error(`Refusing to build into ${out}: not empty or a previous build (found ${unknown.slice(0, 5).join(', ')})`);
+    }
+}
+
+function build({ out, portal }) {
+    checkOutDir(out);
+    fs.rmSync(out, { recursive: true, force: true });
+    fs.mkdirSync(out, { recursive: true });
+    EXTENSION_FILES.forEach(file => fs.copyFileSync(path.join(ROOT, file), path.join(out, file)));
+
+    if (portal) pointAtPortal(out, resolvePortal(portal));
+    const shown = path.relative(ROOT, out);
+    console.log(`Built ${EXTENSION_FILES.length} files into ${shown && !shown.startsWith('..') ? shown : out}` +
+        (portal ? ` for ${portal}` : ` for ${LIVE_ORIGIN}`));
+}
+
+try {
+    build(parseArgs(process.argv.slice(2)));
+} catch (e) {
+    console.error(e.message);
+    process.exit(1);
+}